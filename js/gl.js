@@ -26,6 +26,7 @@ var GLU = {};
         this.floatBufExt = gl.getExtension("EXT_color_buffer_float");
         this.floatLinExt = gl.getExtension("OES_texture_float_linear");
         if (!this.floatBufExt || !this.floatLinExt) this.fail("Your platform does not support float textures");
+        this.floatBlendExt = gl.getExtension("EXT_float_blend"); // (optional, needed for photon mapping)
     }
 
     this.glTypeSize = function(type)
@@ -527,7 +528,7 @@ var GLU = {};
         * @method uniform3F
         * @param {string} url - URL of the texture to load
         * @param {Object} callback - function to call on texture load
-        * @returns {Object} - returns a texture info object: { width: w, height: h, texture: gl-tex }
+        * @returns {Object} - returns a texture info object: { width: w, height: h, texture: gl-tex, luminance: Float32Array }
     */
     this.loadImageAndCreateTextureInfo = function(url, callback)
     {
@@ -551,6 +552,7 @@ var GLU = {};
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            imgInfo.luminance = GLU.imageLuminance(img);
             callback(imgInfo);
         });
         img.crossOrigin = "";
@@ -558,6 +560,459 @@ var GLU = {};
         return imgInfo;
     }
 
+    /* Creates a float RGB texture from linear (e.g. HDR) image data.
+    * @memberof GLU.this.Texture
+        * @method createFloatTextureInfo
+        * @param {number} width - image width in texels
+        * @param {number} height - image height in texels
+        * @param {Float32Array} data - RGB texel values (3 floats per texel), in rows ordered from the top of the image down
+        * @param {string} url - (optional) URL the image was loaded from
+        * @returns {Object} - returns a texture info object: { width: w, height: h, texture: gl-tex, luminance: Float32Array }
+    */
+    this.createFloatTextureInfo = function(width, height, data, url)
+    {
+        if (data.length < 3*width*height)
+            this.fail(`Float image data (${data.length} values) is too small for a ${width}x${height} RGB image`);
+        let texels = new Float32Array(4*width*height);
+        for (let n=0; n<width*height; ++n)
+        {
+            texels[4*n]   = data[3*n];
+            texels[4*n+1] = data[3*n+1];
+            texels[4*n+2] = data[3*n+2];
+            texels[4*n+3] = 1.0;
+        }
+        let tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, texels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        let luminance = new Float32Array(width*height);
+        for (let n=0; n<width*height; ++n)
+            luminance[n] = 0.2126*data[3*n] + 0.7152*data[3*n+1] + 0.0722*data[3*n+2];
+        return {
+            width: width,
+            height: height,
+            texture: tex,
+            tex: tex,
+            url: url,
+            luminance: luminance
+        };
+    }
+
+    /* Returns whether the given URL refers to a float image format which can be loaded with loadFloatImageAndCreateTextureInfo
+    * (i.e. Radiance RGBE, with extension .hdr or .pic, or PFM, with extension .pfm).
+    * @memberof GLU.this.Texture
+        * @method isFloatImageURL
+        * @param {string} url - URL of the image
+        * @returns {boolean}
+    */
+    this.isFloatImageURL = function(url)
+    {
+        let ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return (ext == 'hdr' || ext == 'pic' || ext == 'pfm');
+    }
+
+    /* Loads a float (HDR) image, either in Radiance RGBE (.hdr, .pic) or PFM (.pfm) format, into a float RGB texture.
+    * @memberof GLU.this.Texture
+        * @method loadFloatImageAndCreateTextureInfo
+        * @param {string} url - URL of the image to load
+        * @param {Object} callback - function to call with the texture info object on texture load
+        * @param {Object} errorCallback - function to call with an error message, if the image could not be fetched or decoded
+    */
+    this.loadFloatImageAndCreateTextureInfo = function(url, callback, errorCallback)
+    {
+        let isPFM = url.split(/[?#]/)[0].toLowerCase().endsWith('.pfm');
+        let request = new XMLHttpRequest();
+        request.open('GET', url, true);
+        request.responseType = 'arraybuffer';
+        request.onload = function()
+        {
+            if (request.status < 200 || request.status >= 300 || request.response == null)
+            {
+                errorCallback(`Failed to fetch image ${url} (status ${request.status})`);
+                return;
+            }
+            let image;
+            try
+            {
+                image = isPFM ? GLU.decodePFM(request.response) : GLU.decodeRGBE(request.response);
+            }
+            catch (e)
+            {
+                errorCallback(`Failed to decode image ${url}: ${e.message}`);
+                return;
+            }
+            callback(GLU.createFloatTextureInfo(image.width, image.height, image.data, url));
+        };
+        request.onerror = function()
+        {
+            errorCallback(`Failed to fetch image ${url}`);
+        };
+        request.send();
+    }
+
+    // Read the next newline-terminated ASCII line of a byte array, starting at pos.offset (which is advanced past the line)
+    function readHeaderLine(bytes, pos)
+    {
+        let line = '';
+        while (pos.offset < bytes.length)
+        {
+            let c = bytes[pos.offset++];
+            if (c == 0x0a) return line;
+            line += String.fromCharCode(c);
+        }
+        throw new Error('unexpected end of header');
+    }
+
+    /* Decodes a Radiance RGBE (.hdr) image, with either flat or run-length encoded scanlines.
+    * @memberof GLU.this.Texture
+        * @method decodeRGBE
+        * @param {ArrayBuffer} buffer - the file contents
+        * @returns {Object} - { width: w, height: h, data: Float32Array of RGB values, in rows ordered from the top of the image down }
+    */
+    this.decodeRGBE = function(buffer)
+    {
+        let bytes = new Uint8Array(buffer);
+        let pos = { offset: 0 };
+
+        // Header: magic line, then variables up to a blank line, then the resolution string
+        let magic = readHeaderLine(bytes, pos);
+        if (!magic.startsWith('#?')) throw new Error('not a Radiance RGBE file');
+        for (;;)
+        {
+            let line = readHeaderLine(bytes, pos);
+            if (line == '') break;
+            if (line.startsWith('FORMAT=') && line != 'FORMAT=32-bit_rle_rgbe')
+                throw new Error(`unsupported format ${line.substring(7)}`);
+        }
+        let resolution = readHeaderLine(bytes, pos).trim().split(/\s+/);
+        if (resolution.length != 4 || (resolution[0] != '-Y' && resolution[0] != '+Y') || resolution[2] != '+X')
+            throw new Error(`unsupported resolution string "${resolution.join(' ')}"`);
+        let height = parseInt(resolution[1]);
+        let width  = parseInt(resolution[3]);
+        if (!(width > 0) || !(height > 0)) throw new Error('invalid image dimensions');
+        let flipY = (resolution[0] == '+Y'); // (scanlines are stored from the bottom of the image up)
+
+        let data = new Float32Array(3*width*height);
+        let scanline = new Uint8Array(4*width);
+        let exponents = new Float32Array(256);
+        for (let e=1; e<256; ++e) exponents[e] = Math.pow(2.0, e - (128 + 8));
+        let need = function(n) { if (pos.offset + n > bytes.length) throw new Error('unexpected end of pixel data'); };
+
+        for (let y=0; y<height; ++y)
+        {
+            need(4);
+            let b = bytes.subarray(pos.offset, pos.offset+4);
+            if (width >= 8 && width < 0x8000 && b[0] == 2 && b[1] == 2 && (b[2] & 0x80) == 0)
+            {
+                // new-style run-length encoded scanline, with each of the 4 components encoded separately
+                if (((b[2] << 8) | b[3]) != width) throw new Error('scanline width mismatch');
+                pos.offset += 4;
+                for (let c=0; c<4; ++c)
+                {
+                    let x = 0;
+                    while (x < width)
+                    {
+                        need(1);
+                        let count = bytes[pos.offset++];
+                        if (count > 128)
+                        {
+                            count -= 128;
+                            if (x + count > width) throw new Error('bad scanline run length');
+                            need(1);
+                            let value = bytes[pos.offset++];
+                            for (let i=0; i<count; ++i) scanline[4*(x++) + c] = value;
+                        }
+                        else
+                        {
+                            if (count == 0 || x + count > width) throw new Error('bad scanline data length');
+                            need(count);
+                            for (let i=0; i<count; ++i) scanline[4*(x++) + c] = bytes[pos.offset++];
+                        }
+                    }
+                }
+            }
+            else
+            {
+                // flat scanline (possibly with old-style runs, where a (1,1,1,n) pixel repeats the previous pixel)
+                let x = 0;
+                let shift = 0;
+                while (x < width)
+                {
+                    need(4);
+                    let r = bytes[pos.offset], g = bytes[pos.offset+1], bl = bytes[pos.offset+2], e = bytes[pos.offset+3];
+                    pos.offset += 4;
+                    if (r == 1 && g == 1 && bl == 1)
+                    {
+                        if (x == 0) throw new Error('bad old-style run at start of scanline');
+                        let count = e << shift;
+                        if (x + count > width) throw new Error('bad scanline run length');
+                        for (let i=0; i<count; ++i, ++x)
+                            for (let c=0; c<4; ++c) scanline[4*x + c] = scanline[4*(x-1) + c];
+                        shift += 8;
+                    }
+                    else
+                    {
+                        scanline[4*x] = r; scanline[4*x+1] = g; scanline[4*x+2] = bl; scanline[4*x+3] = e;
+                        ++x;
+                        shift = 0;
+                    }
+                }
+            }
+
+            let row = flipY ? height-1-y : y;
+            for (let x=0; x<width; ++x)
+            {
+                let e = scanline[4*x+3];
+                let n = 3*(row*width + x);
+                if (e == 0)
+                {
+                    data[n] = data[n+1] = data[n+2] = 0.0;
+                    continue;
+                }
+                let f = exponents[e];
+                data[n]   = (scanline[4*x]   + 0.5) * f;
+                data[n+1] = (scanline[4*x+1] + 0.5) * f;
+                data[n+2] = (scanline[4*x+2] + 0.5) * f;
+            }
+        }
+        return { width: width, height: height, data: data };
+    }
+
+    /* Decodes a PFM (portable float map) image, either color (PF) or greyscale (Pf).
+    * @memberof GLU.this.Texture
+        * @method decodePFM
+        * @param {ArrayBuffer} buffer - the file contents
+        * @returns {Object} - { width: w, height: h, data: Float32Array of RGB values, in rows ordered from the top of the image down }
+    */
+    this.decodePFM = function(buffer)
+    {
+        let bytes = new Uint8Array(buffer);
+
+        // Header: 3 whitespace-separated tokens (type, dimensions, scale/endianness), followed by a single whitespace character
+        let tokens = [];
+        let offset = 0;
+        while (tokens.length < 4)
+        {
+            while (offset < bytes.length && /\s/.test(String.fromCharCode(bytes[offset]))) ++offset;
+            let token = '';
+            while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) token += String.fromCharCode(bytes[offset++]);
+            if (token == '') throw new Error('unexpected end of header');
+            tokens.push(token);
+        }
+        ++offset;
+        if (tokens[0] != 'PF' && tokens[0] != 'Pf') throw new Error('not a PFM file');
+        let channels = (tokens[0] == 'PF') ? 3 : 1;
+        let width  = parseInt(tokens[1]);
+        let height = parseInt(tokens[2]);
+        let scale  = parseFloat(tokens[3]);
+        if (!(width > 0) || !(height > 0) || isNaN(scale) || scale == 0.0) throw new Error('invalid header');
+        let littleEndian = scale < 0.0;
+        if (offset + 4*channels*width*height > bytes.length) throw new Error('unexpected end of pixel data');
+
+        // (rows are stored from the bottom of the image up)
+        let view = new DataView(buffer, offset);
+        let data = new Float32Array(3*width*height);
+        for (let y=0; y<height; ++y)
+        {
+            let row = height-1-y;
+            for (let x=0; x<width; ++x)
+            {
+                let n = 3*(row*width + x);
+                let m = 4*channels*(y*width + x);
+                for (let c=0; c<3; ++c)
+                {
+                    let v = view.getFloat32(m + 4*Math.min(c, channels-1), littleEndian);
+                    data[n+c] = isFinite(v) ? Math.max(0.0, v) : 0.0;
+                }
+            }
+        }
+        return { width: width, height: height, data: data };
+    }
+
+    /* Encodes a color PFM (portable float map) image, in the format returned by decodePFM.
+    * @memberof GLU.this.Texture
+        * @method encodePFM
+        * @param {Object} image - { width: w, height: h, data: Float32Array of RGB values, in rows ordered from the top of the image down }
+        * @returns {ArrayBuffer} - the file contents
+    */
+    this.encodePFM = function(image)
+    {
+        let width  = image.width;
+        let height = image.height;
+        let header = `PF\n${width} ${height}\n-1.0\n`; // (negative scale indicates little-endian data)
+        let buffer = new ArrayBuffer(header.length + 12*width*height);
+        let bytes = new Uint8Array(buffer);
+        for (let n=0; n<header.length; ++n) bytes[n] = header.charCodeAt(n);
+
+        // (rows are stored from the bottom of the image up)
+        let view = new DataView(buffer, header.length);
+        for (let y=0; y<height; ++y)
+        {
+            let row = height-1-y;
+            for (let x=0; x<width; ++x)
+            {
+                let n = 3*(row*width + x);
+                let m = 12*(y*width + x);
+                for (let c=0; c<3; ++c) view.setFloat32(m + 4*c, image.data[n+c], true);
+            }
+        }
+        return buffer;
+    }
+
+    /* Decodes a 3D LUT in the Adobe/Resolve .cube text format.
+    * @memberof GLU.this.Texture
+        * @method decodeCubeLUT
+        * @param {string} text - the file contents
+        * @returns {Object} - { size: N, domainMin: [r,g,b], domainMax: [r,g,b], data: Float32Array of the N^3 RGB entries, with red varying fastest, then green, then blue }
+    */
+    this.decodeCubeLUT = function(text)
+    {
+        let size = 0;
+        let domainMin = [0.0, 0.0, 0.0];
+        let domainMax = [1.0, 1.0, 1.0];
+        let data = null;
+        let n = 0;
+        let lines = text.split(/\r?\n/);
+        for (let l=0; l<lines.length; ++l)
+        {
+            let line = lines[l].trim();
+            if (line == '' || line[0] == '#') continue;
+            let tokens = line.split(/\s+/);
+            let keyword = tokens[0].toUpperCase();
+            if (keyword == 'TITLE' || keyword == 'LUT_1D_INPUT_RANGE' || keyword == 'LUT_3D_INPUT_RANGE') continue;
+            if (keyword == 'LUT_1D_SIZE') throw new Error('1D LUTs are not supported');
+            if (keyword == 'LUT_3D_SIZE')
+            {
+                size = parseInt(tokens[1]);
+                if (!(size >= 2) || size > 256) throw new Error(`invalid LUT size ${tokens[1]}`);
+                data = new Float32Array(3*size*size*size);
+                continue;
+            }
+            if (keyword == 'DOMAIN_MIN' || keyword == 'DOMAIN_MAX')
+            {
+                let domain = tokens.slice(1, 4).map(parseFloat);
+                if (domain.length < 3 || domain.some(isNaN)) throw new Error(`invalid ${keyword}`);
+                if (keyword == 'DOMAIN_MIN') domainMin = domain; else domainMax = domain;
+                continue;
+            }
+            if (data == null) throw new Error(`unexpected line "${line}" before LUT_3D_SIZE`);
+            if (n >= size*size*size) throw new Error('too many LUT entries');
+            for (let c=0; c<3; ++c)
+            {
+                let v = parseFloat(tokens[c]);
+                if (isNaN(v)) throw new Error(`invalid LUT entry "${line}"`);
+                data[3*n+c] = v;
+            }
+            ++n;
+        }
+        if (data == null) throw new Error('missing LUT_3D_SIZE');
+        if (n < size*size*size) throw new Error(`expected ${size*size*size} LUT entries, found ${n}`);
+        return { size: size, domainMin: domainMin, domainMax: domainMax, data: data };
+    }
+
+    /* Creates a linearly interpolated 3D texture of a LUT, indexed by (red, green, blue).
+    * @memberof GLU.this.Texture
+        * @method createLUTTextureInfo
+        * @param {number} size - the number of LUT entries along each axis
+        * @param {Array} domainMin - the input [r,g,b] mapped to the first entry
+        * @param {Array} domainMax - the input [r,g,b] mapped to the last entry
+        * @param {Float32Array} data - the size^3 RGB entries, with red varying fastest, then green, then blue
+        * @param {string} url - (optional) URL the LUT was loaded from
+        * @returns {Object} - returns a LUT info object: { size: N, domainMin: [r,g,b], domainMax: [r,g,b], texture: gl-tex, url: url }
+    */
+    this.createLUTTextureInfo = function(size, domainMin, domainMax, data, url)
+    {
+        let N = size;
+        let texels = new Float32Array(4*N*N*N);
+        for (let n=0; n<N*N*N; ++n)
+        {
+            texels[4*n]   = data[3*n];
+            texels[4*n+1] = data[3*n+1];
+            texels[4*n+2] = data[3*n+2];
+            texels[4*n+3] = 1.0;
+        }
+        // (half float, as float textures are not filterable on all platforms)
+        let tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_3D, tex);
+        gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGBA16F, N, N, N, 0, gl.RGBA, gl.FLOAT, texels);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.bindTexture(gl.TEXTURE_3D, null);
+        return {
+            size: N,
+            domainMin: domainMin,
+            domainMax: domainMax,
+            texture: tex,
+            tex: tex,
+            url: url
+        };
+    }
+
+    /* Loads a 3D LUT in the .cube format (see decodeCubeLUT) into a linearly interpolated 3D texture (see createLUTTextureInfo).
+    * @memberof GLU.this.Texture
+        * @method loadCubeLUTAndCreateTextureInfo
+        * @param {string} url - URL of the LUT to load
+        * @param {Object} callback - function to call with the LUT info object { size: N, domainMin: [r,g,b], domainMax: [r,g,b], texture: gl-tex, url: url } on load
+        * @param {Object} errorCallback - function to call with an error message, if the LUT could not be fetched or decoded
+    */
+    this.loadCubeLUTAndCreateTextureInfo = function(url, callback, errorCallback)
+    {
+        let request = new XMLHttpRequest();
+        request.open('GET', url, true);
+        request.responseType = 'text';
+        request.onload = function()
+        {
+            if (request.status < 200 || request.status >= 300 || request.response == null)
+            {
+                errorCallback(`Failed to fetch LUT ${url} (status ${request.status})`);
+                return;
+            }
+            let lut;
+            try
+            {
+                lut = GLU.decodeCubeLUT(request.response);
+            }
+            catch (e)
+            {
+                errorCallback(`Failed to decode LUT ${url}: ${e.message}`);
+                return;
+            }
+            callback(GLU.createLUTTextureInfo(lut.size, lut.domainMin, lut.domainMax, lut.data, url));
+        };
+        request.onerror = function()
+        {
+            errorCallback(`Failed to fetch LUT ${url}`);
+        };
+        request.send();
+    }
+
+    // Compute the linear luminance of each pixel of an (sRGB) image element, in rows ordered from the top of the image down
+    this.imageLuminance = function(img)
+    {
+        let canvas = document.createElement('canvas');
+        canvas.width  = img.width;
+        canvas.height = img.height;
+        let ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        let pixels = ctx.getImageData(0, 0, img.width, img.height).data;
+        let srgbToLinear = new Float32Array(256);
+        for (let c=0; c<256; ++c)
+        {
+            let v = c/255.0;
+            srgbToLinear[c] = (v <= 0.04045) ? v/12.92 : Math.pow((v + 0.055)/1.055, 2.4);
+        }
+        let luminance = new Float32Array(img.width*img.height);
+        for (let n=0; n<img.width*img.height; ++n)
+            luminance[n] = 0.2126*srgbToLinear[pixels[4*n]] + 0.7152*srgbToLinear[pixels[4*n+1]] + 0.0722*srgbToLinear[pixels[4*n+2]];
+        return luminance;
+    }
+
     ///////////////////////////////////////////////////
     // GLU.RenderTarget object
     ///////////////////////////////////////////////////
@@ -587,11 +1042,12 @@ var GLU = {};
         gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + index, gl.TEXTURE_2D, null, 0);
     }
 
-    this.RenderTarget.prototype.drawBuffers = function(numBufs)
+    // Draw to the first numBufs color attachments, except those listed in 'unused' (whose fragment shader outputs are discarded)
+    this.RenderTarget.prototype.drawBuffers = function(numBufs, unused=[])
     {
         var buffers = [];
         for (var i = 0; i<numBufs; ++i)
-            buffers.push(gl.COLOR_ATTACHMENT0 + i);
+            buffers.push((unused.indexOf(i) > -1) ? gl.NONE : gl.COLOR_ATTACHMENT0 + i);
         gl.drawBuffers(buffers);
     }
 
@@ -72,23 +72,38 @@ GUI.prototype.createRendererSettings = function()
     var camera = snelly.getCamera();
 
     // @todo: add a basic AO and normals mode as well, useful for scene debugging.
-    var renderModes = ['pt', 'ptsimple', 'ao', 'normals'];
+    var renderModes = ['pt', 'bdpt', 'ppm', 'ptsimple', 'ao', 'normals', 'marchsteps', 'maxsteps', 'overshoot'];
 
     // raymarching folder
     this.raymarchingFolder = this.rendererFolder.addFolder('Raymarcher');
     this.raymarchingFolder.add(pathtracer, 'renderMode', renderModes).onChange( function(renderMode) { pathtracer.renderMode = renderMode; pathtracer.reset(); });
     this.raymarchingFolder.add(pathtracer, 'dispersive').onChange( function(value) { pathtracer.reset(); } );
     this.raymarchingFolder.add(pathtracer, 'maxBounces', 0, 100, 1).onChange( function(value) { pathtracer.maxBounces = Math.floor(value); pathtracer.reset(); });
+    this.raymarchingFolder.add(pathtracer, 'russianRouletteDepth', 0, 100, 1).onChange( function(value) { pathtracer.russianRouletteDepth = Math.floor(value); pathtracer.reset(true); });
     this.raymarchingFolder.add(pathtracer, 'maxAtmosphereScatters', 1, 100, 1).onChange( function(value) { pathtracer.maxAtmosphereScatters = Math.floor(value); pathtracer.reset(); });
     this.raymarchingFolder.add(pathtracer, 'maxSamplesPerFrame', 1, 16, 1).onChange( function(value) { pathtracer.maxBounces = Math.floor(value); pathtracer.reset(); });
     this.raymarchingFolder.add(pathtracer, 'maxSpp', 1, 100000, 1).onChange( function(value) { pathtracer.maxSpp = Math.floor(value); pathtracer.reset(); });
     this.raymarchingFolder.add(pathtracer, 'maxMarchSteps', 1, 2048, 1).onChange( function(value) { pathtracer.maxMarchSteps = Math.floor(value); pathtracer.reset(); } );
+    this.raymarchingFolder.add(pathtracer, 'marchOverRelaxation', 1.0, 2.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'marchFootprint', 0.0, 4.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'sceneRadius', 0.1, 1000.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'photonMapSize', 16, 1024).step(1).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'photonRadius', 0.001, 1.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'photonAlpha', 0.05, 1.0).onChange( function(value) { pathtracer.reset(true); } );
     this.raymarchingFolder.add(pathtracer, 'maxStepsIsMiss').onChange( function(value) { pathtracer.reset(true); } );
     this.raymarchingFolder.add(pathtracer, 'maxSSSSteps', 32, 1024, 1).onChange( function(value) { pathtracer.maxSSSSteps = Math.floor(value); pathtracer.reset(); } );
+    this.raymarchingFolder.add(pathtracer, 'maxVolumeSteps', 32, 4096, 1).onChange( function(value) { pathtracer.maxVolumeSteps = Math.floor(value); pathtracer.reset(); } );
     this.raymarchingFolder.add(pathtracer, 'filterRadius', 0.0, 30.0).onChange( function(value) { pathtracer.reset(true); } );
     this.raymarchingFolder.add(pathtracer, 'radianceClamp', -2.0, 12.0).onChange( function(value) { pathtracer.reset(true); } );
     this.raymarchingFolder.add(pathtracer, 'shadowStrength', 0.0, 1.0).onChange( function(value) { pathtracer.reset(true); } );
     this.raymarchingFolder.add(pathtracer, 'wavelengthSamples', 4, 1024, 1).onChange( function(value) { pathtracer.reset(true); } );
+    this.raymarchingFolder.add(pathtracer, 'seed', 0, 1000, 1).onChange( function(value) { pathtracer.seed = Math.floor(value); pathtracer.reset(true); } );
+    var samplers = ['random', 'sobol'];
+    this.raymarchingFolder.add(pathtracer, 'sampler', samplers).onChange( function(value) { pathtracer.reset(); } );
+    this.raymarchingFolder.add(pathtracer, 'adaptiveSampling').onChange( function(value) { pathtracer.reset(); } );
+    this.raymarchingFolder.add(pathtracer, 'noiseThreshold', 0.001, 0.2).onChange( function(value) { pathtracer.display(); } );
+    this.raymarchingFolder.add(pathtracer, 'adaptiveMinSpp', 2, 1024, 1).onChange( function(value) { pathtracer.adaptiveMinSpp = Math.floor(value); pathtracer.display(); } );
+    this.raymarchingFolder.add(pathtracer, 'adaptiveMaxSpp', 16, 65536, 1).onChange( function(value) { pathtracer.adaptiveMaxSpp = Math.floor(value); pathtracer.reset(true); } );
 
     this.raymarchingFolder.add(pathtracer, 'interactive').onChange( function(value) { pathtracer.reset(); } );
     this.raymarchingFolder.close();
@@ -99,17 +114,70 @@ GUI.prototype.createRendererSettings = function()
     this.cameraFolder.add(camera, 'aperture',      -35.0, 1.0).onChange( function(value) { pathtracer.reset(true); } );
     this.cameraFolder.add(camera, 'focalDistance', -3.0, 3.0).onChange( function(value) { pathtracer.reset(true); } );
     this.cameraFolder.add(camera, 'auto_focus').onChange( function(value) { pathtracer.reset(); } );
+    this.cameraFolder.add(camera, 'projection', Snelly.CAMERA_PROJECTIONS).onChange( function(value) { snelly.updateProjection(); } );
+    this.cameraFolder.add(camera, 'orthoHeight', 0.01, 100.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'fisheyeFov', 10.0, 360.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'ipd', 0.0, 1.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'shutterOpen').onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'shutterClose').onChange( function(value) { pathtracer.reset(true); } );
+    var lenses = ['thin'].concat(Object.keys(snelly.getLenses()));
+    this.cameraFolder.add(camera, 'lens', lenses).onChange( function(value) { pathtracer.reset(); } );
+    this.cameraFolder.add(camera, 'focalLength', 8.0, 300.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'fNumber', 1.0, 32.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'sensorHeight', 1.0, 100.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'apertureBlades', 0, 12, 1).onChange( function(value) { pathtracer.reset(true); } );
+    this.cameraFolder.add(camera, 'apertureRotation', 0.0, 360.0).onChange( function(value) { pathtracer.reset(true); } );
     this.cameraFolder.close();
 
     // tonemapping folder
     this.tonemappingFolder = this.rendererFolder.addFolder('Tonemapping');
     this.tonemappingFolder.add(pathtracer, 'exposure', -5.0, 15.0);
+    this.tonemappingFolder.add(pathtracer, 'tonemapOperator', Renderer.TONEMAP_OPERATORS).onChange( function(value) { pathtracer.display(); } );
     this.tonemappingFolder.add(pathtracer, 'gamma', 0.0, 3.0);
+    this.tonemappingFolder.add(pathtracer, 'whitepoint', 0.1, 20.0).onChange( function(value) { pathtracer.display(); } );
     this.tonemappingFolder.add(pathtracer, 'contrast', 0.0, 3.0);
     this.tonemappingFolder.add(pathtracer, 'saturation', 0.0, 3.0);
     this.tonemappingFolder.add(pathtracer, 'hueShift', 0.0, 1.0);
+    // (the LUT is loaded on the next display, once the URL is entered)
+    this.tonemappingFolder.add(pathtracer, 'lutURL').onFinishChange( function(value) { pathtracer.display(); } );
+    this.tonemappingFolder.add(pathtracer, 'lutStrength', 0.0, 1.0).onChange( function(value) { pathtracer.display(); } );
+    // (enabling the denoiser restarts the render if the integrator is not yet accumulating the denoiser guides and the radiance moments)
+    this.tonemappingFolder.add(pathtracer, 'denoise').onChange( function(value) { if (value && (pathtracer.numGBuffers == 0 || !pathtracer.hasMoments)) pathtracer.reset(); else pathtracer.display(); } );
+    this.tonemappingFolder.add(pathtracer, 'denoiseIterations', 1, 8, 1).onChange( function(value) { pathtracer.denoiseIterations = Math.floor(value); pathtracer.display(); } );
+    this.tonemappingFolder.add(pathtracer, 'denoiseStrength', 0.0, 20.0).onChange( function(value) { pathtracer.display(); } );
     this.tonemappingFolder.close();
 
+    // AOVs folder (changing the displayed buffer or the gains needs no resampling)
+    var aovDisplays = ['beauty', 'relit', 'error'].concat(Renderer.AOV_NAMES.lights, Renderer.AOV_NAMES.lobes, Object.keys(Renderer.GBUFFER_LAYOUT));
+    this.aovFolder = this.rendererFolder.addFolder('AOVs');
+    this.aovFolder.add(pathtracer, 'aovs', ['none', 'lights', 'lobes']).onChange( function(value) { pathtracer.reset(); } );
+    this.aovFolder.add(pathtracer, 'gbuffers').onChange( function(value) { pathtracer.reset(); } );
+    // (displaying the error restarts the render if the integrator is not yet accumulating the radiance moments)
+    this.aovFolder.add(pathtracer, 'aovDisplay', aovDisplays).onChange( function(value) { if (pathtracer.needsMoments() && !pathtracer.hasMoments) pathtracer.reset(); else pathtracer.display(); } );
+    this.aovLightGainsFolder = this.aovFolder.addFolder('Light gains');
+    this.aovLightGainsFolder.add(pathtracer.aovGains, 'sky', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLightGainsFolder.add(pathtracer.aovGains, 'sun', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLightGainsFolder.add(pathtracer.aovGains, 'lights', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLightGainsFolder.add(pathtracer.aovGains, 'emission', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLobeGainsFolder = this.aovFolder.addFolder('Lobe gains');
+    this.aovLobeGainsFolder.add(pathtracer.aovGains, 'diffuse', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLobeGainsFolder.add(pathtracer.aovGains, 'specular', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLobeGainsFolder.add(pathtracer.aovGains, 'transmission', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLobeGainsFolder.add(pathtracer.aovGains, 'subsurface', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovLobeGainsFolder.add(pathtracer.aovGains, 'volume', -4.0, 4.0).onChange( function(value) { pathtracer.display(); } );
+    this.aovFolder.add(pathtracer, 'exportAOVs');
+    this.aovFolder.close();
+
+    // tiled render folder (the settings apply to the next tiled render)
+    this.tiledFolder = this.rendererFolder.addFolder('Tiled render');
+    this.tiledFolder.add(pathtracer, 'tiledWidth', 1, 32768, 1).onChange( function(value) { pathtracer.tiledWidth = Math.floor(value); } );
+    this.tiledFolder.add(pathtracer, 'tiledHeight', 1, 32768, 1).onChange( function(value) { pathtracer.tiledHeight = Math.floor(value); } );
+    this.tiledFolder.add(pathtracer, 'tileSize', 16, 4096, 1).onChange( function(value) { pathtracer.tileSize = Math.floor(value); } );
+    this.tiledFolder.add(pathtracer, 'tiledSpp', 1, 100000, 1).onChange( function(value) { pathtracer.tiledSpp = Math.floor(value); } );
+    this.tiledFolder.add(pathtracer, 'renderTiled');
+    this.tiledFolder.add(pathtracer, 'cancelTiledRender');
+    this.tiledFolder.close();
+
     // lighting folder
     this.lightingFolder = this.rendererFolder.addFolder('Lighting');
 
@@ -158,6 +226,11 @@ GUI.prototype.createRendererSettings = function()
     this.skyFolder.add(pathtracer, 'envMapThetaRotation', 0.0, 180.0).onChange( function(value) { pathtracer.reset(true); } );
     this.skyFolder.add(pathtracer, 'envMapTransitionAngle', 0.0, 180.0).onChange( function(value) { pathtracer.reset(true); } );
     this.skyFolder.add(pathtracer, 'envMapVisible').onChange( function(value) { pathtracer.reset(true); } );
+    this.skyFolder.add(pathtracer, 'envMapImportanceSampling').onChange( function(value) { pathtracer.reset(true); } );
+    var skyModels = ['uniform', 'preetham'];
+    this.skyFolder.add(pathtracer, 'skyModel', skyModels).onChange( function(value) { pathtracer.reset(true); } );
+    this.skyFolder.add(pathtracer, 'skyTurbidity', 1.7, 10.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.skyFolder.add(pathtracer, 'skyGroundAlbedo', 0.0, 1.0).onChange( function(value) { pathtracer.reset(true); } );
     this.skyFolder.close();
 
     // sun-lighting
@@ -185,6 +258,15 @@ GUI.prototype.createRendererSettings = function()
     this.sunFolder.add(pathtracer, 'sunLatitude', -90.0, 90.0).onChange( function(value) { pathtracer.reset(true); } );
     this.sunFolder.add(pathtracer, 'sunLongitude', 0.0, 360.0).onChange( function(value) { pathtracer.reset(true); } );
     this.sunFolder.add(pathtracer, 'sunVisibleDirectly').onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunFromLocation').onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunGeoLatitude', -90.0, 90.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunGeoLongitude', -180.0, 180.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunYear', 1901, 2099, 1).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunMonth', 1, 12, 1).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunDay', 1, 31, 1).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunTime', 0.0, 24.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunTimeZone', -12.0, 14.0).onChange( function(value) { pathtracer.reset(true); } );
+    this.sunFolder.add(pathtracer, 'sunNorthOffset', 0.0, 360.0).onChange( function(value) { pathtracer.reset(true); } );
     this.sunFolder.close();
 
     // sphere-lighting
@@ -237,6 +319,16 @@ GUI.prototype.createRendererSettings = function()
 
     this.sphereLightFolder.close();
 
+    // analytic lights added via renderer.addLight
+    var lights = pathtracer.lights;
+    for (var i=0; i<lights.length; i++)
+    {
+        let light = lights[i];
+        let lightFolder = this.lightingFolder.addFolder('Light: ' + light.getName() + ' (' + light.getType() + ')');
+        light.initGui(lightFolder);
+        lightFolder.close();
+    }
+
     this.gui.remember(this.pathtracerSettings);
     this.rendererFolder.open();
 }
@@ -348,6 +440,7 @@ GUI.prototype.createMaterialSettings = function()
 
     var sceneObj = snelly.getScene();
     var shader = sceneObj.shader();
+    var materials = snelly.getMaterials();
 
     // Metal settings
     if (shader.indexOf("SDF_METAL(") !== -1)
@@ -402,11 +495,40 @@ GUI.prototype.createMaterialSettings = function()
         this.surfaceFolder.close();
     }
 
+    // Named object settings
+    var objects = materials.getObjects();
+    this.objectFolders = [];
+    this.objectMaterialSettings = {};
+    for (let n=0; n<objects.length; n++)
+    {
+        let obj = objects[n];
+        let objectFolder = this.gui.addFolder('Object: ' + obj.name + ' (' + obj.type + ')');
+        if (obj.type == 'metal' || obj.type == 'dielectric')
+        {
+            // physical material selection, for metal and dielectric objects
+            let materialNames = Object.keys(obj.type == 'metal' ? snelly.getMetals() : snelly.getDielectrics());
+            let settings = {};
+            settings[obj.type] = obj.material.getName();
+            this.objectMaterialSettings[obj.name] = settings;
+            let materialItem = objectFolder.add(settings, obj.type, materialNames);
+            materialItem.onChange( function(materialName) {
+                                    obj.material.eraseGui(objectFolder); // remove gui for current material
+                                    materials.setObjectMaterial(obj.name, materialName); // load new material
+                                    obj.material.initGui(objectFolder); // init gui for new material
+                                    snelly.reset();
+                                } );
+        }
+        obj.material.initGui(objectFolder);
+        objectFolder.close();
+        this.objectFolders.push(objectFolder);
+    }
+
     // Volume settings
     {
-        this.volumeFolder = this.gui.addFolder('Atmosphere properties');
+        let hasVolume = (shader.indexOf("SDF_VOLUME(") !== -1);
+        this.volumeFolder = this.gui.addFolder(hasVolume ? 'Volume properties' : 'Atmosphere properties');
         var volumeObj = snelly.getVolume();
-        volumeObj.initGui(this.volumeFolder);
+        volumeObj.initGui(this.volumeFolder, hasVolume);
         this.volumeFolder.close();
     }
 
@@ -0,0 +1,260 @@
+////////////////////////////////////////////////////////
+// Lens
+////////////////////////////////////////////////////////
+
+/**
+* A lens prescription for the realistic camera, i.e. the sequence of its spherical (or flat) surfaces, from the front element
+* (on the object side) to the rear element. The pathtracers trace each primary ray from the film through the surfaces, refracting
+* it into the glass between them, so that the render shows the aberrations of the lens (including, in dispersive mode, its
+* chromatic aberration). Lenses are registered via {@link Snelly#addLens}, and the camera uses the lens named by camera.lens.
+*
+* Each surface is an object with the properties:
+*  - radius: the radius of curvature in mm (positive if the center of curvature is behind the surface, i.e. toward the film), or 0 for a flat surface
+*  - thickness: the distance in mm along the axis to the next surface
+*  - glass: the medium behind the surface (up to the next surface), either '' for air, the name of a dielectric in the {@link Materials}
+*    library, or an array [nd, Vd] of the refractive index (at the 587.6nm d-line) and Abbe number of an {@link AbbeDielectric}
+*  - aperture: the diameter of the surface in mm
+* The aperture stop is the first flat surface with air on both sides. Its diameter is set by camera.fNumber (up to its diameter in the prescription).
+* The prescription is scaled to the focal length camera.focalLength.
+* @constructor
+* @param {String} name - the lens name
+* @param {Array} surfaces - the lens surfaces
+*/
+function Lens(name, surfaces)
+{
+    this._name = name;
+    this.surfaces = surfaces;
+    this.glassObjs = null;    // (the distinct glasses of the lens, as dielectric materials)
+    this.glassIndices = null; // (the index of the glass behind each surface, or -1 for air)
+}
+
+Lens.D_LINE_NM = 587.6; // (the wavelength at which the paraxial lens layout is computed)
+
+Lens.prototype.getName = function()
+{
+    return this._name;
+}
+
+// Find the distinct glasses of the lens (creating the dielectric of each), and the glass behind each surface
+Lens.prototype.getGlasses = function()
+{
+    if (this.glassObjs != null) return this.glassObjs;
+    let glassObjs = [];
+    let glassIndices = [];
+    let keys = [];
+    let dielectrics = snelly.getDielectrics();
+    for (let i=0; i<this.surfaces.length; i++)
+    {
+        let glass = this.surfaces[i].glass;
+        if (typeof glass === "undefined" || glass == '' || glass == 'air')
+        {
+            glassIndices.push(-1);
+            continue;
+        }
+        let key = Array.isArray(glass) ? glass.join(',') : glass;
+        let k = keys.indexOf(key);
+        if (k == -1)
+        {
+            if (Array.isArray(glass))
+                glassObjs.push(new AbbeDielectric(key, glass[0], glass[1]));
+            else if (glass in dielectrics)
+                glassObjs.push(dielectrics[glass].clone());
+            else
+                GLU.fail(`Lens "${this._name}" has unknown glass "${glass}"`);
+            keys.push(key);
+            k = keys.length - 1;
+        }
+        glassIndices.push(k);
+    }
+    this.glassObjs = glassObjs;
+    this.glassIndices = glassIndices;
+    return glassObjs;
+}
+
+// Refractive index of the medium behind surface i, at the given wavelength
+Lens.prototype.ior = function(i, wavelength_nm=Lens.D_LINE_NM)
+{
+    let glassObjs = this.getGlasses();
+    let k = this.glassIndices[i];
+    return (k < 0) ? 1.0 : glassObjs[k].iorAt(wavelength_nm);
+}
+
+// Index of the aperture stop surface (or -1 if the lens has none)
+Lens.prototype.stopIndex = function()
+{
+    this.getGlasses();
+    for (let i=0; i<this.surfaces.length; i++)
+    {
+        if (this.surfaces[i].radius == 0.0 && this.glassIndices[i] < 0 && (i == 0 || this.glassIndices[i-1] < 0)) return i;
+    }
+    return -1;
+}
+
+// Trace a paraxial ray, of height y and slope u in the medium in front of surface 'first', through surfaces first to last of the lens
+// scaled by 'scale', returning its height and slope behind surface 'last', and its height at each surface
+Lens.prototype.paraxialRay = function(scale, first, last, y, u)
+{
+    let n = (first > 0) ? this.ior(first-1) : 1.0;
+    let heights = [];
+    for (let i=first; i<=last; i++)
+    {
+        let s = this.surfaces[i];
+        let n2 = this.ior(i);
+        let curvature = (s.radius != 0.0) ? 1.0/(scale*s.radius) : 0.0;
+        u = (n*u - y*(n2 - n)*curvature) / n2;
+        n = n2;
+        heights[i] = y;
+        if (i < last) y += scale*s.thickness*u;
+    }
+    return {y: y, u: u, heights: heights};
+}
+
+/**
+* The (paraxial) effective focal length of the lens prescription, in mm.
+* @returns {number}
+*/
+Lens.prototype.focalLength = function()
+{
+    this.getGlasses();
+    let r = this.paraxialRay(1.0, 0, this.surfaces.length-1, 1.0, 0.0);
+    if (r.u >= 0.0) GLU.fail(`Lens "${this._name}" does not converge light`);
+    return -1.0/r.u;
+}
+
+// Lay out the lens scaled to the given focal length (in mm), with its stop set to the given f-number, and focused on the given
+// distance (in mm, in front of the front element) by moving it away from the film (up to the focal length, i.e. 1:1 magnification).
+// Returns the (mm) signed radius, semi-aperture, and distance of the vertex in front of the film, of each surface, the index of the glass
+// behind it, the index of the stop, the focal length and the entrance pupil radius, and the distance in front of the film and radius of
+// the paraxial exit pupil (or of the rear element, if the stop is not imaged behind it).
+Lens.prototype.layout = function(focalLength, fNumber, focusDistance)
+{
+    let N = this.surfaces.length;
+    let scale = Math.max(focalLength, 1.0e-3) / this.focalLength();
+    let infinity = this.paraxialRay(scale, 0, N-1, 1.0, 0.0);
+    let efl = -1.0/infinity.u;
+    let backFocus = -infinity.y/infinity.u;
+    let filmDistance = backFocus;
+    if (focusDistance > 0.0)
+    {
+        let r = this.paraxialRay(scale, 0, N-1, 1.0, 1.0/focusDistance);
+        filmDistance = (r.u < 0.0) ? Math.min(-r.y/r.u, backFocus + efl) : backFocus + efl;
+    }
+
+    let layout = {radius: [], aperture: [], z: [], glass: this.glassIndices.slice(), stop: this.stopIndex(), focalLength: efl};
+    let z = filmDistance;
+    for (let i=N-1; i>=0; i--)
+    {
+        let s = this.surfaces[i];
+        if (i < N-1) z += scale*s.thickness;
+        layout.z[i] = z;
+        layout.radius[i] = scale*s.radius;
+        layout.aperture[i] = 0.5*scale*s.aperture;
+    }
+
+    // Set the stop radius so that the entrance pupil (the image of the stop in front of the lens) gives the f-number
+    let k = layout.stop;
+    layout.pupilZ = layout.z[N-1];
+    layout.pupilRadius = layout.aperture[N-1];
+    layout.entrancePupilRadius = layout.aperture[0];
+    if (k < 0) return layout;
+    let stopHeight = Math.abs(infinity.heights[k]); // (the height at the stop of the ray entering at unit height)
+    let stopRadius = Math.min(layout.aperture[k], 0.5*efl/Math.max(fNumber, 0.1) * stopHeight);
+    layout.aperture[k] = stopRadius;
+    layout.entrancePupilRadius = stopRadius / Math.max(stopHeight, 1.0e-6);
+
+    // Find the exit pupil (the image of the stop behind the lens), by tracing the paraxial ray from the center of the stop
+    if (k == N-1)
+    {
+        layout.pupilRadius = stopRadius;
+        return layout;
+    }
+    let r = this.paraxialRay(scale, k+1, N-1, scale*this.surfaces[k].thickness, 1.0);
+    if (Math.abs(r.u) < 1.0e-6) return layout;
+    let pupilZ = layout.z[N-1] + r.y/r.u;
+    if (pupilZ <= 0.0) return layout;
+    layout.pupilZ = pupilZ;
+    layout.pupilRadius = stopRadius / Math.abs(r.u);
+    return layout;
+}
+
+/**
+* Generate the GLSL code of the spectral IOR function of the lens glasses, IOR_LENS(glass, wavelength_nm)
+* (with the IOR function of each glass named IOR_DIELE_LENS<glass>).
+* @returns {String}
+*/
+Lens.prototype.iorCode = function()
+{
+    let glassObjs = this.getGlasses();
+    let code = '';
+    let glassCode = '';
+    for (let k=0; k<glassObjs.length; k++)
+    {
+        code += glassObjs[k].ior('LENS' + k) + '\n';
+        glassCode += `    if (glass==${k}) return IOR_DIELE_LENS${k}(wavelength_nm);\n`;
+    }
+    code += `
+float IOR_LENS(int glass, float wavelength_nm)
+{
+${glassCode}    return 1.0;
+}
+`;
+    return code;
+}
+
+// Upload the given lens layout (see layout) to the shader, converting mm to scene units via unitsPerMM,
+// together with the IOR parameters of the glasses
+Lens.prototype.syncShader = function(shader, layout, unitsPerMM, filmHeight)
+{
+    for (let i=0; i<this.surfaces.length; i++)
+    {
+        let index = '[' + i + ']';
+        shader.uniformF("lensSurfaceRadius"+index, unitsPerMM*layout.radius[i]);
+        shader.uniformF("lensSurfaceAperture"+index, unitsPerMM*layout.aperture[i]);
+        shader.uniformF("lensSurfaceZ"+index, unitsPerMM*layout.z[i]);
+        shader.uniformI("lensSurfaceGlass"+index, layout.glass[i]);
+    }
+    shader.uniformI("lensStop", layout.stop);
+    shader.uniformF("lensPupilZ", unitsPerMM*layout.pupilZ);
+    shader.uniformF("lensPupilRadius", unitsPerMM*layout.pupilRadius);
+    shader.uniformF("lensFilmHeight", unitsPerMM*filmHeight);
+
+    // (the glasses only declare their IOR parameter uniforms, so the dielectric parameter arrays are not affected)
+    let glassObjs = this.getGlasses();
+    for (let k=0; k<glassObjs.length; k++)
+    {
+        glassObjs[k].syncShader(shader, 'LENS' + k);
+    }
+}
+
+
+////////////////////////////////////////////////////////
+// Lens prescriptions
+////////////////////////////////////////////////////////
+
+// Double Gauss f/2 (US patent 2,673,491, Tronnier), scaled to 50mm, via "Modern Lens Design" (Smith), p.312
+function prescription_double_gauss_50mm()
+{
+    return [
+        {radius:  29.475, thickness: 3.76,  glass: [1.670, 47.2],  aperture: 25.2},
+        {radius:  84.83,  thickness: 0.12,  glass: '',             aperture: 25.2},
+        {radius:  19.275, thickness: 4.025, glass: [1.670, 47.2],  aperture: 23.0},
+        {radius:  40.77,  thickness: 3.275, glass: [1.699, 30.1],  aperture: 23.0},
+        {radius:  12.75,  thickness: 5.705, glass: '',             aperture: 18.0},
+        {radius:   0.0,   thickness: 4.5,   glass: '',             aperture: 17.1},
+        {radius: -14.495, thickness: 1.18,  glass: 'Glass (F5)',   aperture: 17.0},
+        {radius:  40.77,  thickness: 6.065, glass: [1.658, 57.3],  aperture: 20.0},
+        {radius: -20.385, thickness: 0.19,  glass: '',             aperture: 20.0},
+        {radius: 437.065, thickness: 3.22,  glass: [1.717, 48.0],  aperture: 20.0},
+        {radius: -39.73,  thickness: 0.0,   glass: '',             aperture: 20.0}
+    ];
+}
+
+// Plano-convex singlet in BK7 glass, behind a stop, showing strong spherical and chromatic aberration
+function prescription_singlet_50mm()
+{
+    return [
+        {radius:   0.0,   thickness: 5.0,   glass: '',             aperture: 20.0},
+        {radius:  25.84,  thickness: 4.0,   glass: 'Glass (BK7)',  aperture: 24.0},
+        {radius:   0.0,   thickness: 0.0,   glass: '',             aperture: 24.0}
+    ];
+}
@@ -0,0 +1,399 @@
+////////////////////////////////////////////////////////
+// Light
+////////////////////////////////////////////////////////
+
+/**
+* Generic analytic light. Lights are created via {@link Renderer#addLight}, and their properties then set.
+* In direct lighting, one light is selected per vertex with probability proportional to its power,
+* and the light samples are MIS-weighted against the BSDF.
+* @constructor
+* @property {number} power    - The light power (log10 scale, arbitrary units)
+* @property {Array}  color    - The light (RGB) color
+* @property {Array}  position - The light position (center of the sphere, disk or rect, or the spot position)
+*/
+function Light(name)
+{
+    this._name = name;
+    this.power = 0.0;
+    this.color = [1.0, 1.0, 1.0];
+    this.position = [0.0, 0.0, 0.0];
+}
+
+// Shader light type codes (matching the LIGHT_* defines in the pathtracer shader)
+Light.SPHERE = 0;
+Light.DISK   = 1;
+Light.RECT   = 2;
+Light.SPOT   = 3;
+
+Light.prototype.getName = function()
+{
+    return this._name;
+}
+
+// Light type string, as passed to Renderer.addLight
+Light.prototype.getType = function()
+{
+    return '';
+}
+
+// Emitting area (the radiance is the power per unit area, or for a spot the intensity is the power per unit solid angle)
+Light.prototype.area = function()
+{
+    return 4.0*Math.PI;
+}
+
+// Weight used to select this light for sampling, proportional to its power
+Light.prototype.selectionWeight = function()
+{
+    return Math.pow(10.0, this.power) * (0.2126*this.color[0] + 0.7152*this.color[1] + 0.0722*this.color[2]);
+}
+
+Light.prototype.repr = function(varName='light')
+{
+    let v = varName;
+    let code = `
+    ${v}.power = ${this.power};
+    ${v}.color = [${this.color[0]}, ${this.color[1]}, ${this.color[2]}];
+    ${v}.position = [${this.position[0]}, ${this.position[1]}, ${this.position[2]}];`;
+    return code;
+}
+
+// Upload the parameters into element 'index' of the shader light parameter arrays
+Light.prototype.syncShader = function(shader, index, selectProb)
+{
+    let i = '[' + index + ']';
+    let power = Math.pow(10.0, this.power) / Math.max(this.area(), 1.0e-12);
+    shader.uniformF("lightSelectProb"+i, selectProb);
+    shader.uniform3Fv("lightPosition"+i, this.position.map(x => x*snelly.lengthScale));
+    shader.uniform3Fv("lightRadianceRGB"+i, this.color.map(c => c*power));
+}
+
+// Normalized direction (defaulting to straight down, if zero)
+Light.prototype.normalizedDirection = function(direction)
+{
+    let l = Math.sqrt(direction[0]*direction[0] + direction[1]*direction[1] + direction[2]*direction[2]);
+    if (l < 1.0e-12) return [0.0, -1.0, 0.0];
+    return [direction[0]/l, direction[1]/l, direction[2]/l];
+}
+
+// Unit tangent perpendicular to the (normalized) direction, rotated about it by the given angle in degrees
+Light.prototype.tangent = function(n, rotation)
+{
+    let a = (Math.abs(n[1]) < 0.999) ? [0.0, 1.0, 0.0] : [1.0, 0.0, 0.0];
+    let t = [a[1]*n[2] - a[2]*n[1], a[2]*n[0] - a[0]*n[2], a[0]*n[1] - a[1]*n[0]];
+    let l = Math.sqrt(t[0]*t[0] + t[1]*t[1] + t[2]*t[2]);
+    t = [t[0]/l, t[1]/l, t[2]/l];
+    let b = [n[1]*t[2] - n[2]*t[1], n[2]*t[0] - n[0]*t[2], n[0]*t[1] - n[1]*t[0]];
+    let c = Math.cos(rotation*Math.PI/180.0);
+    let s = Math.sin(rotation*Math.PI/180.0);
+    return [c*t[0] + s*b[0], c*t[1] + s*b[1], c*t[2] + s*b[2]];
+}
+
+// set up gui and callbacks for this light
+Light.prototype.initGui = function(parentFolder)
+{
+    let LIGHT_OBJ = this;
+    parentFolder.add(this, 'power', -7.0, 10.0).onChange( function(value) { snelly.reset(true); } );
+
+    this.lightColor = [this.color[0]*255.0, this.color[1]*255.0, this.color[2]*255.0];
+    var colorItem = parentFolder.addColor(this, 'lightColor');
+    colorItem.onChange( function(C) {
+                            if (typeof C==='string' || C instanceof String)
+                            {
+                                var color = hexToRgb(C);
+                                LIGHT_OBJ.color[0] = color.r / 255.0;
+                                LIGHT_OBJ.color[1] = color.g / 255.0;
+                                LIGHT_OBJ.color[2] = color.b / 255.0;
+                            }
+                            else
+                            {
+                                LIGHT_OBJ.color[0] = C[0] / 255.0;
+                                LIGHT_OBJ.color[1] = C[1] / 255.0;
+                                LIGHT_OBJ.color[2] = C[2] / 255.0;
+                            }
+                            snelly.reset(true);
+                        } );
+
+    this.positionX = this.position[0];
+    this.positionY = this.position[1];
+    this.positionZ = this.position[2];
+
+    var positionXItem = parentFolder.add(this, 'positionX', -1000.0, 1000.0);
+    positionXItem.onChange( function(value) { LIGHT_OBJ.position[0] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    positionXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    var positionYItem = parentFolder.add(this, 'positionY', -1000.0, 1000.0);
+    positionYItem.onChange( function(value) { LIGHT_OBJ.position[1] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    positionYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    var positionZItem = parentFolder.add(this, 'positionZ', -1000.0, 1000.0);
+    positionZItem.onChange( function(value) { LIGHT_OBJ.position[2] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    positionZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+}
+
+// gui for the light direction (for the lights which have one)
+Light.prototype.initDirectionGui = function(parentFolder)
+{
+    let LIGHT_OBJ = this;
+    this.directionX = this.direction[0];
+    this.directionY = this.direction[1];
+    this.directionZ = this.direction[2];
+    parentFolder.add(this, 'directionX', -1.0, 1.0).onChange( function(value) { LIGHT_OBJ.direction[0] = value; snelly.reset(true); } );
+    parentFolder.add(this, 'directionY', -1.0, 1.0).onChange( function(value) { LIGHT_OBJ.direction[1] = value; snelly.reset(true); } );
+    parentFolder.add(this, 'directionZ', -1.0, 1.0).onChange( function(value) { LIGHT_OBJ.direction[2] = value; snelly.reset(true); } );
+}
+
+
+////////////////////////////////////////////////////////
+// Sphere light
+////////////////////////////////////////////////////////
+
+/**
+* Spherical area light, emitting uniformly from its surface.
+* @constructor
+* @extends Light
+* @property {number} radius - The sphere radius
+* @example
+* let light = renderer.addLight('sphere', 'bulb');
+* light.power = 2.0;
+* light.position = [0.0, 10.0, 0.0];
+* light.radius = 0.5;
+*/
+function SphereLight(name)
+{
+    Light.call(this, name);
+    this.radius = 1.0;
+}
+
+SphereLight.prototype = Object.create(Light.prototype);
+
+SphereLight.prototype.getType = function() { return 'sphere'; }
+
+SphereLight.prototype.area = function()
+{
+    return 4.0*Math.PI*this.radius*this.radius;
+}
+
+SphereLight.prototype.repr = function(varName='light')
+{
+    let v = varName;
+    let code = Light.prototype.repr.call(this, varName);
+    code += `
+    ${v}.radius = ${this.radius};
+    `;
+    return code;
+}
+
+SphereLight.prototype.syncShader = function(shader, index, selectProb)
+{
+    Light.prototype.syncShader.call(this, shader, index, selectProb);
+    let i = '[' + index + ']';
+    shader.uniformI("lightType"+i, Light.SPHERE);
+    shader.uniform2F("lightSize"+i, this.radius*snelly.lengthScale, 0.0);
+}
+
+SphereLight.prototype.initGui = function(parentFolder)
+{
+    Light.prototype.initGui.call(this, parentFolder);
+    parentFolder.add(this, 'radius', 0.0, 10.0).onChange( function(value) { snelly.reset(true); } );
+}
+
+
+////////////////////////////////////////////////////////
+// Disk light
+////////////////////////////////////////////////////////
+
+/**
+* Disk area light, emitting uniformly from the side its normal faces.
+* @constructor
+* @extends Light
+* @property {number} radius    - The disk radius
+* @property {Array}  direction - The disk normal (the direction the light is emitted towards)
+* @example
+* let light = renderer.addLight('disk', 'softbox');
+* light.power = 2.0;
+* light.position = [0.0, 10.0, 0.0];
+* light.direction = [0.0, -1.0, 0.0];
+* light.radius = 2.0;
+*/
+function DiskLight(name)
+{
+    Light.call(this, name);
+    this.radius = 1.0;
+    this.direction = [0.0, -1.0, 0.0];
+}
+
+DiskLight.prototype = Object.create(Light.prototype);
+
+DiskLight.prototype.getType = function() { return 'disk'; }
+
+DiskLight.prototype.area = function()
+{
+    return Math.PI*this.radius*this.radius;
+}
+
+DiskLight.prototype.repr = function(varName='light')
+{
+    let v = varName;
+    let code = Light.prototype.repr.call(this, varName);
+    code += `
+    ${v}.radius = ${this.radius};
+    ${v}.direction = [${this.direction[0]}, ${this.direction[1]}, ${this.direction[2]}];
+    `;
+    return code;
+}
+
+DiskLight.prototype.syncShader = function(shader, index, selectProb)
+{
+    Light.prototype.syncShader.call(this, shader, index, selectProb);
+    let i = '[' + index + ']';
+    let n = this.normalizedDirection(this.direction);
+    shader.uniformI("lightType"+i, Light.DISK);
+    shader.uniform3Fv("lightDirection"+i, n);
+    shader.uniform3Fv("lightTangent"+i, this.tangent(n, 0.0));
+    shader.uniform2F("lightSize"+i, this.radius*snelly.lengthScale, 0.0);
+}
+
+DiskLight.prototype.initGui = function(parentFolder)
+{
+    Light.prototype.initGui.call(this, parentFolder);
+    parentFolder.add(this, 'radius', 0.0, 10.0).onChange( function(value) { snelly.reset(true); } );
+    this.initDirectionGui(parentFolder);
+}
+
+
+////////////////////////////////////////////////////////
+// Rect light
+////////////////////////////////////////////////////////
+
+/**
+* Rectangular area light, emitting uniformly from the side its normal faces.
+* @constructor
+* @extends Light
+* @property {number} width     - The rect width
+* @property {number} height    - The rect height
+* @property {Array}  direction - The rect normal (the direction the light is emitted towards)
+* @property {number} rotation  - Rotation of the rect about its normal (in degrees)
+* @example
+* let light = renderer.addLight('rect', 'window');
+* light.power = 2.0;
+* light.position = [5.0, 2.0, 0.0];
+* light.direction = [-1.0, 0.0, 0.0];
+* light.width = 2.0;
+* light.height = 3.0;
+*/
+function RectLight(name)
+{
+    Light.call(this, name);
+    this.width = 1.0;
+    this.height = 1.0;
+    this.direction = [0.0, -1.0, 0.0];
+    this.rotation = 0.0;
+}
+
+RectLight.prototype = Object.create(Light.prototype);
+
+RectLight.prototype.getType = function() { return 'rect'; }
+
+RectLight.prototype.area = function()
+{
+    return this.width*this.height;
+}
+
+RectLight.prototype.repr = function(varName='light')
+{
+    let v = varName;
+    let code = Light.prototype.repr.call(this, varName);
+    code += `
+    ${v}.width = ${this.width};
+    ${v}.height = ${this.height};
+    ${v}.direction = [${this.direction[0]}, ${this.direction[1]}, ${this.direction[2]}];
+    ${v}.rotation = ${this.rotation};
+    `;
+    return code;
+}
+
+RectLight.prototype.syncShader = function(shader, index, selectProb)
+{
+    Light.prototype.syncShader.call(this, shader, index, selectProb);
+    let i = '[' + index + ']';
+    let n = this.normalizedDirection(this.direction);
+    shader.uniformI("lightType"+i, Light.RECT);
+    shader.uniform3Fv("lightDirection"+i, n);
+    shader.uniform3Fv("lightTangent"+i, this.tangent(n, this.rotation));
+    shader.uniform2F("lightSize"+i, 0.5*this.width*snelly.lengthScale, 0.5*this.height*snelly.lengthScale);
+}
+
+RectLight.prototype.initGui = function(parentFolder)
+{
+    Light.prototype.initGui.call(this, parentFolder);
+    parentFolder.add(this, 'width', 0.0, 10.0).onChange( function(value) { snelly.reset(true); } );
+    parentFolder.add(this, 'height', 0.0, 10.0).onChange( function(value) { snelly.reset(true); } );
+    this.initDirectionGui(parentFolder);
+    parentFolder.add(this, 'rotation', 0.0, 360.0).onChange( function(value) { snelly.reset(true); } );
+}
+
+
+////////////////////////////////////////////////////////
+// Spot light
+////////////////////////////////////////////////////////
+
+/**
+* Spot light: a point light emitting within a cone about its direction, with a smooth falloff at the cone edge.
+* (Being a point, it is not directly visible and is not MIS-weighted.)
+* @constructor
+* @extends Light
+* @property {Array}  direction   - The spot axis
+* @property {number} coneAngle   - The cone half-angle, in degrees
+* @property {number} coneFalloff - The angle over which the intensity falls off to zero at the cone edge, in degrees
+* @example
+* let light = renderer.addLight('spot', 'key');
+* light.power = 3.0;
+* light.position = [0.0, 10.0, 5.0];
+* light.direction = [0.0, -1.0, -0.5];
+* light.coneAngle = 20.0;
+* light.coneFalloff = 5.0;
+*/
+function SpotLight(name)
+{
+    Light.call(this, name);
+    this.direction = [0.0, -1.0, 0.0];
+    this.coneAngle = 30.0;
+    this.coneFalloff = 5.0;
+}
+
+SpotLight.prototype = Object.create(Light.prototype);
+
+SpotLight.prototype.getType = function() { return 'spot'; }
+
+SpotLight.prototype.repr = function(varName='light')
+{
+    let v = varName;
+    let code = Light.prototype.repr.call(this, varName);
+    code += `
+    ${v}.direction = [${this.direction[0]}, ${this.direction[1]}, ${this.direction[2]}];
+    ${v}.coneAngle = ${this.coneAngle};
+    ${v}.coneFalloff = ${this.coneFalloff};
+    `;
+    return code;
+}
+
+SpotLight.prototype.syncShader = function(shader, index, selectProb)
+{
+    Light.prototype.syncShader.call(this, shader, index, selectProb);
+    let i = '[' + index + ']';
+    let coneAngle = Math.min(Math.max(this.coneAngle, 0.0), 180.0);
+    let cosOuter = Math.cos(coneAngle*Math.PI/180.0);
+    let cosInner = Math.cos(Math.max(coneAngle - Math.max(this.coneFalloff, 0.0), 0.0)*Math.PI/180.0);
+    shader.uniformI("lightType"+i, Light.SPOT);
+    shader.uniform3Fv("lightDirection"+i, this.normalizedDirection(this.direction));
+    shader.uniform2F("lightSize"+i, Math.max(cosInner, cosOuter + 1.0e-4), cosOuter);
+}
+
+SpotLight.prototype.initGui = function(parentFolder)
+{
+    Light.prototype.initGui.call(this, parentFolder);
+    this.initDirectionGui(parentFolder);
+    parentFolder.add(this, 'coneAngle', 0.0, 180.0).onChange( function(value) { snelly.reset(true); } );
+    parentFolder.add(this, 'coneFalloff', 0.0, 90.0).onChange( function(value) { snelly.reset(true); } );
+}
@@ -18,6 +18,19 @@ Material.prototype.getName = function()
     return this._name;
 }
 
+// Create an independent instance of this material, with the same parameters
+// (array-valued parameters are copied, other data such as IOR textures is shared)
+Material.prototype.clone = function()
+{
+    let copy = Object.create(Object.getPrototypeOf(this));
+    for (let key in this)
+    {
+        if (!this.hasOwnProperty(key)) continue;
+        copy[key] = Array.isArray(this[key]) ? this[key].slice() : this[key];
+    }
+    return copy;
+}
+
 ////////////////////////////////////////////////////////
 // Surface ('uber' material)
 ////////////////////////////////////////////////////////
@@ -30,11 +43,20 @@ Material.prototype.getName = function()
 * @property {number}  ior          - The surface coating ior
 * @property {Array}  diffuseAlbedo - The surface diffuse (RGB) color
 * @property {Array}  specAlbedo    - The surface spec (RGB) color
+* @property {number}  emission            - The surface emission power (0 for a non-emissive surface), modulated by the `SURFACE_EMISSION` shader function
+* @property {Array}   emissionColor       - The surface emission (RGB) color
+* @property {number}  emissionTemperature - If >0, the emission color is further tinted by the color of a blackbody at this temperature (in Kelvin)
+* @property {Array}   emissionProxyCenter - Center of a sphere (in world space) bounding the emissive part of the surface
+* @property {number}  emissionProxyRadius - Radius of the proxy sphere. If >0, the emitter is sampled directly (with MIS) via directions towards the sphere
 * @example
 * surface.roughness = 0.05;
 * surface.ior = 1.3530655391120507;
 * surface.diffuseAlbedo = [0.5, 0.5, 0.5];
 * surface.specAlbedo = [0.0, 0.0, 0.0];
+* surface.emission = 10.0;
+* surface.emissionColor = [1.0, 0.5, 0.2];
+* surface.emissionProxyCenter = [0.0, 2.0, 0.0];
+* surface.emissionProxyRadius = 0.5;
 */
 function Surface(name)
 {
@@ -49,37 +71,69 @@ function Surface(name)
     this.subsurfaceMFP = 0.0;
     this.subsurfaceAnisotropy = 0.0;
     this.subsurfaceDiffuseWeight = 1.0;
+    this.emission = 0.0;
+    this.emissionColor = [1.0, 1.0, 1.0];
+    this.emissionTemperature = 0.0;
+    this.emissionProxyCenter = [0.0, 0.0, 0.0];
+    this.emissionProxyRadius = 0.0;
 }
 
 Surface.prototype = Object.create(Material.prototype);
 
-Surface.prototype.repr  = function()
+Surface.prototype.repr  = function(varName='surface')
 {
+    let v = varName;
     let code = `
-    surface.roughness = ${this.roughness};
-    surface.ior = ${this.ior};
-    surface.diffuseAlbedo = [${this.diffuseAlbedo[0]}, ${this.diffuseAlbedo[1]}, ${this.diffuseAlbedo[2]}];
-    surface.specAlbedo = [${this.specAlbedo[0]}, ${this.specAlbedo[1]}, ${this.specAlbedo[2]}];
-    surface.subsurface = ${this.subsurface};
-    surface.subsurfaceAlbedoRGB = [${this.subsurfaceAlbedoRGB[0]}, ${this.subsurfaceAlbedoRGB[1]}, ${this.subsurfaceAlbedoRGB[2]}];
-    surface.subsurfaceMFP = ${this.subsurfaceMFP};
-    surface.subsurfaceAnisotropy = ${this.subsurfaceAnisotropy};
-    surface.subsurfaceDiffuseWeight = ${this.subsurfaceDiffuseWeight};
+    ${v}.roughness = ${this.roughness};
+    ${v}.ior = ${this.ior};
+    ${v}.diffuseAlbedo = [${this.diffuseAlbedo[0]}, ${this.diffuseAlbedo[1]}, ${this.diffuseAlbedo[2]}];
+    ${v}.specAlbedo = [${this.specAlbedo[0]}, ${this.specAlbedo[1]}, ${this.specAlbedo[2]}];
+    ${v}.subsurface = ${this.subsurface};
+    ${v}.subsurfaceAlbedoRGB = [${this.subsurfaceAlbedoRGB[0]}, ${this.subsurfaceAlbedoRGB[1]}, ${this.subsurfaceAlbedoRGB[2]}];
+    ${v}.subsurfaceMFP = ${this.subsurfaceMFP};
+    ${v}.subsurfaceAnisotropy = ${this.subsurfaceAnisotropy};
+    ${v}.subsurfaceDiffuseWeight = ${this.subsurfaceDiffuseWeight};
+    ${v}.emission = ${this.emission};
+    ${v}.emissionColor = [${this.emissionColor[0]}, ${this.emissionColor[1]}, ${this.emissionColor[2]}];
+    ${v}.emissionTemperature = ${this.emissionTemperature};
+    ${v}.emissionProxyCenter = [${this.emissionProxyCenter[0]}, ${this.emissionProxyCenter[1]}, ${this.emissionProxyCenter[2]}];
+    ${v}.emissionProxyRadius = ${this.emissionProxyRadius};
     `;
     return code;
 }
 
-Surface.prototype.syncShader = function(shader)
+// Upload the parameters into element 'index' of the shader surface parameter arrays
+Surface.prototype.syncShader = function(shader, index=0)
 {
-    shader.uniform3Fv("surfaceDiffuseAlbedoRGB", this.diffuseAlbedo);
-    shader.uniform3Fv("surfaceSpecAlbedoRGB", this.specAlbedo);
-    shader.uniformF("surfaceRoughness", this.roughness);
-    shader.uniformF("surfaceIor", this.ior);
-    shader.uniformF("subsurface", this.subsurface);
-    shader.uniform3Fv("subsurfaceAlbedoRGB", this.subsurfaceAlbedoRGB);
-    shader.uniformF("subsurfaceMFP", this.subsurfaceMFP);
-    shader.uniformF("subsurfaceAnisotropy", this.subsurfaceAnisotropy);
-    shader.uniformF("subsurfaceDiffuseWeight", this.subsurfaceDiffuseWeight);
+    let i = '[' + index + ']';
+    shader.uniform3Fv("surfaceDiffuseAlbedoRGB"+i, this.diffuseAlbedo);
+    shader.uniform3Fv("surfaceSpecAlbedoRGB"+i, this.specAlbedo);
+    shader.uniformF("surfaceRoughness"+i, this.roughness);
+    shader.uniformF("surfaceIor"+i, this.ior);
+    shader.uniformF("subsurface"+i, this.subsurface);
+    shader.uniform3Fv("subsurfaceAlbedoRGB"+i, this.subsurfaceAlbedoRGB);
+    shader.uniformF("subsurfaceMFP"+i, this.subsurfaceMFP);
+    shader.uniformF("subsurfaceAnisotropy"+i, this.subsurfaceAnisotropy);
+    shader.uniformF("subsurfaceDiffuseWeight"+i, this.subsurfaceDiffuseWeight);
+    shader.uniform3Fv("surfaceEmissionRGB"+i, this.emissionRGB());
+    shader.uniform3Fv("surfaceEmissionProxyCenter"+i, this.emissionProxyCenter);
+    shader.uniformF("surfaceEmissionProxyRadius"+i, this.emission > 0.0 ? this.emissionProxyRadius : 0.0);
+}
+
+// Emitted radiance (RGB), i.e. the emission color (with optional blackbody tint) times the emission power
+Surface.prototype.emissionRGB = function()
+{
+    let tint = [1.0, 1.0, 1.0];
+    if (this.emissionTemperature > 0.0)
+    {
+        if (this._blackbodyTemperature !== this.emissionTemperature)
+        {
+            this._blackbodyTemperature = this.emissionTemperature;
+            this._blackbodyColor = blackbodyColor(this.emissionTemperature);
+        }
+        tint = this._blackbodyColor;
+    }
+    return [0, 1, 2].map(c => this.emission * this.emissionColor[c] * tint[c]);
 }
 
 Surface.prototype.initGui  = function(parentFolder) 
@@ -165,6 +219,58 @@ Surface.prototype.initGui  = function(parentFolder)
     this.subsurfaceDiffuseWeightItem = parentFolder.add(this, 'subsurfaceDiffuseWeight', 0.0, 1.0);
     this.subsurfaceDiffuseWeightItem.onChange( function(value) { SURFACE_OBJ.subsurfaceDiffuseWeight = value; snelly.camera.enabled = false; snelly.reset(true); } );
     this.subsurfaceDiffuseWeightItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissionItem = parentFolder.add(this, 'emission', 0.0, 100.0);
+    this.emissionItem.onChange( function(value) {
+                            let CACHED_EMISSIVE = (SURFACE_OBJ.emission > 0.0);
+                            SURFACE_OBJ.emission = value;
+                            snelly.camera.enabled = false;
+                            snelly.reset((value > 0.0) == CACHED_EMISSIVE); // (recompile if the emission switched on or off)
+                        } );
+    this.emissionItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissive = [this.emissionColor[0]*255.0, this.emissionColor[1]*255.0, this.emissionColor[2]*255.0];
+    var emissionColorItem = parentFolder.addColor(this, 'emissive');
+    emissionColorItem.onChange( function(C) {
+                            if (typeof C==='string' || C instanceof String)
+                            {
+                                var color = hexToRgb(C);
+                                SURFACE_OBJ.emissionColor[0] = color.r / 255.0;
+                                SURFACE_OBJ.emissionColor[1] = color.g / 255.0;
+                                SURFACE_OBJ.emissionColor[2] = color.b / 255.0;
+                            }
+                            else
+                            {
+                                SURFACE_OBJ.emissionColor[0] = C[0] / 255.0;
+                                SURFACE_OBJ.emissionColor[1] = C[1] / 255.0;
+                                SURFACE_OBJ.emissionColor[2] = C[2] / 255.0;
+                            }
+                            snelly.reset(true);
+                        } );
+
+    this.emissionTemperatureItem = parentFolder.add(this, 'emissionTemperature', 0.0, 15000.0);
+    this.emissionTemperatureItem.onChange( function(value) { SURFACE_OBJ.emissionTemperature = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    this.emissionTemperatureItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissionProxyRadiusItem = parentFolder.add(this, 'emissionProxyRadius', 0.0, 100.0);
+    this.emissionProxyRadiusItem.onChange( function(value) { SURFACE_OBJ.emissionProxyRadius = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    this.emissionProxyRadiusItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissionProxyX = this.emissionProxyCenter[0];
+    this.emissionProxyY = this.emissionProxyCenter[1];
+    this.emissionProxyZ = this.emissionProxyCenter[2];
+
+    this.emissionProxyXItem = parentFolder.add(this, 'emissionProxyX', -1000.0, 1000.0);
+    this.emissionProxyXItem.onChange( function(value) { SURFACE_OBJ.emissionProxyCenter[0] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    this.emissionProxyXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissionProxyYItem = parentFolder.add(this, 'emissionProxyY', -1000.0, 1000.0);
+    this.emissionProxyYItem.onChange( function(value) { SURFACE_OBJ.emissionProxyCenter[1] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    this.emissionProxyYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+
+    this.emissionProxyZItem = parentFolder.add(this, 'emissionProxyZ', -1000.0, 1000.0);
+    this.emissionProxyZItem.onChange( function(value) { SURFACE_OBJ.emissionProxyCenter[2] = value; snelly.camera.enabled = false; snelly.reset(true); } );
+    this.emissionProxyZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 }
 
 ////////////////////////////////////////////////////////
@@ -172,10 +278,13 @@ Surface.prototype.initGui  = function(parentFolder)
 ////////////////////////////////////////////////////////
 
 /** 
-* Volumetric material (a homogeneous atmosphere, with heterogeneous emission). Control via properties:
+* Volumetric material. If the scene defines an `SDF_VOLUME` function, this describes the heterogeneous medium
+* in the interior of that SDF (with spatial variation given by the `VOLUME_*` shader functions).
+* Otherwise it describes a homogeneous atmosphere within the given bounds (with heterogeneous emission). Control via properties:
 * @constructor 
 * @extends Material
-* @property {number} mfp             - MFP in units of inverse scene scale (gives grey extinction as inverse MFP)
+* @property {number} mfp             - MFP in units of inverse scene scale (gives grey extinction of the atmosphere as inverse MFP)
+* @property {number} extinction      - grey extinction coefficient of the SDF_VOLUME medium (in inverse world units), passed to `VOLUME_EXTINCTION`
 * @property {number} maxOpticalDepth - maximum optical depth (in any channel), used to bound attenuation to infinity
 * @property {Array}  scatteringColor - Scattering (RGB) color (multiplies grey extinction to give per-channel scattering coefficient)
 * @property {Array}  absorptionColor - The absorption (RGB) color (multiplies extinction to give per-channel absorption coefficient)
@@ -184,6 +293,7 @@ Surface.prototype.initGui  = function(parentFolder)
 * @property {Array}  emissionColor   - emission color (multiplies emission to give per-channel emission)
 * @example
 * volume.mfp = 0.1;
+* volume.extinction = 10.0;
 * volume.scatteringColor = [0.5, 0.5, 0.5];
 * volume.absorptionColor = [0.0, 0.5, 0.0];
 * volume.anisotropy = 0.0;
@@ -206,6 +316,8 @@ function Volume(name)
     this.scatteringColor = [0.0, 0.0, 0.0];
     this.absorptionColor = [0.0, 0.0, 0.0];
     this.anisotropy = 0.0;
+    // grey extinction of the heterogeneous volume (bounded by SDF_VOLUME), in inverse world units
+    this.extinction = 1.0;
     // UI values for optional heterogeneous volumetric emission field
     this.emission = 0.0;
     this.emissionColor = [1.0, 1.0, 1.0];
@@ -229,8 +341,10 @@ Volume.prototype.repr  = function()
     volume.atmosphereMaxY = ${this.atmosphereMaxY};
     volume.atmosphereMaxZ = ${this.atmosphereMaxZ};
     volume.lof10_mfp = ${this.lof10_mfp};
+    volume.extinction = ${this.extinction};
     volume.scatteringColor = [${this.scatteringColor[0]}, ${this.scatteringColor[1]}, ${this.scatteringColor[2]}];
     volume.absorptionColor = [${this.absorptionColor[0]}, ${this.absorptionColor[1]}, ${this.absorptionColor[2]}];
+    volume.anisotropy = ${this.anisotropy};
     volume.emission = ${this.emission};
     volume.emissionColor = [${this.emissionColor[0]}, ${this.emissionColor[1]}, ${this.emissionColor[2]}];
     volume.fogEmission = [${this.fogEmission[0]}, ${this.fogEmission[1]}, ${this.fogEmission[2]}];
@@ -264,6 +378,11 @@ Volume.prototype.syncShader = function(shader)
     shader.uniform3Fv("atmosphereBoundsMin", boundsMin);
     shader.uniform3Fv("atmosphereBoundsMax", boundsMax);
 
+    shader.uniformF("volumeExtinction", this.extinction);
+    shader.uniform3Fv("volumeScatteringColorRGB", this.scatteringColor);
+    shader.uniform3Fv("volumeAbsorptionColorRGB", this.absorptionColor);
+    shader.uniformF("volumeAnisotropy", this.anisotropy);
+
     shader.uniformF("volumeEmission", this.emission);
     shader.uniform3Fv("volumeEmissionColorRGB", this.emissionColor);
 
@@ -280,13 +399,23 @@ Volume.prototype.nonNullVolume = function(color)
     return this.absorptionColor[0]> 0.0 || this.absorptionColor[1]> 0.0 || this.absorptionColor[2]> 0.0;
 }
 
-Volume.prototype.initGui = function(parentFolder)
+// (if bounded, the GUI controls the SDF_VOLUME medium, otherwise the homogeneous atmosphere)
+Volume.prototype.initGui = function(parentFolder, bounded)
 {
     let VOLUME_OBJ = this;
 
-    this.mfpItem = parentFolder.add(this, 'lof10_mfp', -2.0, 4.0);
-    this.mfpItem.onChange( function(value) { this.lof10_mfp = value; snelly.camera.enabled = false; snelly.reset(true); });
-    this.mfpItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+    if (bounded)
+    {
+        this.extinctionItem = parentFolder.add(this, 'extinction', 0.0, 200.0);
+        this.extinctionItem.onChange( function(value) { VOLUME_OBJ.extinction = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.extinctionItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+    }
+    else
+    {
+        this.mfpItem = parentFolder.add(this, 'lof10_mfp', -2.0, 4.0);
+        this.mfpItem.onChange( function(value) { this.lof10_mfp = value; snelly.camera.enabled = false; snelly.reset(true); });
+        this.mfpItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+    }
 
     parentFolder.scatteringColor = [this.scatteringColor[0]*255.0, this.scatteringColor[1]*255.0, this.scatteringColor[2]*255.0];
     var scatteringColorItem = parentFolder.addColor(parentFolder, 'scatteringColor');
@@ -361,29 +490,32 @@ Volume.prototype.initGui = function(parentFolder)
     this.anisotropyItem.onChange( function(value) { VOLUME_OBJ.anisotropy = value; snelly.camera.enabled = false; snelly.reset(true); } );
     this.anisotropyItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMinXItem = parentFolder.add(this, 'atmosphereMinX', -1000.0, 1000.0);
-    this.atmosphereMinXItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinX = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMinXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+    if (!bounded)
+    {
+        this.atmosphereMinXItem = parentFolder.add(this, 'atmosphereMinX', -1000.0, 1000.0);
+        this.atmosphereMinXItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinX = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMinXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMaxXItem = parentFolder.add(this, 'atmosphereMaxX', -1000.0, 1000.0);
-    this.atmosphereMaxXItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxX = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMaxXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+        this.atmosphereMaxXItem = parentFolder.add(this, 'atmosphereMaxX', -1000.0, 1000.0);
+        this.atmosphereMaxXItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxX = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMaxXItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMinYItem = parentFolder.add(this, 'atmosphereMinY', -1000.0, 1000.0);
-    this.atmosphereMinYItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinY = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMinYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+        this.atmosphereMinYItem = parentFolder.add(this, 'atmosphereMinY', -1000.0, 1000.0);
+        this.atmosphereMinYItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinY = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMinYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMaxYItem = parentFolder.add(this, 'atmosphereMaxY', -1000.0, 1000.0);
-    this.atmosphereMaxYItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxY = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMaxYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+        this.atmosphereMaxYItem = parentFolder.add(this, 'atmosphereMaxY', -1000.0, 1000.0);
+        this.atmosphereMaxYItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxY = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMaxYItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMinZItem = parentFolder.add(this, 'atmosphereMinZ', -1000.0, 1000.0);
-    this.atmosphereMinZItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinZ = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMinZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+        this.atmosphereMinZItem = parentFolder.add(this, 'atmosphereMinZ', -1000.0, 1000.0);
+        this.atmosphereMinZItem.onChange( function(value) { VOLUME_OBJ.atmosphereMinZ = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMinZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
 
-    this.atmosphereMaxZItem = parentFolder.add(this, 'atmosphereMaxZ', -1000.0, 1000.0);
-    this.atmosphereMaxZItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxZ = value; snelly.camera.enabled = false; snelly.reset(true); } );
-    this.atmosphereMaxZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+        this.atmosphereMaxZItem = parentFolder.add(this, 'atmosphereMaxZ', -1000.0, 1000.0);
+        this.atmosphereMaxZItem.onChange( function(value) { VOLUME_OBJ.atmosphereMaxZ = value; snelly.camera.enabled = false; snelly.reset(true); } );
+        this.atmosphereMaxZItem.onFinishChange( function(value) { snelly.camera.enabled = true; } );
+    }
 
     // Fog params
     this.fogEnableItem = parentFolder.add(this, 'fogEnable').onChange( function(value) { snelly.reset(); } );
@@ -485,19 +617,22 @@ function Metal(name)
 
 Metal.prototype = Object.create(Material.prototype);
 
-Metal.prototype.repr  = function()
+Metal.prototype.repr  = function(varName='metal')
 {
+    let v = varName;
     let code = `
-    metal.roughness = ${this.roughness};
-    metal.specAlbedo = [${this.specAlbedo[0]}, ${this.specAlbedo[1]}, ${this.specAlbedo[2]}];
+    ${v}.roughness = ${this.roughness};
+    ${v}.specAlbedo = [${this.specAlbedo[0]}, ${this.specAlbedo[1]}, ${this.specAlbedo[2]}];
     `;
     return code;
 }
 
-Metal.prototype.syncShader = function(shader)
+// Upload the parameters into element 'index' of the shader metal parameter arrays
+Metal.prototype.syncShader = function(shader, index=0)
 {
-    shader.uniformF("metalRoughness", this.roughness);
-    shader.uniform3Fv("metalSpecAlbedoRGB", this.specAlbedo);
+    let i = '[' + index + ']';
+    shader.uniformF("metalRoughness"+i, this.roughness);
+    shader.uniform3Fv("metalSpecAlbedoRGB"+i, this.specAlbedo);
 }
 
 Metal.prototype.initGui  = function(parentFolder) 
@@ -637,34 +772,45 @@ function TabulatedMetal(name, nk)
 
 TabulatedMetal.prototype = Object.create(Metal.prototype);
 
-TabulatedMetal.prototype.ior = function()
+TabulatedMetal.prototype.ior = function(index=0)
 {
     // Defines GLSL functions which take wavelength (in nanometres) and return ior and k
     var Nsample = 64;
     var delta = 1.0/(750.0-390.0);
 return `
-float IOR_METAL(float wavelength_nm)
+uniform sampler2D iorTex_${index};
+uniform sampler2D kTex_${index};
+float IOR_METAL_${index}(float wavelength_nm)
 {
     float u = (wavelength_nm - 390.0) * ${delta};
-    return texture(iorTex, vec2(u, 0.5)).r;
+    return texture(iorTex_${index}, vec2(u, 0.5)).r;
 }                                                       
-float K_METAL(float wavelength_nm)                                      
+float K_METAL_${index}(float wavelength_nm)                                      
 {
     float u = (wavelength_nm - 390.0) * ${delta};
-    return texture(kTex, vec2(u, 0.5)).r;
+    return texture(kTex_${index}, vec2(u, 0.5)).r;
 }
     `;
 }
 
-TabulatedMetal.prototype.syncShader = function(shader)
+// Texture units of the ior and k textures of the metal instance with the given index
+// (units 0-3, 6 and 7 are used by the renderer; the remaining renderer buffers, then the user texture units, follow those of the last metal instance, see Snelly.getUserTextureUnitStart)
+TabulatedMetal.textureUnits = function(index)
 {
-    this.ior_tex.bind(4);
-    shader.uniformTexture("iorTex", this.ior_tex);
+    let unit = (index==0) ? 4 : 6 + 2*index;
+    return [unit, unit+1];
+}
 
-    this.k_tex.bind(5);
-    shader.uniformTexture("k_tex", this.k_tex);
+TabulatedMetal.prototype.syncShader = function(shader, index=0)
+{
+    let units = TabulatedMetal.textureUnits(index);
+    this.ior_tex.bind(units[0]);
+    shader.uniformTexture("iorTex_"+index, this.ior_tex);
 
-    Metal.prototype.syncShader.call(this, shader);
+    this.k_tex.bind(units[1]);
+    shader.uniformTexture("kTex_"+index, this.k_tex);
+
+    Metal.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -737,28 +883,35 @@ function Dielectric(name)
 
 Dielectric.prototype = Object.create(Material.prototype);
 
-Dielectric.prototype.repr  = function()
+Dielectric.prototype.repr  = function(varName='dielectric')
 {
+    let v = varName;
     let code = `
-    dielectric.absorptionColor = [${this.absorptionColor[0]}, ${this.absorptionColor[1]}, ${this.absorptionColor[2]}];
-    dielectric.absorptionScale = ${this.absorptionScale}; // mfp in multiples of scene scale
-    dielectric.roughness = ${this.roughness};
-    dielectric.iorVal = ${this.iorVal};
-    dielectric.abbe = ${this.abbe};
+    ${v}.absorptionColor = [${this.absorptionColor[0]}, ${this.absorptionColor[1]}, ${this.absorptionColor[2]}];
+    ${v}.absorptionScale = ${this.absorptionScale}; // mfp in multiples of scene scale
+    ${v}.roughness = ${this.roughness};
+    `;
+    if (typeof this.iorVal !== "undefined") // (only Abbe dielectrics are parametrized by these)
+    {
+        code += `${v}.iorVal = ${this.iorVal};
+    ${v}.abbe = ${this.abbe};
     `;
+    }
     return code;
 }
 
-Dielectric.prototype.syncShader = function(shader)
+// Upload the parameters into element 'index' of the shader dielectric parameter arrays
+Dielectric.prototype.syncShader = function(shader, index=0)
 {
-    shader.uniformF("dieleRoughness", this.roughness);
-    shader.uniform3Fv("dieleSpecAlbedoRGB", this.specAlbedo);
+    let i = '[' + index + ']';
+    shader.uniformF("dieleRoughness"+i, this.roughness);
+    shader.uniform3Fv("dieleSpecAlbedoRGB"+i, this.specAlbedo);
 
     this.absorptionRGB[0] = snelly.lengthScale/Math.max(this.absorptionScale, 1.0e-3) * Math.max(0.0, 1.0 - this.absorptionColor[0]);
     this.absorptionRGB[1] = snelly.lengthScale/Math.max(this.absorptionScale, 1.0e-3) * Math.max(0.0, 1.0 - this.absorptionColor[1]);
     this.absorptionRGB[2] = snelly.lengthScale/Math.max(this.absorptionScale, 1.0e-3) * Math.max(0.0, 1.0 - this.absorptionColor[2]);
 
-    shader.uniform3Fv("dieleAbsorptionRGB", this.absorptionRGB);
+    shader.uniform3Fv("dieleAbsorptionRGB"+i, this.absorptionRGB);
 }
 
 Dielectric.prototype.initGui  = function(parentFolder) 
@@ -839,13 +992,15 @@ function AbbeDielectric(name, iorVal, abbe)
 
 AbbeDielectric.prototype = Object.create(Dielectric.prototype);
 
-AbbeDielectric.prototype.ior = function()
+AbbeDielectric.prototype.ior = function(index=0)
 {
     return `
-uniform float _iorVal;
-uniform float _abbe;
-float IOR_DIELE(float wavelength_nm)
+uniform float _iorVal_${index};
+uniform float _abbe_${index};
+float IOR_DIELE_${index}(float wavelength_nm)
 {
+    float _iorVal = _iorVal_${index};
+    float _abbe = _abbe_${index};
     if (_abbe <= 0.0)
         return _iorVal;
     float nD2 = 0.5893; nD2 *= nD2;
@@ -860,11 +1015,24 @@ float IOR_DIELE(float wavelength_nm)
     `;
 }
 
-AbbeDielectric.prototype.syncShader = function(shader)
+// The IOR at the given wavelength, as computed by the shader IOR function (used to lay out the lenses of the realistic camera)
+AbbeDielectric.prototype.iorAt = function(wavelength_nm)
 {
-    shader.uniformF("_iorVal", this.iorVal);
-    shader.uniformF("_abbe", this.abbe);
-    Dielectric.prototype.syncShader.call(this, shader);
+    if (this.abbe <= 0.0) return this.iorVal;
+    let nD2 = 0.5893*0.5893;
+    let nF2 = 0.4861*0.4861;
+    let nC2 = 0.6563*0.6563;
+    let cauchyC = (this.iorVal - 1.0)/this.abbe * (nC2*nF2)/(nC2 - nF2);
+    let cauchyB = this.iorVal - cauchyC/nD2;
+    let l = 1.0e-3*wavelength_nm;
+    return cauchyB + cauchyC/(l*l);
+}
+
+AbbeDielectric.prototype.syncShader = function(shader, index=0)
+{
+    shader.uniformF("_iorVal_"+index, this.iorVal);
+    shader.uniformF("_abbe_"+index, this.abbe);
+    Dielectric.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -902,23 +1070,23 @@ function SellmeierDielectric(name, coeffs)
 
 SellmeierDielectric.prototype = Object.create(Dielectric.prototype);
 
-SellmeierDielectric.prototype.ior = function()
+SellmeierDielectric.prototype.ior = function(index=0)
 {
     var numTerms = (this.coeffs.length - 1)/2;
-    var IOR_FORMULA = `1.0 + _C1 `;
+    var IOR_FORMULA = `1.0 + _C1_${index} `;
     for (var t=1; t<=numTerms; ++t)
     {
-        IOR_FORMULA += `+ _C${2*t}*l2/(l2 - _C${2*t+1}*_C${2*t+1})`;
+        IOR_FORMULA += `+ _C${2*t}_${index}*l2/(l2 - _C${2*t+1}_${index}*_C${2*t+1}_${index})`;
     }
 
     // Defines a GLSL function which takes wavelength (in micrometres) and returns ior
     var uniforms = '';
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        uniforms += `uniform float _C${n};\n`
+        uniforms += `uniform float _C${n}_${index};\n`
     }
     var code = `${uniforms}    
-float IOR_DIELE(float wavelength_nm) 
+float IOR_DIELE_${index}(float wavelength_nm) 
 {                                                                                            
     float wavelength_um = 1.0e-3*wavelength_nm;                                                                      
     float l2 = wavelength_um*wavelength_um;                                                                               
@@ -929,13 +1097,22 @@ float IOR_DIELE(float wavelength_nm)
     return code;
 }
 
-SellmeierDielectric.prototype.syncShader = function(shader)
+SellmeierDielectric.prototype.iorAt = function(wavelength_nm)
+{
+    let l2 = Math.pow(1.0e-3*wavelength_nm, 2.0);
+    let n2 = 1.0 + this.coeffs[0];
+    for (let t=1; 2*t<this.coeffs.length; ++t)
+        n2 += this.coeffs[2*t-1]*l2/(l2 - this.coeffs[2*t]*this.coeffs[2*t]);
+    return Math.max(Math.sqrt(Math.abs(n2)), 1.0e-3);
+}
+
+SellmeierDielectric.prototype.syncShader = function(shader, index=0)
 {
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        shader.uniformF(`_C${n}`, this.coeffs[n-1]);
+        shader.uniformF(`_C${n}_${index}`, this.coeffs[n-1]);
     }
-    Dielectric.prototype.syncShader.call(this, shader);
+    Dielectric.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -953,23 +1130,23 @@ function Sellmeier2Dielectric(name, coeffs)
 
 Sellmeier2Dielectric.prototype = Object.create(Dielectric.prototype);
 
-Sellmeier2Dielectric.prototype.ior = function()
+Sellmeier2Dielectric.prototype.ior = function(index=0)
 {
     var numTerms = (this.coeffs.length - 1)/2;
-    var IOR_FORMULA = `1.0 + _C1 `;
+    var IOR_FORMULA = `1.0 + _C1_${index} `;
     for (var t=1; t<=numTerms; ++t)
     {
-        IOR_FORMULA += `+ _C${2*t}*l2/(l2 - _C${2*t+1})`;
+        IOR_FORMULA += `+ _C${2*t}_${index}*l2/(l2 - _C${2*t+1}_${index})`;
     }
 
     // Defines a GLSL function which takes wavelength (in nanometres) and returns ior
     var uniforms = '';
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        uniforms += `uniform float _C${n};\n`
+        uniforms += `uniform float _C${n}_${index};\n`
     }
     var code = `${uniforms}    
-float IOR_DIELE(float wavelength_nm) 
+float IOR_DIELE_${index}(float wavelength_nm) 
 {                                                                                            
     float wavelength_um = 1.0e-3*wavelength_nm;                                                                      
     float l2 = wavelength_um*wavelength_um;                                                                               
@@ -980,13 +1157,22 @@ float IOR_DIELE(float wavelength_nm)
     return code;
 }
 
-Sellmeier2Dielectric.prototype.syncShader = function(shader)
+Sellmeier2Dielectric.prototype.iorAt = function(wavelength_nm)
+{
+    let l2 = Math.pow(1.0e-3*wavelength_nm, 2.0);
+    let n2 = 1.0 + this.coeffs[0];
+    for (let t=1; 2*t<this.coeffs.length; ++t)
+        n2 += this.coeffs[2*t-1]*l2/(l2 - this.coeffs[2*t]);
+    return Math.max(Math.sqrt(Math.abs(n2)), 1.0e-3);
+}
+
+Sellmeier2Dielectric.prototype.syncShader = function(shader, index=0)
 {
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        shader.uniformF(`_C${n}`, this.coeffs[n-1]);
+        shader.uniformF(`_C${n}_${index}`, this.coeffs[n-1]);
     }
-    Dielectric.prototype.syncShader.call(this, shader);
+    Dielectric.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -1011,18 +1197,19 @@ function PolyanskiyDielectric(name, coeffs)
 
 PolyanskiyDielectric.prototype = Object.create(Dielectric.prototype);
 
-PolyanskiyDielectric.prototype.ior = function()
+PolyanskiyDielectric.prototype.ior = function(index=0)
 {
-    var IOR_FORMULA = ' _C1 + _C2*pow(l, _C3)/(l*l - pow(_C4, _C5))';
+    let i = index;
+    var IOR_FORMULA = ` _C1_${i} + _C2_${i}*pow(l, _C3_${i})/(l*l - pow(_C4_${i}, _C5_${i}))`;
 
     // Defines a GLSL function which takes wavelength (in nanometres) and returns ior
     var code = `
-uniform float _C1;
-uniform float _C2;
-uniform float _C3;
-uniform float _C4;
-uniform float _C5;
-float IOR_DIELE(float wavelength_nm)
+uniform float _C1_${i};
+uniform float _C2_${i};
+uniform float _C3_${i};
+uniform float _C4_${i};
+uniform float _C5_${i};
+float IOR_DIELE_${i}(float wavelength_nm)
 {
     float wavelength_um = 1.0e-3*wavelength_nm;
     float l = wavelength_um;
@@ -1033,14 +1220,21 @@ float IOR_DIELE(float wavelength_nm)
     return code;
 }
 
-PolyanskiyDielectric.prototype.syncShader = function(shader)
+PolyanskiyDielectric.prototype.iorAt = function(wavelength_nm)
+{
+    let l = 1.0e-3*wavelength_nm;
+    let n2 = this.C1 + this.C2*Math.pow(l, this.C3)/(l*l - Math.pow(this.C4, this.C5));
+    return Math.max(Math.sqrt(Math.abs(n2)), 1.0e-3);
+}
+
+PolyanskiyDielectric.prototype.syncShader = function(shader, index=0)
 {
-    shader.uniformF('_C1', this.C1);
-    shader.uniformF('_C2', this.C2);
-    shader.uniformF('_C3', this.C3);
-    shader.uniformF('_C4', this.C4);
-    shader.uniformF('_C5', this.C5);
-    Dielectric.prototype.syncShader.call(this, shader);
+    shader.uniformF('_C1_'+index, this.C1);
+    shader.uniformF('_C2_'+index, this.C2);
+    shader.uniformF('_C3_'+index, this.C3);
+    shader.uniformF('_C4_'+index, this.C4);
+    shader.uniformF('_C5_'+index, this.C5);
+    Dielectric.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -1061,23 +1255,23 @@ function CauchyDielectric(name, coeffs)
 
 CauchyDielectric.prototype = Object.create(Dielectric.prototype);
 
-CauchyDielectric.prototype.ior = function()
+CauchyDielectric.prototype.ior = function(index=0)
 {
     var numTerms = (this.coeffs.length - 1)/2;
-    var IOR_FORMULA = `_C1`;
+    var IOR_FORMULA = `_C1_${index}`;
     for (var t=1; t<=numTerms; ++t)
     {
-        IOR_FORMULA += ` + _C${2*t}*pow(l, _C${2*t+1})`;
+        IOR_FORMULA += ` + _C${2*t}_${index}*pow(l, _C${2*t+1}_${index})`;
     }
 
     // Defines a GLSL function which takes wavelength (in nanometres) and returns ior
     var uniforms = '';
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        uniforms += `uniform float _C${n};\n`;
+        uniforms += `uniform float _C${n}_${index};\n`;
     }
     var code = `${uniforms}
-float IOR_DIELE(float wavelength_nm)
+float IOR_DIELE_${index}(float wavelength_nm)
 {
     float wavelength_um = 1.0e-3*wavelength_nm;
     float l = wavelength_um;
@@ -1088,13 +1282,22 @@ float IOR_DIELE(float wavelength_nm)
     return code;
 }
 
-CauchyDielectric.prototype.syncShader = function(shader)
+CauchyDielectric.prototype.iorAt = function(wavelength_nm)
+{
+    let l = 1.0e-3*wavelength_nm;
+    let n = this.coeffs[0];
+    for (let t=1; 2*t<this.coeffs.length; ++t)
+        n += this.coeffs[2*t-1]*Math.pow(l, this.coeffs[2*t]);
+    return Math.max(n, 1.0e-3);
+}
+
+CauchyDielectric.prototype.syncShader = function(shader, index=0)
 {
     for (var n=1; n<=this.coeffs.length; ++n)
     {
-        shader.uniformF(`_C${n}`, this.coeffs[n-1]);
+        shader.uniformF(`_C${n}_${index}`, this.coeffs[n-1]);
     }
-    Dielectric.prototype.syncShader.call(this, shader);
+    Dielectric.prototype.syncShader.call(this, shader, index);
 }
 
 // set up gui and callbacks for this material
@@ -1103,6 +1306,34 @@ CauchyDielectric.prototype.eraseGui = function(parentFolder) { Dielectric.protot
 
 
 
+////////////////////////////////////////////////////
+// Scene objects
+////////////////////////////////////////////////////
+
+/** 
+* A named scene object, i.e. an SDF function defined in the scene shader, rendered with its own material instance.
+* (For metals and dielectrics, the name of the physical material is given by <code>material.getName()</code>.)
+* Created via {@link Materials#addObject}.
+* @constructor 
+* @property {String} name     - The object name
+* @property {String} sdf      - The name of the GLSL SDF function of the object, with signature <code>float sdf(vec3 X)</code>
+* @property {String} type     - The material type, one of 'surface', 'metal', 'dielectric'
+* @property {Material} material - The material instance of the object (a Surface, Metal or Dielectric according to type)
+*/
+function SDFObject(name, sdf, type, material)
+{
+    this.name = name;
+    this.sdf = sdf;
+    this.type = type;
+    this.material = material;
+}
+
+SDFObject.prototype.getName = function()
+{
+    return this.name;
+}
+
+
 ////////////////////////////////////////////////////
 // Material manager
 ////////////////////////////////////////////////////
@@ -1120,6 +1351,7 @@ var Materials = function()
     this.metals = {}
     this.dielectricObj = null;
     this.metalObj = null;
+    this.objects = [];
     {
         // Dielectrics
         this.addDielectric( new AbbeDielectric("Abbe dielectric", 1.5, 0.0) ); 
@@ -1331,6 +1563,104 @@ Materials.prototype.getVolume  = function()
 }
 
 
+/**
+* Declare a named scene object, with its own SDF and material instance. This should be called in the scene init function.
+* The SDF function must be defined in the scene shader, with signature <code>float sdf(vec3 X)</code>.
+* Objects are rendered in addition to the SDF_SURFACE, SDF_METAL and SDF_DIELECTRIC functions (if defined).
+* Each object of type 'metal' or 'dielectric' has its own instance of the physical metal or dielectric given by materialName,
+* so that any number of different metals and dielectrics can be rendered at once.
+* Declaring an object with the name of an existing object replaces it.
+* @param {String} name - the object name (as displayed in the GUI)
+* @param {String} sdf - the name of the GLSL SDF function of the object
+* @param {String} type - the material type, one of 'surface', 'metal', 'dielectric'
+* @param {String} [materialName] - for metal and dielectric objects, the name of the physical material
+* (one of those listed in {@link Materials#loadMetal} or {@link Materials#loadDielectric}). Defaults to the currently loaded metal or dielectric.
+* @returns {Material} - the material instance of the object (a Surface, Metal or Dielectric according to type)
+* @example
+* let floor = materials.addObject('floor', 'SDF_FLOOR', 'surface');
+* floor.diffuseAlbedo = [0.8, 0.1, 0.1];
+* let ring = materials.addObject('ring', 'SDF_RING', 'metal', 'Gold');
+* ring.roughness = 0.05;
+* let setting = materials.addObject('setting', 'SDF_SETTING', 'metal', 'Silver');
+* let gem = materials.addObject('gem', 'SDF_GEM', 'dielectric', 'Diamond');
+*/
+Materials.prototype.addObject = function(name, sdf, type, materialName)
+{
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(sdf))
+    {
+        GLU.fail(`Object "${name}" SDF function name "${sdf}" is not a valid GLSL identifier`);
+    }
+    let material = this.createMaterial(name, type, materialName);
+    let obj = new SDFObject(name, sdf, type, material);
+    let existing = this.objects.findIndex(function(o) { return o.name == name; });
+    if (existing > -1) this.objects[existing] = obj;
+    else               this.objects.push(obj);
+    return material;
+}
+
+// Create a new material instance for the named object. For metals and dielectrics, this is
+// a copy of the physical material with the given name (or of the currently loaded one).
+Materials.prototype.createMaterial = function(name, type, materialName)
+{
+    switch (type)
+    {
+        case 'surface':
+            return new Surface(name);
+        case 'metal':
+            if (typeof materialName === "undefined") materialName = this.metalObj.getName();
+            if (!(materialName in this.metals)) GLU.fail(`Object "${name}" has unknown metal "${materialName}"`);
+            return this.metals[materialName].clone();
+        case 'dielectric':
+            if (typeof materialName === "undefined") materialName = this.dielectricObj.getName();
+            if (!(materialName in this.dielectrics)) GLU.fail(`Object "${name}" has unknown dielectric "${materialName}"`);
+            return this.dielectrics[materialName].clone();
+        default:
+            GLU.fail(`Object "${name}" has unknown material type "${type}" (must be one of 'surface', 'metal', 'dielectric')`);
+    }
+}
+
+/**
+* Change the physical material of a declared metal or dielectric object (the shaders must then be recompiled, via snelly.reset()).
+* @param {String} name - the object name
+* @param {String} materialName - the name of the physical metal or dielectric
+* @returns {Material} - the new material instance of the object
+*/
+Materials.prototype.setObjectMaterial = function(name, materialName)
+{
+    let obj = this.getObject(name);
+    if (obj == null) GLU.fail(`No object named "${name}"`);
+    obj.material = this.createMaterial(name, obj.type, materialName);
+    return obj.material;
+}
+
+/**
+* Get the declared scene objects, in declaration order.
+* @returns {Array} - array of {@link SDFObject}
+*/
+Materials.prototype.getObjects = function()
+{
+    return this.objects;
+}
+
+/**
+* Get a declared scene object by name.
+* @param {String} name - the object name
+* @returns {SDFObject} - the object, or null if there is no object with that name
+*/
+Materials.prototype.getObject = function(name)
+{
+    let obj = this.objects.find(function(o) { return o.name == name; });
+    return (typeof obj === "undefined") ? null : obj;
+}
+
+// Get the declared objects of the given material type. The shader parameters of the
+// object at position i in this list are stored at element i+1 of the shader parameter
+// arrays of that type (element 0 holds the parameters of the loaded material).
+Materials.prototype.getObjectsOfType = function(type)
+{
+    return this.objects.filter(function(o) { return o.type == type; });
+}
+
 // Upload current material parameters
 Materials.prototype.syncShader  = function(program)
 {
@@ -1338,6 +1668,14 @@ Materials.prototype.syncShader  = function(program)
     if (this.dielectricObj !== null) this.dielectricObj.syncShader(program);
     if (this.surfaceObj    !== null) this.surfaceObj.syncShader(program);
     if (this.volumeObj     !== null) this.volumeObj.syncShader(program);
+
+    var types = ['surface', 'metal', 'dielectric'];
+    for (let t=0; t<types.length; t++)
+    {
+        let objects = this.getObjectsOfType(types[t]);
+        for (let n=0; n<objects.length; n++)
+            objects[n].material.syncShader(program, n+1);
+    }
 }
 
     
\ No newline at end of file
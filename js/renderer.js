@@ -1,29 +1,72 @@
 /**
 * Interface to the renderer. The rendering modes available are:
 *  - 'pt': pathtracer (uni-directional)
+*  - 'bdpt': bidirectional pathtracer, connecting light subpaths (started from the sun and analytic lights) to the camera subpaths
+*  - 'ppm': pathtracer with caustics from the sun and analytic lights estimated by stochastic progressive photon mapping, where each frame
+*    traces a fresh photon map, gathered at the first diffuse (i.e. {@link Surface}) vertex of each camera path with a radius shrinking over the frames
 *  - 'ao': ambient occlusion, colored via {@link Surface} material diffuse albedo modulated by the `SURFACE_DIFFUSE_REFLECTANCE` shader function
 *  - 'normals': view normal at first hit as a color
+*  - 'marchsteps', 'maxsteps', 'overshoot': raymarching diagnostics of the primary rays (marched as in the pathtracing modes), for tuning
+*    maxMarchSteps, minLengthScale and the scaling of the scene SDFs. These respectively view a heat map of the number of march steps,
+*    the rays which took maxMarchSteps steps without a hit, and where the SDF decreased faster than the distance marched
+*    (i.e. is not a true distance bound, so rays may overshoot the surface, which can be fixed by scaling down the SDF).
+*    Each pixel of the image read by {@link Renderer#readImage} then holds the mean step count, the fraction of rays taking maxMarchSteps steps,
+*    and the maximum rate of decrease of the SDF per unit distance.
 * @constructor
 * @property {number} width                       - (if not specified, fits to window)
 * @property {number} height                      - (if not specified, fits to window)
-* @property {String} [renderMode='pt']           - rendering mode (either 'pt', 'ptsimple', 'ao', 'normals')
+* @property {String} [renderMode='pt']           - rendering mode (either 'pt', 'bdpt', 'ppm', 'ptsimple', 'ao', 'normals', 'marchsteps', 'maxsteps', 'overshoot')
 * @property {number} [dispersive=false]          - enable dispersive (i.e. spectral) rendering
 * @property {number} [maxSamplesPerFrame=1]      - maximum number of per-pixel samples per frame
-* @property {number} [maxSpp=1]                  - maximum number of samples-per-pixel, after which the render terminates
-* @property {number} [maxBounces=3]              - maximum number of surface bounces
+* @property {number} [maxSpp=1]                  - maximum number of samples-per-pixel, after which the render terminates (under adaptive sampling, the mean over the pixels of the samples taken)
+* @property {number} [maxBounces=8]              - maximum number of surface bounces (a safety cap, as paths are usually terminated earlier by Russian roulette beyond russianRouletteDepth)
+* @property {number} [russianRouletteDepth=3]    - number of bounces after which paths are randomly terminated by Russian roulette, with probability decreasing with their throughput
 * @property {number} [maxAtmosphereScatters=1]   - maximum number of scatters in atmosphere (1 -> single scattering only)
 * @property {number} [maxMarchSteps=256]         - maximum number of raymarching steps per path segment
+* @property {number} [marchOverRelaxation=1.0]   - in the pathtracing modes, over-relaxation factor of the raymarching steps (from 1, i.e. plain sphere tracing, to 2),
+* which reduces the steps taken along surfaces, falling back to plain steps on overshooting. The step counts can be compared via the 'marchSteps' G-buffer
+* (see {@link Renderer#getMeanMarchSteps}).
+* @property {number} [marchFootprint=0.0]        - in the pathtracing modes, if >0.0, rays hit surfaces at a distance of this fraction of the pixel footprint
+* (i.e. of the width of a pixel at the distance along the ray), where larger than the minimum length scale, so distant detail takes fewer steps
 * @property {number} [maxStepsIsMiss=true]       - whether rays which exceed max step count are considered hits or misses
+* @property {number} [sceneRadius=10.0]         - in the 'bdpt' and 'ppm' modes, radius (in units of the scene length scale) of the sphere about the origin bounding the scene, from which sun light subpaths start
+* @property {number} [photonMapSize=256]        - in the 'ppm' mode, the number of photons traced per frame is the square of this
+* @property {number} [photonRadius=0.05]        - in the 'ppm' mode, initial photon gather radius (in units of the scene length scale)
+* @property {number} [photonAlpha=0.7]          - in the 'ppm' mode, fraction of the photons kept as the gather radius shrinks each frame (between 0 and 1,
+* where smaller values shrink the radius faster, reducing bias at the expense of noise)
 * @property {number} [maxSSSSteps=1]             - maximum number of scatters under surface if SSS enabled (via subsurfaceMFP > 0)
+* @property {number} [maxVolumeSteps=256]        - maximum number of tracking steps per path segment through the SDF_VOLUME volume
 * @property {number} [interactive=true]          - if enabled, tries to maintain interactive frame rate at the expense of more noise
 * @property {number} [goalFPS=10.0]              - sampling will adjust to try to match goal FPS
 * @property {number} [minsSPPToRedraw=0.0]       - if >0.0, renderer will not redraw until the specified SPP have been accumulated
 * @property {number} [radianceClamp=3.0]         - clamp radiance to (10^) this max value, for firefly reduction
 * @property {number} [wavelengthSamples=256]     - number of samples to take over visible wavelength range
+* @property {number} [seed=0]                   - seed of the per-pixel random number generator states (and of the QMC scrambling). Renders of the same scene state,
+* seed, resolution and spp are identical (provided interactive is disabled, as the interactive mode skips samples according to the frame rate).
+* @property {String} [sampler='random']         - the sampler of the 'pt', 'bdpt' and 'ppm' modes, either 'random' (pseudorandom numbers), or 'sobol' (the
+* Owen-scrambled Sobol quasi-Monte Carlo sequence of each pixel, for the pixel filter, lens, wavelength, and the BSDF and light sampling at each bounce,
+* which reduces noise at low sample counts)
+* @property {number} [adaptiveSampling=false]  - in the 'pt', 'bdpt' and 'ppm' modes, whether to stop sampling pixels whose radiance has converged, i.e. whose estimated
+* relative error of the luminance is below noiseThreshold, so the frame time is spent on the noisy pixels (the per-pixel error estimate can be displayed via aovDisplay = 'error').
+* Only the samples actually taken count towards maxSpp, which then bounds the mean samples-per-pixel, so the noisy pixels take the samples the converged pixels did not need.
+* The render terminates once maxSpp is reached, or every pixel has either converged or taken adaptiveMaxSpp samples (see getSampleCountRange).
+* @property {number} [noiseThreshold=0.02]      - the relative error (i.e. the standard error of the pixel luminance, as a fraction of the luminance) at which pixels are converged
+* @property {number} [adaptiveMinSpp=16]        - the number of samples each pixel takes before it may stop being sampled by adaptive sampling
+* @property {number} [adaptiveMaxSpp=8192]      - the number of samples after which a pixel stops being sampled by adaptive sampling, even if not converged
 * @property {number} [exposure=0.0]              - exposure, on a log scale
-* @property {number} [gamma=2.2]                 - display gamma correction
+* @property {String} [tonemapOperator='legacy']  - the tonemapping operator, one of {@link Renderer.TONEMAP_OPERATORS}
+* @property {number} [gamma=2.2]                 - display gamma correction, of the 'legacy' operator (the other operators apply the sRGB transfer function)
+* @property {number} [whitepoint=4.0]            - the linear radiance (after exposure) mapped to white by the 'reinhard' and 'hable' operators
 * @property {number} [contrast=1.0]              - tonemapping contrast
 * @property {number} [saturation=1.0]            - tonemapping saturation
+* @property {String} [lutURL='']                 - URL of a 3D LUT in the .cube format, applied to the tonemapped (sRGB encoded) color as a final grade, or '' for none
+* @property {number} [lutStrength=1.0]           - the blend of the LUT graded color with the ungraded color (0 to 1)
+* @property {number} [denoise=false]            - in the 'pt', 'bdpt' and 'ppm' modes, whether to denoise the displayed image before tonemapping, by an edge-avoiding
+* a-trous wavelet filter guided by the first-hit albedo, normal and depth G-buffers (accumulated by the integrator while enabled), and by the per-pixel variance estimate
+* (of the radiance, from its moments, or when displaying an AOV or the 'relit' composite, from the spatial variance of the displayed buffer).
+* The denoiser applies to the display only ({@link Renderer#readImage} returns the accumulated buffers), so can be disabled for final frames without resampling.
+* @property {number} [denoiseIterations=4]      - number of iterations of the denoising filter, each doubling its footprint (5, 9, 17, 33... pixels wide)
+* @property {number} [denoiseStrength=4.0]      - denoising strength, i.e. the luminance difference (in standard deviations of the pixel luminance) over which pixels are blended
 * @property {number} [skyPower=4.0]              - sky power (arbitrary units)
 * @property {number} [skyTemperature=6000]       - sky emission blackbody temperature (in Kelvin), used in dispersive mode only
 * @property {Array}  [skyTintUp]                 - sky color upwards tint
@@ -32,16 +75,44 @@
 * @property {number} [envMapPhiRotation=0.0]     - env map rotation about pole in degrees (0 to 360)
 * @property {number} [envMapThetaRotation=0.0]   - env map rotation about equator in degrees (0 to 180)
 * @property {number} [envMapTransitionAngle=0.0] - angle over which env map tint transitions from upwards to downwards tint [degrees]
+* @property {number} [envMapImportanceSampling=true] - whether to importance sample the env map according to its luminance (otherwise the sky is sampled uniformly)
+* @property {String} [skyModel='uniform']      - the sky model, either 'uniform' (the sky color is given by the env map if any, and the sky tints),
+* or 'preetham' (the Preetham analytic daylight sky, according to the sun direction, with the ground below the horizon). In either case the sky radiance is scaled by skyPower.
+* @property {number} [skyTurbidity=3.0]         - atmospheric turbidity of the 'preetham' sky (from 1.7, very clear, to 10, hazy)
+* @property {number} [skyGroundAlbedo=0.3]      - albedo of the ground below the horizon of the 'preetham' sky
 * @property {number} [sunPower=1.0]              - sun power (arbitrary units)
 * @property {Array}  [sunColor]                  - sun color
 * @property {number} [sunAngularSize=5.0]        - sun angular size (degrees)
 * @property {number} [sunLatitude=50.0]          - sun latitude (degrees)
 * @property {number} [sunLongitude=0.0]          - sun longitude (degrees)
 * @property {number} [sunVisibleDirectly=true]   - whether sun is directly visible
+* @property {number} [sunFromLocation=false]    - if true, the sun direction is computed from the geographic location, date and time below
+* (via {@link Renderer#solarPosition}), rather than from sunLatitude and sunLongitude
+* @property {number} [sunGeoLatitude=51.48]     - geographic latitude of the scene on Earth (degrees, positive north)
+* @property {number} [sunGeoLongitude=0.0]      - geographic longitude of the scene on Earth (degrees, positive east)
+* @property {number} [sunYear=2024]             - year of the date
+* @property {number} [sunMonth=6]               - month of the date (1 to 12)
+* @property {number} [sunDay=21]                - day of the month
+* @property {number} [sunTime=12.0]             - local time of day, in hours (may be fractional, and values outside 0 to 24 wrap onto the adjacent days)
+* @property {number} [sunTimeZone=0.0]          - offset of the local time from UTC, in hours (e.g. -5 for US Eastern Standard Time)
+* @property {number} [sunNorthOffset=0.0]       - rotation of the scene north direction about the up axis (degrees). With zero offset north is
+* along -z (and east along +x), and positive offsets rotate north towards +x.
 * @property {number} [sphereLightRadius=0.0]      - sphere light radius
 * @property {number} [sphereLightPower]           - sphere light power (arbitrary units)
 * @property {Array} [sphereLightPosition]         - whether sun is directly visible
+* (the sphere light is sampled along with any lights added via {@link Renderer#addLight})
 * @property {number} [shadowStrength=1.0]        -   if <1.0, areas in shadow are not completely dark (provided mostly to allow rendering of occluded areas, e.g. fractals)
+* @property {String} [aovs='none']              - extra radiance buffers (AOVs) to accumulate in the 'pt' render mode, for relighting (see {@link Renderer#getAOVNames}):
+* either 'lights' (the radiance split by light source), 'lobes' (the radiance split by the scattering lobe at the first path vertex), or 'none'
+* @property {String} [aovDisplay='beauty']      - the buffer to display: 'beauty' (the total radiance), 'relit' (the total radiance with each AOV rescaled by its gain), an AOV name,
+* 'error' (a heat map of the per-pixel relative error estimate against noiseThreshold, in the 'pt', 'bdpt' and 'ppm' modes), or a G-buffer name (see {@link Renderer#getGBufferNames})
+* @property {number} [gbuffers=false]           - in the 'pt', 'bdpt' and 'ppm' modes, whether to accumulate the G-buffers of the first hit of the primary rays, for compositing
+* (see {@link Renderer#getGBufferNames}). In the 'ppm' mode the G-buffers need more than 16 texture units, as the photon map is bound too.
+* @property {Object} [aovGains]                 - the gain applied to each AOV in the 'relit' buffer, on a log scale, keyed by AOV name
+* @property {number} [tiledWidth=7680]          - width of the image rendered by {@link Renderer#renderTiled} (independent of the window size)
+* @property {number} [tiledHeight=4320]         - height of the image rendered by {@link Renderer#renderTiled}
+* @property {number} [tileSize=512]             - width and height of the tiles rendered by {@link Renderer#renderTiled} (at most the canvas size)
+* @property {number} [tiledSpp=1024]            - samples-per-pixel accumulated by each tile rendered by {@link Renderer#renderTiled}
 */
 var Renderer = function()
 {
@@ -62,10 +133,22 @@ var Renderer = function()
     this.fbo = null;
     this.aoProgram              = null;
     this.normalsProgram         = null;
+    this.marchDebugProgram      = null;
     this.pathtraceAllProgram    = null;
     this.pathtraceSimpleProgram = null;
+    this.bdptProgram            = null;
+    this.ppmProgram             = null;
+    this.photonProgram          = null;
+    this.photonGridProgram      = null;
+    this.photonMap              = null;
+    this.rngSeedTex             = null;
     this.tonemapProgram         = null;
+    this.compositeProgram       = null;
     this.pickProgram            = null;
+    this.errorViewProgram       = null;
+    this.denoiseProgram         = null;
+    this.gbufferViewProgram     = null;
+    this.marchViewProgram       = null;
 
     // Internal properties (@todo: use underscore to make this more explicit?)
     this.numSamples = 0;
@@ -74,6 +157,21 @@ var Renderer = function()
     this.skipProbability = 0.0;
     this.frametime_measure_ms = 0.0;
     this.spp = 0.0;
+    this.photonIteration = 0;
+    this.photonRadius2 = 0.0;
+    this.numGBuffers = 0; // (the number of G-buffers written by the current integrator)
+    this.hasMoments = false; // (whether the current integrator writes the radiance moments, see needsMoments)
+    this.skyModelKey = null; // (the sun direction and turbidity for which the Preetham sky model and its ground irradiance were last computed, see updateSkyModel)
+    this.skyIrradiance = [0.0, 0.0, 0.0];
+    this.adaptiveActiveFraction = 1.0; // (the fraction of the pixels still being sampled by adaptive sampling, as of the last readback of the sample counts)
+    this.adaptiveSppRange = null; // (the minimum and maximum per-pixel sample counts, as of the last readback of the sample counts)
+    this.userTextureUnitStart = 8; // (the first texture unit following those used by the renderer, i.e. units 0-7, the metal instances, the radiance moments, the AOVs or photon map, the G-buffers and the aperture image, see Snelly.getUserTextureUnitStart)
+    this.apertureImage = null; // (the texture info of the loaded camera.apertureImage)
+    this.apertureImageURL = '';
+    this.apertureTextureUnit = -1;
+    this.lut = null; // (the LUT info of the loaded lutURL)
+    this.lutPlaceholder = null; // (a 1x1x1 LUT, bound in place of the LUT if none is loaded)
+    this.lutLoadedURL = '';
 
     // Default user-adjustable properties:
 
@@ -82,12 +180,26 @@ var Renderer = function()
     this.dispersive = false;
     this.maxSamplesPerFrame = 1;
     this.maxSpp = 1024;
-    this.maxBounces = 3;
+    this.maxBounces = 8;
+    this.russianRouletteDepth = 3;
     this.maxAtmosphereScatters = 1;
     this.maxMarchSteps = 256;
+    this.marchOverRelaxation = 1.0;
+    this.marchFootprint = 0.0;
+    this.sceneRadius = 10.0;
+    this.photonMapSize = 256;
+    this.photonRadius = 0.05;
+    this.photonAlpha = 0.7;
     this.maxSSSSteps = 128;
+    this.maxVolumeSteps = 256;
     this.radianceClamp = 3.0;
     this.wavelengthSamples = 256;
+    this.seed = 0;
+    this.sampler = 'random';
+    this.adaptiveSampling = false;
+    this.noiseThreshold = 0.02;
+    this.adaptiveMinSpp = 16;
+    this.adaptiveMaxSpp = 8192;
     this.filterRadius = 2.0;
     this.goalFPS = 20.0;
     this.minsSPPToRedraw = 0.0;
@@ -105,6 +217,10 @@ var Renderer = function()
         this.envMapPhiRotation = 0.0;
         this.envMapThetaRotation = 0.0;
         this.envMapTransitionAngle = 135.0;
+        this.envMapImportanceSampling = true;
+        this.skyModel = 'uniform';
+        this.skyTurbidity = 3.0;
+        this.skyGroundAlbedo = 0.3;
         // sun light
         this.sunPower = -7.0; // (log)
         this.sunAngularSize = 5.0;
@@ -112,18 +228,50 @@ var Renderer = function()
         this.sunLatitude = 50.0;
         this.sunLongitudef = 0.0;
         this.sunVisibleDirectly = true;
+        this.sunFromLocation = false;
+        this.sunGeoLatitude = 51.48;
+        this.sunGeoLongitude = 0.0;
+        this.sunYear = 2024;
+        this.sunMonth = 6;
+        this.sunDay = 21;
+        this.sunTime = 12.0;
+        this.sunTimeZone = 0.0;
+        this.sunNorthOffset = 0.0;
         // sphere light
         this.sphereLightRadius = 1.0;
         this.sphereLightPower = -7.0; // (log)
         this.sphereLightColor =  [1.0,1.0,1.0];
         this.sphereLightPosition = [0.0,0.0,0.0];
+        // analytic lights (see addLight)
+        this.lights = [];
 
     // Tone-mapping
     this.exposure = 0.0;
+    this.tonemapOperator = 'legacy';
     this.gamma = 2.2;
+    this.whitepoint = 4.0;
     this.contrast = 1.0;
     this.saturation = 1.0;
     this.hueShift = 0.0;
+    this.lutURL = '';
+    this.lutStrength = 1.0;
+    this.denoise = false;
+    this.denoiseIterations = 4;
+    this.denoiseStrength = 4.0;
+
+    // AOVs
+    this.aovs = 'none';
+    this.aovDisplay = 'beauty';
+    this.gbuffers = false;
+    this.aovGains = { sky: 0.0, sun: 0.0, lights: 0.0, emission: 0.0,
+                      diffuse: 0.0, specular: 0.0, transmission: 0.0, subsurface: 0.0, volume: 0.0 };
+
+    // Tiled rendering
+    this.tiledWidth = 7680;
+    this.tiledHeight = 4320;
+    this.tileSize = 512;
+    this.tiledSpp = 1024;
+    this.tiledRender = null; // (the state of the tiled render in progress, if any)
 
     // Load shaders
     this.shaderSources = GLU.resolveShaderSource({
@@ -132,7 +280,14 @@ var Renderer = function()
         'ao':               {'v': 'ao-vertex-shader',               'f': 'ao-fragment-shader'        },
         'normals':          {'v': 'normals-vertex-shader',          'f': 'normals-fragment-shader'   },
         'tonemapper':       {'v': 'tonemapper-vertex-shader',       'f': 'tonemapper-fragment-shader'},
-        'pick':             {'v': 'pick-vertex-shader',             'f': 'pick-fragment-shader'}
+        'composite':        {'v': 'composite-vertex-shader',        'f': 'composite-fragment-shader'},
+        'pick':             {'v': 'pick-vertex-shader',             'f': 'pick-fragment-shader'},
+        'photongrid':       {'v': 'photongrid-vertex-shader',       'f': 'photongrid-fragment-shader'},
+        'errorview':        {'v': 'errorview-vertex-shader',        'f': 'errorview-fragment-shader'},
+        'denoise':          {'v': 'denoise-vertex-shader',          'f': 'denoise-fragment-shader'},
+        'gbufferview':      {'v': 'gbufferview-vertex-shader',      'f': 'gbufferview-fragment-shader'},
+        'marchdebug':       {'v': 'marchdebug-vertex-shader',       'f': 'marchdebug-fragment-shader'},
+        'marchview':        {'v': 'marchview-vertex-shader',        'f': 'marchview-fragment-shader'}
     });
 
     this.filterPrograms = null;
@@ -141,10 +296,36 @@ var Renderer = function()
     this.loaded = true;
     var sceneObj = snelly.getScene();
     this.envMap = null;
+    this.envMapCDF = null;
     if (typeof(sceneObj.envMap) !== "undefined")
       {
           var url = sceneObj.envMap();
-          if (typeof(url) != "undefined" && url != "")
+          if (typeof(url) == "object" && url != null)
+          {
+              // float env map, supplied directly as linear RGB data
+              this.envMap = GLU.createFloatTextureInfo(url.width, url.height, url.data, '');
+              this.envMapCDF = this.buildEnvMapCDF(this.envMap);
+          }
+          else if (typeof(url) != "undefined" && url != "" && GLU.isFloatImageURL(url))
+          {
+              // float env map in Radiance RGBE (.hdr) or PFM format
+              var pathtracer = this;
+              this.loaded = false;
+              GLU.loadFloatImageAndCreateTextureInfo(url,
+                    function(imgInfo)
+                    {
+                        pathtracer.loaded =  true;
+                        pathtracer.envMap = imgInfo;
+                        pathtracer.envMapCDF = pathtracer.buildEnvMapCDF(imgInfo);
+                    },
+                    function(message)
+                    {
+                        // fall back to the uniform sky
+                        console.warn('[snelly] ' + message);
+                        pathtracer.loaded = true;
+                    });
+          }
+          else if (typeof(url) != "undefined" && url != "")
           {
               var pathtracer = this;
               this.loaded = false;
@@ -153,6 +334,7 @@ var Renderer = function()
                     {
                         pathtracer.loaded =  true;
                         pathtracer.envMap = imgInfo;
+                        pathtracer.envMapCDF = pathtracer.buildEnvMapCDF(imgInfo);
                     });
               })(pathtracer.loaded);
           }
@@ -168,6 +350,48 @@ var Renderer = function()
     this.resize(this._width, this._height);
 }
 
+// Build the texture of the 2d marginal/conditional CDF used to importance sample the lat-long env map,
+// with probabilities proportional to the env map luminance times sin(theta) (i.e. to the power per texel).
+// Texel (i, j) for i < width holds the conditional CDF of texel i in row j (the cumulative probability up to
+// and including that texel), and texel (width, j) holds the marginal CDF of row j.
+Renderer.prototype.buildEnvMapCDF = function(imgInfo)
+{
+    let W = imgInfo.width;
+    let H = imgInfo.height;
+    let luminance = imgInfo.luminance;
+    let meanLuminance = 0.0;
+    for (let n=0; n<W*H; ++n) meanLuminance += Math.max(0.0, luminance[n]);
+    meanLuminance /= W*H;
+    if (!(meanLuminance > 0.0)) meanLuminance = 1.0;
+    // (a small floor ensures every texel with non-zero radiance after filtering can be sampled)
+    let floorLuminance = 1.0e-3 * meanLuminance;
+
+    let cdf = new Float32Array((W+1)*H);
+    let rowWeights = new Float64Array(H);
+    let totalWeight = 0.0;
+    for (let j=0; j<H; ++j)
+    {
+        let rowSum = 0.0;
+        for (let i=0; i<W; ++i)
+        {
+            rowSum += Math.max(0.0, luminance[j*W + i]) + floorLuminance;
+            cdf[j*(W+1) + i] = rowSum;
+        }
+        for (let i=0; i<W; ++i) cdf[j*(W+1) + i] /= rowSum;
+        cdf[j*(W+1) + W-1] = 1.0;
+        rowWeights[j] = rowSum * Math.sin(Math.PI*(j + 0.5)/H);
+        totalWeight += rowWeights[j];
+    }
+    let rowCDF = 0.0;
+    for (let j=0; j<H; ++j)
+    {
+        rowCDF += rowWeights[j];
+        cdf[j*(W+1) + W] = rowCDF / totalWeight;
+    }
+    cdf[(H-1)*(W+1) + W] = 1.0;
+    return new GLU.Texture(W+1, H, 1, true, false, true, cdf);
+}
+
 Renderer.prototype.createQuadVbo = function()
 {
     var vbo = new GLU.VertexBuffer();
@@ -194,7 +418,17 @@ Renderer.prototype.reset = function(no_recompile = false)
     this.numSamples = 0;
     this.spp = 0;
     this.numFramesSinceReset = 0;
+    this.adaptiveActiveFraction = 1.0;
+    this.adaptiveSppRange = null;
+    this.photonIteration = 0;
     if (!no_recompile) this.compileShaders();
+    let numAOVs = this.getAOVNames().length;
+    if (this.pathStates[0].aovTex.length != numAOVs || this.pathStates[0].gbufferTex.length != this.numGBuffers ||
+        (this.pathStates[0].momentsTex != null) != this.hasMoments)
+    {
+        this.pathStates = [new PathtracerState(this._width, this._height, numAOVs, this.numGBuffers, this.hasMoments),
+                           new PathtracerState(this._width, this._height, numAOVs, this.numGBuffers, this.hasMoments)];
+    }
     this.currentState = 0;
     this.pathStates[this.currentState].clear(this.fbo);
     this.pathStates[this.currentState+1].clear(this.fbo);
@@ -209,6 +443,137 @@ Renderer.prototype.getSPP = function()
     return this.spp;
 }
 
+/**
+* Add an analytic light to the scene (the shaders must then be recompiled, via snelly.reset()).
+* The returned light properties can then be set, e.g. in the scene init function.
+* Adding a light with the name of an existing light replaces it.
+* @param {String} type - the light type, one of 'sphere', 'disk', 'rect', 'spot'
+* @param {String} [name] - the light name (as displayed in the GUI). Defaults to the type followed by an index.
+* @returns {Light} - the light (a {@link SphereLight}, {@link DiskLight}, {@link RectLight} or {@link SpotLight} according to type)
+* @example
+* let key = renderer.addLight('rect', 'key');
+* key.position = [0.0, 5.0, 5.0];
+* key.direction = [0.0, -1.0, -1.0];
+* let fill = renderer.addLight('sphere', 'fill');
+* fill.power = -1.0;
+*/
+Renderer.prototype.addLight = function(type, name)
+{
+    if (typeof name === "undefined") name = type + this.lights.length;
+    let light = null;
+    switch (type)
+    {
+        case 'sphere': light = new SphereLight(name); break;
+        case 'disk':   light = new DiskLight(name);   break;
+        case 'rect':   light = new RectLight(name);   break;
+        case 'spot':   light = new SpotLight(name);   break;
+        default:
+            GLU.fail(`Light "${name}" has unknown type "${type}" (must be one of 'sphere', 'disk', 'rect', 'spot')`);
+    }
+    let existing = this.lights.findIndex(function(l) { return l.getName() == name; });
+    if (existing > -1) this.lights[existing] = light;
+    else               this.lights.push(light);
+    return light;
+}
+
+/**
+* Remove the named light (the shaders must then be recompiled, via snelly.reset()).
+* @param {String} name - the light name
+*/
+Renderer.prototype.removeLight = function(name)
+{
+    this.lights = this.lights.filter(function(l) { return l.getName() != name; });
+}
+
+/**
+* Get a light by name.
+* @param {String} name - the light name
+* @returns {Light} - the light, or null if there is no light with that name
+*/
+Renderer.prototype.getLight = function(name)
+{
+    let light = this.lights.find(function(l) { return l.getName() == name; });
+    return (typeof light === "undefined") ? null : light;
+}
+
+// Get the lights to be rendered: the legacy sphere light (if on) followed by the added lights.
+// The shader parameters of the light at position i in this list are stored at element i of the light parameter arrays.
+Renderer.prototype.getLights = function()
+{
+    let lights = [];
+    if (this.sphereLightPower > -7.0)
+    {
+        let sphereLight = new SphereLight('sphereLight');
+        sphereLight.power    = this.sphereLightPower;
+        sphereLight.color    = this.sphereLightColor;
+        sphereLight.position = this.sphereLightPosition;
+        sphereLight.radius   = this.sphereLightRadius;
+        lights.push(sphereLight);
+    }
+    return lights.concat(this.lights);
+}
+
+// The AOVs of each aovs setting, in the order of the AOV buffers
+// (matching the SOURCE_* and LOBE_* codes of the pathtracer shader)
+Renderer.AOV_NAMES = {
+    'lights': ['sky', 'sun', 'lights', 'emission'],
+    'lobes':  ['diffuse', 'specular', 'transmission', 'subsurface', 'volume']
+};
+
+/**
+* Get the names of the AOVs currently accumulated, according to the aovs property (there are none except in the 'pt' render mode).
+* With aovs set to 'lights', the AOVs are 'sky' (including any env map), 'sun', 'lights' (the sphere light and the lights added via
+* {@link Renderer#addLight}), and 'emission' (from emissive surfaces and volumes, and fog), which sum to the total radiance.
+* With aovs set to 'lobes', the AOVs are 'diffuse', 'specular', 'transmission', 'subsurface' and 'volume', according to the scattering
+* at the first path vertex, which sum to the total radiance excluding light reaching the camera directly from the sources.
+* @returns {Array} - the AOV names
+*/
+Renderer.prototype.getAOVNames = function()
+{
+    if (this.renderMode != 'pt' || !(this.aovs in Renderer.AOV_NAMES)) return [];
+    return Renderer.AOV_NAMES[this.aovs];
+}
+
+// The G-buffers, in the order of their display modes, with the G-buffer texture holding each and its channels in that texture
+// (the first two textures, holding the albedo, normal and depth, are also the denoiser guides)
+Renderer.GBUFFER_LAYOUT = {
+    'albedo':     {buffer: 0, channels: [0, 1, 2]},
+    'materialId': {buffer: 0, channels: [3, 3, 3]},
+    'normal':     {buffer: 1, channels: [0, 1, 2]},
+    'depth':      {buffer: 1, channels: [3, 3, 3]},
+    'position':   {buffer: 2, channels: [0, 1, 2]},
+    'marchSteps': {buffer: 2, channels: [3, 3, 3]}
+};
+
+/**
+* Get the names of the G-buffers currently accumulated (all of them if the gbuffers property is set, or only those used as the
+* denoiser guides if just the denoiser is enabled, and none except in the 'pt', 'bdpt' and 'ppm' render modes). The G-buffers hold the
+* properties of the first hit of the primary rays, averaged over the pixel samples: 'albedo' (the diffuse albedo of surfaces, or unit albedo for
+* other materials and misses), 'materialId' (the index of the hit scene object, in the order SDF_DIELECTRIC, SDF_METAL, SDF_SURFACE of those defined,
+* followed by the objects declared via {@link Materials#addObject}, or -1 on a miss, of the most recent sample), 'normal' (the world space
+* shading normal), 'depth' (the distance along the camera direction), 'position' (the world space position) and 'marchSteps' (the number of
+* raymarching steps to the hit).
+* @returns {Array} - the G-buffer names
+*/
+Renderer.prototype.getGBufferNames = function()
+{
+    let numGBuffers = this.pathStates[this.currentState].gbufferTex.length;
+    return Object.keys(Renderer.GBUFFER_LAYOUT).filter(function(name) { return Renderer.GBUFFER_LAYOUT[name].buffer < numGBuffers; });
+}
+
+/**
+* Read back the mean number of raymarching steps to the first hit of the primary rays, over the pixels (for comparing the raymarching settings).
+* @returns {number} - the mean step count, or null if the 'marchSteps' G-buffer is not being accumulated (see {@link Renderer#getGBufferNames})
+*/
+Renderer.prototype.getMeanMarchSteps = function()
+{
+    if (this.getGBufferNames().indexOf('marchSteps') == -1) return null;
+    let image = this.readImage('marchSteps');
+    let sum = 0.0;
+    for (let n=0; n<image.data.length; n+=3) sum += image.data[n];
+    return sum / (image.width * image.height);
+}
+
 Renderer.prototype.colorNotZero = function(color)
 {
     return color[0]> 0.0 || color[1]> 0.0 || color[2]> 0.0;
@@ -238,6 +603,8 @@ Renderer.prototype.compileShaders = function()
     if (shader.indexOf("SURFACE_ROUGHNESS(")               == -1) { shader += `\n float SURFACE_ROUGHNESS(in float roughness, in vec3 X, in vec3 N) { return roughness; }\n`; }
     if (shader.indexOf("SURFACE_NORMAL_MAP(")               > -1) { hasSurfaceNM = true; }
     if (shader.indexOf("SUBSURFACE_ALBEDO(")               == -1) { shader += `\n vec3 SUBSURFACE_ALBEDO(in vec3 C, in vec3 X, in vec3 N) { return C; }\n`; }
+    let hasSurfaceEmissionFunc = true;
+    if (shader.indexOf("SURFACE_EMISSION(")                == -1) { hasSurfaceEmissionFunc = false; shader += `\n vec3 SURFACE_EMISSION(in vec3 C, in vec3 X, in vec3 N, in vec3 V) { return C; }\n`; }
 
     let hasMetal = true;
     let hasMetalNM = false;
@@ -262,17 +629,43 @@ Renderer.prototype.compileShaders = function()
     if (shader.indexOf("VOLUME_ANISOTROPY(")               == -1) { shader += `\n float VOLUME_ANISOTROPY(float anisotropy, vec3 X) { return anisotropy; }\n`; }
     if (shader.indexOf("VOLUME_EMISSION(")                 == -1) { hasVolumeEmission = false; shader += `\n vec3 VOLUME_EMISSION(vec3 emission, vec3 X) { return emission; }\n`; }
 
-    let hasSphereLight = (this.sphereLightPower > -7.0);
+    let hasVolume = (shader.indexOf("SDF_VOLUME(") != -1);
+
+    // Gather the named scene objects, in addition to the SDF_SURFACE, SDF_METAL, SDF_DIELECTRIC objects
+    var objects = snelly.getMaterials().getObjects();
+    for (let n=0; n<objects.length; n++)
+    {
+        let obj = objects[n];
+        if (shader.indexOf(obj.sdf + "(") == -1)
+        {
+            GLU.fail(`Object "${obj.name}" SDF function ${obj.sdf} is not defined in the scene shader`);
+        }
+    }
+    let numSurfaces    = snelly.getMaterials().getObjectsOfType('surface').length;
+    let numMetals      = snelly.getMaterials().getObjectsOfType('metal').length;
+    let numDielectrics = snelly.getMaterials().getObjectsOfType('dielectric').length;
+    let objectsCode = this.objectsCode(hasSurface, hasMetal, hasDielectric, objects);
+    if (numSurfaces    > 0) hasSurface = true;
+    if (numMetals      > 0) hasMetal = true;
+    if (numDielectrics > 0) hasDielectric = true;
+
+    // Surface emission is enabled if the SURFACE_EMISSION function is defined, or any surface has non-zero emission
+    let surfaces = [snelly.getSurface()];
+    snelly.getMaterials().getObjectsOfType('surface').forEach(function(obj) { surfaces.push(obj.material); });
+    let hasSurfaceEmission = hasSurface && (hasSurfaceEmissionFunc || surfaces.some(function(surface) { return surface.emission > 0.0; }));
+
+    let numLights = this.getLights().length;
 
     let hasGeometry = (hasSurface || hasMetal || hasDielectric);
     if ( !(hasGeometry || hasVolume) )
     {
-        GLU.fail('Scene must define at least one of: SDF_SURFACE, SDF_METAL, SDF_DIELECTRIC, or SDF_VOLUME'); 
+        GLU.fail('Scene must define at least one of: SDF_SURFACE, SDF_METAL, SDF_DIELECTRIC, SDF_VOLUME, or a named object'); 
     }
 
     var volumeObj = snelly.getVolume();
     if (volumeObj == null) return;
-    let hasAtmosphere = this.colorNotZero(volumeObj.scatteringColor) || this.colorNotZero(volumeObj.absorptionColor);
+    // (if the scene defines an SDF_VOLUME, the volume properties apply to it rather than to the homogeneous atmosphere)
+    let hasAtmosphere = !hasVolume && (this.colorNotZero(volumeObj.scatteringColor) || this.colorNotZero(volumeObj.absorptionColor));
     let hasFog = volumeObj.fogEnable;
 
     let hasNM = (hasSurfaceNM || hasMetalNM || hasDielectricNM);
@@ -281,26 +674,97 @@ Renderer.prototype.compileShaders = function()
     var dielectricObj = snelly.getLoadedDielectric(); if (dielectricObj == null) return;
     var metalObj      = snelly.getLoadedMetal();      if (metalObj == null) return;
 
-    iorCodeDiele    = dielectricObj.ior();
-    iorCodeMetal    = metalObj.ior();
+    // (instance 0 of each type is the loaded material, followed by the materials of the named objects)
+    var dielectrics = [dielectricObj];
+    var metals      = [metalObj];
+    snelly.getMaterials().getObjectsOfType('dielectric').forEach(function(obj) { dielectrics.push(obj.material); });
+    snelly.getMaterials().getObjectsOfType('metal').forEach(function(obj) { metals.push(obj.material); });
+    let maxTextureUnits = this.gl.getParameter(this.gl.MAX_TEXTURE_IMAGE_UNITS);
+    if (TabulatedMetal.textureUnits(metals.length-1)[1] >= maxTextureUnits)
+    {
+        GLU.fail(`Too many metal objects (${metals.length-1}) for the available texture units (${maxTextureUnits})`);
+    }
+    this.userTextureUnitStart = Math.max(8, TabulatedMetal.textureUnits(metals.length-1)[1] + 1);
+
+    // The radiance moments (if needed), AOV and G-buffers are read from the texture units following those of the metals
+    // (with the G-buffers following the photon map in photon mapping mode), and written to the draw buffers following the radiance and RNG.
+    // (If just the denoiser is enabled, only its guides, i.e. the first two G-buffers, are accumulated.)
+    // The user texture units follow all of these.
+    let numAOVs = this.getAOVNames().length;
+    this.numGBuffers = 0;
+    if (this.estimatesVariance()) this.numGBuffers = this.gbuffers ? 3 : (this.denoise ? 2 : 0);
+    this.hasMoments = this.needsMoments();
+    let unit = this.userTextureUnitStart;
+    this.momentsTextureUnit = this.hasMoments ? unit++ : -1;
+    this.aovTextureUnit = unit;
+    unit += Math.max(numAOVs, (this.renderMode == 'ppm') ? PhotonMap.NUM_TEXTURES : 0);
+    this.gbufferTextureUnit = unit;
+    unit += this.numGBuffers;
+    this.userTextureUnitStart = unit;
+    if (this.aovTextureUnit + numAOVs > maxTextureUnits)
+    {
+        GLU.fail(`Too many AOVs (${numAOVs}) for the available texture units (${maxTextureUnits})`);
+    }
+    if (this.gbufferTextureUnit + this.numGBuffers > maxTextureUnits)
+    {
+        GLU.fail(`Not enough texture units (${maxTextureUnits}) for the G-buffers, in addition to the metals` + ((this.renderMode == 'ppm') ? ' and the photon map' : ''));
+    }
+    let maxDrawBuffers = this.gl.getParameter(this.gl.MAX_DRAW_BUFFERS);
+    if (3 + numAOVs > maxDrawBuffers)
+    {
+        GLU.fail(`Too many AOVs (${numAOVs}) for the available draw buffers (${maxDrawBuffers})`);
+    }
+    if (3 + numAOVs + this.numGBuffers > maxDrawBuffers)
+    {
+        GLU.fail(`Too many AOVs (${numAOVs}) for the G-buffers and the available draw buffers (${maxDrawBuffers})`);
+    }
+    let iorCode = this.iorCode(dielectrics, metals);
+
+    // The realistic lens camera (and aperture image) apply in the 'pt', 'bdpt' and 'ppm' modes, unless the scene defines its own camera.
+    // The aperture image is read from the texture unit following the G-buffers (before the user texture units), once loaded.
+    let camera = snelly.getCamera();
+    let lens = snelly.getLens();
+    if (camera.lens != 'thin' && lens == null)
+    {
+        GLU.fail(`Unknown lens "${camera.lens}"`);
+    }
+    let hasRealisticLens = (lens != null) && !hasCustomCamera;
+    if (hasRealisticLens) iorCode += lens.iorCode();
+    this.loadApertureImage(camera.apertureImage);
+    let hasApertureImage = (this.apertureImage != null) && !hasCustomCamera;
+    this.apertureTextureUnit = hasApertureImage ? unit++ : -1;
+    this.userTextureUnitStart = unit;
+    if (hasApertureImage && this.apertureTextureUnit >= maxTextureUnits)
+    {
+        GLU.fail(`Not enough texture units (${maxTextureUnits}) for the aperture image, in addition to the metals and G-buffers`);
+    }
 
     // Copy the current scene and material routines into the source code
     // of the trace fragment shader
     replacements = {};
     replacements.__SHADER__          = shader;
-    replacements.__IOR_FUNC__        = iorCodeDiele + '\n' + iorCodeMetal;
+    replacements.__IOR_FUNC__        = iorCode;
     replacements.__MAX_MARCH_STEPS__ = Math.round(this.maxMarchSteps);
     replacements.__MAX_BOUNCES__  = Math.round(this.maxBounces);
     replacements.__MAX_ATMOSPHERE_SCATTERS__  = Math.round(this.maxAtmosphereScatters);
     replacements.__MAX_SAMPLES_PER_FRAME__  = Math.round(this.maxSamplesPerFrame);
     replacements.__DEFINES__ = '';
+    replacements.__OBJECTS__ = objectsCode;
+    replacements.__NUM_SURFACES__    = 1 + numSurfaces;
+    replacements.__NUM_METALS__      = 1 + numMetals;
+    replacements.__NUM_DIELECTRICS__ = 1 + numDielectrics;
+    replacements.__NUM_LIGHTS__      = Math.max(1, numLights);
+    replacements.__NUM_LENS_SURFACES__ = hasRealisticLens ? lens.surfaces.length : 1;
 
     if (hasCustomCamera)   replacements.__DEFINES__ += '\n#define HAS_CUSTOM_CAMERA\n';
+    if (this.hasMoments)   replacements.__DEFINES__ += '\n#define HAS_MOMENTS\n';
 
     if (hasSurface)        replacements.__DEFINES__ += '\n#define HAS_SURFACE\n';
+    if (hasSurfaceEmission) replacements.__DEFINES__ += '\n#define HAS_SURFACE_EMISSION\n';
     if (hasMetal)          replacements.__DEFINES__ += '\n#define HAS_METAL\n';
     if (hasDielectric)     replacements.__DEFINES__ += '\n#define HAS_DIELECTRIC\n';
     if (hasAtmosphere)     replacements.__DEFINES__ += '\n#define HAS_ATMOSPHERE\n';
+    if (hasVolume)         replacements.__DEFINES__ += '\n#define HAS_VOLUME\n';
     if (hasFog )           replacements.__DEFINES__ += '\n#define HAS_FOG\n';
     if (hasVolumeEmission) replacements.__DEFINES__ += '\n#define HAS_VOLUME_EMISSION\n';
     if (hasGeometry)       replacements.__DEFINES__ += '\n#define HAS_GEOMETRY\n';
@@ -312,21 +776,36 @@ Renderer.prototype.compileShaders = function()
 
     if (this.interactive)  replacements.__DEFINES__ += '\n#define INTERACTIVE_MODE\n';
     if (this.dispersive)   replacements.__DEFINES__ += '\n#define DISPERSION_ENABLED\n';
-
-    if (hasSphereLight) replacements.__DEFINES__ += '\n#define HAS_SPHERE_LIGHT\n';
+    if (this.sampler == 'sobol') replacements.__DEFINES__ += '\n#define QMC_SAMPLER\n';
+    if (this.adaptiveSampling) replacements.__DEFINES__ += '\n#define ADAPTIVE_SAMPLING\n';
+
+    if (numLights > 0)     replacements.__DEFINES__ += '\n#define HAS_LIGHTS\n';
+    if (numAOVs > 0)       replacements.__DEFINES__ += `\n#define HAS_AOVS\n#define NUM_AOVS ${numAOVs}\n` + ((this.aovs=='lights') ? '#define AOVS_BY_LIGHT\n' : '#define AOVS_BY_LOBE\n');
+    let gbufferDefines = '';
+    if (this.numGBuffers > 0) gbufferDefines = `\n#define HAS_GBUFFERS\n#define GBUFFER_ALBEDO_LOCATION ${3+numAOVs}\n#define GBUFFER_NORMAL_DEPTH_LOCATION ${4+numAOVs}\n`;
+    if (this.numGBuffers > 2) gbufferDefines += `#define GBUFFER_POSITION\n#define GBUFFER_POSITION_LOCATION ${5+numAOVs}\n`;
+    let lensDefines = '';
+    if (hasRealisticLens) lensDefines += '\n#define HAS_REALISTIC_LENS\n';
+    if (hasApertureImage) lensDefines += '\n#define HAS_APERTURE_IMAGE\n';
 
     console.warn('[snelly]     hasCustomCamera   = ', hasCustomCamera);
+    console.warn('[snelly]     hasRealisticLens  = ', hasRealisticLens);
+    console.warn('[snelly]     hasApertureImage  = ', hasApertureImage);
     console.warn('[snelly]     hasSurface        = ', hasSurface);
+    console.warn('[snelly]     hasSurfaceEmission= ', hasSurfaceEmission);
     console.warn('[snelly]     hasMetal          = ', hasMetal);
     console.warn('[snelly]     hasDielectric     = ', hasDielectric);
     console.warn('[snelly]     hasAtmosphere     = ', hasAtmosphere);
+    console.warn('[snelly]     hasVolume         = ', hasVolume);
     console.warn('[snelly]     hasVolumeEmission = ', hasVolumeEmission);
     console.warn('[snelly]     hasGeometry       = ', hasGeometry);
     console.warn('[snelly]     hasNM             = ', hasNM);
     console.warn('[snelly]     hasSurfaceNM      = ', hasSurfaceNM);
     console.warn('[snelly]     hasMetalNM        = ', hasMetalNM);
     console.warn('[snelly]     hasDielectricNM   = ', hasDielectricNM);
-    console.warn('[snelly]     hasSphereLight    = ', hasSphereLight);
+    console.warn('[snelly]     num. lights       = ', numLights);
+    console.warn('[snelly]     num. AOVs         = ', numAOVs);
+    console.warn('[snelly]     num. objects      = ', objects.length);
 
     // Compile pathtracer with different entry point according to mode.
     // Here shaderSources is a dict from name (e.g. "trace")
@@ -341,21 +820,163 @@ Renderer.prototype.compileShaders = function()
             console.warn('[snelly] normals mode');
             this.normalsProgram = new GLU.Shader('normals', this.shaderSources, replacements);
             break;
+        case 'marchsteps':
+        case 'maxsteps':
+        case 'overshoot':
+            console.warn('[snelly] raymarching diagnostics mode');
+            this.marchDebugProgram = new GLU.Shader('marchdebug', this.shaderSources, replacements);
+            break;
         case 'ptsimple':
             console.warn('[snelly] simplified pathtracer mode');
             this.pathtraceSimpleProgram = new GLU.Shader('simplepathtracer', this.shaderSources, replacements);
             break;
+        case 'bdpt':
+            console.warn('[snelly] bidirectional pathtracer mode');
+            replacements.__DEFINES__ += '\n#define BIDIRECTIONAL\n' + gbufferDefines + lensDefines;
+            this.bdptProgram = new GLU.Shader('pathtracer', this.shaderSources, replacements);
+            break;
+        case 'ppm':
+        {
+            console.warn('[snelly] progressive photon mapping mode');
+            if (!GLU.floatBlendExt)
+            {
+                GLU.fail('Photon mapping requires float blending (EXT_float_blend), which your platform does not support');
+            }
+            // (the photon map is read from the texture units following those of the metals, in place of the AOVs)
+            if (this.aovTextureUnit + PhotonMap.NUM_TEXTURES > maxTextureUnits)
+            {
+                GLU.fail(`Too many metal objects (${metals.length-1}) for the photon map and the available texture units (${maxTextureUnits})`);
+            }
+            let photonReplacements = Object.assign({}, replacements);
+            replacements.__DEFINES__ += '\n#define PHOTON_MAPPING\n' + gbufferDefines + lensDefines;
+            photonReplacements.__DEFINES__ += '\n#define PHOTON_MAPPING\n#define PHOTON_TRACING\n';
+            this.ppmProgram = new GLU.Shader('pathtracer', this.shaderSources, replacements);
+            this.photonProgram = new GLU.Shader('pathtracer', this.shaderSources, photonReplacements);
+            this.photonGridProgram = new GLU.Shader('photongrid', this.shaderSources, null);
+            break;
+        }
         default:
         case 'pt':
             console.warn('[snelly] pathtracer mode');
+            replacements.__DEFINES__ += gbufferDefines + lensDefines;
             this.pathtraceAllProgram = new GLU.Shader('pathtracer', this.shaderSources, replacements);
             break;
     }
 
     this.pickProgram = new GLU.Shader('pick', this.shaderSources, replacements);
 
-    // Tonemapping program
+    // Tonemapping, AOV compositing, error, G-buffer and raymarching diagnostics display, and denoising programs
     this.tonemapProgram = new GLU.Shader('tonemapper', this.shaderSources, null);
+    this.compositeProgram = new GLU.Shader('composite', this.shaderSources, null);
+    this.errorViewProgram = new GLU.Shader('errorview', this.shaderSources, null);
+    this.gbufferViewProgram = new GLU.Shader('gbufferview', this.shaderSources, null);
+    this.marchViewProgram = new GLU.Shader('marchview', this.shaderSources, null);
+    this.denoiseProgram = new GLU.Shader('denoise', this.shaderSources, null);
+}
+
+// Generate the GLSL code defining the spectral IOR functions of each dielectric and metal instance,
+// i.e. IOR_DIELE(index, wavelength_nm), IOR_METAL(index, wavelength_nm), K_METAL(index, wavelength_nm)
+Renderer.prototype.iorCode = function(dielectrics, metals)
+{
+    let code = '';
+    let dieleCode = '', metalCode = '', kCode = '';
+    for (let i=0; i<dielectrics.length; i++)
+    {
+        code += dielectrics[i].ior(i) + '\n';
+        if (i>0) dieleCode += `    if (index==${i}) return IOR_DIELE_${i}(wavelength_nm);\n`;
+    }
+    for (let i=0; i<metals.length; i++)
+    {
+        code += metals[i].ior(i) + '\n';
+        if (i>0) metalCode += `    if (index==${i}) return IOR_METAL_${i}(wavelength_nm);\n`;
+        if (i>0) kCode     += `    if (index==${i}) return K_METAL_${i}(wavelength_nm);\n`;
+    }
+    code += `
+float IOR_DIELE(int index, float wavelength_nm)
+{
+${dieleCode}    return IOR_DIELE_0(wavelength_nm);
+}
+
+float IOR_METAL(int index, float wavelength_nm)
+{
+${metalCode}    return IOR_METAL_0(wavelength_nm);
+}
+
+float K_METAL(int index, float wavelength_nm)
+{
+${kCode}    return K_METAL_0(wavelength_nm);
+}
+`;
+    return code;
+}
+
+// Generate the GLSL code which marches and shades the scene objects, i.e. the SDF_SURFACE, SDF_METAL
+// and SDF_DIELECTRIC objects (if present), followed by the named objects. The material of a hit is
+// the index of the object in this list, which is mapped by materialType() to the material type (MAT_SURFA,
+// MAT_METAL, MAT_DIELE), and by materialIndex() to the element of the parameter arrays of that type.
+Renderer.prototype.objectsCode = function(hasSurface, hasMetal, hasDielectric, objects)
+{
+    var types = {'surface':    {mat: 'MAT_SURFA', def: 'HAS_SURFACE'},
+                 'metal':      {mat: 'MAT_METAL', def: 'HAS_METAL'},
+                 'dielectric': {mat: 'MAT_DIELE', def: 'HAS_DIELECTRIC'}};
+    var list = [];
+    if (hasDielectric) list.push({sdf: 'SDF_DIELECTRIC', type: 'dielectric', index: 0});
+    if (hasMetal)      list.push({sdf: 'SDF_METAL',      type: 'metal',      index: 0});
+    if (hasSurface)    list.push({sdf: 'SDF_SURFACE',    type: 'surface',    index: 0});
+    var counts = {'surface': 0, 'metal': 0, 'dielectric': 0};
+    for (let n=0; n<objects.length; n++)
+    {
+        let obj = objects[n];
+        counts[obj.type]++;
+        list.push({sdf: obj.sdf, type: obj.type, index: counts[obj.type]});
+    }
+
+    let typeCode = '', indexCode = '', sdfCode = '', sceneCode = '', insideCode = '';
+    for (let m=0; m<list.length; m++)
+    {
+        let o = list[m];
+        let def = types[o.type].def;
+        typeCode  += `    if (material==${m}) return ${types[o.type].mat};\n`;
+        if (o.index > 0)
+            indexCode += `    if (material==${m}) return ${o.index};\n`;
+        sdfCode   += `#ifdef ${def}\n    if (material==${m}) return ${o.sdf}(X);\n#endif\n`;
+        sceneCode += `#ifdef ${def}\n    d = abs(${o.sdf}(X)); if (d<sdf) { sdf = d; material = ${m}; }\n#endif\n`;
+        if (o.type == 'dielectric')
+            insideCode += `    if (${o.sdf}(X) < 0.0) return ${m};\n`;
+    }
+
+    let code = `
+int materialType(int material)
+{
+${typeCode}    return MAT_INVAL;
+}
+
+int materialIndex(int material)
+{
+${indexCode}    return 0;
+}
+
+float materialSDF(in vec3 X, int material)
+{
+${sdfCode}    return 1.0e20;
+}
+
+float sceneSDF(in vec3 X, inout int material)
+{
+    float sdf = 1.0e20;
+    float d;
+    material = MAT_INVAL;
+${sceneCode}    return sdf;
+}
+
+#ifdef HAS_DIELECTRIC
+int insideDielectric(in vec3 X)
+{
+${insideCode}    return MAT_INVAL;
+}
+#endif
+`;
+    return code;
 }
 
 Renderer.prototype.enabled = function()
@@ -370,8 +991,17 @@ Renderer.prototype.depthTestEnabled = function()
 
 Renderer.prototype.updateSunDir = function()
 {
-    let latTheta = (90.0-this.sunLatitude) * Math.PI/180.0;
-    let lonPhi = this.sunLongitude * Math.PI/180.0;
+    let sunLatitude = this.sunLatitude;
+    let sunLongitude = this.sunLongitude;
+    if (this.sunFromLocation)
+    {
+        // (the sky longitude of north is 270 degrees, i.e. along -z, and the azimuth increases towards east)
+        let sun = this.solarPosition();
+        sunLatitude = sun.elevation;
+        sunLongitude = 270.0 + this.sunNorthOffset + sun.azimuth;
+    }
+    let latTheta = (90.0-sunLatitude) * Math.PI/180.0;
+    let lonPhi = sunLongitude * Math.PI/180.0;
     let costheta = Math.cos(latTheta);
     let sintheta = Math.sin(latTheta);
     let cosphi = Math.cos(lonPhi);
@@ -382,6 +1012,156 @@ Renderer.prototype.updateSunDir = function()
     this.sunDir = [x, y, z];
 }
 
+/**
+* Compute the position of the sun in the sky, for the geographic location, date and local time given by the
+* sunGeoLatitude, sunGeoLongitude, sunYear, sunMonth, sunDay, sunTime and sunTimeZone properties.
+* This uses the NOAA solar position algorithm (without correction for atmospheric refraction), accurate to within
+* about a minute of arc for dates between 1901 and 2099.
+* @returns {Object} - the sun <code>{ elevation, azimuth }</code> in degrees, where the elevation is the angle above
+* the horizon, and the azimuth is measured clockwise from north (i.e. towards east)
+*/
+Renderer.prototype.solarPosition = function()
+{
+    let toRad = Math.PI/180.0;
+    let toDeg = 180.0/Math.PI;
+
+    // Julian day of the date and UTC time
+    let year = Math.round(this.sunYear);
+    let month = Math.round(this.sunMonth);
+    let day = this.sunDay;
+    if (month <= 2) { year -= 1; month += 12; }
+    let A = Math.floor(year/100.0);
+    let B = 2.0 - A + Math.floor(A/4.0);
+    let hoursUTC = this.sunTime - this.sunTimeZone;
+    let JD = Math.floor(365.25*(year + 4716.0)) + Math.floor(30.6001*(month + 1.0)) + day + B - 1524.5 + hoursUTC/24.0;
+    let T = (JD - 2451545.0) / 36525.0; // Julian century
+
+    // Solar declination and equation of time
+    let L0 = (280.46646 + T*(36000.76983 + T*0.0003032)) % 360.0; // geometric mean longitude
+    let M  = 357.52911 + T*(35999.05029 - 0.0001537*T);          // geometric mean anomaly
+    let e  = 0.016708634 - T*(0.000042037 + 0.0000001267*T);     // eccentricity of Earth orbit
+    let C  = Math.sin(M*toRad)*(1.914602 - T*(0.004817 + 0.000014*T)) +
+             Math.sin(2.0*M*toRad)*(0.019993 - 0.000101*T) +
+             Math.sin(3.0*M*toRad)*0.000289;                     // equation of center
+    let omega = 125.04 - 1934.136*T;
+    let lambda = L0 + C - 0.00569 - 0.00478*Math.sin(omega*toRad); // apparent longitude
+    let epsilon0 = 23.0 + (26.0 + (21.448 - T*(46.815 + T*(0.00059 - T*0.001813)))/60.0)/60.0;
+    let epsilon = epsilon0 + 0.00256*Math.cos(omega*toRad);      // corrected obliquity
+    let declination = Math.asin(Math.sin(epsilon*toRad) * Math.sin(lambda*toRad));
+    let y = Math.pow(Math.tan(0.5*epsilon*toRad), 2.0);
+    let eqTime = 4.0*toDeg*(y*Math.sin(2.0*L0*toRad) - 2.0*e*Math.sin(M*toRad) + 4.0*e*y*Math.sin(M*toRad)*Math.cos(2.0*L0*toRad)
+                            - 0.5*y*y*Math.sin(4.0*L0*toRad) - 1.25*e*e*Math.sin(2.0*M*toRad)); // (minutes)
+
+    // Hour angle, from the true solar time
+    let trueSolarTime = 60.0*hoursUTC + eqTime + 4.0*this.sunGeoLongitude; // (minutes)
+    trueSolarTime -= 1440.0*Math.floor(trueSolarTime/1440.0);
+    let hourAngle = trueSolarTime/4.0 - 180.0;
+
+    // Elevation and azimuth
+    let phi = this.sunGeoLatitude*toRad;
+    let cosZenith = Math.sin(phi)*Math.sin(declination) + Math.cos(phi)*Math.cos(declination)*Math.cos(hourAngle*toRad);
+    let zenith = Math.acos(Math.min(Math.max(cosZenith, -1.0), 1.0));
+    let denom = Math.cos(phi)*Math.sin(zenith);
+    let azimuth = 0.0;
+    if (Math.abs(denom) > 1.0e-9)
+    {
+        let cosAz = Math.min(Math.max((Math.sin(phi)*Math.cos(zenith) - Math.sin(declination)) / denom, -1.0), 1.0);
+        let az = Math.acos(cosAz)*toDeg;
+        azimuth = (hourAngle > 0.0) ? (az + 180.0) % 360.0 : (540.0 - az) % 360.0;
+    }
+    return { elevation: 90.0 - zenith*toDeg, azimuth: azimuth };
+}
+
+// Update the Preetham sky model parameters for the current sun direction and turbidity
+// (see "A Practical Analytic Model for Daylight", A. J. Preetham, P. Shirley, B. Smits, 1999).
+// The model, and the sky irradiance of the ground integrated from it, are cached until the sun direction or turbidity change.
+Renderer.prototype.updateSkyModel = function()
+{
+    let T = Math.min(Math.max(this.skyTurbidity, 1.7), 10.0);
+    // (the model is only valid for the sun above the horizon)
+    let thetaS = Math.min(Math.acos(Math.min(Math.max(this.sunDir[1], -1.0), 1.0)), 0.5*Math.PI - 1.0e-3);
+
+    let key = [this.sunDir[0], this.sunDir[1], this.sunDir[2], T].join(',');
+    if (key != this.skyModelKey)
+    {
+        this.skyModelKey = key;
+
+        // Perez function coefficients, for each of the luminance Y and the chromaticities x, y
+        let A = [ 0.1787*T - 1.4630, -0.0193*T - 0.2592, -0.0167*T - 0.2608];
+        let B = [-0.3554*T + 0.4275, -0.0665*T + 0.0008, -0.0950*T + 0.0092];
+        let C = [-0.0227*T + 5.3251, -0.0004*T + 0.2125, -0.0079*T + 0.2102];
+        let D = [ 0.1206*T - 2.5771, -0.0641*T - 0.8989, -0.0441*T - 1.6537];
+        let E = [-0.0670*T + 0.3703, -0.0033*T + 0.0452, -0.0109*T + 0.0529];
+        this.skyPerez = [A, B, C, D, E];
+
+        // Zenith luminance (in units of 10 kcd/m^2) and chromaticity
+        let chi = (4.0/9.0 - T/120.0) * (Math.PI - 2.0*thetaS);
+        let Yz = ((4.0453*T - 4.9710)*Math.tan(chi) - 0.2155*T + 2.4192) / 10.0;
+        let t1 = thetaS;
+        let t2 = thetaS*thetaS;
+        let t3 = thetaS*t2;
+        let xz = T*T*( 0.00166*t3 - 0.00375*t2 + 0.00209*t1) +
+                 T*  (-0.02903*t3 + 0.06377*t2 - 0.03202*t1 + 0.00394) +
+                     ( 0.11693*t3 - 0.21196*t2 + 0.06052*t1 + 0.25886);
+        let yz = T*T*( 0.00275*t3 - 0.00610*t2 + 0.00317*t1) +
+                 T*  (-0.04214*t3 + 0.08970*t2 - 0.04153*t1 + 0.00516) +
+                     ( 0.15346*t3 - 0.26756*t2 + 0.06670*t1 + 0.26688);
+        let F0 = this.perez(1.0, thetaS);
+        this.skyPerezScale = [Yz/F0[0], xz/F0[1], yz/F0[2]];
+
+        // Irradiance of the ground below the horizon from the sky
+        let irradiance = [0.0, 0.0, 0.0];
+        let nTheta = 16;
+        let nPhi = 32;
+        let dTheta = 0.5*Math.PI/nTheta;
+        let dPhi = 2.0*Math.PI/nPhi;
+        for (let i=0; i<nTheta; i++)
+        {
+            let theta = (i+0.5)*dTheta;
+            for (let j=0; j<nPhi; j++)
+            {
+                let phi = (j+0.5)*dPhi;
+                let dir = [Math.sin(theta)*Math.cos(phi), Math.cos(theta), Math.sin(theta)*Math.sin(phi)];
+                let RGB = this.preethamSkyRGB(dir);
+                for (let c=0; c<3; c++) irradiance[c] += RGB[c] * Math.cos(theta)*Math.sin(theta)*dTheta*dPhi;
+            }
+        }
+        this.skyIrradiance = irradiance;
+    }
+
+    // The ground below the horizon is a diffuse plane of albedo skyGroundAlbedo, lit by the sky and sun
+    let skyPower = Math.pow(10.0, this.skyPower);
+    let sunPower = Math.pow(10.0, this.sunPower);
+    let sunSolidAngle = 2.0*Math.PI*(1.0 - Math.cos(this.sunAngularSize*Math.PI/180.0));
+    let sunCos = Math.max(this.sunDir[1], 0.0);
+    this.skyGroundRGB = [0, 1, 2].map(c => this.skyGroundAlbedo/Math.PI * (skyPower*this.skyIrradiance[c] + sunPower*this.sunColor[c]*sunSolidAngle*sunCos));
+}
+
+// Perez sky distribution function (for each of Y, x, y), given the cosine of the view zenith angle
+// and the angle gamma between the view and sun directions
+Renderer.prototype.perez = function(cosTheta, gamma)
+{
+    let P = this.skyPerez;
+    let F = [];
+    for (let c=0; c<3; c++)
+        F.push((1.0 + P[0][c]*Math.exp(P[1][c]/Math.max(cosTheta, 1.0e-3))) *
+               (1.0 + P[2][c]*Math.exp(P[3][c]*gamma) + P[4][c]*Math.cos(gamma)*Math.cos(gamma)));
+    return F;
+}
+
+// Preetham sky RGB radiance (excluding the sky power) in the given direction above the horizon
+// (this matches preethamSkyRGB in the pathtracer shaders)
+Renderer.prototype.preethamSkyRGB = function(dir)
+{
+    let cosGamma = dir[0]*this.sunDir[0] + dir[1]*this.sunDir[1] + dir[2]*this.sunDir[2];
+    let F = this.perez(dir[1], Math.acos(Math.min(Math.max(cosGamma, -1.0), 1.0)));
+    let Y = this.skyPerezScale[0]*F[0];
+    let x = this.skyPerezScale[1]*F[1];
+    let y = this.skyPerezScale[2]*F[2];
+    let RGB = xyzToRgb([Y*x/y, Y, Y*(1.0 - x - y)/y]);
+    return RGB.map(v => Math.max(v, 0.0));
+}
+
 /**
 * Adjust focal length to match the distance to the (first) object visible at a given location in the frame.
 * @constructor
@@ -430,6 +1210,9 @@ Renderer.prototype.pick = function(xPick, yPick)
     PROGRAM.uniformF("camAspect", camera.aspect);
     PROGRAM.uniformF("camAperture", snelly.lengthScale*Math.pow(1.4142135,camera.aperture));
     PROGRAM.uniformF("camFocalDistance", snelly.lengthScale*Math.pow(10.0,camera.focalDistance));
+    this.syncProjection(PROGRAM, camera);
+    this.syncShutter(PROGRAM, camera);
+    this.syncLens(PROGRAM, camera);
     PROGRAM.uniform2Fv("resolution", [this._width, this._height]);
     PROGRAM.uniformF("lengthScale", snelly.lengthScale);
     PROGRAM.uniformF("minLengthScale", snelly.minLengthScale);
@@ -464,7 +1247,8 @@ Renderer.prototype.render = function()
     if (!this.loaded) return;
     var sceneObj = snelly.getScene(); if (sceneObj==null) return;
     if (snelly.getSpectra()==null) return;
-    if (this.spp > this.maxSpp) return;
+    let maxSpp = (this.tiledRender != null) ? this.tiledRender.spp : this.maxSpp;
+    if (this.spp > maxSpp || this.adaptiveActiveFraction == 0.0) return;
 
     var timer_start = performance.now();
 
@@ -478,28 +1262,24 @@ Renderer.prototype.render = function()
     gl.viewport(0, 0, this._width, this._height);
 
     // Update expected sample count after this frame, based on current resolution and skip probability
+    // (and under adaptive sampling, the fraction of the pixels still being sampled, until the sample counts are next read back)
+    let activeFraction = this.samplesAdaptively() ? this.adaptiveActiveFraction : 1.0;
     if (this.interactive)
     {
-        this.numSamples += (1.0-this.skipProbability) * Math.round(this.maxSamplesPerFrame) * this._width * this._height;
+        this.numSamples += (1.0-this.skipProbability) * activeFraction * Math.round(this.maxSamplesPerFrame) * this._width * this._height;
     }
     else
     {
-        this.numSamples += Math.round(this.maxSamplesPerFrame) * this._width * this._height;
+        this.numSamples += activeFraction * Math.round(this.maxSamplesPerFrame) * this._width * this._height;
     }
     this.spp = this.numSamples / (this._width * this._height);
-    if (this.spp > this.maxSpp)
+    if (this.spp > maxSpp)
     {
-        this.spp = this.maxSpp;
+        this.spp = maxSpp;
+        if (this.tiledRender != null) this.finishTile();
         return;
     }
 
-    // Update framebuffer only if we reached the required SPP threshold for redraw
-    if (this.spp >= this.minsSPPToRedraw)
-    {
-        gl.clearColor(0.0, 0.0, 0.0, 1.0);
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-    }
-
     ////////////////////////////////////////////////
     /// Pathtracing
     ////////////////////////////////////////////////
@@ -510,11 +1290,22 @@ Renderer.prototype.render = function()
         case 'ao':       INTEGRATOR_PROGRAM = this.aoProgram;              break;
         case 'normals':  INTEGRATOR_PROGRAM = this.normalsProgram;         break;
         case 'normals':  INTEGRATOR_PROGRAM = this.normalsProgram;         break;
+        case 'marchsteps':
+        case 'maxsteps':
+        case 'overshoot': INTEGRATOR_PROGRAM = this.marchDebugProgram;     break;
         case 'ptsimple': INTEGRATOR_PROGRAM = this.pathtraceSimpleProgram; break;
+        case 'bdpt':     INTEGRATOR_PROGRAM = this.bdptProgram;            break;
+        case 'ppm':      INTEGRATOR_PROGRAM = this.ppmProgram;             break;
         default:
         case 'pt':       INTEGRATOR_PROGRAM = this.pathtraceAllProgram;    break;
     }
 
+    // Trace this frame's photon map, to be gathered by the camera paths
+    if (this.renderMode == 'ppm')
+    {
+        this.tracePhotons();
+    }
+
     INTEGRATOR_PROGRAM.bind();
 
     // sync camera info to shader
@@ -530,85 +1321,60 @@ Renderer.prototype.render = function()
     INTEGRATOR_PROGRAM.uniform3Fv("camX", [camX.x, camX.y, camX.z]);
     INTEGRATOR_PROGRAM.uniform3Fv("camY", [camUp.x, camUp.y, camUp.z]);
     INTEGRATOR_PROGRAM.uniformF("camFovy", camera.fov);
-    INTEGRATOR_PROGRAM.uniformF("camAspect", camera.aspect);
     INTEGRATOR_PROGRAM.uniformF("camAperture", snelly.lengthScale*Math.pow(1.4142135,camera.aperture));
     INTEGRATOR_PROGRAM.uniformF("camFocalDistance", snelly.lengthScale*Math.pow(10.0,camera.focalDistance));
-    INTEGRATOR_PROGRAM.uniform2Fv("resolution", [this._width, this._height]);
-
-    // Read wavelength -> XYZ table
-    if (this.renderMode=='pt' || this.renderMode=='pathtraceSimpleProgram' || this.renderMode=='ao')
+    this.syncProjection(INTEGRATOR_PROGRAM, camera);
+    this.syncShutter(INTEGRATOR_PROGRAM, camera);
+    this.syncLens(INTEGRATOR_PROGRAM, camera);
+    if (this.tiledRender != null)
     {
-        snelly.wavelengthToXYZ.bind(2);
-        INTEGRATOR_PROGRAM.uniformTexture("WavelengthToXYZ", snelly.wavelengthToXYZ);
-        snelly.emissionIcdf.bind(3);
-        INTEGRATOR_PROGRAM.uniformTexture("ICDF", snelly.emissionIcdf);
+        // Render the current tile of the sub-frustum of the full image
+        let tile = this.tiledRender.tiles[this.tiledRender.tileIndex];
+        INTEGRATOR_PROGRAM.uniformF("camAspect", this.tiledRender.width / this.tiledRender.height);
+        INTEGRATOR_PROGRAM.uniform2Fv("resolution", [this.tiledRender.width, this.tiledRender.height]);
+        INTEGRATOR_PROGRAM.uniform2Fv("tileOffset", [tile.x, tile.y]);
     }
-
-    // Raytracing options
+    else
     {
-        // Upload general rendering settings
-        INTEGRATOR_PROGRAM.uniformF("filterRadius", this.filterRadius);
-        INTEGRATOR_PROGRAM.uniformF("radianceClamp", Math.pow(10.0, this.radianceClamp));
-        INTEGRATOR_PROGRAM.uniformF("skipProbability", this.skipProbability);
-        INTEGRATOR_PROGRAM.uniformF("lengthScale", Math.max(snelly.lengthScale, 1.0e-6));
-        INTEGRATOR_PROGRAM.uniformF("maxLengthScale", Math.max(snelly.maxLengthScale, 1.0e-6));
-        INTEGRATOR_PROGRAM.uniformF("minLengthScale", Math.max(snelly.minLengthScale, 1.0e-6));
-        INTEGRATOR_PROGRAM.uniformF("shadowStrength", this.shadowStrength);
-        INTEGRATOR_PROGRAM.uniformI("maxSSSSteps", this.maxSSSSteps);
-        INTEGRATOR_PROGRAM.uniformI("maxStepsIsMiss", Boolean(this.maxStepsIsMiss) ? 1 : 0);
-        INTEGRATOR_PROGRAM.uniformI("wavelengthSamples", this.wavelengthSamples);
-
-        // Upload lighting params:
-            // sky
-            INTEGRATOR_PROGRAM.uniformF("skyPower", Math.pow(10.0,this.skyPower));
-            INTEGRATOR_PROGRAM.uniform3Fv("skyTintUp", this.skyTintUp);
-            INTEGRATOR_PROGRAM.uniform3Fv("skyTintDown", this.skyTintDown);
-            INTEGRATOR_PROGRAM.uniformI("envMapVisible", Boolean(this.envMapVisible) ? 1 : 0);
-            INTEGRATOR_PROGRAM.uniformF("envMapPhiRotation", Math.min(Math.max(this.envMapPhiRotation, 0.0), 360.0));
-            INTEGRATOR_PROGRAM.uniformF("envMapThetaRotation", Math.min(Math.max(this.envMapThetaRotation, 0.0), 180.0));
-            INTEGRATOR_PROGRAM.uniformF("envMapTransitionAngle", Math.min(Math.max(this.envMapTransitionAngle, 0.0), 180.0));
-            // sun
-            INTEGRATOR_PROGRAM.uniformF("sunPower", Math.pow(10.0,this.sunPower));
-            INTEGRATOR_PROGRAM.uniformF("sunAngularSize", this.sunAngularSize);
-            INTEGRATOR_PROGRAM.uniformF("sunLatitude", this.sunLatitude);
-            INTEGRATOR_PROGRAM.uniformF("sunLongitude", this.sunLongitude);
-            INTEGRATOR_PROGRAM.uniform3Fv("sunColor", this.sunColor);
-            this.updateSunDir();
-            INTEGRATOR_PROGRAM.uniform3Fv("sunDir", this.sunDir);
-            INTEGRATOR_PROGRAM.uniformI("sunVisibleDirectly", this.sunVisibleDirectly);
-            // sphere
-            INTEGRATOR_PROGRAM.uniform3Fv("sphereLightPosition", this.sphereLightPosition.map(x => x*snelly.lengthScale));
-            INTEGRATOR_PROGRAM.uniformF("sphereLightRadius", this.sphereLightRadius*snelly.lengthScale);
-            INTEGRATOR_PROGRAM.uniformF("sphereLightPower", Math.pow(10.0,this.sphereLightPower) / (4.0*Math.PI*Math.pow(this.sphereLightRadius, 2.0)));
-            INTEGRATOR_PROGRAM.uniform3Fv("sphereLightColor", this.sphereLightColor);
+        INTEGRATOR_PROGRAM.uniformF("camAspect", camera.aspect);
+        INTEGRATOR_PROGRAM.uniform2Fv("resolution", [this._width, this._height]);
+        INTEGRATOR_PROGRAM.uniform2Fv("tileOffset", [0, 0]);
     }
 
-    // Attach radiance FBO
-    this.fbo.bind();
-    this.fbo.drawBuffers(2);
+    // Upload the integrator settings, lighting, scene and material parameters
+    this.syncIntegrator(INTEGRATOR_PROGRAM);
+
+    // Attach radiance FBO (and the radiance moments, AOV and G-buffers, if written by the integrator)
     var current = this.currentState;
     var next    = 1 - current;
-    this.pathStates[current].bind(INTEGRATOR_PROGRAM); // Read data from the 'current' state
+    this.fbo.bind();
+    // (the moments draw buffer is unused if the moments are not needed)
+    let state = this.pathStates[current];
+    this.fbo.drawBuffers(this.estimatesVariance() ? 3 + state.aovTex.length + state.gbufferTex.length : 2, (state.momentsTex == null) ? [2] : []);
+    this.pathStates[current].bind(INTEGRATOR_PROGRAM, this.momentsTextureUnit, this.aovTextureUnit, this.gbufferTextureUnit); // Read data from the 'current' state
     this.pathStates[next].attach(this.fbo);            // Write data into the 'next' state
-
-    // Bind env map if we have it
-    INTEGRATOR_PROGRAM.uniformI("haveEnvMap", Boolean(this.envMap) ? 1 : 0);
-    if (this.envMap != null)
+    if (this.numFramesSinceReset == 0)
     {
-        gl.activeTexture(gl.TEXTURE0 + 6);
-        gl.bindTexture(gl.TEXTURE_2D, this.envMap.tex);
-        var id = gl.getUniformLocation(INTEGRATOR_PROGRAM.program, "envMap");
-        gl.uniform1i(id, 6);
+        // Start from the seeded RNG states, so the render is reproducible
+        let rngSeedTex = this.rngSeedTexture();
+        rngSeedTex.bind(1);
+        INTEGRATOR_PROGRAM.uniformTexture("RngData", rngSeedTex);
     }
 
-    // Upload current scene shader parameters
-    if (typeof sceneObj.syncShader !== "undefined")
+    // Bind the aperture image (following the G-buffers)
+    if (this.apertureTextureUnit >= 0 && this.apertureImage != null)
     {
-        sceneObj.syncShader(snelly, INTEGRATOR_PROGRAM);
+        gl.activeTexture(gl.TEXTURE0 + this.apertureTextureUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.apertureImage.tex);
+        INTEGRATOR_PROGRAM.uniformI("apertureImage", this.apertureTextureUnit);
     }
 
-    // Upload material parameters
-    snelly.materials.syncShader(INTEGRATOR_PROGRAM);
+    // Bind the photon map traced this frame (in place of the AOV buffers)
+    if (this.renderMode == 'ppm')
+    {
+        this.photonMap.bind(INTEGRATOR_PROGRAM, this.aovTextureUnit);
+        INTEGRATOR_PROGRAM.uniformF("photonRadius", Math.sqrt(this.photonRadius2));
+    }
 
     // Trace one path per pixel
     gl.disable(gl.BLEND);
@@ -617,32 +1383,25 @@ Renderer.prototype.render = function()
     this.fbo.unbind();
     gl.bindTexture(gl.TEXTURE_2D, null);
 
+    // Ping-pong radiance buffers
+    this.currentState = next;
+
+    // Under adaptive sampling, periodically replace the expected sample count with the samples actually taken
+    if (this.samplesAdaptively() && (this.numFramesSinceReset+1) % Renderer.ADAPTIVE_READBACK_FRAMES == 0)
+    {
+        this.readSampleCounts();
+    }
+
     ////////////////////////////////////////////////
     /// Tonemapping / compositing
     ////////////////////////////////////////////////
 
+    // Update framebuffer only if we reached the required SPP threshold for redraw
     if (this.spp >= this.minsSPPToRedraw)
     {
-        this.tonemapProgram.bind();
-        var radianceTexCurrent = this.pathStates[next].radianceTex;
-        radianceTexCurrent.bind(0);
-        this.tonemapProgram.uniformTexture("Radiance", radianceTexCurrent);
-        this.tonemapProgram.uniformF("exposure", this.exposure);
-        this.tonemapProgram.uniformF("invGamma", 1.0/this.gamma);
-        this.tonemapProgram.uniformF("contrast", this.contrast);
-        this.tonemapProgram.uniformF("saturation", this.saturation);
-        this.tonemapProgram.uniformF("hueShift", this.hueShift);
-
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
-        gl.blendEquation(gl.FUNC_ADD);
-        this.quadVbo.bind();
-        this.quadVbo.draw(this.tonemapProgram, gl.TRIANGLE_FAN);
+        this.display();
     }
 
-    // Ping-pong radiance buffers
-    this.currentState = next;
-
     // Frame timing
     var timer_end = performance.now();
     var frame_time_ms = (timer_end - timer_start);
@@ -670,46 +1429,823 @@ Renderer.prototype.render = function()
     {
         sceneObj.postframeCallback(snelly, gl);
     }
+
+    if (this.tiledRender != null && (this.spp >= maxSpp || this.adaptiveActiveFraction == 0.0))
+    {
+        this.finishTile();
+    }
+}
+
+// The number of frames between the readbacks of the per-pixel sample counts under adaptive sampling
+Renderer.ADAPTIVE_READBACK_FRAMES = 8;
+
+// Whether the current integrator skips the finished pixels, i.e. adaptive sampling is enabled and the radiance moments are accumulated
+Renderer.prototype.samplesAdaptively = function()
+{
+    return Boolean(this.adaptiveSampling) && this.hasMoments;
+}
+
+// Read back the per-pixel sample counts of the most recently written state under adaptive sampling (from the radiance moments,
+// where the sample count of the finished pixels is negated), to count the samples actually taken and the pixels still being sampled
+Renderer.prototype.readSampleCounts = function()
+{
+    let gl = this.gl;
+    let W = this._width;
+    let H = this._height;
+    let fbo = new GLU.RenderTarget();
+    fbo.bind();
+    fbo.attachTexture(this.pathStates[this.currentState].momentsTex, 0);
+    let pixels = new Float32Array(4*W*H);
+    gl.readPixels(0, 0, W, H, gl.RGBA, gl.FLOAT, pixels);
+    fbo.unbind();
+
+    let samplesPerFrame = Math.round(this.maxSamplesPerFrame);
+    let numFrames = 0.0;
+    let numActive = 0;
+    let minFrames = Infinity;
+    let maxFrames = 0.0;
+    for (let n=0; n<W*H; ++n)
+    {
+        let N = pixels[4*n+3];
+        if (N >= 0.0) numActive++;
+        N = Math.abs(N);
+        numFrames += N;
+        minFrames = Math.min(minFrames, N);
+        maxFrames = Math.max(maxFrames, N);
+    }
+    this.numSamples = samplesPerFrame * numFrames;
+    this.spp = this.numSamples / (W*H);
+    this.adaptiveActiveFraction = numActive / (W*H);
+    this.adaptiveSppRange = [samplesPerFrame * minFrames, samplesPerFrame * maxFrames];
+    if (numActive == 0)
+    {
+        console.warn(`[snelly] adaptive sampling finished, at ${this.spp.toPrecision(3)} spp (from ${this.adaptiveSppRange[0]} to ${this.adaptiveSppRange[1]} per pixel)`);
+        if (minFrames == maxFrames) console.warn('[snelly] every pixel took the same number of samples under adaptive sampling (check noiseThreshold and adaptiveMinSpp)');
+    }
+}
+
+/**
+* Read access to the range of the per-pixel sample counts under adaptive sampling, as of their last readback (every few frames).
+* As the noisy pixels take more samples than the converged pixels, these differ across an image with mixed noise.
+* @returns {Array} - the minimum and maximum per-pixel sample counts, or null if not sampling adaptively, or not yet read back
+*/
+Renderer.prototype.getSampleCountRange = function()
+{
+    if (!this.samplesAdaptively()) return null;
+    return this.adaptiveSppRange;
+}
+
+// Trace the photon map for the current frame (in 'ppm' mode), and build its hash grid.
+// The gather radius shrinks with each frame as in Knaus & Zwicker, "Progressive Photon Mapping: A Probabilistic Approach" (2011),
+// such that the average of the independent per-frame estimates converges.
+Renderer.prototype.tracePhotons = function()
+{
+    let gl = this.gl;
+    let mapSize = Math.max(1, Math.round(this.photonMapSize));
+    let photonSeed = (Math.round(this.seed) ^ 0x9e3779b9) >>> 0; // (distinct from the seed of the pixel RNG states)
+    if (this.photonMap == null || this.photonMap.mapSize != mapSize || this.photonMap.seed != photonSeed)
+        this.photonMap = new PhotonMap(mapSize, photonSeed);
+    let photonMap = this.photonMap;
+
+    this.photonIteration++;
+    if (this.photonIteration == 1)
+        this.photonRadius2 = Math.pow(Math.max(this.photonRadius, 1.0e-6) * snelly.lengthScale, 2.0);
+    else
+        this.photonRadius2 *= (this.photonIteration - 1 + this.photonAlpha) / this.photonIteration;
+
+    // Trace one photon per texel of the photon map
+    let PHOTON_PROGRAM = this.photonProgram;
+    PHOTON_PROGRAM.bind();
+    this.syncIntegrator(PHOTON_PROGRAM);
+    this.syncShutter(PHOTON_PROGRAM, snelly.getCamera());
+    gl.viewport(0, 0, mapSize, mapSize);
+    gl.disable(gl.BLEND);
+    photonMap.trace(PHOTON_PROGRAM, this.quadVbo, this.photonIteration == 1);
+
+    // Build the hash grid of the photons, with cells of twice the gather radius
+    let GRID_PROGRAM = this.photonGridProgram;
+    GRID_PROGRAM.bind();
+    GRID_PROGRAM.uniformF("photonCellSize", 2.0*Math.sqrt(this.photonRadius2));
+    gl.viewport(0, 0, photonMap.gridSize, photonMap.gridSize);
+    photonMap.buildGrid(GRID_PROGRAM);
+
+    gl.viewport(0, 0, this._width, this._height);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+// Upload the camera projection settings (see Snelly.CAMERA_PROJECTIONS) to the given integrator or pick program
+Renderer.prototype.syncProjection = function(PROGRAM, camera)
+{
+    let up = camera.up.clone().normalize();
+    PROGRAM.uniformI("camProjection", Math.max(0, Snelly.CAMERA_PROJECTIONS.indexOf(camera.projection)));
+    PROGRAM.uniform3Fv("camWorldUp", [up.x, up.y, up.z]);
+    PROGRAM.uniformF("camOrthoHeight", snelly.lengthScale*camera.orthoHeight);
+    PROGRAM.uniformF("camFisheyeFov", camera.fisheyeFov);
+    PROGRAM.uniformF("camIpd", snelly.lengthScale*camera.ipd);
+}
+
+// Upload the shutter interval, and the camera pose at shutter close (if the camera moves while the shutter is open, see Snelly.setCameraMotion),
+// to the given integrator or pick program
+Renderer.prototype.syncShutter = function(PROGRAM, camera)
+{
+    PROGRAM.uniformF("shutterOpen", camera.shutterOpen);
+    PROGRAM.uniformF("shutterClose", camera.shutterClose);
+    let motion = camera.motion;
+    let moving = (motion != null) && (camera.shutterClose > camera.shutterOpen);
+    PROGRAM.uniformI("camMoving", moving ? 1 : 0);
+    if (!moving) return;
+    let dir = motion.target.clone().sub(motion.position).normalize();
+    let camX = new THREE.Vector3();
+    camX.crossVectors(motion.up, dir).normalize();
+    let camY = new THREE.Vector3();
+    camY.crossVectors(dir, camX);
+    PROGRAM.uniform3Fv("camPosClose", [motion.position.x, motion.position.y, motion.position.z]);
+    PROGRAM.uniform3Fv("camDirClose", [dir.x, dir.y, dir.z]);
+    PROGRAM.uniform3Fv("camXClose", [camX.x, camX.y, camX.z]);
+    PROGRAM.uniform3Fv("camYClose", [camY.x, camY.y, camY.z]);
+}
+
+// Upload the aperture shape, and the layout of the realistic lens (if camera.lens names one), to the given integrator or pick program.
+// With a realistic lens, the field of view and aperture follow from the focal length, f-number and sensor height, overriding camera.fov and camera.aperture.
+Renderer.prototype.syncLens = function(PROGRAM, camera)
+{
+    PROGRAM.uniformI("apertureBlades", Math.round(camera.apertureBlades));
+    PROGRAM.uniformF("apertureRotation", camera.apertureRotation * Math.PI/180.0);
+    let lens = snelly.getLens();
+    if (lens == null) return;
+    let unitsPerMM = snelly.lengthScale / camera.lengthScaleMM;
+    let focusDistance = snelly.lengthScale*Math.pow(10.0, camera.focalDistance) / unitsPerMM;
+    let layout = lens.layout(camera.focalLength, camera.fNumber, focusDistance);
+    PROGRAM.uniformF("camFovy", 2.0*Math.atan(0.5*camera.sensorHeight/layout.focalLength) * 180.0/Math.PI);
+    PROGRAM.uniformF("camAperture", unitsPerMM*layout.entrancePupilRadius);
+    lens.syncShader(PROGRAM, layout, unitsPerMM, camera.sensorHeight);
+}
+
+// Load the camera aperture image from the given URL (unless already loaded), recompiling the shaders once it has loaded
+Renderer.prototype.loadApertureImage = function(url)
+{
+    if (url == this.apertureImageURL) return;
+    this.apertureImageURL = url;
+    this.apertureImage = null;
+    if (typeof(url) == "undefined" || url == "") return;
+    var pathtracer = this;
+    GLU.loadImageAndCreateTextureInfo(url,
+        function(imgInfo)
+        {
+            if (pathtracer.apertureImageURL != url) return;
+            pathtracer.apertureImage = imgInfo;
+            snelly.reset();
+        });
+}
+
+// Upload the integrator settings, lighting parameters, env map, and scene and material parameters to the given pathtracer program
+Renderer.prototype.syncIntegrator = function(PROGRAM)
+{
+    let gl = this.gl;
+    var sceneObj = snelly.getScene();
+
+    // Read wavelength -> XYZ table
+    if (this.renderMode=='pt' || this.renderMode=='bdpt' || this.renderMode=='ppm' || this.renderMode=='pathtraceSimpleProgram' || this.renderMode=='ao')
+    {
+        snelly.wavelengthToXYZ.bind(2);
+        PROGRAM.uniformTexture("WavelengthToXYZ", snelly.wavelengthToXYZ);
+        snelly.emissionIcdf.bind(3);
+        PROGRAM.uniformTexture("ICDF", snelly.emissionIcdf);
+    }
+
+    // Raytracing options
+    {
+        // Upload general rendering settings
+        PROGRAM.uniformF("filterRadius", this.filterRadius);
+        PROGRAM.uniformF("radianceClamp", Math.pow(10.0, this.radianceClamp));
+        PROGRAM.uniformF("skipProbability", this.skipProbability);
+        PROGRAM.uniformF("noiseThreshold", Math.max(0.0, this.noiseThreshold));
+        PROGRAM.uniformI("adaptiveMinSpp", Math.max(0, Math.round(this.adaptiveMinSpp)));
+        PROGRAM.uniformI("adaptiveMaxSpp", Math.max(1, Math.round(this.adaptiveMaxSpp)));
+        PROGRAM.uniformI("russianRouletteDepth", Math.max(0, Math.round(this.russianRouletteDepth)));
+        PROGRAM.uniformI("rngSeed", Math.round(this.seed));
+        PROGRAM.uniformF("lengthScale", Math.max(snelly.lengthScale, 1.0e-6));
+        PROGRAM.uniformF("maxLengthScale", Math.max(snelly.maxLengthScale, 1.0e-6));
+        PROGRAM.uniformF("minLengthScale", Math.max(snelly.minLengthScale, 1.0e-6));
+        PROGRAM.uniformF("shadowStrength", this.shadowStrength);
+        PROGRAM.uniformI("maxSSSSteps", this.maxSSSSteps);
+        PROGRAM.uniformI("maxVolumeSteps", this.maxVolumeSteps);
+        PROGRAM.uniformI("maxStepsIsMiss", Boolean(this.maxStepsIsMiss) ? 1 : 0);
+        PROGRAM.uniformI("wavelengthSamples", this.wavelengthSamples);
+        let imageHeight = (this.tiledRender != null) ? this.tiledRender.height : this._height;
+        let pixelAngle = 2.0*Math.tan(0.5*snelly.getCamera().fov*Math.PI/180.0) / imageHeight; // (the angle subtended by a pixel)
+        PROGRAM.uniformF("marchOverRelaxation", Math.min(Math.max(this.marchOverRelaxation, 1.0), 2.0));
+        PROGRAM.uniformF("marchFootprint", Math.max(0.0, this.marchFootprint) * pixelAngle);
+
+        // Upload lighting params:
+            // sky
+            PROGRAM.uniformF("skyPower", Math.pow(10.0,this.skyPower));
+            PROGRAM.uniform3Fv("skyTintUp", this.skyTintUp);
+            PROGRAM.uniform3Fv("skyTintDown", this.skyTintDown);
+            PROGRAM.uniformI("envMapVisible", Boolean(this.envMapVisible) ? 1 : 0);
+            PROGRAM.uniformF("envMapPhiRotation", Math.min(Math.max(this.envMapPhiRotation, 0.0), 360.0));
+            PROGRAM.uniformF("envMapThetaRotation", Math.min(Math.max(this.envMapThetaRotation, 0.0), 180.0));
+            PROGRAM.uniformF("envMapTransitionAngle", Math.min(Math.max(this.envMapTransitionAngle, 0.0), 180.0));
+            // sun
+            PROGRAM.uniformF("sunPower", Math.pow(10.0,this.sunPower));
+            PROGRAM.uniformF("sunAngularSize", this.sunAngularSize);
+            PROGRAM.uniformF("sunLatitude", this.sunLatitude);
+            PROGRAM.uniformF("sunLongitude", this.sunLongitude);
+            PROGRAM.uniform3Fv("sunColor", this.sunColor);
+            this.updateSunDir();
+            PROGRAM.uniform3Fv("sunDir", this.sunDir);
+            PROGRAM.uniformI("sunVisibleDirectly", this.sunVisibleDirectly);
+            // physical sky (consistent with the sun direction)
+            this.updateSkyModel();
+            PROGRAM.uniformI("skyModel", (this.skyModel == 'preetham') ? 1 : 0);
+            PROGRAM.uniform3Fv("skyPerezA", this.skyPerez[0]);
+            PROGRAM.uniform3Fv("skyPerezB", this.skyPerez[1]);
+            PROGRAM.uniform3Fv("skyPerezC", this.skyPerez[2]);
+            PROGRAM.uniform3Fv("skyPerezD", this.skyPerez[3]);
+            PROGRAM.uniform3Fv("skyPerezE", this.skyPerez[4]);
+            PROGRAM.uniform3Fv("skyPerezScale", this.skyPerezScale);
+            PROGRAM.uniform3Fv("skyGroundRGB", this.skyGroundRGB);
+            // lights (selected for sampling with probability proportional to power)
+            let lights = this.getLights();
+            let totalWeight = lights.reduce(function(sum, light) { return sum + light.selectionWeight(); }, 0.0);
+            lights.forEach(function(light, i) {
+                let selectProb = (totalWeight > 0.0) ? light.selectionWeight()/totalWeight : 1.0/lights.length;
+                light.syncShader(PROGRAM, i, selectProb);
+            });
+            // light subpaths and photons (started from the sun or the lights, with probability proportional to their power)
+            if (this.renderMode == 'bdpt' || this.renderMode == 'ppm')
+            {
+                let sunSolidAngle = 2.0*Math.PI*(1.0 - Math.cos(this.sunAngularSize*Math.PI/180.0));
+                let sunWeight = Math.pow(10.0, this.sunPower) * (0.2126*this.sunColor[0] + 0.7152*this.sunColor[1] + 0.0722*this.sunColor[2])
+                                * sunSolidAngle * Math.pow(this.sceneRadius, 2.0);
+                let sunSelectProb = (lights.length > 0) ? sunWeight/Math.max(sunWeight + totalWeight, 1.0e-12) : 1.0;
+                PROGRAM.uniformF("emitSunSelectProb", sunSelectProb);
+                PROGRAM.uniformF("sceneRadius", Math.max(this.sceneRadius*snelly.lengthScale, 1.0e-6));
+            }
+    }
+
+    // Bind env map if we have it
+    PROGRAM.uniformI("haveEnvMap", Boolean(this.envMap) ? 1 : 0);
+    if (this.envMap != null)
+    {
+        gl.activeTexture(gl.TEXTURE0 + 6);
+        gl.bindTexture(gl.TEXTURE_2D, this.envMap.tex);
+        var id = gl.getUniformLocation(PROGRAM.program, "envMap");
+        gl.uniform1i(id, 6);
+    }
+    let envMapImportanceSampling = this.envMapImportanceSampling && this.envMap != null && this.envMapCDF != null && this.skyModel != 'preetham';
+    PROGRAM.uniformI("envMapImportanceSampling", envMapImportanceSampling ? 1 : 0);
+    if (envMapImportanceSampling)
+    {
+        this.envMapCDF.bind(7);
+        PROGRAM.uniformTexture("envMapCDF", this.envMapCDF);
+    }
+
+    // Upload current scene shader parameters
+    if (typeof sceneObj.syncShader !== "undefined")
+    {
+        sceneObj.syncShader(snelly, PROGRAM);
+    }
+
+    // Upload material parameters
+    snelly.materials.syncShader(PROGRAM);
+}
+
+/**
+* The tonemapping operators:
+*  - 'legacy': gamma correction, then the per-channel Reinhard curve L/(1+L)
+*  - 'linear': clamping of the exposed linear radiance
+*  - 'reinhard': extended Reinhard, applied to the luminance, mapping whitepoint to white
+*  - 'aces': the ACES filmic curve (the reference rendering and sRGB output transforms, as fitted by Stephen Hill)
+*  - 'agx': the AgX filmic curve (as fitted by Benjamin Wrensch)
+*  - 'hable': the Hable (Uncharted 2) filmic curve, mapping whitepoint to white
+* The operators other than 'legacy' apply to the linear RGB radiance, followed by the sRGB transfer function.
+* In each case the contrast, saturation and hue shift, and then the LUT (if lutURL is set), are applied to the result.
+*/
+Renderer.TONEMAP_OPERATORS = ['legacy', 'linear', 'reinhard', 'aces', 'agx', 'hable'];
+
+// Load the LUT from the given URL (unless already loaded), redisplaying the image once it has loaded
+Renderer.prototype.loadLUT = function(url)
+{
+    if (url == this.lutLoadedURL) return;
+    this.lutLoadedURL = url;
+    if (this.lut != null) this.gl.deleteTexture(this.lut.tex);
+    this.lut = null;
+    if (typeof(url) == "undefined" || url == "") return;
+    var pathtracer = this;
+    GLU.loadCubeLUTAndCreateTextureInfo(url,
+        function(lutInfo)
+        {
+            if (pathtracer.lutLoadedURL != url)
+            {
+                pathtracer.gl.deleteTexture(lutInfo.tex);
+                return;
+            }
+            pathtracer.lut = lutInfo;
+            pathtracer.display();
+        },
+        function(message)
+        {
+            // (display without the LUT)
+            console.warn('[snelly] ' + message);
+        });
+}
+
+/**
+* Redraw the current image (without further sampling), according to the tonemapping settings and aovDisplay.
+* This can be called to show the effect of changing these once the renderer has stopped sampling, at maxSpp.
+*/
+Renderer.prototype.display = function()
+{
+    let gl = this.gl;
+    if (this.tonemapProgram==null) return;
+    gl.viewport(0, 0, this._width, this._height);
+    if (Renderer.MARCH_DEBUG_MODES.indexOf(this.renderMode) > -1)
+    {
+        this.displayMarchDebug();
+        return;
+    }
+    if (this.aovDisplay == 'error' && this.pathStates[this.currentState].momentsTex != null)
+    {
+        this.displayError();
+        return;
+    }
+    if (this.getGBufferNames().indexOf(this.aovDisplay) > -1)
+    {
+        this.displayGBuffer(this.aovDisplay);
+        return;
+    }
+    let displayTex = this.displayTexture(this.aovDisplay);
+    if (this.denoise) displayTex = this.denoiseTexture(displayTex);
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    this.tonemapProgram.bind();
+    displayTex.bind(0);
+    this.tonemapProgram.uniformTexture("Radiance", displayTex);
+    this.tonemapProgram.uniformF("exposure", this.exposure);
+    this.tonemapProgram.uniformF("invGamma", 1.0/this.gamma);
+    this.tonemapProgram.uniformF("contrast", this.contrast);
+    this.tonemapProgram.uniformF("saturation", this.saturation);
+    this.tonemapProgram.uniformF("hueShift", this.hueShift);
+    this.tonemapProgram.uniformI("tonemapOperator", Math.max(0, Renderer.TONEMAP_OPERATORS.indexOf(this.tonemapOperator)));
+    this.tonemapProgram.uniformF("whitePoint", this.whitepoint);
+
+    // Bind the LUT, or if none is loaded the placeholder LUT (as the 3D LUT sampler must not share the unit of the 2D radiance sampler)
+    this.loadLUT(this.lutURL);
+    if (this.lutPlaceholder == null) this.lutPlaceholder = GLU.createLUTTextureInfo(1, [0.0, 0.0, 0.0], [1.0, 1.0, 1.0], new Float32Array(3), '');
+    let lut = (this.lut != null) ? this.lut : this.lutPlaceholder;
+    gl.activeTexture(gl.TEXTURE0 + 1);
+    gl.bindTexture(gl.TEXTURE_3D, lut.tex);
+    this.tonemapProgram.uniformI("LUT", 1);
+    this.tonemapProgram.uniformI("haveLUT", Boolean(this.lut) ? 1 : 0);
+    if (this.lut != null)
+    {
+        this.tonemapProgram.uniformF("lutSize", this.lut.size);
+        this.tonemapProgram.uniform3Fv("lutDomainMin", this.lut.domainMin);
+        this.tonemapProgram.uniform3Fv("lutDomainMax", this.lut.domainMax);
+        this.tonemapProgram.uniformF("lutStrength", Math.min(Math.max(this.lutStrength, 0.0), 1.0));
+    }
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.blendEquation(gl.FUNC_ADD);
+    this.quadVbo.bind();
+    this.quadVbo.draw(this.tonemapProgram, gl.TRIANGLE_FAN);
+}
+
+// Draw the heat map of the per-pixel relative error estimate of the most recently written state (without tonemapping)
+Renderer.prototype.displayError = function()
+{
+    let gl = this.gl;
+    let state = this.pathStates[this.currentState];
+    let PROGRAM = this.errorViewProgram;
+    PROGRAM.bind();
+    state.radianceTex.bind(0);
+    state.momentsTex.bind(1);
+    PROGRAM.uniformTexture("Radiance", state.radianceTex);
+    PROGRAM.uniformTexture("RadianceMoments", state.momentsTex);
+    PROGRAM.uniformF("noiseThreshold", Math.max(0.0, this.noiseThreshold));
+    PROGRAM.uniformF("minSamples", Math.max(0, Math.round(this.adaptiveMinSpp)) / Math.max(1, Math.round(this.maxSamplesPerFrame)));
+    gl.disable(gl.BLEND);
+    this.quadVbo.bind();
+    this.quadVbo.draw(PROGRAM, gl.TRIANGLE_FAN);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+// Draw a visualization of the named G-buffer of the most recently written state (without tonemapping)
+Renderer.prototype.displayGBuffer = function(name)
+{
+    let gl = this.gl;
+    let state = this.pathStates[this.currentState];
+    let PROGRAM = this.gbufferViewProgram;
+    let tex = state.gbufferTex[Renderer.GBUFFER_LAYOUT[name].buffer];
+    PROGRAM.bind();
+    tex.bind(0);
+    PROGRAM.uniformTexture("GBuffer", tex);
+    PROGRAM.uniformI("mode", Object.keys(Renderer.GBUFFER_LAYOUT).indexOf(name));
+    PROGRAM.uniformF("sceneScale", Math.max(this.sceneRadius * snelly.lengthScale, 1.0e-6));
+    PROGRAM.uniformF("maxMarchSteps", Math.max(1, Math.round(this.maxMarchSteps)));
+    gl.disable(gl.BLEND);
+    this.quadVbo.bind();
+    this.quadVbo.draw(PROGRAM, gl.TRIANGLE_FAN);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+// Draw the raymarching diagnostics of the most recently written state, as viewed in the current render mode (without tonemapping)
+Renderer.prototype.displayMarchDebug = function()
+{
+    let gl = this.gl;
+    let state = this.pathStates[this.currentState];
+    let PROGRAM = this.marchViewProgram;
+    PROGRAM.bind();
+    state.radianceTex.bind(0);
+    PROGRAM.uniformTexture("Radiance", state.radianceTex);
+    PROGRAM.uniformI("mode", Renderer.MARCH_DEBUG_MODES.indexOf(this.renderMode));
+    PROGRAM.uniformF("maxMarchSteps", Math.max(1, Math.round(this.maxMarchSteps)));
+    gl.disable(gl.BLEND);
+    this.quadVbo.bind();
+    this.quadVbo.draw(PROGRAM, gl.TRIANGLE_FAN);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+// Denoise the given texture (of XYZ values) by the a-trous filter, guided by the G-buffers and radiance moments of the most recently written state
+// (the moments giving the variance only if the texture is the radiance, else it is estimated from the texture itself),
+// returning the texture of the result (or the given texture, if the denoiser guides are not being accumulated)
+Renderer.prototype.denoiseTexture = function(tex)
+{
+    let gl = this.gl;
+    let state = this.pathStates[this.currentState];
+    if (state.gbufferTex.length == 0 || state.momentsTex == null || this.denoiseProgram == null) return tex;
+    let PROGRAM = this.denoiseProgram;
+    PROGRAM.bind();
+    state.radianceTex.bind(1);
+    state.momentsTex.bind(2);
+    state.gbufferTex[0].bind(3);
+    state.gbufferTex[1].bind(4);
+    PROGRAM.uniformTexture("Radiance", state.radianceTex);
+    PROGRAM.uniformTexture("RadianceMoments", state.momentsTex);
+    PROGRAM.uniformTexture("GBufferAlbedo", state.gbufferTex[0]);
+    PROGRAM.uniformTexture("GBufferNormalDepth", state.gbufferTex[1]);
+    PROGRAM.uniformF("strength", Math.max(0.0, this.denoiseStrength));
+    PROGRAM.uniformI("colorIsRadiance", (tex === state.radianceTex) ? 1 : 0);
+    gl.disable(gl.BLEND);
+    this.quadVbo.bind();
+    let iterations = Math.max(0, Math.round(this.denoiseIterations));
+    for (let i=0; i<iterations; ++i)
+    {
+        // (each iteration reads the output of the previous one, ping-ponging between the two denoise textures)
+        let outTex = this.denoiseTex[i%2];
+        tex.bind(0);
+        PROGRAM.uniformTexture("Color", tex);
+        PROGRAM.uniformI("firstPass", (i==0) ? 1 : 0);
+        PROGRAM.uniformI("stepWidth", 1<<i);
+        this.denoiseFbo.bind();
+        this.denoiseFbo.attachTexture(outTex, 0);
+        this.denoiseFbo.drawBuffers(1);
+        this.quadVbo.draw(PROGRAM, gl.TRIANGLE_FAN);
+        this.denoiseFbo.unbind();
+        tex = outTex;
+    }
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return tex;
+}
+
+// The raymarching diagnostics render modes, in the order of their display modes in the marchview program
+Renderer.MARCH_DEBUG_MODES = ['marchsteps', 'maxsteps', 'overshoot'];
+
+// Whether the current render mode can accumulate the radiance moments, from which the per-pixel error is estimated (for adaptive sampling, the denoiser and the 'error' display)
+Renderer.prototype.estimatesVariance = function()
+{
+    return this.renderMode == 'pt' || this.renderMode == 'bdpt' || this.renderMode == 'ppm';
+}
+
+// Whether the radiance moments need to be accumulated, i.e. if adaptive sampling, the denoiser or the 'error' display is enabled in a render mode which estimates the variance
+Renderer.prototype.needsMoments = function()
+{
+    return this.estimatesVariance() && (Boolean(this.adaptiveSampling) || Boolean(this.denoise) || this.aovDisplay == 'error');
+}
+
+// Get the texture of the named buffer ('beauty', 'relit', or an AOV name) of the most recently written state.
+// Falls back to the beauty buffer if the named AOV is not being accumulated.
+Renderer.prototype.displayTexture = function(name)
+{
+    let state = this.pathStates[this.currentState];
+    if (name == 'relit' && state.aovTex.length > 0)
+    {
+        this.compositeAOVs(state);
+        return this.compositeTex;
+    }
+    let k = this.getAOVNames().indexOf(name);
+    if (k > -1 && k < state.aovTex.length) return state.aovTex[k];
+    return state.radianceTex;
+}
+
+// Render the 'relit' buffer of the given state into compositeTex, i.e. the total radiance with each AOV rescaled by its gain
+Renderer.prototype.compositeAOVs = function(state)
+{
+    let gl = this.gl;
+    let names = this.getAOVNames();
+    let PROGRAM = this.compositeProgram;
+    PROGRAM.bind();
+    state.radianceTex.bind(0);
+    PROGRAM.uniformTexture("Radiance", state.radianceTex);
+    for (let k=0; k<5; ++k)
+    {
+        let gain = 1.0;
+        if (k < state.aovTex.length && k < names.length)
+        {
+            state.aovTex[k].bind(1+k);
+            PROGRAM.uniformTexture("AOV"+k, state.aovTex[k]);
+            gain = Math.pow(10.0, this.aovGains[names[k]]);
+        }
+        PROGRAM.uniformF(`aovGain[${k}]`, gain);
+    }
+    this.compositeFbo.bind();
+    this.compositeFbo.drawBuffers(1);
+    gl.disable(gl.BLEND);
+    this.quadVbo.bind();
+    this.quadVbo.draw(PROGRAM, gl.TRIANGLE_FAN);
+    this.compositeFbo.unbind();
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+* Read back the current image of the named buffer, in linear sRGB color space (or for a G-buffer, its raw values, with scalar G-buffers repeated in each channel).
+* @param {String} [name='beauty'] - the buffer, either 'beauty' (the total radiance), 'relit', one of the current AOV names (see {@link Renderer#getAOVNames}),
+* or one of the current G-buffer names (see {@link Renderer#getGBufferNames})
+* @returns {Object} - { width: w, height: h, data: Float32Array of RGB values, in rows ordered from the top of the image down }
+*/
+Renderer.prototype.readImage = function(name = 'beauty')
+{
+    let gl = this.gl;
+    let W = this._width;
+    let H = this._height;
+    let gbuffer = (this.getGBufferNames().indexOf(name) > -1) ? Renderer.GBUFFER_LAYOUT[name] : null;
+    let tex = (gbuffer != null) ? this.pathStates[this.currentState].gbufferTex[gbuffer.buffer] : this.displayTexture(name);
+    let fbo = new GLU.RenderTarget();
+    fbo.bind();
+    fbo.attachTexture(tex, 0);
+    let pixels = new Float32Array(4*W*H);
+    gl.readPixels(0, 0, W, H, gl.RGBA, gl.FLOAT, pixels);
+    fbo.unbind();
+
+    // Convert the XYZ tristimulus values to RGB, or copy the G-buffer channels or raymarching diagnostics (with rows from the top down, whereas GL rows are from the bottom up)
+    if (gbuffer == null && Renderer.MARCH_DEBUG_MODES.indexOf(this.renderMode) > -1) gbuffer = { channels: [0, 1, 2] };
+    let data = new Float32Array(3*W*H);
+    for (let y=0; y<H; ++y)
+    {
+        for (let x=0; x<W; ++x)
+        {
+            let m = 4*((H-1-y)*W + x);
+            let RGB = (gbuffer != null) ? gbuffer.channels.map(function(c) { return pixels[m+c]; })
+                                        : xyzToRgb([pixels[m], pixels[m+1], pixels[m+2]]);
+            data.set(RGB, 3*(y*W + x));
+        }
+    }
+    return { width: W, height: H, data: data };
+}
+
+/**
+* Save the current beauty image, and each AOV and the 'relit' image (if AOVs are being accumulated), to disk as PFM files of linear sRGB values,
+* along with each G-buffer (if G-buffers are being accumulated) as PFM files of the raw values.
+* These can then be recombined in a compositing application.
+*/
+Renderer.prototype.exportAOVs = function()
+{
+    let names = ['beauty'].concat(this.getAOVNames());
+    if (names.length > 1) names.push('relit');
+    names = names.concat(this.getGBufferNames());
+    for (let n=0; n<names.length; n++)
+    {
+        let blob = new Blob([GLU.encodePFM(this.readImage(names[n]))], {type: 'application/octet-stream'});
+        let link = document.createElement('a');
+        link.download = `snelly-${names[n]}.pfm`;
+        link.href = URL.createObjectURL(blob);
+        link.dispatchEvent(new MouseEvent('click'));
+    }
+}
+
+/**
+* Render an image of tiledWidth x tiledHeight pixels (independent of the window size) in tiles of at most tileSize pixels square,
+* over the subsequent frames. Each tile renders the sub-frustum of the camera which it covers, accumulating tiledSpp samples per pixel.
+* The tiles are stitched on the CPU, and on completion the image is saved to disk as a PNG file (tonemapped as displayed) and
+* a PFM file (of the linear sRGB values of the beauty buffer), and the window-sized render restarts.
+* (Changes to the scene during the tiled render restart the current tile only.)
+* @param {Function} [onComplete] - called on completion with the image, as
+* { width: w, height: h, data: Float32Array of linear sRGB values, in rows ordered from the top of the image down }
+*/
+Renderer.prototype.renderTiled = function(onComplete = null)
+{
+    let gl = this.gl;
+    if (this.tiledRender != null) this.cancelTiledRender();
+    let width  = Math.max(1, Math.round(this.tiledWidth));
+    let height = Math.max(1, Math.round(this.tiledHeight));
+    // (the tiles must fit in the canvas, from which their tonemapped pixels are read)
+    let tileSize = Math.max(1, Math.min(Math.round(this.tileSize), gl.drawingBufferWidth, gl.drawingBufferHeight));
+    let tiles = []; // (with the offsets x, y of each tile in GL pixel coordinates, i.e. from the bottom left of the image)
+    for (let y=0; y<height; y+=tileSize)
+    {
+        for (let x=0; x<width; x+=tileSize)
+            tiles.push({ x: x, y: y, width: Math.min(tileSize, width-x), height: Math.min(tileSize, height-y) });
+    }
+    console.warn(`[snelly] Renderer.prototype.renderTiled: ${width}x${height} pixels in ${tiles.length} tiles`);
+    this.tiledRender = { width: width, height: height, spp: Math.max(1, this.tiledSpp), tiles: tiles, tileIndex: 0,
+                         data: new Float32Array(3*width*height), pixels: new Uint8ClampedArray(4*width*height),
+                         windowWidth: this._width, windowHeight: this._height, onComplete: onComplete };
+    this.startTile();
+}
+
+/**
+* Cancel the tiled render in progress (if any), and restart the window-sized render.
+*/
+Renderer.prototype.cancelTiledRender = function()
+{
+    if (this.tiledRender == null) return;
+    let job = this.tiledRender;
+    this.tiledRender = null;
+    snelly.setStatus('');
+    this.resizeBuffers(job.windowWidth, job.windowHeight);
+}
+
+// Allocate the buffers of the current tile of the tiled render, and restart the render
+Renderer.prototype.startTile = function()
+{
+    let job = this.tiledRender;
+    let tile = job.tiles[job.tileIndex];
+    snelly.setStatus(`tile ${job.tileIndex+1}/${job.tiles.length}`);
+    this.resizeBuffers(tile.width, tile.height);
+}
+
+// Copy the finished tile of the tiled render into the image (both the beauty buffer values, and the tonemapped pixels as drawn to the canvas),
+// then start the next tile, or complete the render
+Renderer.prototype.finishTile = function()
+{
+    let gl = this.gl;
+    let job = this.tiledRender;
+    let tile = job.tiles[job.tileIndex];
+    let image = this.readImage('beauty');
+    this.display();
+    let pixels = new Uint8Array(4*tile.width*tile.height);
+    gl.readPixels(0, 0, tile.width, tile.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    let top = job.height - (tile.y + tile.height); // (the first row of the tile, in rows from the top of the image down)
+    for (let y=0; y<tile.height; ++y)
+    {
+        let row = (top + y)*job.width + tile.x;
+        let glRow = tile.height-1-y; // (GL rows are from the bottom up)
+        job.data.set(image.data.subarray(3*y*tile.width, 3*(y+1)*tile.width), 3*row);
+        job.pixels.set(pixels.subarray(4*glRow*tile.width, 4*(glRow+1)*tile.width), 4*row);
+    }
+    job.tileIndex++;
+    if (job.tileIndex < job.tiles.length) this.startTile();
+    else                                  this.completeTiledRender();
+}
+
+// Save the stitched image of the completed tiled render to disk, and restart the window-sized render
+Renderer.prototype.completeTiledRender = function()
+{
+    let job = this.tiledRender;
+    this.tiledRender = null;
+    snelly.setStatus('');
+    this.resizeBuffers(job.windowWidth, job.windowHeight);
+
+    let save = function(blob, filename)
+    {
+        let link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.dispatchEvent(new MouseEvent('click'));
+    };
+    let image = { width: job.width, height: job.height, data: job.data };
+    save(new Blob([GLU.encodePFM(image)], {type: 'application/octet-stream'}), `snelly-tiled-${job.width}x${job.height}.pfm`);
+    let canvas = document.createElement('canvas');
+    canvas.width  = job.width;
+    canvas.height = job.height;
+    canvas.getContext('2d').putImageData(new ImageData(job.pixels, job.width, job.height), 0, 0);
+    canvas.toBlob(function(blob) { save(blob, `snelly-tiled-${job.width}x${job.height}.png`); }, 'image/png', 1);
+    if (job.onComplete != null) job.onComplete(image);
 }
 
 Renderer.prototype.resize = function(width, height)
 {
     console.log('[snelly] Renderer.prototype.resize');
+    if (this.tiledRender != null)
+    {
+        // (the buffers are tile-sized until the tiled render completes, and then restored to this size)
+        this.tiledRender.windowWidth = width;
+        this.tiledRender.windowHeight = height;
+        return;
+    }
+    this.resizeBuffers(width, height);
+}
+
+// Reallocate the pathtracing, denoising and compositing buffers at the given size, and restart the render
+Renderer.prototype.resizeBuffers = function(width, height)
+{
     this._width = width;
     this._height = height;
 
     this.fbo.unbind();
     // Two sets of radiance buffers, for read/write ping-pong
-    this.pathStates = [new PathtracerState(this._width, this._height),
-                       new PathtracerState(this._width, this._height)];
+    let numAOVs = this.getAOVNames().length;
+    this.pathStates = [new PathtracerState(this._width, this._height, numAOVs, this.numGBuffers, this.hasMoments),
+                       new PathtracerState(this._width, this._height, numAOVs, this.numGBuffers, this.hasMoments)];
+
+    // Ping-pong targets of the denoiser iterations
+    this.denoiseTex = [new GLU.Texture(this._width, this._height, 4, true, false, true, new Float32Array(this._width*this._height*4)),
+                       new GLU.Texture(this._width, this._height, 4, true, false, true, new Float32Array(this._width*this._height*4))];
+    this.denoiseFbo = new GLU.RenderTarget();
+
+    // Target of the AOV compositing
+    this.compositeTex = new GLU.Texture(this._width, this._height, 4, true, false, true, new Float32Array(this._width*this._height*4));
+    this.compositeFbo = new GLU.RenderTarget();
+    this.compositeFbo.bind();
+    this.compositeFbo.attachTexture(this.compositeTex, 0);
+    this.compositeFbo.unbind();
 
     this.quadVbo = this.createQuadVbo();
     this.fbo = new GLU.RenderTarget();
+    this.rngSeedTex = null;
     this.reset(true);
 }
 
-
-var PathtracerState = function(width, height)
+// Get the texture of the initial per-pixel RNG states, generated from the seed (and regenerated if the seed or resolution changed).
+// Each tile of a tiled render takes a distinct seed, so the tiles are not correlated.
+Renderer.prototype.rngSeedTexture = function()
 {
-    var radianceData = new Float32Array(width*height*4); // Path radiance, and sample count
-    var rngData      = new Float32Array(width*height*4); // Random number seed
-    for (var i=0; i<width*height; ++i)
+    let seed = Math.round(this.seed) >>> 0;
+    if (this.tiledRender != null) seed = (seed + Math.imul(this.tiledRender.tileIndex + 1, 0x9e3779b9)) >>> 0;
+    if (this.rngSeedTex == null || this.rngSeedTexSeed != seed)
     {
-        rngData[i*4 + 0] = Math.random()*4194167.0;
-        rngData[i*4 + 1] = Math.random()*4194167.0;
-        rngData[i*4 + 2] = Math.random()*4194167.0;
-        rngData[i*4 + 3] = Math.random()*4194167.0;
+        this.rngSeedTex = createRngTexture(this._width, this._height, seed);
+        this.rngSeedTexSeed = seed;
     }
+    return this.rngSeedTex;
+}
+
+
+// Seedable pseudorandom number generator (the "mulberry32" generator)
+var SeededRandom = function(seed)
+{
+    this.state = seed >>> 0;
+}
+
+// Returns a pseudorandom number uniformly distributed in [0, 1)
+SeededRandom.prototype.random = function()
+{
+    let t = this.state = (this.state + 0x6d2b79f5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296.0;
+}
+
+// Create a texture of per-pixel states of the shader random number generator, initialized from the given seed
+var createRngTexture = function(width, height, seed)
+{
+    var random = new SeededRandom(seed);
+    var rngData = new Float32Array(width*height*4); // Random number seed
+    for (var i=0; i<width*height*4; ++i)
+        rngData[i] = random.random()*4194167.0;
+    return new GLU.Texture(width, height, 4, true, false, true, rngData);
+}
+
+
+var PathtracerState = function(width, height, numAOVs = 0, numGBuffers = 0, hasMoments = false)
+{
+    var radianceData = new Float32Array(width*height*4); // Path radiance, and sample count
     this.radianceTex = new GLU.Texture(width, height, 4, true, false, true, radianceData);
-    this.rngTex      = new GLU.Texture(width, height, 4, true, false, true, rngData);
+    this.rngTex      = new GLU.Texture(width, height, 4, true, false, true, radianceData); // (random number state, initially read from the renderer's seeded RNG states)
+    this.momentsTex  = hasMoments ? new GLU.Texture(width, height, 4, true, false, true, radianceData) : null; // Radiance second moments, and sample count (if needed)
+    this.aovTex = []; // AOV radiances, and sample count
+    for (var k=0; k<numAOVs; ++k)
+        this.aovTex.push(new GLU.Texture(width, height, 4, true, false, true, radianceData));
+    this.gbufferTex = []; // G-buffers (first-hit albedo and material, normal and depth, and position and march step count)
+    for (var k=0; k<numGBuffers; ++k)
+        this.gbufferTex.push(new GLU.Texture(width, height, 4, true, false, true, radianceData));
 }
 
-PathtracerState.prototype.bind = function(shader)
+PathtracerState.prototype.bind = function(shader, momentsTextureUnit, aovTextureUnit, gbufferTextureUnit)
 {
     this.radianceTex.bind(0);
     this.rngTex.bind(1);
     shader.uniformTexture("Radiance", this.radianceTex);
     shader.uniformTexture("RngData", this.rngTex);
+    if (this.momentsTex != null)
+    {
+        this.momentsTex.bind(momentsTextureUnit);
+        shader.uniformTexture("RadianceMoments", this.momentsTex);
+    }
+    for (var k=0; k<this.aovTex.length; ++k)
+    {
+        this.aovTex[k].bind(aovTextureUnit + k);
+        shader.uniformTexture("AOV" + k, this.aovTex[k]);
+    }
+    var gbufferNames = ["GBufferAlbedo", "GBufferNormalDepth", "GBufferPosition"];
+    for (var k=0; k<this.gbufferTex.length; ++k)
+    {
+        this.gbufferTex[k].bind(gbufferTextureUnit + k);
+        shader.uniformTexture(gbufferNames[k], this.gbufferTex[k]);
+    }
 }
 
 PathtracerState.prototype.attach = function(fbo)
@@ -717,6 +2253,12 @@ PathtracerState.prototype.attach = function(fbo)
     var gl = GLU.gl;
     fbo.attachTexture(this.radianceTex, 0);
     fbo.attachTexture(this.rngTex, 1);
+    if (this.momentsTex != null) fbo.attachTexture(this.momentsTex, 2);
+    else                         fbo.detachTexture(2);
+    for (var k=0; k<this.aovTex.length; ++k)
+        fbo.attachTexture(this.aovTex[k], 3 + k);
+    for (var k=0; k<this.gbufferTex.length; ++k)
+        fbo.attachTexture(this.gbufferTex[k], 3 + this.aovTex.length + k);
     /*
     if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE)
     {
@@ -730,16 +2272,119 @@ PathtracerState.prototype.detach = function(fbo)
     var gl = GLU.gl;
     fbo.detachTexture(0);
     fbo.detachTexture(1);
+    fbo.detachTexture(2);
+    for (var k=0; k<this.aovTex.length; ++k)
+        fbo.detachTexture(3 + k);
+    for (var k=0; k<this.gbufferTex.length; ++k)
+        fbo.detachTexture(3 + this.aovTex.length + k);
 }
 
 PathtracerState.prototype.clear = function(fbo)
 {
-    // clear radiance buffer
+    // clear radiance, moments, AOV and G-buffers
     var gl = GLU.gl;
     fbo.bind();
     fbo.drawBuffers(1);
-    fbo.attachTexture(this.radianceTex, 0);
     gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
+    var textures = [this.radianceTex].concat((this.momentsTex != null) ? [this.momentsTex] : [], this.aovTex, this.gbufferTex);
+    for (var k=0; k<textures.length; ++k)
+    {
+        fbo.attachTexture(textures[k], 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
     fbo.unbind();
+}
+
+
+// The photon map traced each frame in 'ppm' mode: the photon positions, directions and powers (each photon written by one texel,
+// with the RNG state ping-ponged between frames, starting from the states given by the seed), and a hash grid of twice as many slots per side, holding for each slot the
+// index of one of its photons and the photon count.
+var PhotonMap = function(mapSize, seed)
+{
+    this.mapSize = mapSize;
+    this.gridSize = 2*mapSize;
+    this.seed = seed;
+    var photonData = new Float32Array(mapSize*mapSize*4);
+    this.positionTex  = new GLU.Texture(mapSize, mapSize, 4, true, false, true, photonData);
+    this.directionTex = new GLU.Texture(mapSize, mapSize, 4, true, false, true, photonData);
+    this.powerTex     = new GLU.Texture(mapSize, mapSize, 4, true, false, true, photonData);
+    this.rngSeedTex = createRngTexture(mapSize, mapSize, seed);
+    this.rngTex = [new GLU.Texture(mapSize, mapSize, 4, true, false, true, photonData),
+                   new GLU.Texture(mapSize, mapSize, 4, true, false, true, photonData)];
+    this.currentRng = 0;
+    var gridData = new Float32Array(this.gridSize*this.gridSize);
+    this.gridIndexTex = new GLU.Texture(this.gridSize, this.gridSize, 1, true, false, true, gridData);
+    this.gridCountTex = new GLU.Texture(this.gridSize, this.gridSize, 1, true, false, true, gridData);
+    this.fbo     = new GLU.RenderTarget();
+    this.gridFbo = new GLU.RenderTarget();
+}
+
+PhotonMap.NUM_TEXTURES = 5; // (the number of texture units needed to bind the photon map)
+
+// Trace the photons with the given photon tracing program (with its uniforms set, and the viewport set to the photon map size).
+// If restart is set, the photons are traced from the seeded RNG states (as for the first frame after a reset).
+PhotonMap.prototype.trace = function(shader, quadVbo, restart)
+{
+    var gl = GLU.gl;
+    var next = 1 - this.currentRng;
+    var rngTex = restart ? this.rngSeedTex : this.rngTex[this.currentRng];
+    rngTex.bind(1);
+    shader.uniformTexture("RngData", rngTex);
+    this.fbo.bind();
+    this.fbo.drawBuffers(4);
+    this.fbo.attachTexture(this.positionTex, 0);
+    this.fbo.attachTexture(this.rngTex[next], 1);
+    this.fbo.attachTexture(this.directionTex, 2);
+    this.fbo.attachTexture(this.powerTex, 3);
+    quadVbo.bind();
+    quadVbo.draw(shader, gl.TRIANGLE_FAN);
+    this.fbo.detachTexture(1); // (as the RNG textures alternate)
+    this.fbo.unbind();
+    this.currentRng = next;
+}
+
+// Build the hash grid with the given photon grid program (with the viewport set to the grid size). The photons are drawn as points
+// into their slots, first keeping the index of the last photon drawn to each slot, which is a uniformly random choice of those in
+// the slot (as the photons are independent), then accumulating the photon counts via additive blending.
+PhotonMap.prototype.buildGrid = function(shader)
+{
+    var gl = GLU.gl;
+    this.positionTex.bind(0);
+    shader.uniformTexture("PhotonPosition", this.positionTex);
+    shader.uniformI("photonMapSize", this.mapSize);
+    shader.uniformI("photonGridSize", this.gridSize);
+    this.gridFbo.bind();
+    this.gridFbo.drawBuffers(1);
+    gl.clearColor(0.0, 0.0, 0.0, 0.0);
+
+    this.gridFbo.attachTexture(this.gridIndexTex, 0);
+    shader.uniformI("countPhotons", 0);
+    gl.drawArrays(gl.POINTS, 0, this.mapSize*this.mapSize);
+
+    this.gridFbo.attachTexture(this.gridCountTex, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    shader.uniformI("countPhotons", 1);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.blendEquation(gl.FUNC_ADD);
+    gl.drawArrays(gl.POINTS, 0, this.mapSize*this.mapSize);
+    gl.disable(gl.BLEND);
+    this.gridFbo.unbind();
+}
+
+PhotonMap.prototype.bind = function(shader, textureUnit)
+{
+    var textures = { PhotonPosition: this.positionTex,
+                     PhotonDirection: this.directionTex,
+                     PhotonPower: this.powerTex,
+                     PhotonGridIndex: this.gridIndexTex,
+                     PhotonGridCount: this.gridCountTex };
+    var k = 0;
+    for (var name in textures)
+    {
+        textures[name].bind(textureUnit + k++);
+        shader.uniformTexture(name, textures[name]);
+    }
+    shader.uniformI("photonMapSize", this.mapSize);
+    shader.uniformI("photonGridSize", this.gridSize);
 }
\ No newline at end of file
@@ -44,7 +44,7 @@ Scene.prototype.init = function(snelly)
     // Renderer settings
     //renderer.width = 1280; // (if either width or height are not specified, render size will be taken from window
     //renderer.height = 720; // and will then auto-resize with the window)
-    renderer.renderMode = 'pt';  // The other modes are: 'ao', 'normals'
+    renderer.renderMode = 'pt';  // The other modes are: 'bdpt', 'ppm', 'ao', 'normals', and the raymarching diagnostics 'marchsteps', 'maxsteps', 'overshoot'
     renderer.maxBounces = 9;
     renderer.maxMarchSteps = 512;
     renderer.radianceClamp = 0.4355179704016914; // (log scale)
@@ -52,10 +52,23 @@ Scene.prototype.init = function(snelly)
     renderer.skyTintUp = [1.0, 1.0, 1.0];
     renderer.skyTintDown = [1.0, 1.0, 1.0];
     renderer.exposure = 4.5;
-    renderer.gamma = 2.2;
-    renderer.whitepoint = 2;
+    renderer.tonemapOperator = 'legacy'; // The other operators are: 'linear', 'reinhard', 'aces', 'agx', 'hable' (see Renderer.TONEMAP_OPERATORS)
+    renderer.gamma = 2.2;        // (of the 'legacy' operator)
+    renderer.whitepoint = 2;     // (of the 'reinhard' and 'hable' operators)
+    //renderer.lutURL = 'grade.cube'; // 3D LUT applied as a final grade
     renderer.goalFPS = 10;
 
+    // Analytic lights (types 'sphere', 'disk', 'rect', 'spot'), see Renderer.addLight
+    //let key = renderer.addLight('rect', 'key');
+    //key.power = 2.0;
+    //key.position = [0.0, 5.0, 5.0];
+    //key.direction = [0.0, -1.0, -1.0];
+
+    // AOVs for relighting ('lights' or 'lobes'), see Renderer.getAOVNames
+    //renderer.aovs = 'lights';
+    //renderer.aovDisplay = 'relit';
+    //renderer.aovGains.sun = 0.5; // (log scale)
+
     // Material settings
     let surface = materials.loadSurface();
     surface.roughness = 0.05;
@@ -92,9 +105,16 @@ this.frame = 0;
 
 /**
 * Optionally, supply an env-map texture URL (must be a lat-long format image).
+* URLs with a .hdr (or .pic) or .pfm extension are loaded as float images, decoded from the Radiance RGBE or PFM
+* format respectively (if loading fails, a warning is logged and the uniform sky is used instead).
 * (If this is function not implemented, or it returns the empty string, a uniform
 * temperature blackbody sky is used).
-* @returns {String}
+* Alternatively, a float (HDR) env-map can be supplied directly as an object `{ width: w, height: h, data: d }`,
+* where `d` is a Float32Array of the linear RGB values of the lat-long image texels (3 floats per texel, in rows
+* ordered from the top of the image down).
+* The env-map is importance sampled according to its luminance (see {@link Renderer}'s `envMapImportanceSampling`).
+* The env-map is not used if the renderer's `skyModel` is set to 'preetham' (an analytic daylight sky).
+* @returns {String|Object}
 */
 Scene.prototype.envMap = function()
 {
@@ -131,6 +151,15 @@ Scene.prototype.getURL = function() { return "https://github.com/portsmouth/snel
 *```
 * Only the SDFs which are defined will be rendered.
 *
+* Any number of additional named objects, each with its own SDF function and material instance, can be declared
+* in {@link Scene#init} via {@link Materials#addObject}, e.g.
+*```js
+*      let floor = materials.addObject('floor', 'SDF_FLOOR', 'surface'); // SDF_FLOOR defined in this shader code
+*      floor.diffuseAlbedo = [0.8, 0.1, 0.1];
+*```
+* The SDF_SURFACE, SDF_METAL and SDF_DIELECTRIC functions are then optional.
+* (The material modulating functions below apply to all the objects of the corresponding material type.)
+*
 * Optionally, any of the following functions defining the spatial dependence of material reflectances and roughnesses can be defined.
 * The UI-exposed reflectance or roughness is supplied, and can be modified arbitrarily based on the supplied data of the primary ray hit point
 * (and/or any other computed shader variables). The arguments to these functions are as follows:
@@ -158,6 +187,9 @@ Scene.prototype.getURL = function() { return "https://github.com/portsmouth/snel
         // return world space surface displacement, given local tangent frame vectors
         vec3 SURFACE_DISPLACEMENT(in vec3 X, in vec3 N, in vec3 T, in vec3 B);
 
+        // return surface emitted radiance (defaults to just return the input UI emission_ui, i.e. the Surface emission color times power)
+        vec3 SURFACE_EMISSION(in vec3 emission_ui, in vec3 X, in vec3 N, in vec3 V);
+
         // return metal roughness in [0,1] (defaults to just return the input UI constant roughness_ui)
         float METAL_ROUGHNESS(in float roughness_ui, in vec3 X, in vec3 N);
 
@@ -185,11 +217,34 @@ Scene.prototype.getURL = function() { return "https://github.com/portsmouth/snel
         // Volumetric emission field
         vec3 VOLUME_EMISSION(in vec3 emission_ui, in vec3 X);
 *```
+* If SDF_VOLUME is defined, its interior (i.e. where SDF_VOLUME(X) < 0) is filled with a heterogeneous participating medium,
+* whose properties are given by the {@link Volume} material, modulated by the following functions (with the same defaults as above).
+* The scattering and absorption coefficients are the extinction multiplied by the scattering and absorption colors respectively.
+* The medium is rendered via delta tracking, with majorant given by VOLUME_EXTINCTION_MAX, which *must* bound
+* VOLUME_EXTINCTION everywhere (and the color functions should not exceed the UI colors), otherwise the render will be biased.
+* Inside the volume, the emission is scaled by the absorption coefficient.
+*```glsl
+        // return the grey extinction coefficient (in inverse world units) at X
+        float VOLUME_EXTINCTION(float extinction_ui, vec3 X);
+
+        // return an upper bound on VOLUME_EXTINCTION over the whole volume
+        float VOLUME_EXTINCTION_MAX(float extinction_ui);
+
+        // return the scattering and absorption colors at X
+        vec3 VOLUME_SCATTERING_COLOR(vec3 scattering_color_ui, vec3 X);
+        vec3 VOLUME_ABSORPTION_COLOR(vec3 absorption_color_ui, vec3 X);
+
+        // return the phase function anisotropy in [-1,1] at X
+        float VOLUME_ANISOTROPY(float anisotropy_ui, vec3 X);
+*```
 *Optionally, an init function can also be provided, which will be called first by each primary ray. 
 *This is occasionally useful to prepare global variables for use during the succeeding computation for this pixel.
 *```glsl
     void INIT();
 *```
+* For motion blur, the SDF and material functions may read the global float TIME, the scene time of the current path, which is
+* sampled uniformly between camera.shutterOpen and camera.shutterClose (see {@link Snelly#getCamera}). TIME is set to camera.shutterOpen
+* when INIT is called, so anything depending on TIME should be computed in the SDF and material functions rather than in INIT.
 * @returns {String}
 */
 Scene.prototype.shader = function()
@@ -281,6 +336,8 @@ Scene.prototype.getMaxLengthScale = function()
  * Optional callback before every frame.
  * Animation rendering logic can be implemented here by updating the scene 
  * programmatically according to the global time since init.
+ * To render motion blur, set camera.shutterOpen and camera.shutterClose to the scene times over which the frame is exposed
+ * (animating the objects in the shader via TIME), and give the camera pose at shutter close via {@link Snelly#setCameraMotion}.
  * @param {Snelly} snelly - The Snelly object
  * @param {WebGLRenderingContext} gl - The webGL context
  */
@@ -346,6 +403,9 @@ Scene.prototype.preframeCallback = function(snelly, gl)
     let dielectric = materials.getDielectric();
     dielectric.roughness = 0.1*Math.pow(Math.abs(Math.sin(phase)), 5.0);
 
+    // animate the sun (a time-of-day sweep from sunrise to sunset, if renderer.sunFromLocation is set)
+    renderer.sunTime = 5.0 + 16.0*time/period;
+
     // Advance scene state to next anim frame, if we just exported a rendered frame
     if (this.advanceFrame)
     {	
@@ -7,8 +7,6 @@ uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
 uniform sampler2D WavelengthToXYZ;  // 2
 uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4 (for metals)
-uniform sampler2D kTex;             // 5 (for metals)
 uniform sampler2D envMap;           // 6
 in vec2 vTexCoord;
 
@@ -17,6 +15,7 @@ layout(location = 1) out vec4 gbuf_rng;
 
 // Camera parameters
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
@@ -25,6 +24,24 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 // Rendering  parameters
 uniform float radianceClamp;
@@ -36,8 +53,8 @@ uniform bool maxStepsIsMiss;
 uniform float minLengthScale;
 uniform float maxLengthScale;
 
-// Surface material parameters
-uniform vec3 surfaceDiffuseAlbedoRGB;
+// Surface material parameters (indexed by material instance)
+uniform vec3 surfaceDiffuseAlbedoRGB[__NUM_SURFACES__];
 
 // Sky parameters
 uniform bool haveEnvMap;
@@ -64,6 +81,8 @@ uniform bool sunVisibleDirectly;
 #define THROUGHPUT_EPSILON 1.0e-5
 #define RADIANCE_EPSILON 1.0e-5
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
@@ -95,6 +114,8 @@ __DEFINES__
 
 __SHADER__
 
+__OBJECTS__
+
 ///////////////////////////////////////////////////////////////////////////////////
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
@@ -104,19 +125,8 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
                    inout vec3 hit, inout int material)
 {
     float minMarchDist = minLengthScale;
-
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-    float sdf_metal = abs(SDF_METAL(start));      sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-    float sdf_diele = abs(SDF_DIELECTRIC(start)); sdf = min(sdf, sdf_diele);
-#endif
-
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
     float t = 0.0;
     int iters=0;
@@ -127,16 +137,8 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
         t += InitialSign * sdf;
         if (t>=maxDist) break;
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarchDist) { material = MAT_SURFA; break; } sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-        sdf_metal = abs(SDF_METAL(pW));      if (sdf_metal<minMarchDist) { material = MAT_METAL; break; } sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-        sdf_diele = abs(SDF_DIELECTRIC(pW)); if (sdf_diele<minMarchDist) { material = MAT_DIELE; break; } sdf = min(sdf, sdf_diele); 
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (sdf<minMarchDist) { material = closest; break; }
         iters++;
     }
     hit = start + t*dir;
@@ -169,16 +171,10 @@ vec3 normal(in vec3 pW, int material)
     vec3 xyyp = pW+e.xyy; vec3 xyyn = pW-e.xyy;
     vec3 yxyp = pW+e.yxy; vec3 yxyn = pW-e.yxy;
     vec3 yyxp = pW+e.yyx; vec3 yyxn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(xyyp) -    SDF_SURFACE(xyyn),    SDF_SURFACE(yxyp) -    SDF_SURFACE(yxyn),    SDF_SURFACE(yyxp) -    SDF_SURFACE(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_METAL
-    if (material==MAT_METAL) { N = vec3(     SDF_METAL(xyyp) -      SDF_METAL(xyyn),      SDF_METAL(yxyp) -      SDF_METAL(yxyn),      SDF_METAL(yyxp) -      SDF_METAL(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { N = vec3(SDF_DIELECTRIC(xyyp) - SDF_DIELECTRIC(xyyn), SDF_DIELECTRIC(yxyp) - SDF_DIELECTRIC(yxyn), SDF_DIELECTRIC(yyxp) - SDF_DIELECTRIC(yyxn)); return normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(xyyp, material) - materialSDF(xyyn, material),
+                  materialSDF(yxyp, material) - materialSDF(yxyn, material),
+                  materialSDF(yyxp, material) - materialSDF(yyxn, material));
+    return normalize(N);
 }
 
 /////////////////////////////////////////////////////////////////////////
@@ -264,16 +260,18 @@ vec3 sampleHemisphereCosineWeighted(inout vec4 rnd, inout float pdf)
     return vec3(x, y, z);
 }
 
-vec3 SURFACE_DIFFUSE_REFL_RGB(in vec3 X, in vec3 nW, in vec3 woW)
+vec3 SURFACE_DIFFUSE_REFL_RGB(in vec3 X, in vec3 nW, in vec3 woW, int material)
 {
-    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB, X, nW, woW);
+    // (non-surface materials are shaded with the albedo of the default surface)
+    int index = (materialType(material)==MAT_SURFA) ? materialIndex(material) : 0;
+    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[index], X, nW, woW);
     return reflRGB;
 }
 
 #ifdef HAS_SURFACE_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
-    if (material==MAT_SURFA)
+    if (materialType(material)==MAT_SURFA)
     {
         vec3 nL = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL), basis);
@@ -373,9 +371,135 @@ vec3 sampleSunAtSurface(in Basis basis, inout vec4 rnd,
 // Ambient occlusion integrator
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
                          inout vec3 primaryStart, inout vec3 primaryDir)
 {
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
     // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
     float fh = tan(0.5*radians(camFovy)); // frustum height
@@ -385,14 +509,14 @@ void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
     if (camAperture<=0.0)
     {
         primaryStart = camPos;
-        return;
+        return true;
     }
     vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI * rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
     primaryStart = lensPos;
     primaryDir = normalize(focalPlaneHit - lensPos);
+    return true;
 }
 
 void main()
@@ -414,20 +538,25 @@ void main()
     // Setup sun basis
     sunBasis = makeBasis(sunDir);
 
+    TIME = shutterOpen;
     INIT();
 
-    vec2 pixel = gl_FragCoord.xy;
+    vec2 pixel = gl_FragCoord.xy + tileOffset;
     vec3 RGB = vec3(0.0);
     for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
     {
         // Jitter over pixel
         vec2 pixelj = pixel + (-0.5 + vec2(rand(rnd), rand(rnd)));
+        float shutterU = sampleShutter(rnd);
         vec3 primaryStart, primaryDir;
+        bool inView = true;
 #ifdef HAS_CUSTOM_CAMERA
         CONSTRUCT_PRIMARY_RAY(pixelj, rnd, primaryStart, primaryDir);
 #else
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        inView = constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
 #endif
+        if (!inView) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
 
         // Raycast to first hit point
         vec3 pW;
@@ -445,7 +574,7 @@ void main()
 #endif
 
             // Compute diffuse BSDF
-            vec3 f = SURFACE_DIFFUSE_REFL_RGB(pW, nW, woW) / M_PI;
+            vec3 f = SURFACE_DIFFUSE_REFL_RGB(pW, nW, woW, hitMaterial) / M_PI;
 
             // Compute direct lighting
             vec3 Ldirect = vec3(0.0);
@@ -506,56 +635,327 @@ void main()
 }
 `,
 
-'normals-fragment-shader': `#version 300 es
+'composite-fragment-shader': `#version 300 es
+precision highp float;
+
+// Relights the total radiance by rescaling its AOV components, i.e. computes
+//   Radiance + sum_k (aovGain[k] - 1) * AOV_k
+// (so any radiance not in an AOV is unchanged). Unused AOVs must have unit gain.
+uniform sampler2D Radiance;
+uniform sampler2D AOV0;
+uniform sampler2D AOV1;
+uniform sampler2D AOV2;
+uniform sampler2D AOV3;
+uniform sampler2D AOV4;
+uniform float aovGain[5];
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+void main()
+{
+    vec4 L = texture(Radiance, vTexCoord);
+    vec3 XYZ = L.rgb;
+    XYZ += (aovGain[0] - 1.0) * texture(AOV0, vTexCoord).rgb;
+    XYZ += (aovGain[1] - 1.0) * texture(AOV1, vTexCoord).rgb;
+    XYZ += (aovGain[2] - 1.0) * texture(AOV2, vTexCoord).rgb;
+    XYZ += (aovGain[3] - 1.0) * texture(AOV3, vTexCoord).rgb;
+    XYZ += (aovGain[4] - 1.0) * texture(AOV4, vTexCoord).rgb;
+    g_outputColor = vec4(XYZ, L.w);
+}
+`,
+
+'composite-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'denoise-fragment-shader': `#version 300 es
+precision highp float;
+
+// One iteration of the edge-avoiding a-trous wavelet filter (Dammertz et al., "Edge-Avoiding A-Trous Wavelet Transform
+// for fast Global Illumination Filtering", 2010), with the luminance edge-stopping function scaled by the estimated standard
+// deviation of the pixel luminance, which is filtered along with the color (as in Schied et al., "Spatiotemporal
+// Variance-Guided Filtering", 2017). The taps of the 5x5 B3-spline kernel are spaced by stepWidth pixels, and weighted
+// according to the differences of the first-hit albedo, normal and depth (read from the G-buffers).
+uniform sampler2D Color;            // (XYZ to filter, with w the luminance variance, except in the first pass)
+uniform sampler2D Radiance;         // (the accumulated radiance and its moments, from which the luminance variance is estimated in the first pass)
+uniform sampler2D RadianceMoments;
+uniform bool colorIsRadiance;       // (whether Color is the accumulated radiance, else an AOV or their composite, whose variance is estimated spatially)
+uniform sampler2D GBufferAlbedo;
+uniform sampler2D GBufferNormalDepth;
+uniform bool firstPass;
+uniform int stepWidth;
+uniform float strength;             // (scale of the luminance edge-stopping function, in standard deviations)
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+// Variance of the pixel luminance mean, from the accumulated radiance L and its moments M
+float luminanceVariance(in vec4 L, in vec4 M)
+{
+    float N = L.w;
+    if (N < 2.0) return 1.0e6;
+    return max(0.0, M.g - L.g*L.g) / (N - 1.0);
+}
+
+// Variance of the pixel luminance, estimated from the luminance of the 3x3 neighborhood of the pixel in Color
+// (for the buffers which have no moments, i.e. the AOVs and their composite)
+float spatialLuminanceVariance(in ivec2 p, in ivec2 size)
+{
+    float sum = 0.0;
+    float sum2 = 0.0;
+    for (int j=-1; j<=1; ++j)
+    {
+        for (int i=-1; i<=1; ++i)
+        {
+            float Y = texelFetch(Color, clamp(p + ivec2(i, j), ivec2(0), size - 1), 0).g;
+            sum += Y;
+            sum2 += Y*Y;
+        }
+    }
+    float mean = sum / 9.0;
+    return max(0.0, sum2/9.0 - mean*mean);
+}
+
+vec4 colorAndVariance(in ivec2 p, in ivec2 size)
+{
+    vec4 C = texelFetch(Color, p, 0);
+    if (firstPass) C.w = colorIsRadiance ? luminanceVariance(texelFetch(Radiance, p, 0), texelFetch(RadianceMoments, p, 0))
+                                         : spatialLuminanceVariance(p, size);
+    return C;
+}
+
+void main()
+{
+    const float kernel[3] = float[3](3.0/8.0, 1.0/4.0, 1.0/16.0);
+    ivec2 size = textureSize(Color, 0);
+    ivec2 p = ivec2(gl_FragCoord.xy);
+
+    vec4 Cp = colorAndVariance(p, size);
+    vec3 Ap = texelFetch(GBufferAlbedo, p, 0).rgb;
+    vec4 NDp = texelFetch(GBufferNormalDepth, p, 0);
+    vec3 Np = normalize(NDp.xyz + vec3(0.0, 0.0, 1.0e-6));
+    float sigmaL = strength * sqrt(Cp.w) + 1.0e-6;
+    float sigmaZ = 0.02 * float(stepWidth) * max(abs(NDp.w), 1.0e-6);
+
+    vec3 sumC = vec3(0.0);
+    float sumVar = 0.0;
+    float sumW = 0.0;
+    for (int j=-2; j<=2; ++j)
+    {
+        for (int i=-2; i<=2; ++i)
+        {
+            ivec2 q = p + stepWidth*ivec2(i, j);
+            if (q.x < 0 || q.y < 0 || q.x >= size.x || q.y >= size.y) continue;
+            vec4 Cq = colorAndVariance(q, size);
+            vec3 Aq = texelFetch(GBufferAlbedo, q, 0).rgb;
+            vec4 NDq = texelFetch(GBufferNormalDepth, q, 0);
+            vec3 Nq = normalize(NDq.xyz + vec3(0.0, 0.0, 1.0e-6));
+            float wL = abs(Cp.g - Cq.g) / sigmaL;
+            float wZ = abs(NDp.w - NDq.w) / sigmaZ;
+            vec3 dA = Ap - Aq;
+            float wA = dot(dA, dA) / 0.01;
+            float wN = pow(max(0.0, dot(Np, Nq)), 128.0);
+            float w = kernel[abs(i)] * kernel[abs(j)] * wN * exp(-wL - wZ - wA);
+            sumC += w * Cq.rgb;
+            sumVar += w * w * Cq.w;
+            sumW += w;
+        }
+    }
+    // (the center tap has unit edge-stopping weight, so sumW > 0)
+    g_outputColor = vec4(sumC / sumW, sumVar / (sumW*sumW));
+}
+`,
+
+'denoise-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'errorview-fragment-shader': `#version 300 es
+precision highp float;
+
+// Displays the per-pixel relative error estimate of the accumulated radiance as a heat map, on a log scale relative to the
+// noise threshold: from blue (a quarter of the threshold or less), through green (at the threshold), to red (four times the threshold or more).
+// Pixels which have not yet taken the minimum number of samples for adaptive sampling are darkened.
+uniform sampler2D Radiance;
+uniform sampler2D RadianceMoments;
+uniform float noiseThreshold;
+uniform float minSamples;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+float relativeError(in vec4 L, in vec4 M)
+{
+    float N = L.w;
+    if (N < 2.0) return 1.0e6;
+    float variance = max(0.0, M.g - L.g*L.g) * N/(N - 1.0);
+    return sqrt(variance/N) / max(L.g, 1.0e-4);
+}
+
+void main()
+{
+    vec4 L = texture(Radiance, vTexCoord);
+    vec4 M = texture(RadianceMoments, vTexCoord);
+    float e = relativeError(L, M) / max(noiseThreshold, 1.0e-6);
+    float t = clamp(0.5 + 0.25*log2(max(e, 1.0e-6)), 0.0, 1.0);
+    vec3 C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                     : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    if (L.w < minSamples) C *= 0.5;
+    g_outputColor = vec4(C, 1.0);
+}
+`,
+
+'errorview-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'gbufferview-fragment-shader': `#version 300 es
+precision highp float;
+
+// Displays a G-buffer as a color image, according to mode (the index of the G-buffer in Renderer.GBUFFER_LAYOUT):
+//   0: albedo (gamma corrected)
+//   1: material id (a distinct hue per scene object, black for misses)
+//   2: normal (mapped from [-1, 1] to [0, 1])
+//   3: depth (from white at the camera, falling to half brightness at the scene scale)
+//   4: position (mapped from [-sceneScale, sceneScale] to [0, 1])
+//   5: march step count (a heat map from blue, at no steps, through green, to red at maxMarchSteps)
+uniform sampler2D GBuffer;
+uniform int mode;
+uniform float sceneScale;
+uniform float maxMarchSteps;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+vec3 hsv2rgb(vec3 c)
+{
+    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+}
+
+void main()
+{
+    vec4 G = texture(GBuffer, vTexCoord);
+    vec3 C;
+    if (mode == 0)
+        C = pow(max(G.rgb, vec3(0.0)), vec3(1.0/2.2));
+    else if (mode == 1)
+        C = (G.w < 0.0) ? vec3(0.0) : hsv2rgb(vec3(fract(0.618034*G.w), 0.7, 1.0));
+    else if (mode == 2)
+        C = 0.5 + 0.5*G.xyz;
+    else if (mode == 3)
+        C = vec3(sceneScale / (sceneScale + max(G.w, 0.0)));
+    else if (mode == 4)
+        C = 0.5 + 0.5*clamp(G.xyz/sceneScale, -1.0, 1.0);
+    else
+    {
+        float t = clamp(G.w/maxMarchSteps, 0.0, 1.0);
+        C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                    : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    }
+    g_outputColor = vec4(C, 1.0);
+}
+`,
+
+'gbufferview-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'marchdebug-fragment-shader': `#version 300 es
 precision highp float;
 
+// Raymarching diagnostics (for the 'marchsteps', 'maxsteps' and 'overshoot' render modes), which march the primary rays exactly as the
+// pathtracer does, and accumulate per pixel:
+//   x: the mean number of march steps taken
+//   y: the fraction of rays which took __MAX_MARCH_STEPS__ steps without hitting a surface or leaving the scene
+//   z: the maximum rate at which the SDF decreased per unit distance marched (which exceeds 1 wherever the SDF is not a true distance bound,
+//      so that steps may overshoot the surface)
+// These are drawn as a color image by the marchview program.
 uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
-uniform sampler2D WavelengthToXYZ;  // 2
-uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4 (for metals)
-uniform sampler2D kTex;             // 5 (for metals)
-uniform sampler2D envMap;           // 6
 in vec2 vTexCoord;
 
 layout(location = 0) out vec4 gbuf_rad;
 layout(location = 1) out vec4 gbuf_rng;
 
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
 uniform vec3 camY;
-uniform float camFovy; // degrees 
+uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 uniform float minLengthScale;
 uniform float maxLengthScale;
-uniform float skyPower;
-uniform bool haveEnvMap;
-uniform bool envMapVisible;
-uniform float envMapRotation;
-uniform float radianceClamp;
-uniform float skipProbability;
-uniform float shadowStrength;
-uniform bool maxStepsIsMiss;
-
-uniform float metalRoughness;
-uniform vec3 metalSpecAlbedoXYZ;
-uniform float dieleRoughness;
-uniform vec3 dieleAbsorptionRGB;
-uniform vec3 dieleSpecAlbedoXYZ;
-uniform vec3 surfaceDiffuseAlbedoXYZ;
-uniform vec3 surfaceSpecAlbedoXYZ;
-uniform float surfaceRoughness;
-uniform float surfaceIor;
-
-#define DENOM_TOLERANCE 1.0e-7
-#define PDF_EPSILON 1.0e-6
-#define THROUGHPUT_EPSILON 1.0e-5
+uniform float marchOverRelaxation;
+uniform float marchFootprint;
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
@@ -571,69 +971,470 @@ __DEFINES__
 
 __SHADER__
 
+__OBJECTS__
+
 ///////////////////////////////////////////////////////////////////////////////////
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
 
-// find first hit over specified segment
-bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
-                   inout vec3 hit, inout int material)
+struct MarchStats
 {
-    float minMarchDist = minLengthScale;
-
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-    float sdf_metal = abs(SDF_METAL(start));      sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-    float sdf_diele = abs(SDF_DIELECTRIC(start)); sdf = min(sdf, sdf_diele);
-#endif
+    int steps;          // the number of march steps taken
+    bool exhausted;     // whether the march ended by taking __MAX_MARCH_STEPS__ steps
+    float maxDecrease;  // the maximum decrease in the SDF per unit distance over a step
+};
 
+// March along the specified ray as the pathtracer traceRay does (i.e. with the same over-relaxation and hit threshold),
+// recording the march statistics
+MarchStats marchRay(in vec3 start, in vec3 dir, float maxMarchDist)
+{
+    MarchStats stats;
+    stats.steps = 0;
+    stats.exhausted = false;
+    stats.maxDecrease = 0.0;
+    float minMarch = minLengthScale;
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
-    float t = 0.0;
-    int iters=0;
+    float t = InitialSign * sdf; // (always take the first step along the ray direction)
+    if (abs(t)>=maxMarchDist) return stats;
+    float omega = marchOverRelaxation;
+    float prevSdf = abs(sdf);    // (the SDF at the start of the most recent step)
+    float stepLength = abs(sdf); // (the length of the most recent step)
     for (int n=0; n<__MAX_MARCH_STEPS__; n++)
     {
-        // With this formula, the ray advances whether sdf is initially negative or positive --
-        // but on crossing the zero isosurface, sdf flips allowing bracketing of the root.
-        t += InitialSign * sdf;
-        if (t>=maxDist) break;
+        stats.steps = n+1;
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarchDist) { material = MAT_SURFA; break; } sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-        sdf_metal = abs(SDF_METAL(pW));      if (sdf_metal<minMarchDist) { material = MAT_METAL; break; } sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-        sdf_diele = abs(SDF_DIELECTRIC(pW)); if (sdf_diele<minMarchDist) { material = MAT_DIELE; break; } sdf = min(sdf, sdf_diele); 
-#endif
-        iters++;
+        sdf = sceneSDF(pW, closest);
+        // A true distance bound can decrease by at most the distance marched
+        if (stepLength > 0.0) stats.maxDecrease = max(stats.maxDecrease, (prevSdf - InitialSign*sdf)/stepLength);
+        if (omega > 1.0 && abs(sdf) + prevSdf < stepLength)
+        {
+            t -= InitialSign * (stepLength - prevSdf);
+            stepLength = prevSdf;
+            omega = 1.0;
+            continue;
+        }
+        if (sdf<max(minMarch, marchFootprint*abs(t))) return stats;
+        prevSdf = abs(sdf);
+        stepLength = omega * abs(sdf);
+        t += InitialSign * omega * sdf;
+        if (abs(t)>=maxMarchDist) return stats;
     }
-    hit = start + t*dir;
-    if (t>=maxDist) return false;
-    if (maxStepsIsMiss && iters>=__MAX_MARCH_STEPS__) return false;
-    return true;
+    stats.exhausted = true;
+    return stats;
 }
 
-// find first hit along infinite ray
-bool traceRay(in vec3 start, in vec3 dir, 
-              inout vec3 hit, inout int material, float maxMarchDist)
-{
-    material = MAT_INVAL;
-    return traceDistance(start, dir, maxMarchDist, hit, material);
-}
-
-// (whether occluded along infinite ray)
-bool Occluded(in vec3 start, in vec3 dir)
+/// GLSL floating point pseudorandom number generator, from
+/// "Implementing a Photorealistic Rendering System using GLSL", Toshiya Hachisuka
+/// http://arxiv.org/pdf/1505.06022.pdf
+float rand(inout vec4 rnd)
 {
-    float eps = 3.0*minLengthScale;
-    vec3 delta = eps * dir;
+    const vec4 q = vec4(   1225.0,    1585.0,    2457.0,    2098.0);
+    const vec4 r = vec4(   1112.0,     367.0,      92.0,     265.0);
+    const vec4 a = vec4(   3423.0,    2646.0,    1707.0,    1999.0);
+    const vec4 m = vec4(4194287.0, 4194277.0, 4194191.0, 4194167.0);
+    vec4 beta = floor(rnd/q);
+    vec4 p = a*(rnd - beta*q) - beta*r;
+    beta = (1.0 - sign(p))*0.5*m;
+    rnd = p + beta;
+    return fract(dot(rnd/m, vec4(1.0, -1.0, 1.0, -1.0)));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// March diagnostics integrator
+////////////////////////////////////////////////////////////////////////////////
+
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+                         inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
+    // Compute world ray direction for given (possibly jittered) fragment
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    float fh = tan(0.5*radians(camFovy)); // frustum height
+    float fw = camAspect*fh;
+    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
+    primaryDir = normalize(camDir + s);
+    if (camAperture<=0.0)
+    {
+        primaryStart = camPos;
+        return true;
+    }
+    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
+    primaryStart = lensPos;
+    primaryDir = normalize(focalPlaneHit - lensPos);
+    return true;
+}
+
+void main()
+{
+    TIME = shutterOpen;
+    INIT();
+
+    vec4 rnd = texture(RngData, vTexCoord);
+    vec2 pixel = gl_FragCoord.xy + tileOffset;
+
+    float steps = 0.0;
+    float exhausted = 0.0;
+    float maxDecrease = 0.0;
+    for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
+    {
+        // Jitter over pixel
+        vec2 pixelj = pixel + (-0.5 + vec2(rand(rnd), rand(rnd)));
+        float shutterU = sampleShutter(rnd);
+        vec3 primaryStart, primaryDir;
+        if (!constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir)) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
+        MarchStats stats = marchRay(primaryStart, primaryDir, maxLengthScale);
+        steps += float(stats.steps);
+        exhausted += stats.exhausted ? 1.0 : 0.0;
+        maxDecrease = max(maxDecrease, stats.maxDecrease);
+    }
+    steps /= float(__MAX_SAMPLES_PER_FRAME__);
+    exhausted /= float(__MAX_SAMPLES_PER_FRAME__);
+
+    // Write the updated statistics and sample count (averaging the step count and exhausted fraction, but keeping the maximum decrease rate)
+    vec4 oldS = texture(Radiance, vTexCoord);
+    float oldN = oldS.w;
+    float newN = oldN + 1.0;
+    vec2 newS = (oldN*oldS.xy + vec2(steps, exhausted)) / newN;
+
+    gbuf_rad = vec4(newS, max(oldS.z, maxDecrease), newN);
+    gbuf_rng = rnd;
+}
+`,
+
+'marchdebug-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'marchview-fragment-shader': `#version 300 es
+precision highp float;
+
+// Displays the raymarching diagnostics accumulated by the marchdebug program, according to mode:
+//   0 ('marchsteps'): a heat map of the mean march step count, from blue (at no steps) through green, to red (at maxMarchSteps)
+//   1 ('maxsteps'):   the step count in grey, with the pixels where rays took maxMarchSteps steps highlighted in magenta (in proportion to their fraction)
+//   2 ('overshoot'):  the step count in grey, with the pixels where the SDF decreased faster than the distance marched (i.e. is not a true distance bound)
+//                     highlighted from yellow, through orange (where it decreased twice as fast), to red (four or more times as fast)
+uniform sampler2D Radiance;
+uniform int mode;
+uniform float maxMarchSteps;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+#define LIPSCHITZ_TOLERANCE 1.0e-2
+
+void main()
+{
+    vec4 S = texture(Radiance, vTexCoord);
+    float t = clamp(S.x/maxMarchSteps, 0.0, 1.0);
+    vec3 C;
+    if (mode == 0)
+    {
+        C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                    : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    }
+    else
+    {
+        C = vec3(0.2 + 0.6*sqrt(t));
+        if (mode == 1)
+        {
+            if (S.y > 0.0) C = mix(C, vec3(1.0, 0.0, 1.0), 0.5 + 0.5*S.y);
+        }
+        else if (S.z > 1.0 + LIPSCHITZ_TOLERANCE)
+        {
+            float e = clamp(0.5*log2(S.z), 0.0, 1.0);
+            C = mix(vec3(1.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), e);
+        }
+    }
+    g_outputColor = vec4(C, 1.0);
+}
+`,
+
+'marchview-vertex-shader': `#version 300 es
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
+`,
+
+'normals-fragment-shader': `#version 300 es
+precision highp float;
+
+uniform sampler2D Radiance;         // 0 (IO buffer)
+uniform sampler2D RngData;          // 1 (IO buffer)
+uniform sampler2D WavelengthToXYZ;  // 2
+uniform sampler2D ICDF;             // 3
+uniform sampler2D envMap;           // 6
+in vec2 vTexCoord;
+
+layout(location = 0) out vec4 gbuf_rad;
+layout(location = 1) out vec4 gbuf_rng;
+
+uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
+uniform vec3 camPos;
+uniform vec3 camDir;
+uniform vec3 camX;
+uniform vec3 camY;
+uniform float camFovy; // degrees 
+uniform float camAspect;
+uniform float camAperture;
+uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
+
+uniform float minLengthScale;
+uniform float maxLengthScale;
+uniform float skyPower;
+uniform bool haveEnvMap;
+uniform bool envMapVisible;
+uniform float envMapRotation;
+uniform float radianceClamp;
+uniform float skipProbability;
+uniform float shadowStrength;
+uniform bool maxStepsIsMiss;
+
+uniform float metalRoughness;
+uniform vec3 metalSpecAlbedoXYZ;
+uniform float dieleRoughness;
+uniform vec3 dieleAbsorptionRGB;
+uniform vec3 dieleSpecAlbedoXYZ;
+uniform vec3 surfaceDiffuseAlbedoXYZ;
+uniform vec3 surfaceSpecAlbedoXYZ;
+uniform float surfaceRoughness;
+uniform float surfaceIor;
+
+#define DENOM_TOLERANCE 1.0e-7
+#define PDF_EPSILON 1.0e-6
+#define THROUGHPUT_EPSILON 1.0e-5
+
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
+#define MAT_INVAL  -1
+#define MAT_DIELE  0
+#define MAT_METAL  1
+#define MAT_SURFA  2
+
+#define M_PI 3.1415926535897932384626433832795
+
+//////////////////////////////////////////////////////////////
+// Dynamically injected code
+//////////////////////////////////////////////////////////////
+
+__DEFINES__
+
+__SHADER__
+
+__OBJECTS__
+
+///////////////////////////////////////////////////////////////////////////////////
+// SDF raymarcher
+///////////////////////////////////////////////////////////////////////////////////
+
+// find first hit over specified segment
+bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
+                   inout vec3 hit, inout int material)
+{
+    float minMarchDist = minLengthScale;
+
+    int closest;
+    float sdf = sceneSDF(start, closest);
+    float InitialSign = sign(sdf);
+    float t = 0.0;
+    int iters=0;
+    for (int n=0; n<__MAX_MARCH_STEPS__; n++)
+    {
+        // With this formula, the ray advances whether sdf is initially negative or positive --
+        // but on crossing the zero isosurface, sdf flips allowing bracketing of the root.
+        t += InitialSign * sdf;
+        if (t>=maxDist) break;
+        vec3 pW = start + t*dir;
+        sdf = sceneSDF(pW, closest);
+        if (sdf<minMarchDist) { material = closest; break; }
+        iters++;
+    }
+    hit = start + t*dir;
+    if (t>=maxDist) return false;
+    if (maxStepsIsMiss && iters>=__MAX_MARCH_STEPS__) return false;
+    return true;
+}
+
+// find first hit along infinite ray
+bool traceRay(in vec3 start, in vec3 dir, 
+              inout vec3 hit, inout int material, float maxMarchDist)
+{
+    material = MAT_INVAL;
+    return traceDistance(start, dir, maxMarchDist, hit, material);
+}
+
+// (whether occluded along infinite ray)
+bool Occluded(in vec3 start, in vec3 dir)
+{
+    float eps = 3.0*minLengthScale;
+    vec3 delta = eps * dir;
     int material;
     vec3 hit;
     return traceRay(start+delta, dir, hit, material, maxLengthScale);
@@ -647,16 +1448,10 @@ vec3 normal(in vec3 pW, int material)
     vec3 xyyp = pW+e.xyy; vec3 xyyn = pW-e.xyy;
     vec3 yxyp = pW+e.yxy; vec3 yxyn = pW-e.yxy;
     vec3 yyxp = pW+e.yyx; vec3 yyxn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(xyyp) -    SDF_SURFACE(xyyn),    SDF_SURFACE(yxyp) -    SDF_SURFACE(yxyn),    SDF_SURFACE(yyxp) -    SDF_SURFACE(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_METAL
-    if (material==MAT_METAL) { N = vec3(     SDF_METAL(xyyp) -      SDF_METAL(xyyn),      SDF_METAL(yxyp) -      SDF_METAL(yxyn),      SDF_METAL(yyxp) -      SDF_METAL(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { N = vec3(SDF_DIELECTRIC(xyyp) - SDF_DIELECTRIC(xyyn), SDF_DIELECTRIC(yxyp) - SDF_DIELECTRIC(yxyn), SDF_DIELECTRIC(yyxp) - SDF_DIELECTRIC(yyxn)); return normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(xyyp, material) - materialSDF(xyyn, material),
+                  materialSDF(yxyp, material) - materialSDF(yxyn, material),
+                  materialSDF(yyxp, material) - materialSDF(yyxn, material));
+    return normalize(N);
 }
 
 /////////////////////////////////////////////////////////////////////////
@@ -768,7 +1563,7 @@ vec3 environmentRadianceXYZ(in vec3 dir)
 #ifdef HAS_SURFACE_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
-    if (material==MAT_SURFA)
+    if (materialType(material)==MAT_SURFA)
     {
         vec3 nL_perturbed = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
@@ -777,42 +1572,171 @@ vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 }
 #endif
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd, 
-                         inout vec3 primaryStart, inout vec3 primaryDir)
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
 {
-    // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
-    float fh = tan(0.5*radians(camFovy)); // frustum height
-    float fw = camAspect*fh;
-    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
-    primaryDir = normalize(camDir + s);
-    if (camAperture<=0.0) 
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
     {
-        primaryStart = camPos;
-        return;
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
     }
-    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI * rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
-    primaryStart = lensPos;
-    primaryDir = normalize(focalPlaneHit - lensPos);
-}
 
-void main()
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd, 
+                         inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
+    // Compute world ray direction for given (possibly jittered) fragment
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    float fh = tan(0.5*radians(camFovy)); // frustum height
+    float fw = camAspect*fh;
+    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
+    primaryDir = normalize(camDir + s);
+    if (camAperture<=0.0) 
+    {
+        primaryStart = camPos;
+        return true;
+    }
+    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
+    primaryStart = lensPos;
+    primaryDir = normalize(focalPlaneHit - lensPos);
+    return true;
+}
+
+void main()
 {
+    TIME = shutterOpen;
     INIT();
 
     vec4 rnd = texture(RngData, vTexCoord);
-    vec2 pixel = gl_FragCoord.xy;
+    vec2 pixel = gl_FragCoord.xy + tileOffset;
 
     vec3 colorXYZ = vec3(0.0);
     for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
     {
         // Jitter over pixel
         vec2 pixelj = pixel + (-0.5 + vec2(rand(rnd), rand(rnd)));
+        float shutterU = sampleShutter(rnd);
         vec3 primaryStart, primaryDir;
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        if (!constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir)) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
 
         // Raycast to first hit point
         vec3 pW;
@@ -830,7 +1754,7 @@ void main()
             // If the incident ray lies below the hemisphere of the perturbed shading normal,
             // which can occur due to normal mapping, apply the "Flipping hack" to prevent artifacts
             // (see Schüßler, "Microfacet-based Normal Mapping for Robust Monte Carlo Path Tracing")
-            if ((dot(nW, primaryDir) > 0.0) && (hitMaterial != MAT_DIELE))
+            if ((dot(nW, primaryDir) > 0.0) && (materialType(hitMaterial) != MAT_DIELE))
                 nW = 2.0*ngW*dot(ngW, nW) - nW;
 #endif
             colorXYZ += rgbToXyz(0.5*(nW+vec3(1.0)));
@@ -877,9 +1801,11 @@ uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
 uniform sampler2D WavelengthToXYZ;  // 2
 uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4
-uniform sampler2D kTex;             // 5 (for metals)
+// (samplers 4, 5, and 8 onwards for named metal objects: metal ior and k textures, declared in the injected IOR code)
 uniform sampler2D envMap;           // 6
+uniform sampler2D envMapCDF;        // 7
+// (user textures, bound by the scene, follow all the renderer samplers, see Snelly.getUserTextureUnitStart)
+// (samplers following the metal textures: the radiance moments IO buffer if needed, then the AOV IO buffers if enabled, or the photon map in photon mapping mode, then the G-buffers if enabled, declared below)
 in vec2 vTexCoord;
 
 layout(location = 0) out vec4 gbuf_rad;
@@ -887,6 +1813,7 @@ layout(location = 1) out vec4 gbuf_rng;
 
 // Camera parameters
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
@@ -895,13 +1822,38 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 // Pathtracing parameters
 uniform float filterRadius;
 uniform float radianceClamp;
 uniform float skipProbability;
+uniform float noiseThreshold;       // (relative error of the pixel luminance below which pixels stop being sampled, if ADAPTIVE_SAMPLING)
+uniform int adaptiveMinSpp;         // (number of samples a pixel takes before it may stop being sampled)
+uniform int adaptiveMaxSpp;         // (number of samples after which a pixel stops being sampled)
+uniform int russianRouletteDepth;   // (number of bounces after which paths are terminated by Russian roulette)
+uniform int rngSeed;                // (the renderer seed, which also seeds the QMC scrambling)
 uniform float shadowStrength;
 uniform bool maxStepsIsMiss;
+uniform float marchOverRelaxation; // (over-relaxation factor of the sphere tracing steps, from 1 (no over-relaxation) to 2)
+uniform float marchFootprint;      // (growth of the hit threshold per unit distance along rays, to match the pixel footprint)
 uniform int wavelengthSamples;
 
 // Length scales
@@ -912,12 +1864,21 @@ uniform float maxLengthScale;
 // Sky parameters
 uniform bool haveEnvMap;
 uniform bool envMapVisible;
+uniform bool envMapImportanceSampling;
 uniform float envMapPhiRotation;
 uniform float envMapThetaRotation;
 uniform float envMapTransitionAngle;
 uniform float skyPower;
 uniform vec3 skyTintUp;
 uniform vec3 skyTintDown;
+uniform int skyModel;               // (one of SKY_MODEL_UNIFORM, SKY_MODEL_PREETHAM)
+uniform vec3 skyPerezA;             // Preetham sky Perez function coefficients (for each of Y, x, y)
+uniform vec3 skyPerezB;
+uniform vec3 skyPerezC;
+uniform vec3 skyPerezD;
+uniform vec3 skyPerezE;
+uniform vec3 skyPerezScale;         // zenith (Y, x, y) divided by the Perez function at the zenith
+uniform vec3 skyGroundRGB;          // radiance of the ground below the horizon
 
 // Sun parameters
 uniform float sunPower;
@@ -928,27 +1889,37 @@ uniform vec3 sunColor;
 uniform vec3 sunDir;
 uniform bool sunVisibleDirectly;
 
-// Sphere light
-uniform vec3 sphereLightPosition;
-uniform float sphereLightRadius;
-uniform float sphereLightPower;
-uniform vec3 sphereLightColor;
-
-// Surface material parameters
-uniform float metalRoughness;
-uniform vec3 metalSpecAlbedoRGB;
-uniform float dieleRoughness;
-uniform vec3 dieleAbsorptionRGB;
-uniform vec3 dieleSpecAlbedoRGB;
-uniform vec3 surfaceDiffuseAlbedoRGB;
-uniform vec3 surfaceSpecAlbedoRGB;
-uniform float surfaceRoughness;
-uniform float surfaceIor;
-uniform float subsurface;
-uniform vec3 subsurfaceAlbedoRGB;
-uniform float subsurfaceMFP;
-uniform float subsurfaceAnisotropy;
-uniform float subsurfaceDiffuseWeight;
+// Analytic lights (indexed by light)
+uniform int lightType[__NUM_LIGHTS__];          // (one of LIGHT_SPHERE, LIGHT_DISK, LIGHT_RECT, LIGHT_SPOT)
+uniform vec3 lightPosition[__NUM_LIGHTS__];
+uniform vec3 lightDirection[__NUM_LIGHTS__];    // (disk and rect normal, or spot axis)
+uniform vec3 lightTangent[__NUM_LIGHTS__];      // (disk and rect tangent, along the rect width)
+uniform vec2 lightSize[__NUM_LIGHTS__];         // (sphere and disk radius, rect half-width and half-height, or cosines of spot inner and outer cone angles)
+uniform vec3 lightRadianceRGB[__NUM_LIGHTS__];  // (emitted radiance, or intensity for a spot)
+uniform float lightSelectProb[__NUM_LIGHTS__];  // (probability of selecting the light for direct lighting, proportional to its power)
+
+// Light subpath parameters (for the bidirectional and photon mapping integrators)
+uniform float emitSunSelectProb;    // probability of starting a light subpath from the sun (rather than from one of the analytic lights)
+uniform float sceneRadius;          // radius of the sphere about the origin bounding the scene, over whose cross-section sun light subpaths start
+
+// Surface material parameters (indexed by material instance)
+uniform float metalRoughness[__NUM_METALS__];
+uniform vec3 metalSpecAlbedoRGB[__NUM_METALS__];
+uniform float dieleRoughness[__NUM_DIELECTRICS__];
+uniform vec3 dieleAbsorptionRGB[__NUM_DIELECTRICS__];
+uniform vec3 dieleSpecAlbedoRGB[__NUM_DIELECTRICS__];
+uniform vec3 surfaceDiffuseAlbedoRGB[__NUM_SURFACES__];
+uniform vec3 surfaceSpecAlbedoRGB[__NUM_SURFACES__];
+uniform float surfaceRoughness[__NUM_SURFACES__];
+uniform float surfaceIor[__NUM_SURFACES__];
+uniform float subsurface[__NUM_SURFACES__];
+uniform vec3 subsurfaceAlbedoRGB[__NUM_SURFACES__];
+uniform float subsurfaceMFP[__NUM_SURFACES__];
+uniform float subsurfaceAnisotropy[__NUM_SURFACES__];
+uniform float subsurfaceDiffuseWeight[__NUM_SURFACES__];
+uniform vec3 surfaceEmissionRGB[__NUM_SURFACES__];
+uniform vec3 surfaceEmissionProxyCenter[__NUM_SURFACES__];
+uniform float surfaceEmissionProxyRadius[__NUM_SURFACES__];
 uniform int maxSSSSteps;
 
 // Atmosphere constants
@@ -970,6 +1941,13 @@ uniform vec3 fogTint;
 uniform float volumeEmission;
 uniform vec3 volumeEmissionColorRGB;
 
+// Heterogeneous volume (bounded by SDF_VOLUME) constants
+uniform float volumeExtinction;
+uniform vec3 volumeScatteringColorRGB;
+uniform vec3 volumeAbsorptionColorRGB;
+uniform float volumeAnisotropy;
+uniform int maxVolumeSteps;
+
 
 //////////////////////////////////////////////////////////////
 // Defines
@@ -977,19 +1955,147 @@ uniform vec3 volumeEmissionColorRGB;
 #define DENOM_TOLERANCE 1.0e-7
 #define PDF_EPSILON 1.0e-6
 #define THROUGHPUT_EPSILON 1.0e-5
+#define TRANSMITTANCE_ROULETTE_THRESHOLD 0.1
 #define RADIANCE_EPSILON 1.0e-6
 #define M_PI 3.141592653589793
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
 #define MAT_SURFA  2
 
+// (the defines for the scene and rendering options, injected by the renderer)
+__DEFINES__
+
+// Quasi-Monte Carlo dimensions, allocated to the sampling decisions of each camera path
+#define QMC_DIM_FILTER      0  // pixel filter jitter (2 dimensions)
+#define QMC_DIM_LENS        2  // lens position (2 dimensions)
+#define QMC_DIM_WAVELENGTH  4  // wavelength (1 dimension)
+#define QMC_DIM_TIME        5  // path time within the shutter interval (1 dimension)
+#define QMC_DIM_BOUNCE      8  // start of the dimensions of the first bounce, followed by those of each subsequent bounce
+#define QMC_BOUNCE_DIMS     12 // (the number of dimensions per bounce, allocated as follows, relative to the bounce start)
+#define QMC_BSDF            0  //   BSDF lobe and direction (3 dimensions)
+#define QMC_SKY             4  //   sky direction (2 dimensions)
+#define QMC_SUN             6  //   sun direction (2 dimensions)
+#define QMC_LIGHTS          8  //   analytic light selection and position (3 dimensions)
+
+uint qmcSeed;            // (the scrambling seed of the current pixel)
+uint qmcIndex;           // (the index of the current sample of the current pixel)
+int qmcDimension = 0;    // (the next dimension to be sampled by rand)
+int qmcDimensionEnd = 0; // (the end of the dimensions sampled by rand, beyond which it falls back to the pseudorandom generator)
+int qmcBounceDimension = QMC_DIM_BOUNCE; // (the start of the dimensions of the current bounce)
+
+// Integer hash (the "lowbias32" hash of Wellons' hash prospector)
+uint hashUint(uint x)
+{
+    x ^= x >> 16u; x *= 0x7feb352du;
+    x ^= x >> 15u; x *= 0x846ca68bu;
+    x ^= x >> 16u;
+    return x;
+}
+
+#ifdef QMC_SAMPLER
+/// Quasi-Monte Carlo sampler: the Sobol sequence with hash-based Owen scrambling, padded beyond four dimensions by shuffling
+/// the sample order of each group of four dimensions independently, as in Burley, "Practical Hash-based Owen Scrambling" (2020).
+/// Each pixel has its own scrambling seed, and its samples are indexed by the pixel sample count.
+
+// Sobol generator matrices of the first four dimensions (from the Joe-Kuo direction numbers)
+const uint sobolDirections[128] = uint[128](
+    0x80000000u, 0x40000000u, 0x20000000u, 0x10000000u, 0x08000000u, 0x04000000u, 0x02000000u, 0x01000000u,
+    0x00800000u, 0x00400000u, 0x00200000u, 0x00100000u, 0x00080000u, 0x00040000u, 0x00020000u, 0x00010000u,
+    0x00008000u, 0x00004000u, 0x00002000u, 0x00001000u, 0x00000800u, 0x00000400u, 0x00000200u, 0x00000100u,
+    0x00000080u, 0x00000040u, 0x00000020u, 0x00000010u, 0x00000008u, 0x00000004u, 0x00000002u, 0x00000001u,
+    0x80000000u, 0xc0000000u, 0xa0000000u, 0xf0000000u, 0x88000000u, 0xcc000000u, 0xaa000000u, 0xff000000u,
+    0x80800000u, 0xc0c00000u, 0xa0a00000u, 0xf0f00000u, 0x88880000u, 0xcccc0000u, 0xaaaa0000u, 0xffff0000u,
+    0x80008000u, 0xc000c000u, 0xa000a000u, 0xf000f000u, 0x88008800u, 0xcc00cc00u, 0xaa00aa00u, 0xff00ff00u,
+    0x80808080u, 0xc0c0c0c0u, 0xa0a0a0a0u, 0xf0f0f0f0u, 0x88888888u, 0xccccccccu, 0xaaaaaaaau, 0xffffffffu,
+    0x80000000u, 0xc0000000u, 0x60000000u, 0x90000000u, 0xe8000000u, 0x5c000000u, 0x8e000000u, 0xc5000000u,
+    0x68800000u, 0x9cc00000u, 0xee600000u, 0x55900000u, 0x80680000u, 0xc09c0000u, 0x60ee0000u, 0x90550000u,
+    0xe8808000u, 0x5cc0c000u, 0x8e606000u, 0xc5909000u, 0x6868e800u, 0x9c9c5c00u, 0xeeee8e00u, 0x5555c500u,
+    0x8000e880u, 0xc0005cc0u, 0x60008e60u, 0x9000c590u, 0xe8006868u, 0x5c009c9cu, 0x8e00eeeeu, 0xc5005555u,
+    0x80000000u, 0xc0000000u, 0x20000000u, 0x50000000u, 0xf8000000u, 0x74000000u, 0xa2000000u, 0x93000000u,
+    0xd8800000u, 0x25400000u, 0x59e00000u, 0xe6d00000u, 0x78080000u, 0xb40c0000u, 0x82020000u, 0xc3050000u,
+    0x208f8000u, 0x51474000u, 0xfbea2000u, 0x75d93000u, 0xa0858800u, 0x914e5400u, 0xdbe79e00u, 0x25db6d00u,
+    0x58800080u, 0xe54000c0u, 0x79e00020u, 0xb6d00050u, 0x800800f8u, 0xc00c0074u, 0x200200a2u, 0x50050093u
+);
+
+uint sobol(uint index, int dimension)
+{
+    uint x = 0u;
+    for (int bit=0; bit<32; ++bit)
+    {
+        if ((index >> uint(bit)) == 0u) break;
+        if (((index >> uint(bit)) & 1u) != 0u) x ^= sobolDirections[32*dimension + bit];
+    }
+    return x;
+}
+
+uint reverseBits(uint x)
+{
+    x = ((x >> 1u) & 0x55555555u) | ((x & 0x55555555u) << 1u);
+    x = ((x >> 2u) & 0x33333333u) | ((x & 0x33333333u) << 2u);
+    x = ((x >> 4u) & 0x0f0f0f0fu) | ((x & 0x0f0f0f0fu) << 4u);
+    x = ((x >> 8u) & 0x00ff00ffu) | ((x & 0x00ff00ffu) << 8u);
+    return (x >> 16u) | (x << 16u);
+}
+
+uint hashCombine(uint seed, uint v)
+{
+    return seed ^ (hashUint(v) + 0x9e3779b9u + (seed << 6u) + (seed >> 2u));
+}
+
+// Owen scrambling of the bits of x (via the Laine-Karras permutation, applied in reversed bit order)
+uint owenScramble(uint x, uint seed)
+{
+    x = reverseBits(x);
+    x += seed;
+    x ^= x * 0x6c50b47cu;
+    x ^= x * 0xb82f1e52u;
+    x ^= x * 0xc7afe638u;
+    x ^= x * 0x8d22f6e6u;
+    return reverseBits(x);
+}
+
+float qmcSample(int dimension)
+{
+    uint patternSeed = hashCombine(qmcSeed, uint(dimension/4));
+    uint index = owenScramble(qmcIndex, patternSeed);
+    uint x = owenScramble(sobol(index, dimension%4), hashCombine(patternSeed, uint(dimension)));
+    return float(x >> 8u) * (1.0/16777216.0);
+}
+#endif
+
+// Set the current pixel and sample index of the QMC sampler
+void beginPixelSample(in vec2 pixel, uint sampleIndex)
+{
+    qmcSeed = hashUint(uint(pixel.x) ^ hashUint(uint(pixel.y) ^ hashUint(uint(rngSeed))));
+    qmcIndex = sampleIndex;
+    qmcDimensionEnd = 0;
+}
+
+// Sample the given range of QMC dimensions with the subsequent calls to rand (if the QMC sampler is enabled)
+void beginDimensions(int dimension, int count)
+{
+    qmcDimension = dimension;
+    qmcDimensionEnd = dimension + count;
+}
+
+// Sample with the pseudorandom generator again
+void endDimensions()
+{
+    qmcDimensionEnd = 0;
+}
+
 /// GLSL floating point pseudorandom number generator, from
 /// "Implementing a Photorealistic Rendering System using GLSL", Toshiya Hachisuka
 /// http://arxiv.org/pdf/1505.06022.pdf
 float rand(inout vec4 rnd)
 {
+#ifdef QMC_SAMPLER
+    if (qmcDimension < qmcDimensionEnd) return qmcSample(qmcDimension++);
+#endif
     const vec4 q = vec4(   1225.0,    1585.0,    2457.0,    2098.0);
     const vec4 r = vec4(   1112.0,     367.0,      92.0,     265.0);
     const vec4 a = vec4(   3423.0,    2646.0,    1707.0,    1999.0);
@@ -1005,12 +2111,12 @@ float rand(inout vec4 rnd)
 // Dynamically injected code
 //////////////////////////////////////////////////////////////
 
-__DEFINES__
-
 __SHADER__
 
 __IOR_FUNC__
 
+__OBJECTS__
+
 #ifdef DISPERSION_ENABLED
 #define RadianceType float
 #else
@@ -1043,6 +2149,96 @@ struct Basis
 };
 
 Basis sunBasis;
+float pathWavelength_nm; // (the wavelength of the current path)
+
+// Light sources, for the per-light AOVs
+#define SOURCE_SKY      0
+#define SOURCE_SUN      1
+#define SOURCE_LIGHTS   2 // (the analytic lights)
+#define SOURCE_EMISSION 3 // (surface and volume emission)
+
+// Scattering lobes, for the per-lobe AOVs
+#define LOBE_NONE        -1
+#define LOBE_DIFFUSE      0
+#define LOBE_SPECULAR     1
+#define LOBE_TRANSMISSION 2
+#define LOBE_SUBSURFACE   3
+#define LOBE_VOLUME       4
+
+int bsdfLobe; // (the lobe chosen by the most recent BSDF sample)
+int pathLobe; // (the lobe of the first scattering event of the current path, or LOBE_NONE before it)
+
+#if defined(HAS_MOMENTS) && !defined(PHOTON_TRACING)
+// Radiance moments IO buffer: the running mean of the squared tristimulus values of each frame's radiance estimate (and the sample count),
+// from which the variance of the accumulated radiance is estimated (only accumulated if needed, see Renderer.needsMoments).
+// Under adaptive sampling, the sample count is negated once the pixel is finished, so the renderer can count the samples taken.
+uniform sampler2D RadianceMoments;
+layout(location = 2) out vec4 gbuf_moments;
+#endif
+
+#ifdef HAS_AOVS
+// AOV (arbitrary output variable) IO buffers, which split the radiance by light source (if AOVS_BY_LIGHT),
+// or by the lobe of the first scattering event of the path (if AOVS_BY_LOBE, in which case radiance
+// reaching the camera without scattering is in none of the AOVs).
+uniform sampler2D AOV0;
+layout(location = 3) out vec4 gbuf_aov0;
+#if NUM_AOVS > 1
+uniform sampler2D AOV1;
+layout(location = 4) out vec4 gbuf_aov1;
+#endif
+#if NUM_AOVS > 2
+uniform sampler2D AOV2;
+layout(location = 5) out vec4 gbuf_aov2;
+#endif
+#if NUM_AOVS > 3
+uniform sampler2D AOV3;
+layout(location = 6) out vec4 gbuf_aov3;
+#endif
+#if NUM_AOVS > 4
+uniform sampler2D AOV4;
+layout(location = 7) out vec4 gbuf_aov4;
+#endif
+RadianceType aovL[NUM_AOVS];      // (the path radiance in each AOV)
+RadianceType aovDirect[NUM_AOVS]; // (the direct lighting in each AOV at the current vertex)
+#endif
+
+#ifdef HAS_GBUFFERS
+// G-buffer IO buffers, holding the first-hit properties of the primary rays (written to the draw buffers following the AOVs,
+// at the locations defined by the renderer): the running average of the surface albedo (with w the material of the most recent sample),
+// the running average of the shading normal and the depth, and (if GBUFFER_POSITION) the running average of the position and the march step count.
+// The albedo and normal-depth buffers are the guides of the denoiser.
+uniform sampler2D GBufferAlbedo;
+uniform sampler2D GBufferNormalDepth;
+layout(location = GBUFFER_ALBEDO_LOCATION) out vec4 gbuf_albedo;
+layout(location = GBUFFER_NORMAL_DEPTH_LOCATION) out vec4 gbuf_normalDepth;
+#ifdef GBUFFER_POSITION
+uniform sampler2D GBufferPosition;
+layout(location = GBUFFER_POSITION_LOCATION) out vec4 gbuf_position;
+vec4 gbufferPosition;    // (the sum of the first-hit positions and march step counts of the pixel samples of the current frame)
+#endif
+vec3 gbufferAlbedo;      // (the sum of the first-hit albedos of the pixel samples of the current frame)
+vec4 gbufferNormalDepth; // (the sum of the first-hit normals and depths of the pixel samples of the current frame)
+float gbufferMaterial;   // (the first-hit material of the most recent pixel sample)
+#endif
+
+#ifdef PHOTON_MAPPING
+// Photon map, traced each frame from the sun and the analytic lights. The photons are stored in a hash grid of cells of size
+// twice the gather radius, where each grid slot holds the index of one photon chosen uniformly at random from those in the slot,
+// and the number of photons in the slot (so the gather estimates the sum over the photons in the slot from the chosen one).
+uniform sampler2D PhotonPosition;   // (xyz photon position, with w = 1 if a photon was stored)
+uniform sampler2D PhotonDirection;  // (direction towards the photon origin)
+uniform sampler2D PhotonPower;      // (RGB photon power)
+uniform sampler2D PhotonGridIndex;  // (index of the photon chosen in each grid slot)
+uniform sampler2D PhotonGridCount;  // (number of photons in each grid slot)
+uniform int photonMapSize;          // (the photon map holds photonMapSize*photonMapSize photons)
+uniform int photonGridSize;         // (the hash grid has photonGridSize*photonGridSize slots)
+uniform float photonRadius;         // (the current gather radius)
+#ifdef PHOTON_TRACING
+layout(location = 2) out vec4 gbuf_photonDir;
+layout(location = 3) out vec4 gbuf_photonPower;
+#endif
+bool photonCausticPath; // (whether the current camera path is a caustic path, whose light from the sun and lights is estimated by the photon map)
+#endif
 
 Basis makeBasis(in vec3 nW)
 {
@@ -1142,6 +2338,101 @@ float averageComponent(float f)
     return f;
 }
 
+// Russian roulette path termination: from the depth russianRouletteDepth onwards, the path continues with probability given
+// by its throughput (which is reweighted accordingly, so the estimate remains unbiased). Returns whether the path continues.
+bool russianRoulette(int depth, inout RadianceType throughput, inout vec4 rnd)
+{
+    float continuation_prob = clamp(maxComponent(throughput), 0.0, 1.0);
+    if (depth < russianRouletteDepth) return continuation_prob > 0.0;
+    if (rand(rnd) >= continuation_prob) return false;
+    throughput /= continuation_prob; // update throughput due to RR continuation
+    return true;
+}
+
+// Sample the wavelength of a path (in dispersive mode), also returning the xyz and rgb color matching functions at that wavelength
+float sampleWavelength(inout vec4 rnd, inout vec3 xyz, inout vec3 rgb)
+{
+#ifdef DISPERSION_ENABLED
+    // Sample photon wavelength via the inverse CDF of the emission spectrum.
+    // We limit the sampled wavelengths to between about 420nm and 700nm to avoid color mismatch at low sample count
+    float xi = 0.1+0.8*(0.5+floor(float(wavelengthSamples)*rand(rnd))) / float(wavelengthSamples);
+    float w = texture(ICDF, vec2(xi, 0.5)).r;
+    xyz = texture(WavelengthToXYZ, vec2(w, 0.5)).rgb; // xyz CIE color matching functions
+    rgb = xyzToRgb(xyz); // corresponding normalized rgb color matching functions
+    return 390.0 + (750.0 - 390.0)*w;
+#else
+    xyz = vec3(0.0);
+    rgb = vec3(0.0);
+    return 390.0 + (750.0 - 390.0)*0.5; // non-dispersive rendering uses mid-range wavelength
+#endif
+}
+
+//////////////////////////////////////////////////////////////
+// Radiance accumulation (into the AOVs as well, if enabled)
+//////////////////////////////////////////////////////////////
+
+// Record that the current path scatters via the given lobe (only the first scattering event determines the path lobe)
+void setPathLobe(int lobe)
+{
+    if (pathLobe == LOBE_NONE) pathLobe = lobe;
+}
+
+// Add radiance dL arriving along the path from the given light source to the path radiance L
+void addRadiance(inout RadianceType L, in RadianceType dL, int source)
+{
+#ifdef PHOTON_MAPPING
+    if (photonCausticPath && (source==SOURCE_SUN || source==SOURCE_LIGHTS)) return; // (caustics are estimated from the photon map instead)
+#endif
+    L += dL;
+#ifdef AOVS_BY_LIGHT
+    aovL[source] += dL;
+#endif
+#ifdef AOVS_BY_LOBE
+    if (pathLobe != LOBE_NONE) aovL[pathLobe] += dL;
+#endif
+}
+
+// Add direct lighting dL from the given light source, scattered via the given lobe, to the vertex direct lighting Ldirect
+void addDirect(inout RadianceType Ldirect, in RadianceType dL, int source, int lobe)
+{
+    Ldirect += dL;
+#ifdef AOVS_BY_LIGHT
+    aovDirect[source] += dL;
+#endif
+#ifdef AOVS_BY_LOBE
+    aovDirect[(pathLobe != LOBE_NONE) ? pathLobe : lobe] += dL;
+#endif
+}
+
+// Scale the AOV direct lighting at the current vertex (to match a weight applied to the direct lighting estimate)
+void scaleDirect(in RadianceType weight)
+{
+#ifdef HAS_AOVS
+    for (int k=0; k<NUM_AOVS; ++k) aovDirect[k] *= weight;
+#endif
+}
+
+// Apply the radiance clamp to the direct lighting estimate at a vertex
+RadianceType clampDirect(in RadianceType Ldirect)
+{
+    RadianceType Lclamped = min(RadianceType(radianceClamp), Ldirect);
+    scaleDirect(Lclamped / max(Ldirect, RadianceType(DENOM_TOLERANCE)));
+    return Lclamped;
+}
+
+// Add the direct lighting Ldirect at the current vertex, weighted by the path throughput, to the path radiance L
+void addDirectRadiance(inout RadianceType L, in RadianceType throughput, in RadianceType Ldirect)
+{
+    L += throughput * Ldirect;
+#ifdef HAS_AOVS
+    for (int k=0; k<NUM_AOVS; ++k)
+    {
+        aovL[k] += throughput * aovDirect[k];
+        aovDirect[k] = RadianceType(0.0);
+    }
+#endif
+}
+
 int randomChannel(inout vec4 rnd)
 {;
     float r = rand(rnd);
@@ -1175,8 +2466,8 @@ vec3 sampleSphereUniformly(inout vec4 rnd)
     float z = 1.0 - 2.0*rand(rnd);
     float r = sqrt(max(0.0, 1.0 - z*z));
     float phi = 2.0*M_PI*rand(rnd);
-    float x = cos(phi);
-    float y = sin(phi);
+    float x = r*cos(phi);
+    float y = r*sin(phi);
     // pdf = 1.0/(4.0*M_PI);
     return vec3(x, y, z);
 }
@@ -1212,6 +2503,37 @@ float pdfHemisphereCosineWeighted(in vec3 wiL)
     return wiL.z / M_PI;
 }
 
+// Sample a direction from pW uniformly within the cone subtended by the sphere (center, R)
+// (or uniformly over all directions if pW is inside the sphere)
+vec3 sampleSphereConeDir(in vec3 pW, in vec3 center, float R, inout vec4 rnd, inout float pdfDir)
+{
+    vec3 d = center - pW;
+    float dist2 = dot(d, d);
+    if (dist2 <= R*R)
+    {
+        pdfDir = 1.0/(4.0*M_PI);
+        return sampleSphereUniformly(rnd);
+    }
+    float cosThetaMax = sqrt(max(0.0, 1.0 - R*R/dist2));
+    float costheta = 1.0 - rand(rnd)*(1.0 - cosThetaMax);
+    float sintheta = sqrt(max(0.0, 1.0-costheta*costheta));
+    float phi = 2.0*M_PI*rand(rnd);
+    pdfDir = 1.0/(2.0*M_PI*(1.0 - cosThetaMax));
+    Basis coneBasis = makeBasis(d/sqrt(dist2));
+    return localToWorld(vec3(sintheta*cos(phi), sintheta*sin(phi), costheta), coneBasis);
+}
+
+// pdf (w.r.t. solid angle) of sampleSphereConeDir generating the direction dir
+float pdfSphereConeDir(in vec3 pW, in vec3 dir, in vec3 center, float R)
+{
+    vec3 d = center - pW;
+    float dist2 = dot(d, d);
+    if (dist2 <= R*R) return 1.0/(4.0*M_PI);
+    float cosThetaMax = sqrt(max(0.0, 1.0 - R*R/dist2));
+    if (dot(dir, d) < cosThetaMax*sqrt(dist2)) return 0.0;
+    return 1.0/(2.0*M_PI*(1.0 - cosThetaMax));
+}
+
 float powerHeuristic(const float a, const float b)
 {
     return a/(a + b);
@@ -1346,24 +2668,24 @@ bool refraction_given_incident_direction(in vec3 n, in float eta_ti, in vec3 wi,
     return true;
 }
 
-RadianceType DIELECTRIC_SPEC_REFL_EVAL(in vec3 X, in vec3 winputL, in Basis basis, in vec3 rgb)
+RadianceType DIELECTRIC_SPEC_REFL_EVAL(in vec3 X, in vec3 winputL, in Basis basis, in int index, in vec3 rgb)
 {
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 reflRGB = DIELECTRIC_SPECULAR_REFLECTANCE(dieleSpecAlbedoRGB, X, basis.nW, winputW);
+    vec3 reflRGB = DIELECTRIC_SPECULAR_REFLECTANCE(dieleSpecAlbedoRGB[index], X, basis.nW, winputW);
     return rgbToAlbedo(reflRGB, rgb);
 }
 
-RadianceType DIELECTRIC_ABSORPTION_EVAL(in vec3 X, in vec3 rgb)
+RadianceType DIELECTRIC_ABSORPTION_EVAL(in vec3 X, in int index, in vec3 rgb)
 {
-    vec3 absorptionRGB = DIELECTRIC_ABSORPTION(dieleAbsorptionRGB, X);
+    vec3 absorptionRGB = DIELECTRIC_ABSORPTION(dieleAbsorptionRGB[index], X);
     return rgbToAlbedo(absorptionRGB, rgb);
 }
 
-RadianceType evaluateDielectric( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb, bool fromCamera )
+RadianceType evaluateDielectric( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb, bool fromCamera )
 {
-    float ior = IOR_DIELE(wavelength_nm);
+    float ior = IOR_DIELE(index, wavelength_nm);
     bool reflected = cosTheta(woutputL) * cosTheta(winputL) > 0.0;
-    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, rgb);
+    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, index, rgb);
     vec3 beamIncidentL = fromCamera ? -woutputL : -winputL;
     vec3 beamOutgoingL = fromCamera ?  winputL  :  woutputL;
     bool entering = (beamIncidentL.z < 0.0);
@@ -1382,7 +2704,7 @@ RadianceType evaluateDielectric( in vec3 X, in Basis basis, in vec3 winputL, in
             h = safe_normalize(ior*beamIncidentL - beamOutgoingL);
     }
     if (cosTheta(h)<0.0) h *= -1.0; // make sure half-vector points out
-    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness, X, basis.nW);
+    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness[index], X, basis.nW);
     float D = microfacetEval(h, roughness);
     float G = smithG2(-beamIncidentL, beamOutgoingL, h, roughness);
     RadianceType f;
@@ -1404,11 +2726,11 @@ RadianceType evaluateDielectric( in vec3 X, in Basis basis, in vec3 winputL, in
     return f;
 }
 
-float pdfDielectric( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb, bool fromCamera )
+float pdfDielectric( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb, bool fromCamera )
 {
-    float ior = IOR_DIELE(wavelength_nm);
+    float ior = IOR_DIELE(index, wavelength_nm);
     bool reflected = cosTheta(woutputL) * cosTheta(winputL) > 0.0;
-    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, rgb);
+    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, index, rgb);
     vec3 beamIncidentL = fromCamera ? -woutputL : -winputL;
     vec3 beamOutgoingL = fromCamera ?  winputL  :  woutputL;
     bool entering = (beamIncidentL.z < 0.0);
@@ -1438,19 +2760,19 @@ float pdfDielectric( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutput
         dwh_dwo = eta_ti*eta_ti * abs(om) / max(sqrtDenom*sqrtDenom, DENOM_TOLERANCE);
         pdf = 1.0 - averageComponent(Fr);
     }
-    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness, X, basis.nW);
+    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness[index], X, basis.nW);
     pdf *= microfacetPDF(h, roughness);
     return abs(pdf * dwh_dwo);
 }
 
-RadianceType sampleDielectric( in vec3 X, in Basis basis, in vec3 winputL, in float wavelength_nm, in vec3 rgb, bool fromCamera,
+RadianceType sampleDielectric( in vec3 X, in Basis basis, in vec3 winputL, in int index, in float wavelength_nm, in vec3 rgb, bool fromCamera,
                                inout vec3 woutputL, inout float pdfOut, inout vec4 rnd )
 {
-    float ior = IOR_DIELE(wavelength_nm);
-    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, rgb);
+    float ior = IOR_DIELE(index, wavelength_nm);
+    RadianceType dielectricAlbedo = DIELECTRIC_SPEC_REFL_EVAL(X, winputL, basis, index, rgb);
     float eta_ti_refl = (winputL.z >= 0.0) ? ior : 1.0/ior; // et/ei on reflection of incident beam
     RadianceType Fr = dielectricAlbedo * fresnelDielectricReflectance(abs(winputL.z), eta_ti_refl);
-    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness, X, basis.nW);
+    float roughness = DIELECTRIC_ROUGHNESS(dieleRoughness[index], X, basis.nW);
     vec3 m = microfacetSample(rnd, roughness); // Sample microfacet normal m
     float microPDF = microfacetPDF(m, roughness);
     float reflectProb = averageComponent(Fr);
@@ -1524,54 +2846,54 @@ float fresnelMetalReflectance(in float cosi, in float ior, in float k)
     return 0.5*(Rparl2 + Rperp2);
 }
 
-RadianceType METAL_SPEC_REFL_EVAL(in vec3 X, in vec3 winputL, in Basis basis, in vec3 rgb)
+RadianceType METAL_SPEC_REFL_EVAL(in vec3 X, in vec3 winputL, in Basis basis, in int index, in vec3 rgb)
 {
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 reflRGB = METAL_SPECULAR_REFLECTANCE(metalSpecAlbedoRGB, X, basis.nW, winputW);
+    vec3 reflRGB = METAL_SPECULAR_REFLECTANCE(metalSpecAlbedoRGB[index], X, basis.nW, winputW);
     return rgbToAlbedo(reflRGB, rgb);
 }
 
-RadianceType evaluateMetal( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+RadianceType evaluateMetal( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return RadianceType(0.0);
-    float ior = IOR_METAL(wavelength_nm);
-    float k = K_METAL(wavelength_nm);
+    float ior = IOR_METAL(index, wavelength_nm);
+    float k = K_METAL(index, wavelength_nm);
     float Fr = fresnelMetalReflectance(winputL.z, ior, k);
     vec3 h = normalize(woutputL + winputL); // Compute the reflection half-vector
-    float roughness = METAL_ROUGHNESS(metalRoughness, X, basis.nW);
+    float roughness = METAL_ROUGHNESS(metalRoughness[index], X, basis.nW);
     float D = microfacetEval(h, roughness);
     float G = smithG2(winputL, woutputL, h, roughness);
-    RadianceType specAlbedo = METAL_SPEC_REFL_EVAL(X, winputL, basis, rgb);
+    RadianceType specAlbedo = METAL_SPEC_REFL_EVAL(X, winputL, basis, index, rgb);
     RadianceType f = specAlbedo * Fr * D * G / max(4.0*abs(cosTheta(woutputL))*abs(cosTheta(winputL)), DENOM_TOLERANCE);
     return f;
 }
 
-float pdfMetal( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+float pdfMetal( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return PDF_EPSILON;
-    float ior = IOR_DIELE(wavelength_nm);
-    float k = K_METAL(wavelength_nm);
+    float ior = IOR_METAL(index, wavelength_nm);
+    float k = K_METAL(index, wavelength_nm);
     vec3 h = safe_normalize(woutputL + winputL); // reflection half-vector
     float dwh_dwo = 1.0 / max(abs(4.0*dot(winputL, h)), DENOM_TOLERANCE); // Jacobian of the half-direction mapping
-    float roughness = METAL_ROUGHNESS(metalRoughness, X, basis.nW);
+    float roughness = METAL_ROUGHNESS(metalRoughness[index], X, basis.nW);
     float pdf = microfacetPDF(h, roughness) * dwh_dwo;
     return pdf;
 }
 
-RadianceType sampleMetal( in vec3 X, in Basis basis, in vec3 winputL, in float wavelength_nm, in vec3 rgb,
+RadianceType sampleMetal( in vec3 X, in Basis basis, in vec3 winputL, in int index, in float wavelength_nm, in vec3 rgb,
                           inout vec3 woutputL, inout float pdfOut, inout vec4 rnd )
 {
     if (winputL.z<0.0) return RadianceType(0.0);
-    float ior = IOR_METAL(wavelength_nm);
-    float k = K_METAL(wavelength_nm);
+    float ior = IOR_METAL(index, wavelength_nm);
+    float k = K_METAL(index, wavelength_nm);
     float Fr = fresnelMetalReflectance(winputL.z, ior, k);
-    float roughness = METAL_ROUGHNESS(metalRoughness, X, basis.nW);
+    float roughness = METAL_ROUGHNESS(metalRoughness[index], X, basis.nW);
     vec3 m = microfacetSample(rnd, roughness); // Sample microfacet normal m
     woutputL = -winputL + 2.0*dot(winputL, m)*m; // Compute woutputL by reflecting winputL about m
     if (woutputL.z<DENOM_TOLERANCE) woutputL.z *= -1.0; // Reflect into positive hemisphere if necessary (ad hoc)
     float D = microfacetEval(m, roughness);
     float G = smithG2(winputL, woutputL, m, roughness); // Shadow-masking function
-    RadianceType specAlbedo = METAL_SPEC_REFL_EVAL(X, winputL, basis, rgb);
+    RadianceType specAlbedo = METAL_SPEC_REFL_EVAL(X, winputL, basis, index, rgb);
     RadianceType f = specAlbedo * Fr * D * G / max(4.0*abs(cosTheta(woutputL))*abs(cosTheta(winputL)), DENOM_TOLERANCE);
     float dwh_dwo; // Jacobian of the half-direction mapping
     dwh_dwo = 1.0 / max(abs(4.0*dot(winputL, m)), DENOM_TOLERANCE);
@@ -1585,32 +2907,42 @@ RadianceType sampleMetal( in vec3 X, in Basis basis, in vec3 winputL, in float w
 
 #ifdef HAS_SURFACE
 
-RadianceType SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+RadianceType SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[index], X, nW, winputW);
     return rgbToAlbedo(reflRGB, rgb);
 }
 
-RadianceType SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in vec3 rgb)
+RadianceType SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB, X, nW);
+    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB[index], X, nW);
     return rgbToAlbedo(reflRGB, rgb);
 }
 
-RadianceType SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+RadianceType SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB[index], X, nW, winputW);
     return rgbToAlbedo(reflRGB, rgb);
 }
 
-RadianceType evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+#ifdef HAS_SURFACE_EMISSION
+// Radiance emitted by the surface in direction winputW (emission is from the front face only)
+RadianceType SURFACE_EMISSION_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
+{
+    if (dot(nW, winputW) <= 0.0) return RadianceType(0.0);
+    vec3 emissionRGB = SURFACE_EMISSION(surfaceEmissionRGB[index], X, nW, winputW);
+    return rgbToAlbedo(emissionRGB, rgb);
+}
+#endif
+
+RadianceType evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return RadianceType(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    RadianceType diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    RadianceType diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float Fr = fresnelDielectricReflectance(woutputL.z, ior);
     vec3 h = normalize(woutputL + winputL); // Compute the reflection half-vector
     float D = microfacetEval(h, roughness);
@@ -1621,19 +2953,29 @@ RadianceType evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3
     return f;
 }
 
-float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+// The diffuse lobe part of evaluateSurface
+RadianceType evaluateSurfaceDiffuse(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in vec3 rgb)
+{
+    if (winputL.z<0.0) return RadianceType(0.0);
+    vec3 winputW = localToWorld(winputL, basis);
+    RadianceType diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float E = fresnelDielectricReflectance(winputL.z, surfaceIor[index]);
+    return (1.0 - E) * diffuseAlbedo/M_PI;
+}
+
+float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return PDF_EPSILON;
     vec3 winputW = localToWorld(winputL, basis);
-    RadianceType diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
+    RadianceType diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
     float weightSum = max(specWeight + diffuseWeight, DENOM_TOLERANCE);
     float specProb = specWeight/weightSum;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float diffusePdf = pdfHemisphereCosineWeighted(woutputL);
     vec3 h = safe_normalize(woutputL + winputL); // reflection half-vector
     float dwh_dwo = 1.0 / max(abs(4.0*dot(winputL, h)), DENOM_TOLERANCE); // Jacobian of the half-direction mapping
@@ -1641,15 +2983,15 @@ float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, i
     return specProb*specularPdf + (1.0-specProb)*diffusePdf;
 }
 
-RadianceType sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in float wavelength_nm, in vec3 rgb,
+RadianceType sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in int index, in float wavelength_nm, in vec3 rgb,
                            inout vec3 woutputL, inout float pdfOut, inout vec4 rnd)
 {
     if (winputL.z<0.0) return RadianceType(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    RadianceType diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    RadianceType diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    RadianceType    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
@@ -1657,6 +2999,7 @@ RadianceType sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in float
     float specProb = specWeight/weightSum;
     if (rand(rnd) >= specProb) // diffuse term, happens with probability 1-specProb
     {
+        bsdfLobe = LOBE_DIFFUSE;
         woutputL = sampleHemisphereCosineWeighted(rnd, pdfOut);
         pdfOut *= (1.0-specProb);
         return (1.0 - E) * diffuseAlbedo/M_PI;
@@ -1685,42 +3028,52 @@ RadianceType sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in float
 RadianceType evaluateBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera,
                            inout vec4 rnd )
 {
+    int type = materialType(material);
+    int index = materialIndex(material);
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    evaluateSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (type==MAT_SURFA) { return    evaluateSurface(X, basis, winputL, woutputL, index, wavelength_nm, rgb); }
 #endif
 #ifdef HAS_METAL
-    if (material==MAT_METAL) { return      evaluateMetal(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (type==MAT_METAL) { return      evaluateMetal(X, basis, winputL, woutputL, index, wavelength_nm, rgb); }
 #endif
 #ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { return evaluateDielectric(X, basis, winputL, woutputL, wavelength_nm, rgb, fromCamera); }
+    if (type==MAT_DIELE) { return evaluateDielectric(X, basis, winputL, woutputL, index, wavelength_nm, rgb, fromCamera); }
 #endif
+    return RadianceType(0.0);
 }
 
 RadianceType sampleBsdf( in vec3 X, in Basis basis, in vec3 winputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera,
                          inout vec3 woutputL, inout float pdfOut, inout vec4 rnd )
 {
+    int type = materialType(material);
+    int index = materialIndex(material);
+    bsdfLobe = LOBE_SPECULAR; // (unless the surface diffuse lobe is sampled)
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    sampleSurface(X, basis, winputL, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
+    if (type==MAT_SURFA) { return    sampleSurface(X, basis, winputL, index, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
 #endif
 #ifdef HAS_METAL
-    if (material==MAT_METAL) { return      sampleMetal(X, basis, winputL, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
+    if (type==MAT_METAL) { return      sampleMetal(X, basis, winputL, index, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
 #endif
 #ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { return sampleDielectric(X, basis, winputL, wavelength_nm, rgb, fromCamera, woutputL, pdfOut, rnd); }
+    if (type==MAT_DIELE) { return sampleDielectric(X, basis, winputL, index, wavelength_nm, rgb, fromCamera, woutputL, pdfOut, rnd); }
 #endif
+    return RadianceType(0.0);
 }
 
 float pdfBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera )
 {
+    int type = materialType(material);
+    int index = materialIndex(material);
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    pdfSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (type==MAT_SURFA) { return    pdfSurface(X, basis, winputL, woutputL, index, wavelength_nm, rgb); }
 #endif
 #ifdef HAS_METAL
-    if (material==MAT_METAL) { return      pdfMetal(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (type==MAT_METAL) { return      pdfMetal(X, basis, winputL, woutputL, index, wavelength_nm, rgb); }
 #endif
 #ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { return pdfDielectric(X, basis, winputL, woutputL, wavelength_nm, rgb, fromCamera); }
+    if (type==MAT_DIELE) { return pdfDielectric(X, basis, winputL, woutputL, index, wavelength_nm, rgb, fromCamera); }
 #endif
+    return PDF_EPSILON;
 }
 
 #endif // HAS_GEOMETRY
@@ -1745,47 +3098,70 @@ RadianceType VOLUME_EMISSION_EVAL(in vec3 X, in vec3 rgb)
 
 #endif // HAS_VOLUME_EMISSION
 
+#ifdef HAS_VOLUME
+
+// Grey majorant of the extinction coefficient of the volume (valid provided VOLUME_EXTINCTION_MAX bounds
+// VOLUME_EXTINCTION, and the VOLUME_*_COLOR functions do not exceed the corresponding UI colors)
+float volumeMajorant(in vec3 rgb)
+{
+    vec3 colorMax = volumeScatteringColorRGB + volumeAbsorptionColorRGB;
+    return VOLUME_EXTINCTION_MAX(volumeExtinction) * maxComponent(rgbToAlbedo(colorMax, rgb));
+}
+
+// Scattering and absorption coefficients at a point inside the volume
+void volumeCoefficients(in vec3 X, in vec3 rgb,
+                        inout RadianceType scattering, inout RadianceType absorption)
+{
+    float extinction = VOLUME_EXTINCTION(volumeExtinction, X);
+    scattering = extinction * rgbToAlbedo(VOLUME_SCATTERING_COLOR(volumeScatteringColorRGB, X), rgb);
+    absorption = extinction * rgbToAlbedo(VOLUME_ABSORPTION_COLOR(volumeAbsorptionColorRGB, X), rgb);
+}
+
+#endif // HAS_VOLUME
+
 ///////////////////////////////////////////////////////////////////////////////////
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
 
-// find first hit along specified ray
+int traceRaySteps; // (the number of march steps taken by the most recent traceRay)
+
+// find first hit along specified ray.
+// If marchOverRelaxation > 1, the steps are over-relaxed as in Keinert et al., "Enhanced Sphere Tracing" (2014), falling back to unrelaxed
+// steps once a step may have overshot a surface (i.e. the unbounding spheres at either end of the step do not overlap).
+// The hit threshold is minLengthScale, or marchFootprint times the distance along the ray if larger.
 bool traceRay(in vec3 start, in vec3 dir,
               inout vec3 hit, inout int material, float maxMarchDist)
 {
     material = MAT_INVAL;
+    traceRaySteps = 0;
     float minMarch = minLengthScale;
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-    float sdf_metal = abs(SDF_METAL(start));      sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-    float sdf_diele = abs(SDF_DIELECTRIC(start)); sdf = min(sdf, sdf_diele);
-#endif
-
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
     float t = InitialSign * sdf; // (always take the first step along the ray direction)
     if (abs(t)>=maxMarchDist) return false;
+    float omega = marchOverRelaxation;
+    float prevSdf = abs(sdf);    // (the SDF at the start of the most recent step)
+    float stepLength = abs(sdf); // (the length of the most recent step)
     for (int n=0; n<__MAX_MARCH_STEPS__; n++)
     {
+        traceRaySteps = n+1;
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarch) { material = MAT_SURFA; hit = start + t*dir; return true; } sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-        sdf_metal = abs(SDF_METAL(pW));      if (sdf_metal<minMarch) { material = MAT_METAL; hit = start + t*dir; return true; } sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-        sdf_diele = abs(SDF_DIELECTRIC(pW)); if (sdf_diele<minMarch) { material = MAT_DIELE; hit = start + t*dir; return true; } sdf = min(sdf, sdf_diele);
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (omega > 1.0 && abs(sdf) + prevSdf < stepLength)
+        {
+            // The over-relaxed step may have overshot a surface, so retake it unrelaxed, and stop over-relaxing
+            t -= InitialSign * (stepLength - prevSdf);
+            stepLength = prevSdf;
+            omega = 1.0;
+            continue;
+        }
+        if (sdf<max(minMarch, marchFootprint*abs(t))) { material = closest; hit = start + t*dir; return true; }
         // With this formula, the ray advances whether sdf is initially negative or positive --
         // but on crossing the zero isosurface, sdf flips allowing bracketing of the root.
-        t += InitialSign * sdf;
+        prevSdf = abs(sdf);
+        stepLength = omega * abs(sdf);
+        t += InitialSign * omega * sdf;
         if (abs(t)>=maxMarchDist) return false;
     }
     return !maxStepsIsMiss;
@@ -1799,37 +3175,32 @@ vec3 normal(in vec3 pW, int material)
     vec3 Xp = pW+e.xyy; vec3 Xn = pW-e.xyy;
     vec3 Yp = pW+e.yxy; vec3 Yn = pW-e.yxy;
     vec3 Zp = pW+e.yyx; vec3 Zn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(Xp) -    SDF_SURFACE(Xn),    SDF_SURFACE(Yp) -    SDF_SURFACE(Yn),    SDF_SURFACE(Zp) -    SDF_SURFACE(Zn)); return safe_normalize(N); }
-#endif
-#ifdef HAS_METAL
-    if (material==MAT_METAL) { N = vec3(     SDF_METAL(Xp) -      SDF_METAL(Xn),      SDF_METAL(Yp) -      SDF_METAL(Yn),      SDF_METAL(Zp) -      SDF_METAL(Zn)); return safe_normalize(N); }
-#endif
-#ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { N = vec3(SDF_DIELECTRIC(Xp) - SDF_DIELECTRIC(Xn), SDF_DIELECTRIC(Yp) - SDF_DIELECTRIC(Yn), SDF_DIELECTRIC(Zp) - SDF_DIELECTRIC(Zn)); return safe_normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(Xp, material) - materialSDF(Xn, material),
+                  materialSDF(Yp, material) - materialSDF(Yn, material),
+                  materialSDF(Zp, material) - materialSDF(Zn, material));
+    return safe_normalize(N);
 }
 
 #ifdef HAS_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
+    int type = materialType(material);
 #ifdef HAS_SURFACE_NORMALMAP
-    if (material==MAT_SURFA)
+    if (type==MAT_SURFA)
     {
         vec3 nL_perturbed = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
     }
 #endif
 #ifdef HAS_METAL_NORMALMAP
-    if (material==MAT_METAL)
+    if (type==MAT_METAL)
     {
         vec3 nL_perturbed = METAL_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
     }
 #endif
 #ifdef HAS_DIELECTRIC_NORMALMAP
-    if (material==MAT_DIELE)
+    if (type==MAT_DIELE)
     {
         vec3 nL_perturbed = DIELECTRIC_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
@@ -1897,17 +3268,116 @@ RadianceType transmittanceOverFreeSegment(in vec3 pW, in vec3 rayDir, float segm
     return Tr;
 }
 
+#ifdef HAS_VOLUME
+
+#define HARDMAX_VOLUME_STEPS 4096
+
+// Take a step of free-flight sampling along the ray through the volume, from distance t. Returns true if the
+// step ended at a tentative collision inside the volume. Regions outside the volume SDF are skipped by
+// sphere-tracing instead (as the free-flight distribution is memoryless, sampling can restart anywhere).
+bool volumeStep(in vec3 pW, in vec3 rayDir, float majorant, inout vec4 rnd, inout float t)
+{
+    float sdf = SDF_VOLUME(pW + t*rayDir);
+    if (sdf > 0.0)
+    {
+        t += max(sdf, minLengthScale);
+        return false;
+    }
+    t -= log(1.0 - rand(rnd)) / majorant;
+    return SDF_VOLUME(pW + t*rayDir) <= 0.0;
+}
+
+// Estimate the transmittance (per-channel) through the volume along a given segment, via ratio tracking
+RadianceType volumeTransmittance(in vec3 pW, in vec3 rayDir, float segmentLength, in vec3 rgb, inout vec4 rnd)
+{
+    RadianceType Tr = RadianceType(1.0);
+    float majorant = volumeMajorant(rgb);
+    if (majorant < RADIANCE_EPSILON)
+        return Tr;
+    float t = 0.0;
+    for (int n=0; n<HARDMAX_VOLUME_STEPS; n++)
+    {
+        if (n >= maxVolumeSteps) break;
+        bool collision = volumeStep(pW, rayDir, majorant, rnd, t);
+        if (t >= segmentLength) break;
+        if (!collision) continue;
+        RadianceType scattering, absorption;
+        volumeCoefficients(pW + t*rayDir, rgb, scattering, absorption);
+        Tr *= max(RadianceType(0.0), RadianceType(1.0) - (scattering + absorption)/majorant);
+        // Once the transmittance is small, terminate the tracking by Russian roulette on it (relative to TRANSMITTANCE_ROULETTE_THRESHOLD),
+        // so the estimate remains unbiased
+        if (maxComponent(Tr) < TRANSMITTANCE_ROULETTE_THRESHOLD)
+        {
+            RadianceType w = Tr / TRANSMITTANCE_ROULETTE_THRESHOLD;
+            if (!russianRoulette(russianRouletteDepth, w, rnd))
+                return RadianceType(0.0);
+            Tr = w * TRANSMITTANCE_ROULETTE_THRESHOLD;
+        }
+    }
+    return Tr;
+}
+
+// Sample a real scattering collision in the volume along a given segment via delta tracking. The probabilities
+// of scattering and null collisions are weighted by the current path throughput ("spectral tracking", Kutz et al. 2017),
+// which handles the chromatic extinction with a grey majorant. Returns true if a scattering collision was sampled,
+// in which case pW_scatter is set. The throughput is updated by the collision weights (including absorption),
+// and the volumetric emission along the segment is added to L.
+bool volumeScatterSample(in vec3 pW, in vec3 rayDir, float segmentLength, in vec3 rgb, inout vec4 rnd,
+                         inout RadianceType throughput, inout RadianceType L, inout vec3 pW_scatter)
+{
+    float majorant = volumeMajorant(rgb);
+    if (majorant < RADIANCE_EPSILON)
+        return false;
+    float t = 0.0;
+    for (int n=0; n<HARDMAX_VOLUME_STEPS; n++)
+    {
+        if (n >= maxVolumeSteps) break;
+        bool collision = volumeStep(pW, rayDir, majorant, rnd, t);
+        if (t >= segmentLength) break;
+        if (!collision) continue;
+        vec3 X = pW + t*rayDir;
+        RadianceType scattering, absorption;
+        volumeCoefficients(X, rgb, scattering, absorption);
+#ifdef HAS_VOLUME_EMISSION
+        // Collision estimator of the emission (which is proportional to the absorption coefficient)
+        addRadiance(L, throughput * absorption * VOLUME_EMISSION_EVAL(X, rgb) / majorant, SOURCE_EMISSION);
+#endif
+        RadianceType nullCollision = max(RadianceType(0.0), RadianceType(majorant) - scattering - absorption);
+        float scatterWeight = averageComponent(throughput * scattering);
+        float nullWeight    = averageComponent(throughput * nullCollision);
+        if (scatterWeight + nullWeight < DENOM_TOLERANCE)
+        {
+            throughput = RadianceType(0.0); // (path absorbed)
+            return false;
+        }
+        float scatter_prob = scatterWeight / (scatterWeight + nullWeight);
+        if (rand(rnd) < scatter_prob)
+        {
+            throughput *= scattering / (majorant * scatter_prob);
+            pW_scatter = X;
+            return true;
+        }
+        throughput *= nullCollision / (majorant * (1.0 - scatter_prob));
+    }
+    return false;
+}
+
+#endif // HAS_VOLUME
+
 // Return the amount of light transmitted (per-channel) along a given segment
 // (zero if occluded by geometry).
-RadianceType transmittanceOverSegment(in vec3 pW, in vec3 rayDir, float segmentLength, in vec3 rgb)
+RadianceType transmittanceOverSegment(in vec3 pW, in vec3 rayDir, float segmentLength, in vec3 rgb, inout vec4 rnd)
 {
     vec3 pW_surface;
     int hitMaterial;
     bool hit = traceRay(pW, rayDir, pW_surface, hitMaterial, segmentLength);
     if (hit)
         return RadianceType(0.0);
-    else
-        return transmittanceOverFreeSegment(pW, rayDir, segmentLength, rgb);
+    RadianceType Tr = transmittanceOverFreeSegment(pW, rayDir, segmentLength, rgb);
+#ifdef HAS_VOLUME
+    Tr *= volumeTransmittance(pW, rayDir, segmentLength, rgb, rnd);
+#endif
+    return Tr;
 }
 
 
@@ -1920,59 +3390,248 @@ RadianceType transmittanceOverSegment(in vec3 pW, in vec3 rayDir, float segmentL
 // Sky
 //////////////////////////////////////////////
 
-vec3 environmentRadianceRGB(in vec3 dirW)
+Basis skyBasis()
 {
-    float rot_phi   = M_PI*envMapPhiRotation/180.0;
     float rot_theta = M_PI*envMapThetaRotation/180.0;
     vec3 sky_pole = vec3(sin(rot_theta), cos(rot_theta), 0.0);
-    Basis sky_basis = makeBasis(sky_pole);
-    vec3 dirL = worldToLocal(dirW, sky_basis);
-    float phi = atan(dirL.y, dirL.x) + M_PI + rot_phi;
-    phi -= 2.0*M_PI*floor(phi/(2.0*M_PI)); // wrap phi to [0, 2*pi]
-    float theta = acos(dirL.z);
-    float u = phi/(2.0*M_PI);
-    float v = theta/M_PI;
-    vec3 RGB = vec3(1.0);
-    if (haveEnvMap)
-        RGB = texture(envMap, vec2(u,v)).rgb;
-    float t = dot(dirW, sky_pole);
-    float tt = envMapTransitionAngle/180.0;
-    RGB *= skyPower * mix(skyTintDown, skyTintUp, smoothstep(-tt, tt, t));
-    return RGB;
+    return makeBasis(sky_pole);
 }
 
-RadianceType environmentRadiance(in vec3 dir, in vec3 rgb)
+// Lat-long env map (u,v) coordinates of the given world space direction
+vec2 envMapUV(in vec3 dirW)
 {
-    vec3 RGB_sky = environmentRadianceRGB(dir);
-    return rgbToAlbedo(RGB_sky, rgb);
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    vec3 dirL = worldToLocal(dirW, skyBasis());
+    float phi = atan(dirL.y, dirL.x) + M_PI + rot_phi;
+    phi -= 2.0*M_PI*floor(phi/(2.0*M_PI)); // wrap phi to [0, 2*pi]
+    float theta = acos(clamp(dirL.z, -1.0, 1.0));
+    return vec2(phi/(2.0*M_PI), theta/M_PI);
 }
 
-float skyPowerEstimate()
+// World space direction of the given lat-long env map (u,v) coordinates (the inverse of envMapUV)
+vec3 envMapDirection(in vec2 uv)
 {
-    return 2.0*M_PI * skyPower * 0.5*(maxComponent(skyTintUp) + maxComponent(skyTintDown));
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    float phi = 2.0*M_PI*uv.x - M_PI - rot_phi;
+    float theta = M_PI*uv.y;
+    float sinTheta = sin(theta);
+    vec3 dirL = vec3(sinTheta*cos(phi), sinTheta*sin(phi), cos(theta));
+    return localToWorld(dirL, skyBasis());
 }
 
-RadianceType sampleSkyAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
-                                inout vec3 woutputL, inout vec3 woutputW, inout float pdfDir)
+#define SKY_MODEL_UNIFORM  0
+#define SKY_MODEL_PREETHAM 1
+
+// Perez sky distribution function (for each of Y, x, y), given the cosine of the view zenith angle
+// and the angle gamma between the view and sun directions
+vec3 perez(float cosTheta, float gamma)
 {
-    if (skyPower<RADIANCE_EPSILON)
-        return RadianceType(0.0);
-    woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
-    woutputW = localToWorld(woutputL, basis);
-    return environmentRadiance(woutputW, rgb);
+    float cosGamma = cos(gamma);
+    return (1.0 + skyPerezA*exp(skyPerezB/max(cosTheta, 1.0e-3))) *
+           (1.0 + skyPerezC*exp(skyPerezD*gamma) + skyPerezE*cosGamma*cosGamma);
 }
 
-RadianceType sampleSkyInVolume(in vec3 rgb, inout vec4 rnd,
-                               inout vec3 woutputW, inout float pdfDir)
+// Preetham sky luminance Y and chromaticity (x, y) in the given world space direction above the horizon
+// (see Renderer.updateSkyModel)
+vec3 preethamSkyYxy(in vec3 dirW)
 {
-    if (skyPower<RADIANCE_EPSILON)
-        return RadianceType(0.0);
-    woutputW = sampleSphereUniformly(rnd);
-    pdfDir = 1.0/(4.0*M_PI);
-    return environmentRadiance(woutputW, rgb);
+    float gamma = acos(clamp(dot(dirW, sunDir), -1.0, 1.0));
+    return skyPerezScale * perez(dirW.y, gamma);
 }
 
-//////////////////////////////////////////////
+vec3 preethamSkyRGB(in vec3 dirW)
+{
+    if (dirW.y <= 0.0)
+        return skyGroundRGB;
+    vec3 Yxy = preethamSkyYxy(dirW);
+    vec3 XYZ = vec3(Yxy.x*Yxy.y/Yxy.z, Yxy.x, Yxy.x*(1.0 - Yxy.y - Yxy.z)/Yxy.z);
+    vec3 RGB;
+    RGB.r =  3.2404542*XYZ.x - 1.5371385*XYZ.y - 0.4985314*XYZ.z;
+    RGB.g = -0.9692660*XYZ.x + 1.8760108*XYZ.y + 0.0415560*XYZ.z;
+    RGB.b =  0.0556434*XYZ.x - 0.2040259*XYZ.y + 1.0572252*XYZ.z;
+    return skyPower * max(RGB, vec3(0.0));
+}
+
+#ifdef DISPERSION_ENABLED
+// CIE daylight basis spectra S0, S1, S2, from 390nm to 750nm in 10nm steps
+const float daylightS0[37] = float[37](65.8, 94.8, 104.8, 105.9, 96.8, 113.9, 125.6, 125.5, 121.3, 121.3, 113.5, 113.1, 110.8, 106.5, 108.8, 105.3, 104.4, 100.0, 96.0, 95.1, 89.1, 90.5, 90.3, 88.4, 84.0, 85.1, 81.9, 82.6, 84.9, 81.3, 71.9, 74.3, 76.4, 63.3, 71.7, 77.0, 65.2);
+const float daylightS1[37] = float[37](35.0, 43.4, 46.3, 43.9, 37.1, 36.7, 35.9, 32.6, 27.9, 24.3, 20.1, 16.2, 13.2, 8.6, 6.1, 4.2, 1.9, 0.0, -1.6, -3.5, -3.5, -5.8, -7.2, -8.6, -9.5, -10.9, -10.7, -12.0, -14.0, -13.6, -12.0, -13.3, -12.9, -10.6, -11.6, -12.2, -10.2);
+const float daylightS2[37] = float[37](1.2, -1.1, -0.5, -0.7, -1.2, -2.6, -2.9, -2.8, -2.6, -2.6, -1.8, -1.5, -1.3, -1.2, -1.0, -0.5, -0.3, 0.0, 0.2, 0.5, 2.1, 3.2, 4.1, 4.7, 5.1, 6.7, 7.3, 8.6, 9.8, 10.2, 8.3, 9.6, 8.5, 7.0, 7.6, 8.0, 6.7);
+
+// Preetham sky spectral radiance at the path wavelength in the given world space direction above the horizon,
+// via the CIE daylight basis spectrum with the sky chromaticity (normalized to the sky luminance, where
+// a spectrum of 1.0 at all wavelengths has unit luminance, as does RGB white)
+float preethamSkySpectral(in vec3 dirW)
+{
+    vec3 Yxy = preethamSkyYxy(dirW);
+    float x = Yxy.y;
+    float y = Yxy.z;
+    float d = 0.0241 + 0.2562*x - 0.7341*y;
+    float M1 = (-1.3515 -  1.7703*x +  5.9114*y) / d;
+    float M2 = ( 0.0300 - 31.4424*x + 30.0717*y) / d;
+    float u = clamp((pathWavelength_nm - 390.0)/10.0, 0.0, 36.0);
+    int i = min(int(u), 35);
+    float f = u - float(i);
+    float S = mix(daylightS0[i], daylightS0[i+1], f) +
+              mix(daylightS1[i], daylightS1[i+1], f) * M1 +
+              mix(daylightS2[i], daylightS2[i+1], f) * M2;
+    float Ybar = 99.916 + 1.7893*M1 + 0.71006*M2; // (luminance-weighted mean of the spectrum)
+    return skyPower * Yxy.x * max(S, 0.0) / max(Ybar, DENOM_TOLERANCE);
+}
+#endif
+
+vec3 environmentRadianceRGB(in vec3 dirW)
+{
+    if (skyModel == SKY_MODEL_PREETHAM)
+        return preethamSkyRGB(dirW);
+    vec3 RGB = vec3(1.0);
+    if (haveEnvMap)
+        RGB = texture(envMap, envMapUV(dirW)).rgb;
+    float t = dot(dirW, skyBasis().nW);
+    float tt = envMapTransitionAngle/180.0;
+    RGB *= skyPower * mix(skyTintDown, skyTintUp, smoothstep(-tt, tt, t));
+    return RGB;
+}
+
+RadianceType environmentRadiance(in vec3 dir, in vec3 rgb)
+{
+#ifdef DISPERSION_ENABLED
+    if (skyModel == SKY_MODEL_PREETHAM && dir.y > 0.0)
+        return preethamSkySpectral(dir);
+#endif
+    vec3 RGB_sky = environmentRadianceRGB(dir);
+    return rgbToAlbedo(RGB_sky, rgb);
+}
+
+float skyPowerEstimate()
+{
+    return 2.0*M_PI * skyPower * 0.5*(maxComponent(skyTintUp) + maxComponent(skyTintDown));
+}
+
+// The envMapCDF texture holds the conditional CDF of each row of the env map in columns [0, width-1],
+// and the marginal CDF of the rows in column width (see Renderer.buildEnvMapCDF)
+float envMapCDFTexel(int i, int j)
+{
+    if (i<0 || j<0) return 0.0;
+    return texelFetch(envMapCDF, ivec2(i, j), 0).r;
+}
+
+// Find the first of the n texels of the given CDF row (or of the marginal CDF, if row<0) where the CDF exceeds u
+int envMapCDFSearch(int row, int n, float u)
+{
+    int marginal = textureSize(envMapCDF, 0).x - 1;
+    int lo = 0;
+    int hi = n - 1;
+    while (lo < hi)
+    {
+        int mid = (lo + hi)/2;
+        float cdf = (row<0) ? envMapCDFTexel(marginal, mid) : envMapCDFTexel(mid, row);
+        if (cdf > u) hi = mid;
+        else         lo = mid + 1;
+    }
+    return lo;
+}
+
+// Solid angle PDF of sampling the given direction, given the env map texel probability of its (u,v) coordinates
+float envMapSolidAnglePdf(float texelProb, in vec2 uv)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    float sinTheta = sin(M_PI*uv.y);
+    return texelProb * float((size.x-1)*size.y) / max(2.0*M_PI*M_PI*sinTheta, DENOM_TOLERANCE);
+}
+
+// Sample a direction with probability proportional to the env map luminance
+vec3 sampleEnvMap(inout vec4 rnd, inout float pdfDir)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    float r1 = rand(rnd);
+    float r2 = rand(rnd);
+    int j = envMapCDFSearch(-1, H, r1);
+    int i = envMapCDFSearch(j, W, r2);
+    float m0 = envMapCDFTexel(W, j-1);
+    float m1 = envMapCDFTexel(W, j);
+    float c0 = envMapCDFTexel(i-1, j);
+    float c1 = envMapCDFTexel(i, j);
+    // (sample uniformly within the chosen texel)
+    float du = clamp((r2 - c0)/max(c1 - c0, DENOM_TOLERANCE), 0.0, 1.0);
+    float dv = clamp((r1 - m0)/max(m1 - m0, DENOM_TOLERANCE), 0.0, 1.0);
+    vec2 uv = vec2((float(i) + du)/float(W), (float(j) + dv)/float(H));
+    pdfDir = envMapSolidAnglePdf((m1 - m0)*(c1 - c0), uv);
+    return envMapDirection(uv);
+}
+
+// Solid angle PDF of sampleEnvMap generating the given direction
+float pdfEnvMap(in vec3 dirW)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    vec2 uv = envMapUV(dirW);
+    int i = clamp(int(uv.x*float(W)), 0, W-1);
+    int j = clamp(int(uv.y*float(H)), 0, H-1);
+    float pMarginal    = envMapCDFTexel(W, j) - envMapCDFTexel(W, j-1);
+    float pConditional = envMapCDFTexel(i, j) - envMapCDFTexel(i-1, j);
+    return envMapSolidAnglePdf(pMarginal*pConditional, uv);
+}
+
+RadianceType sampleSkyAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
+                                inout vec3 woutputL, inout vec3 woutputW, inout float pdfDir)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return RadianceType(0.0);
+    if (envMapImportanceSampling)
+    {
+        woutputW = sampleEnvMap(rnd, pdfDir);
+        woutputL = worldToLocal(woutputW, basis);
+        if (woutputL.z <= 0.0) return RadianceType(0.0); // (directions below the surface receive no sky light)
+    }
+    else
+    {
+        woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
+        woutputW = localToWorld(woutputL, basis);
+    }
+    return environmentRadiance(woutputW, rgb);
+}
+
+// Solid angle PDF of sampleSkyAtSurface generating the given direction
+float pdfSkyAtSurface(Basis basis, in vec3 dirW)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return 0.0;
+    vec3 dirL = worldToLocal(dirW, basis);
+    if (envMapImportanceSampling)
+        return (dirL.z > 0.0) ? pdfEnvMap(dirW) : 0.0;
+    return pdfHemisphereCosineWeighted(dirL);
+}
+
+RadianceType sampleSkyInVolume(in vec3 rgb, inout vec4 rnd,
+                               inout vec3 woutputW, inout float pdfDir)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return RadianceType(0.0);
+    if (envMapImportanceSampling)
+        woutputW = sampleEnvMap(rnd, pdfDir);
+    else
+    {
+        woutputW = sampleSphereUniformly(rnd);
+        pdfDir = 1.0/(4.0*M_PI);
+    }
+    return environmentRadiance(woutputW, rgb);
+}
+
+// Solid angle PDF of sampleSkyInVolume generating the given direction
+float pdfSkyInVolume(in vec3 dirW)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return 0.0;
+    if (envMapImportanceSampling)
+        return pdfEnvMap(dirW);
+    return 1.0/(4.0*M_PI);
+}
+
+//////////////////////////////////////////////
 // Sun
 //////////////////////////////////////////////
 
@@ -2030,57 +3689,198 @@ RadianceType sampleSunInVolume(in vec3 rgb, inout vec4 rnd,
 }
 
 //////////////////////////////////////////////
-// Sphere light
+// Analytic lights
 //////////////////////////////////////////////
 
-#ifdef HAS_SPHERE_LIGHT
+#ifdef HAS_LIGHTS
+
+#define LIGHT_SPHERE 0
+#define LIGHT_DISK   1
+#define LIGHT_RECT   2
+#define LIGHT_SPOT   3
 
-vec3 sampleSphereLightPosition(inout vec4 rnd, in vec3 pW,
-                               inout float pdfArea)
+// Distance along the ray (pW, dir) to its hit on light i, or -1.0 if it misses
+// (disks and rects emit only from the side their normal faces, and spots, being points, cannot be hit)
+float lightIntersect(int i, in vec3 pW, in vec3 dir)
 {
-    // Sample a point uniformly on the sphere-light hemisphere facing the vertex pW
-    vec3 cp = normalize(pW - sphereLightPosition);
-    Basis hemisphereBasis = makeBasis(cp);
-    vec3 vL = sampleHemisphereUniformly(rnd);
-    vec3 vW = localToWorld(vL, hemisphereBasis);
-    pdfArea = 1.0 / (2.0*M_PI*sphereLightRadius*sphereLightRadius); // @todo: precompute
-    return sphereLightPosition + sphereLightRadius*vW;
+    vec3 c = lightPosition[i];
+    if (lightType[i] == LIGHT_SPHERE)
+    {
+        float R = lightSize[i].x;
+        vec3 m = pW - c;
+        float b = dot(m, dir);
+        float cc = dot(m, m) - R*R;
+        if (cc>0.0 && b>0.0) return -1.0;
+        float discr = b*b - cc;
+        if (discr < 0.0) return -1.0;
+        return max(-b - sqrt(discr), 0.0);
+    }
+    if (lightType[i] == LIGHT_SPOT)
+        return -1.0;
+    vec3 n = lightDirection[i];
+    float dn = dot(dir, n);
+    if (dn >= 0.0) return -1.0;
+    float t = dot(c - pW, n) / dn;
+    if (t <= 0.0) return -1.0;
+    vec3 q = pW + t*dir - c;
+    if (lightType[i] == LIGHT_DISK)
+    {
+        if (dot(q, q) > lightSize[i].x*lightSize[i].x) return -1.0;
+    }
+    else
+    {
+        if (abs(dot(q, lightTangent[i])) > lightSize[i].x ||
+            abs(dot(q, cross(n, lightTangent[i]))) > lightSize[i].y) return -1.0;
+    }
+    return t;
 }
 
-RadianceType sphereLightRadiance(in vec3 pW, in vec3 dir, in vec3 rgb,
-                                 inout vec3 pHit)
+// PDF (w.r.t. solid angle) of sampleLights generating the direction dir from pW, given that it hits light i at distance t
+float pdfLightDir(int i, in vec3 pW, in vec3 dir, float t)
 {
-    // does ray (pW, dir) hit the sphere?
-    vec3 m = pW - sphereLightPosition;
-    float b = dot(m, dir);
-    float c = dot(m, m) - sphereLightRadius*sphereLightRadius;
-    if (c>0.0 && b>0.0)
-        return RadianceType(0.0);
-    float discr = b*b - c;
-    if (discr < 0.0)
+    float pdfDir;
+    if (lightType[i] == LIGHT_SPHERE)
+        pdfDir = pdfSphereConeDir(pW, dir, lightPosition[i], lightSize[i].x);
+    else
+    {
+        float area = (lightType[i] == LIGHT_DISK) ? M_PI*lightSize[i].x*lightSize[i].x : 4.0*lightSize[i].x*lightSize[i].y;
+        float cosLight = abs(dot(dir, lightDirection[i]));
+        pdfDir = t*t / max(area*cosLight, DENOM_TOLERANCE); // convert area-measure PDF to solid-angle-measure
+    }
+    return lightSelectProb[i] * pdfDir;
+}
+
+// Radiance along the ray (pW, dir) due to the nearest light hit within distance maxDist (if any),
+// returning the index of the light hit (or -1) and the distance to it
+RadianceType lightsRadiance(in vec3 pW, in vec3 dir, float maxDist, in vec3 rgb,
+                            inout int lightIndex, inout float lightDist)
+{
+    lightIndex = -1;
+    lightDist = maxDist;
+    for (int i=0; i<__NUM_LIGHTS__; i++)
+    {
+        if (lightSelectProb[i] <= 0.0) continue; // (light is off)
+        float t = lightIntersect(i, pW, dir);
+        if (t >= 0.0 && t < lightDist)
+        {
+            lightIndex = i;
+            lightDist = t;
+        }
+    }
+    if (lightIndex < 0)
         return RadianceType(0.0);
-    float t = -b - sqrt(discr);
-    t = max(t, 0.0);
-    pHit = pW + t*dir;
-    vec3 RGB_spherelight = sphereLightPower * sphereLightColor;
-    return rgbToAlbedo(RGB_spherelight, rgb);
+    return rgbToAlbedo(lightRadianceRGB[lightIndex], rgb);
+}
+
+// MIS weight for a ray from pW which was sampled with PDF bsdfPdf and hit light i at distance t
+// (bsdfPdf is zero if the lights were not sampled at pW, in which case the full contribution is counted)
+float lightHitMISWeight(int i, in vec3 pW, in vec3 dir, float t, float bsdfPdf)
+{
+    if (bsdfPdf <= 0.0) return 1.0;
+    return powerHeuristic(bsdfPdf, pdfLightDir(i, pW, dir, t));
+}
+
+// Select one light with probability proportional to its power (i.e. with probability lightSelectProb)
+int selectLight(inout vec4 rnd)
+{
+    float r = rand(rnd);
+    float cdf = 0.0;
+    int i = 0;
+    for (; i<__NUM_LIGHTS__-1; i++)
+    {
+        cdf += lightSelectProb[i];
+        if (r < cdf) break;
+    }
+    return i;
 }
 
-RadianceType sampleSphereLight(in vec3 rgb, inout vec4 rnd, in vec3 pW,
-                               inout vec3 pHit, inout float pdfDir)
+// Sample a point uniformly over the area of disk or rect light i, returning its offset from the light position, and the light area
+vec3 sampleLightArea(int i, inout vec4 rnd, inout float area)
 {
-    if (sphereLightPower<RADIANCE_EPSILON)
+    vec3 t = lightTangent[i];
+    vec3 b = cross(lightDirection[i], t);
+    if (lightType[i] == LIGHT_DISK)
+    {
+        float R = lightSize[i].x;
+        float rho = R * sqrt(rand(rnd));
+        float phi = 2.0*M_PI*rand(rnd);
+        area = M_PI*R*R;
+        return rho * (cos(phi)*t + sin(phi)*b);
+    }
+    area = 4.0*lightSize[i].x*lightSize[i].y;
+    return (2.0*rand(rnd) - 1.0)*lightSize[i].x*t + (2.0*rand(rnd) - 1.0)*lightSize[i].y*b;
+}
+
+// Sample a direction woutputW from pW towards light i (as for sampleLights, with the PDF including the selection probability)
+RadianceType sampleLight(int i, in vec3 pW, in vec3 rgb, inout vec4 rnd,
+                         inout vec3 woutputW, inout float lightDist, inout float pdfDir)
+{
+    float selectProb = lightSelectProb[i];
+    pdfDir = 0.0;
+    if (selectProb <= 0.0)
         return RadianceType(0.0);
-    float pdfArea;
-    pHit = sampleSphereLightPosition(rnd, pW, pdfArea);
-    vec3 dHit = pHit - pW;
-    float dHit2 = dot(dHit, dHit);
-    dHit = normalize(dHit);
-    vec3 nHit = normalize(pHit - sphereLightPosition);
-    float costheta = abs(dot(nHit, dHit));
-    pdfDir = pdfArea * dHit2 / max(DENOM_TOLERANCE, costheta); // convert area-measure PDF to solid-angle-measure
-    vec3 RGB_spherelight = sphereLightPower * sphereLightColor;
-    return rgbToAlbedo(RGB_spherelight, rgb);
+    RadianceType Le = rgbToAlbedo(lightRadianceRGB[i], rgb);
+    vec3 c = lightPosition[i];
+    vec3 n = lightDirection[i];
+
+    if (lightType[i] == LIGHT_SPHERE)
+    {
+        woutputW = sampleSphereConeDir(pW, c, lightSize[i].x, rnd, pdfDir);
+        pdfDir *= selectProb;
+        lightDist = lightIntersect(i, pW, woutputW);
+        if (lightDist < 0.0) return RadianceType(0.0);
+        return Le;
+    }
+
+    if (lightType[i] == LIGHT_SPOT)
+    {
+        vec3 d = c - pW;
+        lightDist = length(d);
+        woutputW = d / max(lightDist, DENOM_TOLERANCE);
+        float falloff = smoothstep(lightSize[i].y, lightSize[i].x, dot(-woutputW, n));
+        return Le * falloff / (max(lightDist*lightDist, DENOM_TOLERANCE) * selectProb);
+    }
+
+    // Disk or rect: sample a point uniformly over the light area
+    float area;
+    vec3 q = sampleLightArea(i, rnd, area);
+    vec3 d = c + q - pW;
+    lightDist = length(d);
+    woutputW = d / max(lightDist, DENOM_TOLERANCE);
+    float cosLight = dot(-woutputW, n);
+    if (cosLight <= 0.0) return RadianceType(0.0);
+    pdfDir = selectProb * lightDist*lightDist / max(area*cosLight, DENOM_TOLERANCE); // convert area-measure PDF to solid-angle-measure
+    return Le;
+}
+
+// Select one light with probability proportional to its power, and sample a direction woutputW from pW towards it.
+// Returns the incident radiance, the distance to the sampled light point, and the PDF (w.r.t. solid angle, including
+// the selection probability) of the direction. For a spot (a delta light) the PDF is returned as zero, and the
+// returned radiance is instead the light contribution already divided by its PDF.
+RadianceType sampleLights(in vec3 pW, in vec3 rgb, inout vec4 rnd,
+                          inout vec3 woutputW, inout float lightDist, inout float pdfDir)
+{
+    return sampleLight(selectLight(rnd), pW, rgb, rnd, woutputW, lightDist, pdfDir);
+}
+
+#endif
+
+//////////////////////////////////////////////
+// Emissive surfaces
+//////////////////////////////////////////////
+
+#ifdef HAS_SURFACE_EMISSION
+
+// PDF (w.r.t. solid angle) of sampling the direction dir from pW towards the emission proxy sphere of surface instance index
+// (i.e. uniformly within the cone subtended by the sphere, or uniformly over all directions if pW is inside the sphere)
+float pdfEmitterDir(in vec3 pW, in vec3 dir, int index)
+{
+    return pdfSphereConeDir(pW, dir, surfaceEmissionProxyCenter[index], surfaceEmissionProxyRadius[index]);
+}
+
+vec3 sampleEmitterDir(in vec3 pW, int index, inout vec4 rnd, inout float pdfDir)
+{
+    return sampleSphereConeDir(pW, surfaceEmissionProxyCenter[index], surfaceEmissionProxyRadius[index], rnd, pdfDir);
 }
 
 #endif
@@ -2089,10 +3889,32 @@ RadianceType sampleSphereLight(in vec3 rgb, inout vec4 rnd, in vec3 pW,
 // Direct lighting routines
 //////////////////////////////////////////////
 
+#ifdef HAS_GEOMETRY
+
+// Add the direct lighting f*Lw at a surface vertex (where Lw is the weighted incident radiance) from the given light source,
+// to the vertex direct lighting Ldirect. For the per-lobe AOVs, this is split into the diffuse and non-diffuse parts of the BSDF.
+void addSurfaceDirect(inout RadianceType Ldirect, in RadianceType f, in RadianceType Lw, int source,
+                      in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int material, in vec3 rgb)
+{
+#ifdef PHOTON_MAPPING
+    if (photonCausticPath && (source==SOURCE_SUN || source==SOURCE_LIGHTS)) return; // (caustics are estimated from the photon map instead)
+#endif
+#ifdef AOVS_BY_LOBE
+    RadianceType fDiffuse = RadianceType(0.0);
+#ifdef HAS_SURFACE
+    if (materialType(material)==MAT_SURFA) fDiffuse = evaluateSurfaceDiffuse(X, basis, winputL, woutputL, materialIndex(material), rgb);
+#endif
+    addDirect(Ldirect, fDiffuse*Lw, source, LOBE_DIFFUSE);
+    addDirect(Ldirect, (f - fDiffuse)*Lw, source, (winputL.z*woutputL.z < 0.0) ? LOBE_TRANSMISSION : LOBE_SPECULAR);
+#else
+    addDirect(Ldirect, f*Lw, source, LOBE_NONE);
+#endif
+}
+
 // Estimate direct radiance at the given surface vertex
 RadianceType directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int material,
                                    float wavelength_nm, in vec3 rgb, inout vec4 rnd,
-                                   inout float skyPdf, inout float sunPdf, inout float sphPdf)
+                                   inout float skyPdf, inout float sunPdf)
 {
     vec3 winputL = worldToLocal(winputW, basis);
     bool fromCamera = true; // camera path
@@ -2102,10 +3924,12 @@ RadianceType directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in
     // Sky
     if (skyPower > RADIANCE_EPSILON)
     {
+        beginDimensions(qmcBounceDimension + QMC_SKY, 2);
         RadianceType Li = sampleSkyAtSurface(basis, rgb, rnd, woutputL, woutputW, skyPdf);
+        endDimensions();
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
@@ -2113,18 +3937,22 @@ RadianceType directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in
                 float bsdfPdf = max(PDF_EPSILON, pdfBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera));
                 RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
                 float misWeight = powerHeuristic(skyPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, skyPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                addSurfaceDirect(Ldirect, f, Li/max(PDF_EPSILON, skyPdf) * abs(dot(woutputW, basis.nW)) * misWeight, SOURCE_SKY,
+                                 pW, basis, winputL, woutputL, material, rgb);
             }
         }
     }
 
+#ifndef BIDIRECTIONAL // (in the bdpt integrator, the sun and the analytic lights are instead connected to via bdptDirectLighting)
     // Sun
     if (sunPower > RADIANCE_EPSILON)
     {
+        beginDimensions(qmcBounceDimension + QMC_SUN, 2);
         RadianceType Li = sampleSunAtSurface(basis, rgb, rnd, woutputL, woutputW, sunPdf);
+        endDimensions();
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
@@ -2132,43 +3960,79 @@ RadianceType directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in
                 float bsdfPdf = max(PDF_EPSILON, pdfBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera));
                 RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
                 float misWeight = powerHeuristic(sunPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, sunPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                addSurfaceDirect(Ldirect, f, Li/max(PDF_EPSILON, sunPdf) * abs(dot(woutputW, basis.nW)) * misWeight, SOURCE_SUN,
+                                 pW, basis, winputL, woutputL, material, rgb);
             }
         }
     }
+#endif
 
-#ifdef HAS_SPHERE_LIGHT
-    // Sphere light
-    if ((sphereLightPower > RADIANCE_EPSILON) &&
-        (dot(pW - sphereLightPosition, basis.nW) <= sphereLightRadius)) // (is sphere visible from the surface point?)
+#if defined(HAS_LIGHTS) && !defined(BIDIRECTIONAL)
+    // Analytic lights
     {
-        vec3 pHit;
-        RadianceType Li = sampleSphereLight(rgb, rnd, pW, pHit, sphPdf);
-        if (averageComponent(Li) > RADIANCE_EPSILON)
+        float lightDist, lightPdf;
+        beginDimensions(qmcBounceDimension + QMC_LIGHTS, 3);
+        RadianceType Li = sampleLights(pW, rgb, rnd, woutputW, lightDist, lightPdf);
+        endDimensions();
+        woutputL = worldToLocal(woutputW, basis);
+        if (averageComponent(Li) > RADIANCE_EPSILON && woutputL.z > 0.0) // (lights below the surface contribute nothing)
         {
-            float hitDist = max(0.0, length(pHit - pW) - 3.0*minLengthScale);
-            woutputW = normalize(pHit - pW);
-            woutputL = worldToLocal(woutputW, basis);
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, hitDist, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, max(0.0, lightDist - 3.0*minLengthScale), rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
-                // Apply MIS weight with the BSDF pdf for the sampled direction
+                // Apply MIS weight with the BSDF pdf for the sampled direction (unless the light is a delta light, with zero PDF)
                 float bsdfPdf = max(PDF_EPSILON, pdfBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera));
                 RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
-                float misWeight = powerHeuristic(sphPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, sphPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                if (lightPdf > 0.0) Li *= powerHeuristic(lightPdf, bsdfPdf) / lightPdf;
+                addSurfaceDirect(Ldirect, f, Li * abs(dot(woutputW, basis.nW)), SOURCE_LIGHTS,
+                                 pW, basis, winputL, woutputL, material, rgb);
             }
         }
     }
 #endif
 
-    return min(RadianceType(radianceClamp), Ldirect);
+#ifdef HAS_SURFACE_EMISSION
+    // Emissive surfaces (with a proxy sphere for sampling)
+    for (int i=0; i<__NUM_SURFACES__; i++)
+    {
+        if (surfaceEmissionProxyRadius[i] <= 0.0) continue;
+        float emitPdf;
+        woutputW = sampleEmitterDir(pW, i, rnd, emitPdf);
+        woutputL = worldToLocal(woutputW, basis);
+        vec3 pHit;
+        int hitMaterial;
+        if (!traceRay(pW, woutputW, pHit, hitMaterial, maxLengthScale)) continue;
+        if (materialType(hitMaterial)!=MAT_SURFA || materialIndex(hitMaterial)!=i) continue; // (only count hits on the sampled emitter)
+        RadianceType Li = SURFACE_EMISSION_EVAL(pHit, normal(pHit, hitMaterial), -woutputW, i, rgb);
+        if (averageComponent(Li) > RADIANCE_EPSILON)
+        {
+            float hitDist = length(pHit - pW);
+            Li *= transmittanceOverFreeSegment(pW, woutputW, hitDist, rgb);
+#ifdef HAS_VOLUME
+            Li *= volumeTransmittance(pW, woutputW, hitDist, rgb, rnd);
+#endif
+            // Apply MIS weight with the BSDF pdf for the sampled direction
+            float bsdfPdf = max(PDF_EPSILON, pdfBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera));
+            RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
+            float misWeight = powerHeuristic(emitPdf, bsdfPdf);
+            addSurfaceDirect(Ldirect, f, Li/max(PDF_EPSILON, emitPdf) * abs(dot(woutputW, basis.nW)) * misWeight, SOURCE_EMISSION,
+                             pW, basis, winputL, woutputL, material, rgb);
+        }
+    }
+#endif
+
+    return clampDirect(Ldirect);
 }
 
-#ifdef HAS_ATMOSPHERE
+#endif // HAS_GEOMETRY
 
-RadianceType directVolumeLighting(in vec3 pW, in vec3 rayDir, in vec3 rgb, inout vec4 rnd)
+#if defined(HAS_ATMOSPHERE) || defined(HAS_VOLUME)
+
+// Estimate direct radiance scattered at the given volume vertex (towards -rayDir).
+// If applyMIS is set, the light samples are MIS-weighted against phase function sampling.
+RadianceType directVolumeLighting(in vec3 pW, in vec3 rayDir, float anisotropy, in vec3 rgb, inout vec4 rnd, bool applyMIS,
+                                  inout float skyPdf, inout float sunPdf)
 {
     bool fromCamera = true; // camera path
     RadianceType Ldirect = RadianceType(0.0);
@@ -2177,16 +4041,16 @@ RadianceType directVolumeLighting(in vec3 pW, in vec3 rayDir, in vec3 rgb, inout
     if (skyPower > RADIANCE_EPSILON)
     {
         vec3 woutputW;
-        float skyPdf;
         RadianceType Li = sampleSkyInVolume(rgb, rnd, woutputW, skyPdf);
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
-                float PF = phaseFunction(dot(-rayDir, -woutputW), atmosphereAnisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
-                Ldirect += PF * Li/max(PDF_EPSILON, skyPdf);
+                float PF = phaseFunction(dot(-rayDir, -woutputW), anisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
+                float misWeight = applyMIS ? powerHeuristic(skyPdf, PF) : 1.0; // (phase function is its own PDF)
+                addDirect(Ldirect, PF * Li/max(PDF_EPSILON, skyPdf) * misWeight, SOURCE_SKY, LOBE_VOLUME);
             }
         }
     }
@@ -2195,93 +4059,98 @@ RadianceType directVolumeLighting(in vec3 pW, in vec3 rayDir, in vec3 rgb, inout
     if (sunPower > RADIANCE_EPSILON)
     {
         vec3 woutputW;
-        float sunPdf;
         RadianceType Li = sampleSunInVolume(rgb, rnd, woutputW, sunPdf);
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
-                float PF = phaseFunction(dot(-rayDir, -woutputW), atmosphereAnisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
-                Ldirect += PF * Li/max(PDF_EPSILON, sunPdf);
+                float PF = phaseFunction(dot(-rayDir, -woutputW), anisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
+                float misWeight = applyMIS ? powerHeuristic(sunPdf, PF) : 1.0; // (phase function is its own PDF)
+                addDirect(Ldirect, PF * Li/max(PDF_EPSILON, sunPdf) * misWeight, SOURCE_SUN, LOBE_VOLUME);
             }
         }
     }
 
-#ifdef HAS_SPHERE_LIGHT
-    // Sphere light
-    if (sphereLightPower > RADIANCE_EPSILON)
+#ifdef HAS_LIGHTS
+    // Analytic lights
     {
-        float sphPdf;
-        vec3 pHit;
-        RadianceType Li = sampleSphereLight(rgb, rnd, pW, pHit, sphPdf);
+        vec3 woutputW;
+        float lightDist, lightPdf;
+        RadianceType Li = sampleLights(pW, rgb, rnd, woutputW, lightDist, lightPdf);
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            float hitDist = max(0.0, length(pHit - pW) - 3.0*minLengthScale);
-            vec3 woutputW = normalize(pHit - pW);
-            RadianceType Tr = transmittanceOverSegment(pW, woutputW, hitDist, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW, woutputW, max(0.0, lightDist - 3.0*minLengthScale), rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
-                float PF = phaseFunction(dot(-rayDir, -woutputW), atmosphereAnisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
-                Ldirect += PF * Li/max(PDF_EPSILON, sphPdf);
+                float PF = phaseFunction(dot(-rayDir, -woutputW), anisotropy); // evaluate phase function for scattering -woutputW -> -rayDir
+                if (lightPdf > 0.0) Li *= (applyMIS ? powerHeuristic(lightPdf, PF) : 1.0) / lightPdf; // (phase function is its own PDF)
+                addDirect(Ldirect, PF * Li, SOURCE_LIGHTS, LOBE_VOLUME);
             }
         }
     }
 #endif
 
-    return min(RadianceType(radianceClamp), Ldirect);
+    return clampDirect(Ldirect);
 }
 
+#endif
+
+#ifdef HAS_ATMOSPHERE
+
+// Estimate the radiance single-scattered (or emitted) in the homogeneous atmosphere along the given segment
+// (to be added to the path radiance via addDirectRadiance, as it is a direct lighting estimate)
 RadianceType atmosphericInscatteringRadiance(in vec3 pW, in vec3 rayDir, in float segmentLength, in vec3 rgb, inout vec4 rnd)
 {
     RadianceType Ls = RadianceType(0.0);
 
-#ifdef HAS_FOG
-    // Fog "fake" contribution
-    if (fogEnable)
-    {
-        RadianceType TrFog = transmittanceOverFreeSegment(pW, rayDir, segmentLength, rgb);
-        Ls = (RadianceType(1.0) - TrFog) * rgbToAlbedo(fogEmission, rgb);
-    }
-#endif
-
     RadianceType extinction = VOLUME_EXTINCTION_EVAL(rgb);
     RadianceType scattering = VOLUME_SCATTERING_EVAL(rgb);
     float extinction_norm = averageComponent(extinction);
     float scattering_norm = averageComponent(scattering);
-    if ( extinction_norm < RADIANCE_EPSILON ||
-         scattering_norm < RADIANCE_EPSILON ) return Ls;
 
     // Find sub-segment of supplied segment over which (homogeneous) atmosphere exists
     float t0, t1;
-    bool hitAtmosphere = atmosphereSegment(pW, rayDir, segmentLength, t0, t1);
-    if (!hitAtmosphere)
-        return Ls;
-
-    // Sample a scattering point in [t0, t1] from a PDF proportional to the transmittance (normalized over [t0, t1])
-    float T01 = exp(-(t1-t0)*extinction_norm);
-    float t_scatter = t0 - log(1.0 - rand(rnd)*(1.0 - T01)) / extinction_norm; // sampled scatter distance
-    vec3 pW_scatter = pW + t_scatter*rayDir;                                   // sampled scatter point
-    RadianceType opticalDepth_scatter = (t_scatter - t0) * extinction;         // optical depth from pW -> pW_scatter
-    RadianceType Tr_pW = exp(-opticalDepth_scatter);                           // transmittance from pW -> pW_scatter
-    float invDistancePdf = (1.0 - T01) * exp(averageComponent(opticalDepth_scatter)) / extinction_norm; // PDF of scatter distance
-
-    // Direct lighting
-    RadianceType Li = directVolumeLighting(pW_scatter, rayDir, rgb, rnd);
-    Ls += Tr_pW * scattering * Li * invDistancePdf; // final estimator for scattered radiance
+    if ( extinction_norm >= RADIANCE_EPSILON &&
+         scattering_norm >= RADIANCE_EPSILON &&
+         atmosphereSegment(pW, rayDir, segmentLength, t0, t1) )
+    {
+        // Sample a scattering point in [t0, t1] from a PDF proportional to the transmittance (normalized over [t0, t1])
+        float T01 = exp(-(t1-t0)*extinction_norm);
+        float t_scatter = t0 - log(1.0 - rand(rnd)*(1.0 - T01)) / extinction_norm; // sampled scatter distance
+        vec3 pW_scatter = pW + t_scatter*rayDir;                                   // sampled scatter point
+        RadianceType opticalDepth_scatter = (t_scatter - t0) * extinction;         // optical depth from pW -> pW_scatter
+        RadianceType Tr_pW = exp(-opticalDepth_scatter);                           // transmittance from pW -> pW_scatter
+        float invDistancePdf = (1.0 - T01) * exp(averageComponent(opticalDepth_scatter)) / extinction_norm; // PDF of scatter distance
+
+        // Direct lighting
+        float skyPdf, sunPdf;
+        RadianceType Li = directVolumeLighting(pW_scatter, rayDir, atmosphereAnisotropy, rgb, rnd, false, skyPdf, sunPdf);
+        Ls += Tr_pW * scattering * Li * invDistancePdf; // final estimator for scattered radiance
+        scaleDirect(Tr_pW * scattering * invDistancePdf);
 
 #ifdef HAS_VOLUME_EMISSION
-    // Surface emission contribution
-    vec3 woW = samplePhaseFunction(rayDir, atmosphereAnisotropy, rnd); // sample direction of scattered light (from phase function)
-    vec3 pW_hit;
-    int hitMaterial;
-    bool hit = traceRay(pW_scatter, woW, pW_hit, hitMaterial, maxLengthScale);
-    if (hit)
+        // Surface emission contribution
+        vec3 woW = samplePhaseFunction(rayDir, atmosphereAnisotropy, rnd); // sample direction of scattered light (from phase function)
+        vec3 pW_hit;
+        int hitMaterial;
+        bool hit = traceRay(pW_scatter, woW, pW_hit, hitMaterial, maxLengthScale);
+        if (hit)
+        {
+            // (NB, phase function is the angle PDF, so the MC PDF denom. cancels it in the estimator)
+            addDirect(Ls, Tr_pW * scattering * VOLUME_EMISSION_EVAL(pW_hit, rgb) * invDistancePdf, SOURCE_EMISSION, LOBE_VOLUME);
+        }
+#endif
+    }
+
+#ifdef HAS_FOG
+    // Fog "fake" contribution
+    if (fogEnable)
     {
-        // (NB, phase function is the angle PDF, so the MC PDF denom. cancels it in the estimator)
-        Ls += Tr_pW * scattering * VOLUME_EMISSION_EVAL(pW_hit, rgb) * invDistancePdf;
+        RadianceType TrFog = transmittanceOverFreeSegment(pW, rayDir, segmentLength, rgb);
+        addDirect(Ls, (RadianceType(1.0) - TrFog) * rgbToAlbedo(fogEmission, rgb), SOURCE_EMISSION, LOBE_VOLUME);
     }
 #endif
 
@@ -2337,7 +4206,7 @@ float atmosphericScatteringProbability(in RadianceType Tr, in vec3 rgb)
 #define MIN_SSS_STEPS_BEFORE_RR 4
 
 #ifdef HAS_SURFACE
-bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
+bool randomwalk_SSS(in vec3 pW, in Basis basis, in int index, inout vec4 rnd,
                     in float MFP, in RadianceType subsurfaceAlbedo, in RadianceType diffuseAlbedoEntry,
                     inout RadianceType walk_throughput, inout vec3 pExit)
 {
@@ -2352,7 +4221,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 
     // We assume a diffuse Lambertian lobe at the entry point
     // (either pure white, or with the diffuse albedo of the entry point, or somewhere in between)
-    RadianceType f = mix(RadianceType(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight) / M_PI;
+    RadianceType f = mix(RadianceType(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight[index]) / M_PI;
     RadianceType fOverPdf = min(RadianceType(radianceClamp), f/max(PDF_EPSILON, pdfDir));
     RadianceType surface_entry_throughput = fOverPdf * abs(dot(dirwalkW, basis.nW));
     walk_throughput = RadianceType(1.0); //surface_entry_throughput; // update walk throughput due to entry in medium
@@ -2382,7 +4251,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
                 break;
             walk_throughput /= continuation_prob; // update walk throughput due to RR continuation
         }
-        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy, rnd);
+        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy[index], rnd);
         pWalk += walk_step*dirwalkW;
         walk_throughput *= subsurfaceAlbedo; // update walk throughput due to scattering in medium
     }
@@ -2390,10 +4259,10 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 }
 
 // Estimate radiance at the SSS exit point
-RadianceType SSS_exit_radiance(in vec3 pW, Basis basis,
+RadianceType SSS_exit_radiance(in vec3 pW, Basis basis, in int index,
                                in vec3 rgb, inout vec4 rnd,
                                in RadianceType diffuseAlbedoExit,
-                               inout float skyPdf, inout float sunPdf, inout float sphPdf)
+                               inout float skyPdf, inout float sunPdf)
 {
     vec3 dPw = 3.0*minLengthScale * basis.nW;
     RadianceType Ldirect = RadianceType(0.0);
@@ -2401,7 +4270,7 @@ RadianceType SSS_exit_radiance(in vec3 pW, Basis basis,
 
     // We assume a diffuse Lambertian lobe at the exit point
     // (either pure white, or with the diffuse albedo of the exit point, or somewhere in between)
-    RadianceType f = mix(RadianceType(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+    RadianceType f = mix(RadianceType(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[index]) / M_PI;
 
     // Sky
     if (skyPower > RADIANCE_EPSILON)
@@ -2409,14 +4278,14 @@ RadianceType SSS_exit_radiance(in vec3 pW, Basis basis,
         RadianceType Li = sampleSkyAtSurface(basis, rgb, rnd, woutputL, woutputW, skyPdf);
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
                 // Apply MIS weight with the BSDF pdf for the sampled direction
                 float bsdfPdf = pdfHemisphereCosineWeighted(woutputL);
                 float misWeight = powerHeuristic(skyPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, skyPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                addDirect(Ldirect, f * Li/max(PDF_EPSILON, skyPdf) * abs(dot(woutputW, basis.nW)) * misWeight, SOURCE_SKY, LOBE_SUBSURFACE);
             }
         }
     }
@@ -2426,42 +4295,38 @@ RadianceType SSS_exit_radiance(in vec3 pW, Basis basis,
         RadianceType Li = sampleSunAtSurface(basis, rgb, rnd, woutputL, woutputW, sunPdf);
         if (averageComponent(Li) > RADIANCE_EPSILON)
         {
-            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, maxLengthScale, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, maxLengthScale, rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
                 // Apply MIS weight with the BSDF pdf for the sampled direction
                 float bsdfPdf = pdfHemisphereCosineWeighted(woutputL);
                 float misWeight = powerHeuristic(sunPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, sunPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                addDirect(Ldirect, f * Li/max(PDF_EPSILON, sunPdf) * abs(dot(woutputW, basis.nW)) * misWeight, SOURCE_SUN, LOBE_SUBSURFACE);
             }
         }
     }
-#ifdef HAS_SPHERE_LIGHT
-    // Sphere light
-    if ((sphereLightPower > RADIANCE_EPSILON) &&
-        (dot(pW - sphereLightPosition, basis.nW) <= sphereLightRadius)) // (is sphere visible from the surface point?)
+#ifdef HAS_LIGHTS
+    // Analytic lights
     {
-        vec3 pHit;
-        RadianceType Li = sampleSphereLight(rgb, rnd, pW, pHit, sphPdf);
-        if (averageComponent(Li) > RADIANCE_EPSILON)
+        float lightDist, lightPdf;
+        RadianceType Li = sampleLights(pW+dPw, rgb, rnd, woutputW, lightDist, lightPdf);
+        woutputL = worldToLocal(woutputW, basis);
+        if (averageComponent(Li) > RADIANCE_EPSILON && woutputL.z > 0.0) // (lights below the surface contribute nothing)
         {
-            float hitDist = max(0.0, length(pHit - pW) - 3.0*minLengthScale);
-            woutputW = normalize(pHit - pW);
-            woutputL = worldToLocal(woutputW, basis);
-            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, hitDist, rgb);
+            RadianceType Tr = transmittanceOverSegment(pW+dPw, woutputW, max(0.0, lightDist - 3.0*minLengthScale), rgb, rnd);
             Li *= abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
             if (averageComponent(Li) > RADIANCE_EPSILON)
             {
-                // Apply MIS weight with the BSDF pdf for the sampled direction
+                // Apply MIS weight with the BSDF pdf for the sampled direction (unless the light is a delta light, with zero PDF)
                 float bsdfPdf = pdfHemisphereCosineWeighted(woutputL);
-                float misWeight = powerHeuristic(sphPdf, bsdfPdf);
-                Ldirect += f * Li/max(PDF_EPSILON, sphPdf) * abs(dot(woutputW, basis.nW)) * misWeight;
+                if (lightPdf > 0.0) Li *= powerHeuristic(lightPdf, bsdfPdf) / lightPdf;
+                addDirect(Ldirect, f * Li * abs(dot(woutputW, basis.nW)), SOURCE_LIGHTS, LOBE_SUBSURFACE);
             }
         }
     }
 #endif
-    return min(RadianceType(radianceClamp), Ldirect);
+    return clampDirect(Ldirect);
 }
 
 #endif
@@ -2471,78 +4336,434 @@ RadianceType SSS_exit_radiance(in vec3 pW, Basis basis,
 // Pathtracing integrator
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
-                         inout vec3 primaryStart, inout vec3 primaryDir)
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
 {
-    // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
-    float fh = tan(0.5*radians(camFovy)); // frustum height
-    float fw = camAspect*fh;
-    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
-    primaryDir = safe_normalize(camDir + s);
-    if (camAperture<=0.0)
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
     {
-        primaryStart = camPos;
-        return;
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
     }
-    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI*rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
-    primaryStart = lensPos;
-    primaryDir = safe_normalize(focalPlaneHit - lensPos);
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
 }
 
+#ifdef HAS_APERTURE_IMAGE
+uniform sampler2D apertureImage; // (bound to the texture unit following the G-buffers, before the user textures)
+#define APERTURE_SAMPLE_ATTEMPTS 16
+#endif
 
-RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir, 
-                        float wavelength_nm, in vec3 rgb, inout vec4 rnd)
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it (or the aperture image, if defined, whose luminance is the transmission of the unit square)
+vec2 sampleAperture(inout vec4 rnd)
 {
-    // Perform pathtrace starting from the camera lens to estimate the primary ray radiance, L
-    RadianceType L = RadianceType(0.0);
-    float misWeightSky = 1.0; // For MIS book-keeping
-    float misWeightSun = 1.0; // For MIS book-keeping
-#ifdef HAS_SPHERE_LIGHT
-    float misWeightSph = 1.0; // For MIS book-keeping
+#ifdef HAS_APERTURE_IMAGE
+    for (int n=0; n<APERTURE_SAMPLE_ATTEMPTS; ++n)
+    {
+        vec2 p = -1.0 + 2.0*vec2(rand(rnd), rand(rnd));
+        vec3 transmission = texture(apertureImage, 0.5 + 0.5*p).rgb;
+        if (rand(rnd) < dot(transmission, vec3(0.2126, 0.7152, 0.0722))) return p;
+    }
+    return vec2(0.0);
 #endif
-    vec3 pW = primaryStart;
-    vec3 rayDir = primaryDir; // (opposite to light beam direction)
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
 
-#ifdef HAS_DIELECTRIC
-    bool inDielectric = SDF_DIELECTRIC(primaryStart) < 0.0;
-#endif
+// Whether the given point (in units of the aperture radius) lies within the aperture shape (ignoring any aperture image)
+bool insideAperture(vec2 p)
+{
+    float r = length(p);
+    if (apertureBlades < 3) return r <= 1.0;
+    float sector = 2.0*M_PI/float(apertureBlades);
+    float phi = mod(atan(p.y, p.x) - apertureRotation, sector) - 0.5*sector;
+    return r*cos(phi) <= cos(0.5*sector);
+}
+
+#ifdef HAS_REALISTIC_LENS
+
+////////////////////////////////////////////////////////////////////////////////
+// Realistic lens camera
+////////////////////////////////////////////////////////////////////////////////
+
+// The lens surfaces, from the front element to the rear element (see Lens), in the lens frame (whose z axis is the optical axis,
+// with z the distance in front of the film, and whose x and y axes are the camera right and up directions)
+uniform float lensSurfaceRadius[__NUM_LENS_SURFACES__];   // (signed radius of curvature, positive if the center of curvature is toward the film, or 0 if flat)
+uniform float lensSurfaceAperture[__NUM_LENS_SURFACES__]; // (semi-aperture)
+uniform float lensSurfaceZ[__NUM_LENS_SURFACES__];        // (distance of the surface vertex in front of the film)
+uniform int lensSurfaceGlass[__NUM_LENS_SURFACES__];      // (glass behind the surface, indexing IOR_LENS, or -1 for air)
+uniform int lensStop;           // (index of the aperture stop surface, or -1)
+uniform float lensPupilZ;       // (distance of the paraxial exit pupil in front of the film)
+uniform float lensPupilRadius;
+uniform float lensFilmHeight;
+
+#define LENS_SAMPLE_ATTEMPTS 8
+
+float lensIor(int glass)
+{
+    return (glass < 0) ? 1.0 : IOR_LENS(glass, pathWavelength_nm);
+}
+
+// Intersect the ray (in the lens frame, travelling away from the film) with lens surface i, and refract it into the medium in front of
+// the surface, returning false if the ray misses the surface, is blocked by its aperture (or the aperture shape of the stop),
+// or is totally internally reflected
+bool refractLensSurface(int i, inout vec3 p, inout vec3 d)
+{
+    float R = lensSurfaceRadius[i];
+    float zv = lensSurfaceZ[i];
+    vec3 n;
+    if (R == 0.0)
+    {
+        float t = (zv - p.z)/d.z;
+        if (t < 0.0) return false;
+        p += t*d;
+        n = vec3(0.0, 0.0, -1.0);
+    }
+    else
+    {
+        // (the surface is the cap of the sphere nearest the vertex, i.e. the far intersection if the center is toward the film)
+        vec3 c = vec3(0.0, 0.0, zv - R);
+        vec3 oc = p - c;
+        float b = dot(oc, d);
+        float disc = b*b - (dot(oc, oc) - R*R);
+        if (disc < 0.0) return false;
+        float t = (R > 0.0) ? (-b + sqrt(disc)) : (-b - sqrt(disc));
+        if (t < 0.0) return false;
+        p += t*d;
+        n = normalize(p - c);
+        if (dot(n, d) > 0.0) n = -n;
+    }
+    float a = lensSurfaceAperture[i];
+    if (dot(p.xy, p.xy) > a*a) return false;
+    if (i == lensStop && !insideAperture(p.xy/a)) return false;
+    float etaI = lensIor(lensSurfaceGlass[i]);
+    float etaT = 1.0;
+    if (i > 0) etaT = lensIor(lensSurfaceGlass[i-1]);
+    if (etaI == etaT) return true;
+    vec3 r = refract(d, n, etaI/etaT);
+    if (dot(r, r) == 0.0) return false;
+    d = normalize(r);
+    return true;
+}
+
+// Construct the primary ray through the given pixel with the realistic lens, by tracing a ray from the corresponding point of the (inverted)
+// image on the film through the lens surfaces, toward a point sampled over the aperture shape scaled to the paraxial exit pupil.
+// Rays blocked by the lens are resampled (so the exposure does not depend on the f-number), returning false if none passes.
+bool constructLensRay(in vec2 pixel, inout vec4 rnd, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 filmPoint = vec3(-0.5*lensFilmHeight*vec2(camAspect*ndc.x, ndc.y), 0.0);
+    for (int n=0; n<LENS_SAMPLE_ATTEMPTS; ++n)
+    {
+        vec3 p = filmPoint;
+        vec3 d = normalize(vec3(lensPupilRadius*sampleAperture(rnd), lensPupilZ) - filmPoint);
+        bool passed = true;
+        for (int i=__NUM_LENS_SURFACES__-1; i>=0; --i)
+        {
+            if (!refractLensSurface(i, p, d)) { passed = false; break; }
+        }
+        if (!passed) continue;
+        // (the lens frame is placed with the vertex of the front element at the camera position)
+        vec3 camRight = -camX;
+        primaryStart = camPos + p.x*camRight + p.y*camY + (p.z - lensSurfaceZ[0])*camDir;
+        primaryDir = normalize(d.x*camRight + d.y*camY + d.z*camDir);
+        return true;
+    }
+    return false;
+}
+
+#endif // HAS_REALISTIC_LENS
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+                         inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+#ifdef HAS_REALISTIC_LENS
+    return constructLensRay(pixel, rnd, primaryStart, primaryDir);
+#endif
+
+    // Compute world ray direction for given (possibly jittered) fragment
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    float fh = tan(0.5*radians(camFovy)); // frustum height
+    float fw = camAspect*fh;
+    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
+    primaryDir = safe_normalize(camDir + s);
+    if (camAperture<=0.0)
+    {
+        primaryStart = camPos;
+        return true;
+    }
+    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
+    primaryStart = lensPos;
+    primaryDir = safe_normalize(focalPlaneHit - lensPos);
+    return true;
+}
+
+#if defined(PHOTON_MAPPING) && defined(HAS_GEOMETRY)
+
+////////////////////////////////////////////////////////////////////////////////
+// Photon gathering (for the progressive photon mapping integrator)
+////////////////////////////////////////////////////////////////////////////////
+
+// Hash grid slot of a grid cell (this must match photonGridSlot in the photon grid vertex shader)
+int photonGridSlot(in ivec3 cell)
+{
+    uvec3 c = uvec3(cell);
+    uint h = (c.x*73856093u) ^ (c.y*19349663u) ^ (c.z*83492791u);
+    return int(h % uint(photonGridSize*photonGridSize));
+}
+
+// Estimate the radiance scattered towards winputL at the surface point pW, due to the photons within the gather radius.
+// The 2x2x2 grid cells overlapping the gather sphere are searched, where each slot contributes its chosen photon (if within
+// the gather radius) weighted by the photon count of the slot, giving an unbiased estimate of the sum over the photons.
+RadianceType gatherPhotons(in vec3 pW, in Basis basis, in vec3 winputL, int material, float wavelength_nm, in vec3 rgb, inout vec4 rnd)
+{
+    RadianceType Lp = RadianceType(0.0);
+    float cellSize = 2.0*photonRadius;
+    ivec3 baseCell = ivec3(floor(pW/cellSize - 0.5));
+    int slots[8];
+    bool fromCamera = true; // camera path
+    for (int n=0; n<8; ++n)
+    {
+        slots[n] = photonGridSlot(baseCell + ivec3(n&1, (n>>1)&1, (n>>2)&1));
+        bool duplicate = false; // (skip slots already gathered, if distinct cells hash to the same slot)
+        for (int m=0; m<n; ++m) duplicate = duplicate || (slots[m] == slots[n]);
+        if (duplicate) continue;
+        ivec2 gridTexel = ivec2(slots[n] % photonGridSize, slots[n] / photonGridSize);
+        float count = texelFetch(PhotonGridCount, gridTexel, 0).r;
+        if (count < 0.5) continue;
+        int photonIndex = int(texelFetch(PhotonGridIndex, gridTexel, 0).r);
+        ivec2 photonTexel = ivec2(photonIndex % photonMapSize, photonIndex / photonMapSize);
+        vec4 photonPos = texelFetch(PhotonPosition, photonTexel, 0);
+        if (photonPos.w == 0.0 || length(photonPos.xyz - pW) > photonRadius) continue;
+        vec3 woutputL = worldToLocal(texelFetch(PhotonDirection, photonTexel, 0).xyz, basis);
+        if (woutputL.z <= 0.0) continue;
+        RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
+        Lp += count * f * rgbToAlbedo(texelFetch(PhotonPower, photonTexel, 0).rgb, rgb);
+    }
+    float numPhotons = float(photonMapSize*photonMapSize); // (the number of photons emitted)
+    return Lp / (numPhotons * M_PI*photonRadius*photonRadius);
+}
+
+#endif // PHOTON_MAPPING && HAS_GEOMETRY
+
+RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir, 
+                        float wavelength_nm, in vec3 rgb, inout vec4 rnd)
+{
+    // Perform pathtrace starting from the camera lens to estimate the primary ray radiance, L
+    RadianceType L = RadianceType(0.0);
+    float misWeightSky = 1.0; // For MIS book-keeping
+    float misWeightSun = 1.0; // For MIS book-keeping
+#ifdef HAS_LIGHTS
+    float lightBsdfPdf = 0.0; // For MIS book-keeping (BSDF or phase function pdf at the previous vertex, or zero if lights were not sampled there)
+#endif
+    float emitterBsdfPdf = 0.0; // For MIS book-keeping (BSDF pdf at the previous vertex, or zero if emitters were not sampled there)
+    vec3 pW = primaryStart;
+    vec3 rayDir = primaryDir; // (opposite to light beam direction)
+
+#ifdef HAS_DIELECTRIC
+    int dielectricMaterial = insideDielectric(primaryStart);
+    bool inDielectric = (dielectricMaterial != MAT_INVAL);
+    int dielectricIndex = materialIndex(dielectricMaterial);
+#endif
     RadianceType throughput = RadianceType(1.0);
     int atmosphere_scatters = 0;
+    pathLobe = LOBE_NONE;
+#ifdef PHOTON_MAPPING
+    // The photons are gathered at the first surface (i.e. diffuse) vertex, so the paths from there via only metal and dielectric
+    // vertices to the sun or a light are caustic paths, whose contribution is estimated by the photon map instead
+    bool photonsGathered = false;
+    bool causticChain = false; // (whether all vertices since the photon gather vertex are metal or dielectric)
+    photonCausticPath = false;
+#endif
 
     for (int vertex=0; vertex<=__MAX_BOUNCES__; ++vertex)
     {
-        if (maxComponent(throughput) < THROUGHPUT_EPSILON) break;
+        if (!russianRoulette(vertex, throughput, rnd)) break;
+        qmcBounceDimension = QMC_DIM_BOUNCE + vertex*QMC_BOUNCE_DIMS;
 
         // Raycast along current propagation direction rayDir, from current vertex pW to pW_next
         vec3 pW_next;
         int hitMaterial;
         bool hit = traceRay(pW, rayDir, pW_next, hitMaterial, maxLengthScale);
-        float rayLength = maxLengthScale;
-        if (hit)
+        float rayLength = hit ? length(pW_next - pW) : maxLengthScale;
+
+#ifdef HAS_VOLUME
+        // Delta-track through the heterogeneous volume over the segment up to the next hit (or light hit),
+        // scattering at the sampled collision if one occurs before the end of the segment
         {
-            rayLength = length(pW_next - pW);
+            float trackLength = rayLength;
+#ifdef HAS_LIGHTS
+            int trackLightIndex;
+            float trackLightDist;
+            lightsRadiance(pW, rayDir, rayLength, rgb, trackLightIndex, trackLightDist);
+            trackLength = trackLightDist;
+#endif
+            vec3 pW_scatter;
+            if (volumeScatterSample(pW, rayDir, trackLength, rgb, rnd, throughput, L, pW_scatter))
+            {
+                float anisotropy = VOLUME_ANISOTROPY(volumeAnisotropy, pW_scatter);
+
+                // Add direct lighting term at the volume vertex
+                float skyPdf = 0.0;
+                float sunPdf = 0.0;
+#ifdef HAS_DIELECTRIC
+                if (!inDielectric)
+#endif
+                    addDirectRadiance(L, throughput, directVolumeLighting(pW_scatter, rayDir, anisotropy, rgb, rnd, true,
+                                                                          skyPdf, sunPdf));
+                setPathLobe(LOBE_VOLUME);
+
+                // Sample the scattered ray direction from the phase function
+                vec3 woutputW = samplePhaseFunction(rayDir, anisotropy, rnd);
+                float phasePdf = phaseFunction(dot(rayDir, woutputW), anisotropy);
+                if (skyPdf > 0.0) skyPdf = pdfSkyInVolume(woutputW); // (if the sky was sampled, the sky PDF of the scattered ray direction)
+                misWeightSky = powerHeuristic(phasePdf, skyPdf); // compute sky MIS weight for scattered ray
+                misWeightSun = powerHeuristic(phasePdf, sunPdf); // compute sun MIS weight for scattered ray
+#ifdef HAS_LIGHTS
+                lightBsdfPdf = phasePdf; // (lights were sampled in the direct lighting, unless inside a dielectric)
+#ifdef HAS_DIELECTRIC
+                if (inDielectric) lightBsdfPdf = 0.0;
+#endif
+#endif
+                emitterBsdfPdf = 0.0;
+                pW = pW_scatter;
+                rayDir = woutputW;
+#ifdef PHOTON_MAPPING
+                causticChain = photonCausticPath = false; // (scattering in a medium ends any caustic path)
+#endif
+                continue;
+            }
+            // (the collision weights may have reduced the throughput, so play Russian roulette again before shading the hit)
+            if (!russianRoulette(vertex, throughput, rnd)) break;
         }
-        else
+#endif
+
+        if (!hit)
         {
             // This ray missed all geometry; add environment light term
             // (attenuated by transmittance through atmosphere to "infinity")
             // and terminate path
             float lightSegmentLength;
             RadianceType Tr;
-#ifdef HAS_SPHERE_LIGHT
-            // Check first for area-light (i.e. sphere light) hit
-            vec3 pLightHit;
-            RadianceType LiSph = (sphereLightPower<RADIANCE_EPSILON) ? RadianceType(0.0) : sphereLightRadiance(pW, rayDir, rgb, pLightHit);
-            if (averageComponent(LiSph) > RADIANCE_EPSILON)
+#ifdef HAS_LIGHTS
+            // Check first for an area light hit
+            int lightIndex;
+            float lightDist;
+            RadianceType Li = lightsRadiance(pW, rayDir, maxLengthScale, rgb, lightIndex, lightDist);
+            if (lightIndex >= 0)
             {
-                lightSegmentLength = length(pLightHit - pW);
+                lightSegmentLength = lightDist;
                 Tr = transmittanceOverFreeSegment(pW, rayDir, lightSegmentLength, rgb);
                 float scatter_prob = atmosphericScatteringProbability(Tr, rgb);
-                L += throughput * Tr * misWeightSph * LiSph / (1.0 - scatter_prob);
+                float misWeight = lightHitMISWeight(lightIndex, pW, rayDir, lightDist, lightBsdfPdf);
+                addRadiance(L, throughput * Tr * misWeight * Li / (1.0 - scatter_prob), SOURCE_LIGHTS);
             }
             else
 #endif
@@ -2553,15 +4774,15 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
                 float scatter_prob = atmosphericScatteringProbability(Tr, rgb);
                 if (averageComponent(Tr) > RADIANCE_EPSILON)
                 {
-                    if (!(vertex==0 && !envMapVisible)      && misWeightSky>0.0) L += throughput * Tr * misWeightSky * environmentRadiance(rayDir, rgb) / (1.0 - scatter_prob);
-                    if (!(vertex==0 && !sunVisibleDirectly) && misWeightSun>0.0) L += throughput * Tr * misWeightSun * sunRadiance(rayDir, rgb)         / (1.0 - scatter_prob);
+                    if (!(vertex==0 && !envMapVisible)      && misWeightSky>0.0) addRadiance(L, throughput * Tr * misWeightSky * environmentRadiance(rayDir, rgb) / (1.0 - scatter_prob), SOURCE_SKY);
+                    if (!(vertex==0 && !sunVisibleDirectly) && misWeightSun>0.0) addRadiance(L, throughput * Tr * misWeightSun * sunRadiance(rayDir, rgb)         / (1.0 - scatter_prob), SOURCE_SUN);
                 }
             }
 
 #ifdef HAS_ATMOSPHERE
             // Add term for single-inscattering in the homogeneous atmosphere over the segment to the light hit
             if (vertex<2) // (restrict to first two segments only, for efficiency)
-                L += throughput * atmosphericInscatteringRadiance(pW, rayDir, lightSegmentLength, rgb, rnd);
+                addDirectRadiance(L, throughput, atmosphericInscatteringRadiance(pW, rayDir, lightSegmentLength, rgb, rnd));
 
             // Scatter in atmosphere depending on transmittance over segment
             if (atmosphere_scatters+1 < __MAX_ATMOSPHERE_SCATTERS__)
@@ -2572,9 +4793,17 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
                     vec3 pW_scatter;
                     vec3 woutputW;
                     throughput *= atmosphericScatterSample(pW, rayDir, lightSegmentLength, rgb, rnd, pW_scatter, woutputW) / max(DENOM_TOLERANCE, scatter_prob);
+                    setPathLobe(LOBE_VOLUME);
                     pW = pW_scatter;
                     rayDir = woutputW;
+                    emitterBsdfPdf = 0.0;
+#ifdef HAS_LIGHTS
+                    lightBsdfPdf = 0.0;
+#endif
                     atmosphere_scatters++;
+#ifdef PHOTON_MAPPING
+                    causticChain = photonCausticPath = false; // (scattering in a medium ends any caustic path)
+#endif
                     continue;
                 }
             }
@@ -2584,26 +4813,23 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         }
 
         RadianceType Tr = RadianceType(1.0); // transmittance (about to be calculated) over segment to next hit
-        bool hitSphereLight = false;
-
-#ifdef HAS_SPHERE_LIGHT
-        // Add possible contribution due to ray hitting the sphere light
-        vec3 pLightHit;
-        RadianceType LiSph = (sphereLightPower<RADIANCE_EPSILON) ? RadianceType(0.0) : sphereLightRadiance(pW, rayDir, rgb, pLightHit);
-        if (averageComponent(LiSph) > RADIANCE_EPSILON)
+        bool hitLight = false;
+
+#ifdef HAS_LIGHTS
+        // Add possible contribution due to ray hitting an area light before the next surface hit
+        int lightIndex;
+        float lightSegmentLength;
+        RadianceType Li = lightsRadiance(pW, rayDir, rayLength, rgb, lightIndex, lightSegmentLength);
+        if (lightIndex >= 0)
         {
-            float lightSegmentLength = length(pLightHit - pW);
-            if (lightSegmentLength < rayLength)
-            {
-                hitSphereLight = true;
-                Tr = transmittanceOverFreeSegment(pW, rayDir, lightSegmentLength, rgb);
-                L += throughput * Tr * misWeightSph * LiSph;
+            hitLight = true;
+            Tr = transmittanceOverFreeSegment(pW, rayDir, lightSegmentLength, rgb);
+            addRadiance(L, throughput * Tr * lightHitMISWeight(lightIndex, pW, rayDir, lightSegmentLength, lightBsdfPdf) * Li, SOURCE_LIGHTS);
 #ifdef HAS_ATMOSPHERE
-                // Add term for single-inscattering in the homogeneous atmosphere over the segment up to the sphere light hit
-                if (vertex<2) // (restrict to first two segments only, for efficiency)
-                    L += throughput * atmosphericInscatteringRadiance(pW, rayDir, lightSegmentLength, rgb, rnd);
+            // Add term for single-inscattering in the homogeneous atmosphere over the segment up to the light hit
+            if (vertex<2) // (restrict to first two segments only, for efficiency)
+                addDirectRadiance(L, throughput, atmosphericInscatteringRadiance(pW, rayDir, lightSegmentLength, rgb, rnd));
 #endif
-            }
         }
 #endif
 
@@ -2611,7 +4837,7 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
 #ifdef HAS_DIELECTRIC
         if (inDielectric)
         {
-            RadianceType absorption = DIELECTRIC_ABSORPTION_EVAL(pW, rgb);
+            RadianceType absorption = DIELECTRIC_ABSORPTION_EVAL(pW, dielectricIndex, rgb);
             throughput *= exp(-rayLength*absorption);
         }
 #endif
@@ -2619,9 +4845,9 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // Add term for single-scattering in the homogeneous atmosphere over the segment up to the next hit
 #ifdef HAS_ATMOSPHERE
         if (vertex<2) // (restrict to first two segments only, for efficiency)
-            L += throughput * atmosphericInscatteringRadiance(pW, rayDir, rayLength, rgb, rnd);
+            addDirectRadiance(L, throughput, atmosphericInscatteringRadiance(pW, rayDir, rayLength, rgb, rnd));
 
-        if (!hitSphereLight)
+        if (!hitLight)
             Tr = transmittanceOverFreeSegment(pW, rayDir, rayLength, rgb);
 
         // Scatter in atmosphere depending on transmittance over segment to next hit
@@ -2633,22 +4859,47 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
                 vec3 pW_scatter;
                 vec3 woutputW;
                 throughput *= atmosphericScatterSample(pW, rayDir, rayLength, rgb, rnd, pW_scatter, woutputW) / max(DENOM_TOLERANCE, scatter_prob);
+                setPathLobe(LOBE_VOLUME);
                 pW = pW_scatter;
                 rayDir = woutputW;
+                emitterBsdfPdf = 0.0;
+#ifdef HAS_LIGHTS
+                lightBsdfPdf = 0.0;
+#endif
                 atmosphere_scatters++;
+#ifdef PHOTON_MAPPING
+                causticChain = photonCausticPath = false; // (scattering in a medium ends any caustic path)
+#endif
                 continue;
             }
             else
                 throughput /= max(DENOM_TOLERANCE, 1.0 - scatter_prob);
         }
 
-        if (hitSphereLight)
-            break; // terminate on hitting light (as we assume the sphere light has zero albedo)
+        if (hitLight)
+            break; // terminate on hitting light (as we assume the lights have zero albedo)
 
         // Attenuate throughput to next hit due to atmospheric attenuation (Beer's law)
         throughput *= transmittanceOverFreeSegment(pW, rayDir, rayLength, rgb);
 #endif
 
+        if (hitLight)
+            break; // terminate on hitting light (as we assume the lights have zero albedo)
+
+#ifdef HAS_GEOMETRY
+#ifdef HAS_SURFACE_EMISSION
+        // Add emission if the ray hit an emissive surface, MIS-weighted against the emitter sampling at the previous vertex
+        if (materialType(hitMaterial)==MAT_SURFA)
+        {
+            int emitIndex = materialIndex(hitMaterial);
+            RadianceType Le = SURFACE_EMISSION_EVAL(pW_next, normal(pW_next, hitMaterial), -rayDir, emitIndex, rgb);
+            float misWeightEmit = 1.0;
+            if (emitterBsdfPdf > 0.0 && surfaceEmissionProxyRadius[emitIndex] > 0.0)
+                misWeightEmit = powerHeuristic(emitterBsdfPdf, pdfEmitterDir(pW, rayDir, emitIndex));
+            addRadiance(L, throughput * Le * misWeightEmit, SOURCE_EMISSION);
+        }
+#endif
+
         // This ray hit some geometry, so deal with the surface interaction.
         // First, compute the normal and thus the local vertex basis:
         pW = pW_next;
@@ -2660,22 +4911,38 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // If the incident ray lies below the hemisphere of the perturbed shading normal,
         // which can occur due to normal mapping, apply the "Flipping hack" to prevent artifacts
         // (see Schüßler, "Microfacet-based Normal Mapping for Robust Monte Carlo Path Tracing")
-        if ((dot(nW, rayDir) > 0.0) && (hitMaterial != MAT_DIELE))
+        if ((dot(nW, rayDir) > 0.0) && (materialType(hitMaterial) != MAT_DIELE))
             nW = 2.0*ngW*dot(ngW, nW) - nW;
         basis = makeBasis(nW);
 #endif
 
+#ifdef PHOTON_MAPPING
+        if (materialType(hitMaterial)==MAT_SURFA)
+        {
+            // Gather the photons at the first surface vertex (weighted by the throughput up to the vertex), to estimate the caustics
+            if (!photonsGathered)
+                L += throughput * gatherPhotons(pW, basis, -rayDir, hitMaterial, wavelength_nm, rgb, rnd);
+            causticChain = !photonsGathered;
+            photonsGathered = true;
+            photonCausticPath = false;
+        }
+        else
+            photonCausticPath = causticChain;
+#endif
+
         // Make a binary choice whether to scatter at the surface, or do a subsurface random walk:
         bool do_subsurface_walk = false;
         float prob_sss = 0.0;
         RadianceType subsurfaceAlbedo;
+        int hitIndex = materialIndex(hitMaterial);
 #ifdef HAS_SURFACE
-        if (subsurfaceMFP > 0.0)         // a) the surface must have non-zero subsurface MFP, and
+        if (materialType(hitMaterial)==MAT_SURFA &&
+            subsurfaceMFP[hitIndex] > 0.0)         // a) the surface must have non-zero subsurface MFP, and
         {
-            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, rgb);
-            float diffuse_weight    = (1.0 - subsurface)*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float subsurface_weight = subsurface * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
+            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, hitIndex, rgb);
+            float diffuse_weight    = (1.0 - subsurface[hitIndex])*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float subsurface_weight = subsurface[hitIndex] * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
             float total_weight = diffuse_weight + spec_weight + subsurface_weight;
             prob_sss = subsurface_weight / (total_weight + DENOM_TOLERANCE);
             prob_sss = clamp(prob_sss, 0.0, 1.0-PDF_EPSILON);
@@ -2692,21 +4959,27 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             vec3 woutputL; // woutputL, points *towards* the outgoing direction
             bool fromCamera = true; // camera path
             float bsdfPdf;
+            beginDimensions(qmcBounceDimension + QMC_BSDF, 3);
             RadianceType f = sampleBsdf(pW, basis, winputL, hitMaterial, wavelength_nm, rgb, fromCamera, woutputL, bsdfPdf, rnd);
+            endDimensions();
             vec3 woutputW = localToWorld(woutputL, basis);
 
             // Detect dielectric transmission
 #ifdef HAS_DIELECTRIC
-            if (hitMaterial==MAT_DIELE && dot(winputW, ngW)*dot(woutputW, ngW) < 0.0)
+            if (materialType(hitMaterial)==MAT_DIELE && dot(winputW, ngW)*dot(woutputW, ngW) < 0.0)
+            {
                 inDielectric = !inDielectric;
+                dielectricIndex = hitIndex;
+            }
 #endif
-#ifdef HAS_VOLUME_EMISSION
+#if defined(HAS_VOLUME_EMISSION) && !defined(HAS_VOLUME)
             // Add volumetric emission at the surface point, if present (treating it as an isotropic radiance field)
-            L += throughput * VOLUME_EMISSION_EVAL(pW, rgb);
+            addRadiance(L, throughput * VOLUME_EMISSION_EVAL(pW, rgb), SOURCE_EMISSION);
 #endif
 
             // Update ray direction to the BSDF-sampled direction
             rayDir = woutputW;
+            setPathLobe((winputL.z*woutputL.z < 0.0) ? LOBE_TRANSMISSION : bsdfLobe);
 
             // Prepare for tracing the direct lighting and continuation rays
             pW += ngW * sign(dot(rayDir, ngW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
@@ -2714,22 +4987,26 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             // Add direct lighting term at current surface vertex
             float skyPdf = 0.0;
             float sunPdf = 0.0;
-            float sphPdf = 0.0;
 #ifdef HAS_DIELECTRIC
             if (!inDielectric)
 #endif
-                L += throughput * directSurfaceLighting(pW, basis, winputW, hitMaterial, wavelength_nm, rgb, rnd,
-                                                        skyPdf, sunPdf, sphPdf);
+                addDirectRadiance(L, throughput, directSurfaceLighting(pW, basis, winputW, hitMaterial, wavelength_nm, rgb, rnd,
+                                                                       skyPdf, sunPdf));
 
             // Update path continuation throughput
             RadianceType fOverPdf = min(RadianceType(radianceClamp), f/max(PDF_EPSILON, bsdfPdf));
             RadianceType surface_throughput = fOverPdf * abs(dot(woutputW, nW)) / max(PDF_EPSILON, 1.0 - prob_sss);
             throughput *= surface_throughput;
 
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis, woutputW); // (if the sky was sampled, the sky PDF of the bounce ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
-#ifdef HAS_SPHERE_LIGHT
-            misWeightSph = powerHeuristic(bsdfPdf, sphPdf); // compute sphere-light MIS weight for bounce ray
+            emitterBsdfPdf = bsdfPdf; // (emitters were sampled in the direct lighting, unless inside a dielectric)
+#ifdef HAS_DIELECTRIC
+            if (inDielectric) emitterBsdfPdf = 0.0;
+#endif
+#ifdef HAS_LIGHTS
+            lightBsdfPdf = emitterBsdfPdf; // (as are the lights)
 #endif
         }
 
@@ -2737,19 +5014,22 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // Do subsurface random walk to a new vertex
         else
         {
-            RadianceType diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb);
+            RadianceType diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb);
             RadianceType walk_throughput;
             vec3 pExit;
             basis.nW = ngW; // (use basis with geometric normal for SSS entry, to avoid surface acne)
-            bool success = randomwalk_SSS(pW, basis, rnd, subsurfaceMFP, subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
+            bool success = randomwalk_SSS(pW, basis, hitIndex, rnd, subsurfaceMFP[hitIndex], subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
             if (!success)
                 break;
 
             // Update path vertex to exit point
             pW = pExit;
+#ifdef PHOTON_MAPPING
+            causticChain = false; // (the photon map only accounts for caustics from the surface, not from the exit point)
+#endif
 
             // Compute updated normal and basis at exit point
-            nW = normal(pExit, MAT_SURFA);
+            nW = normal(pExit, hitMaterial);
             Basis basis_exit = makeBasis(nW);
 
             // Sample direction of exit ray (assuming a diffuse Lambertian lobe with diffuse albedo of exit point)
@@ -2762,25 +5042,30 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
 
             // Update throughput due to random walk
             throughput *= walk_throughput;
+            setPathLobe(LOBE_SUBSURFACE);
 
             // Add direct lighting term at exit vertex (assumed to be a diffuse lobe)
             float skyPdf = 0.0;
             float sunPdf = 0.0;
-            float sphPdf = 0.0;
-            RadianceType diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, rgb);
+            RadianceType diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, hitIndex, rgb);
 #ifdef HAS_DIELECTRIC
             if (!inDielectric)
 #endif
-                L += throughput * SSS_exit_radiance(pExit, basis_exit, rgb, rnd, diffuseAlbedoExit,
-                                                    skyPdf, sunPdf, sphPdf);
+                addDirectRadiance(L, throughput, SSS_exit_radiance(pExit, basis_exit, hitIndex, rgb, rnd, diffuseAlbedoExit,
+                                                                   skyPdf, sunPdf));
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis_exit, woutputW); // (if the sky was sampled, the sky PDF of the exit ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
-#ifdef HAS_SPHERE_LIGHT
-            misWeightSph = powerHeuristic(bsdfPdf, sphPdf); // compute sphere-light MIS weight for bounce ray
+            emitterBsdfPdf = 0.0; // (emitters are not sampled at the SSS exit point)
+#ifdef HAS_LIGHTS
+            lightBsdfPdf = bsdfPdf; // (lights were sampled at the exit point, unless inside a dielectric)
+#ifdef HAS_DIELECTRIC
+            if (inDielectric) lightBsdfPdf = 0.0;
+#endif
 #endif
 
             // Update path continuation throughput
-            RadianceType f = mix(RadianceType(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+            RadianceType f = mix(RadianceType(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[hitIndex]) / M_PI;
             RadianceType fOverPdf = min(RadianceType(radianceClamp), f/max(PDF_EPSILON, bsdfPdf));
             RadianceType surface_exit_throughput = fOverPdf * abs(dot(woutputW, nW));
             throughput *= surface_exit_throughput / max(PDF_EPSILON, prob_sss);
@@ -2789,62 +5074,785 @@ RadianceType cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             pW += nW * sign(dot(rayDir, nW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
         }
 #endif
+#endif // HAS_GEOMETRY
+    }
+    return L;
+}
+
+#if (defined(BIDIRECTIONAL) || defined(PHOTON_MAPPING)) && defined(HAS_GEOMETRY)
+
+////////////////////////////////////////////////////////////////////////////////
+// Light subpaths (traced by the bidirectional and photon mapping integrators)
+////////////////////////////////////////////////////////////////////////////////
+
+#define LIGHT_SUN -1 // (the light index of the sun, as a light subpath source)
+
+// Whether the BSDF of the material scatters between the local directions winputL and woutputL (only dielectrics transmit)
+bool subpathScatters(in vec3 winputL, in vec3 woutputL, int material)
+{
+    if (materialType(material) == MAT_DIELE) return true;
+    return winputL.z > 0.0 && woutputL.z > 0.0;
+}
+
+// Shading basis at a subpath vertex hit by a ray along rayDir, also returning the geometric normal (as in cameraPath)
+Basis subpathBasis(in vec3 pW, in vec3 rayDir, int material, inout vec3 ngW)
+{
+    vec3 nW = normal(pW, material);
+    ngW = nW;
+    Basis basis = makeBasis(nW);
+#ifdef HAS_NORMALMAP
+    nW = perturbNormal(pW, basis, material);
+    if ((dot(nW, rayDir) > 0.0) && (materialType(material) != MAT_DIELE))
+        nW = 2.0*ngW*dot(ngW, nW) - nW; // (the "flipping hack")
+    basis = makeBasis(nW);
+#endif
+    return basis;
+}
+
+// Transmittance along a segment free of geometry, including the absorption of the dielectric containing it (if any)
+RadianceType subpathTransmittance(in vec3 pW, in vec3 rayDir, float segmentLength, in vec3 rgb, inout vec4 rnd)
+{
+    RadianceType Tr = transmittanceOverFreeSegment(pW, rayDir, segmentLength, rgb);
+#ifdef HAS_VOLUME
+    Tr *= volumeTransmittance(pW, rayDir, segmentLength, rgb, rnd);
+#endif
+#ifdef HAS_DIELECTRIC
+    int dielectricMaterial = insideDielectric(pW + 0.5*segmentLength*rayDir);
+    if (dielectricMaterial != MAT_INVAL)
+        Tr *= exp(-segmentLength*DIELECTRIC_ABSORPTION_EVAL(pW, materialIndex(dielectricMaterial), rgb));
+#endif
+    return Tr;
+}
+
+// Probability of starting a light subpath from light i (or the sun)
+float emitSelectProb(int i)
+{
+    if (i == LIGHT_SUN) return emitSunSelectProb;
+#ifdef HAS_LIGHTS
+    return (1.0 - emitSunSelectProb) * lightSelectProb[i];
+#else
+    return 0.0;
+#endif
+}
+
+// PDF (w.r.t. area and solid angle, including the selection probability) of starting a light subpath from the point pL
+// on light i (or the sun) in the direction dir, also returning the cosine of dir with the light normal (unity for the sun and spots)
+float pdfEmission(int i, in vec3 pL, in vec3 dir, inout float cosLight)
+{
+    cosLight = 1.0;
+    float selectProb = emitSelectProb(i);
+    if (i == LIGHT_SUN)
+        return selectProb * pdfSun(-dir) / (M_PI*sceneRadius*sceneRadius);
+#ifdef HAS_LIGHTS
+    if (lightType[i] == LIGHT_SPOT)
+    {
+        float cosOuter = lightSize[i].y;
+        if (dot(dir, lightDirection[i]) < cosOuter) return 0.0;
+        return selectProb / max(2.0*M_PI*(1.0 - cosOuter), DENOM_TOLERANCE);
+    }
+    vec3 n;
+    float area;
+    if (lightType[i] == LIGHT_SPHERE)
+    {
+        n = safe_normalize(pL - lightPosition[i]);
+        area = 4.0*M_PI*lightSize[i].x*lightSize[i].x;
+    }
+    else
+    {
+        n = lightDirection[i];
+        area = (lightType[i] == LIGHT_DISK) ? M_PI*lightSize[i].x*lightSize[i].x : 4.0*lightSize[i].x*lightSize[i].y;
+    }
+    cosLight = max(0.0, dot(dir, n));
+    return selectProb * cosLight / (M_PI*max(area, DENOM_TOLERANCE));
+#else
+    return 0.0;
+#endif
+}
+
+// Sample the start of a light subpath, from the sun or one of the analytic lights. Returns the emitted radiance (or intensity,
+// for a spot), and sets the light index, the start point pL and direction dir, and the emission PDF and cosine (as for pdfEmission)
+RadianceType sampleEmission(in vec3 rgb, inout vec4 rnd,
+                                inout int lightIndex, inout vec3 pL, inout vec3 dir, inout float emissionPdf, inout float cosLight)
+{
+    cosLight = 1.0;
+    emissionPdf = 0.0;
+    if (rand(rnd) < emitSunSelectProb)
+    {
+        // Sun: start from the disk facing the sampled sun direction, which covers the cross-section of the scene bounding sphere
+        lightIndex = LIGHT_SUN;
+        float pdfDir;
+        vec3 toSun = sampleSunDir(rnd, pdfDir);
+        float rho = sceneRadius * sqrt(rand(rnd));
+        float phi = 2.0*M_PI*rand(rnd);
+        pL = localToWorld(vec3(rho*cos(phi), rho*sin(phi), sceneRadius), makeBasis(toSun));
+        dir = -toSun;
+        emissionPdf = emitSunSelectProb * pdfDir / (M_PI*sceneRadius*sceneRadius);
+        return sunRadiance(toSun, rgb);
+    }
+#ifdef HAS_LIGHTS
+    int i = selectLight(rnd);
+    lightIndex = i;
+    if (lightSelectProb[i] <= 0.0)
+        return RadianceType(0.0);
+    float selectProb = emitSelectProb(i);
+    RadianceType Le = rgbToAlbedo(lightRadianceRGB[i], rgb);
+    vec3 n = lightDirection[i];
+    if (lightType[i] == LIGHT_SPOT)
+    {
+        // Spot: emit uniformly within the outer cone
+        float cosOuter = lightSize[i].y;
+        float costheta = 1.0 - rand(rnd)*(1.0 - cosOuter);
+        float sintheta = sqrt(max(0.0, 1.0 - costheta*costheta));
+        float phi = 2.0*M_PI*rand(rnd);
+        pL = lightPosition[i];
+        dir = localToWorld(vec3(sintheta*cos(phi), sintheta*sin(phi), costheta), makeBasis(n));
+        emissionPdf = selectProb / max(2.0*M_PI*(1.0 - cosOuter), DENOM_TOLERANCE);
+        return Le * smoothstep(lightSize[i].y, lightSize[i].x, costheta);
+    }
+    // Sphere, disk or rect: emit from a point sampled uniformly over the light area, in a cosine-weighted direction about the normal
+    float area;
+    if (lightType[i] == LIGHT_SPHERE)
+    {
+        float R = lightSize[i].x;
+        n = sampleSphereUniformly(rnd);
+        pL = lightPosition[i] + R*n;
+        area = 4.0*M_PI*R*R;
+    }
+    else
+        pL = lightPosition[i] + sampleLightArea(i, rnd, area);
+    float pdfDir;
+    vec3 dirL = sampleHemisphereCosineWeighted(rnd, pdfDir);
+    dir = localToWorld(dirL, makeBasis(n));
+    cosLight = dirL.z;
+    emissionPdf = selectProb * pdfDir / max(area, DENOM_TOLERANCE);
+    return Le;
+#else
+    return RadianceType(0.0);
+#endif
+}
+
+#endif
+
+#ifdef PHOTON_TRACING
+
+////////////////////////////////////////////////////////////////////////////////
+// Photon tracing (for the progressive photon mapping integrator)
+////////////////////////////////////////////////////////////////////////////////
+
+// Trace a photon from the sun or one of the analytic lights, via metal and dielectric vertices only, storing it at the surface
+// hit which ends this chain (if it has at least one vertex, so that only caustic photons are stored). Each fragment of the photon
+// map traces one photon, written in place of the radiance (the photon position), and the first two AOVs (direction and power).
+void photontrace(vec4 rnd)
+{
+    sampleShutter(rnd);
+    vec3 xyz, rgb;
+    float wavelength_nm = sampleWavelength(rnd, xyz, rgb);
+    sunBasis = makeBasis(sunDir);
+    pathWavelength_nm = wavelength_nm;
+
+    vec4 photonPosition = vec4(0.0);
+    vec3 photonDirection = vec3(0.0);
+    RadianceType photonPower = RadianceType(0.0);
+#ifdef HAS_GEOMETRY
+    int lightIndex;
+    vec3 pW, rayDir;
+    float emissionPdf, cosLight;
+    RadianceType Le = sampleEmission(rgb, rnd, lightIndex, pW, rayDir, emissionPdf, cosLight);
+    RadianceType throughput = (emissionPdf > 0.0) ? Le * cosLight / emissionPdf : RadianceType(0.0);
+    bool fromCamera = false; // light path
+    bool caustic = false;
+
+    for (int segments=1; segments<=__MAX_BOUNCES__; ++segments)
+    {
+        if (!russianRoulette(segments-1, throughput, rnd)) break;
+
+        // Raycast along the current propagation direction rayDir, from the current vertex pW to pW_next
+        vec3 pW_next;
+        int hitMaterial;
+        if (!traceRay(pW, rayDir, pW_next, hitMaterial, maxLengthScale)) break;
+        throughput *= subpathTransmittance(pW, rayDir, length(pW_next - pW), rgb, rnd);
+
+        // Store the photon on hitting a surface, if it arrived via a metal or dielectric
+        if (materialType(hitMaterial)==MAT_SURFA)
+        {
+            if (caustic)
+            {
+                photonPosition = vec4(pW_next, 1.0);
+                photonDirection = -rayDir;
+                photonPower = throughput;
+            }
+            break;
+        }
+
+        // Sample the BSDF for the next direction
+        vec3 ngW;
+        Basis basis = subpathBasis(pW_next, rayDir, hitMaterial, ngW);
+        vec3 winputL = worldToLocal(-rayDir, basis);
+        vec3 woutputL;
+        float bsdfPdf;
+        RadianceType f = sampleBsdf(pW_next, basis, winputL, hitMaterial, wavelength_nm, rgb, fromCamera, woutputL, bsdfPdf, rnd);
+        if (!subpathScatters(winputL, woutputL, hitMaterial) || bsdfPdf < PDF_EPSILON) break;
+        throughput *= min(RadianceType(radianceClamp), f/bsdfPdf) * abs(woutputL.z);
+        caustic = true;
+        rayDir = localToWorld(woutputL, basis);
+        pW = pW_next + ngW * sign(dot(rayDir, ngW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
+    }
+#endif
+
+    // Write the photon (with its power converted to RGB, in dispersive mode)
+    gbuf_rad = photonPosition;
+    gbuf_rng = rnd;
+    gbuf_photonDir = vec4(photonDirection, 0.0);
+#ifdef DISPERSION_ENABLED
+    gbuf_photonPower = vec4(xyzToRgb(xyz * photonPower), 1.0);
+#else
+    gbuf_photonPower = vec4(photonPower, 1.0);
+#endif
+}
+
+#endif // PHOTON_TRACING
+
+#if defined(BIDIRECTIONAL) && defined(HAS_GEOMETRY)
+
+////////////////////////////////////////////////////////////////////////////////
+// Bidirectional pathtracing integrator
+////////////////////////////////////////////////////////////////////////////////
+
+// Each light subpath starts from the sun or one of the analytic lights, and every one of its vertices is connected to every
+// vertex of the camera subpath. The contributions are MIS-weighted (via the balance heuristic) over all the strategies which
+// generate the same path, computed recursively from the partial sums dVCM and dVC carried along each subpath (see Georgiev,
+// "Implementing Vertex Connection and Merging", 2012). As the light subpath vertices cannot be splatted onto other pixels,
+// the light tracing strategy (connecting the light vertices directly to the camera) is omitted. The sky and the emissive
+// surfaces are sampled from the camera subpath only, as in cameraPath. Media only attenuate the light along each segment
+// (i.e. the volume and atmosphere do not scatter), and subsurface scattering is not simulated. AOVs are not supported.
+// (In a scene with no geometry, the unidirectional cameraPath is used instead.)
+
+#define BDPT_MAX_PATH_SEGMENTS (__MAX_BOUNCES__+2) // (as in cameraPath, which adds direct lighting at the last bounce)
+
+struct LightVertex
+{
+    vec3 pW;                 // position
+    vec3 ngW;                // geometric normal
+    Basis basis;             // shading basis
+    vec3 winputW;            // direction towards the previous vertex of the light subpath
+    int material;
+    RadianceType throughput; // light subpath throughput up to the vertex (excluding the BSDF at the vertex)
+    float dVCM;              // MIS partial sums
+    float dVC;
+};
+
+LightVertex lightVertices[__MAX_BOUNCES__+1]; // (the light subpath vertices, from the first hit onwards)
+
+// Trace a light subpath, storing its vertices in lightVertices. Returns the number of vertices stored.
+int bdptLightPath(float wavelength_nm, in vec3 rgb, inout vec4 rnd)
+{
+    int lightIndex;
+    vec3 pW, rayDir;
+    float emissionPdf, cosLight;
+    RadianceType Le = sampleEmission(rgb, rnd, lightIndex, pW, rayDir, emissionPdf, cosLight);
+    if (emissionPdf <= 0.0 || averageComponent(Le) < RADIANCE_EPSILON)
+        return 0;
+    RadianceType throughput = Le * cosLight / emissionPdf;
+    bool deltaLight = false;
+#ifdef HAS_LIGHTS
+    if (lightIndex != LIGHT_SUN) deltaLight = (lightType[lightIndex] == LIGHT_SPOT);
+#endif
+    float dVCM = 0.0; // (set at the first hit, where the PDF of sampling the light point directly is known)
+    float dVC = deltaLight ? 0.0 : cosLight / emissionPdf;
+    bool fromCamera = false; // light path
+    int numVertices = 0;
+
+    for (int segments=1; segments<=__MAX_BOUNCES__; ++segments)
+    {
+        if (!russianRoulette(segments-1, throughput, rnd)) break;
+
+        // Raycast along the current propagation direction rayDir, from the current vertex pW to pW_next
+        vec3 pW_next;
+        int hitMaterial;
+        if (!traceRay(pW, rayDir, pW_next, hitMaterial, maxLengthScale)) break;
+        float rayLength = length(pW_next - pW);
+        throughput *= subpathTransmittance(pW, rayDir, rayLength, rgb, rnd);
+        vec3 ngW;
+        Basis basis = subpathBasis(pW_next, rayDir, hitMaterial, ngW);
+        vec3 winputW = -rayDir;
+        vec3 winputL = worldToLocal(winputW, basis);
+
+        // Update the MIS partial sums for the hit vertex
+        if (segments == 1)
+        {
+            // (PDF of sampling the light point directly from the hit vertex, relative to the emission PDF)
+            if (lightIndex == LIGHT_SUN)
+                dVCM = pdfSun(winputW) / emissionPdf;
+#ifdef HAS_LIGHTS
+            else if (deltaLight)
+                dVCM = lightSelectProb[lightIndex] * rayLength*rayLength / emissionPdf;
+            else
+                dVCM = pdfLightDir(lightIndex, pW_next, winputW, rayLength) * cosLight / emissionPdf;
+#endif
+        }
+        else
+            dVCM *= rayLength*rayLength;
+        float cosHit = max(abs(winputL.z), DENOM_TOLERANCE);
+        dVCM /= cosHit;
+        dVC /= cosHit;
+
+        // Store the vertex
+        lightVertices[numVertices].pW = pW_next;
+        lightVertices[numVertices].ngW = ngW;
+        lightVertices[numVertices].basis = basis;
+        lightVertices[numVertices].winputW = winputW;
+        lightVertices[numVertices].material = hitMaterial;
+        lightVertices[numVertices].throughput = throughput;
+        lightVertices[numVertices].dVCM = dVCM;
+        lightVertices[numVertices].dVC = dVC;
+        numVertices++;
+        if (segments == __MAX_BOUNCES__) break;
+
+        // Sample the BSDF for the next direction
+        vec3 woutputL;
+        float bsdfPdf;
+        RadianceType f = sampleBsdf(pW_next, basis, winputL, hitMaterial, wavelength_nm, rgb, fromCamera, woutputL, bsdfPdf, rnd);
+        if (!subpathScatters(winputL, woutputL, hitMaterial) || bsdfPdf < PDF_EPSILON) break;
+        float bsdfRevPdf = pdfBsdf(pW_next, basis, woutputL, winputL, hitMaterial, wavelength_nm, rgb, !fromCamera);
+        float cosOut = abs(woutputL.z);
+        dVC = cosOut/bsdfPdf * (dVC*bsdfRevPdf + dVCM);
+        dVCM = 1.0/bsdfPdf;
+        throughput *= min(RadianceType(radianceClamp), f/bsdfPdf) * cosOut;
+        rayDir = localToWorld(woutputL, basis);
+        pW = pW_next + ngW * sign(dot(rayDir, ngW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
+    }
+    return numVertices;
+}
+
+// Connect a camera subpath vertex to a light point, sampled from the vertex in the direction woutputW (at distance lightDist).
+// LiOverPdf is the incident radiance divided by the PDF directPdf (w.r.t. solid angle, including the selection probability) of
+// sampling the light point, and emissionPdf and cosLight are as given by pdfEmission.
+RadianceType bdptConnectLight(in vec3 pW, in vec3 ngW, in Basis basis, in vec3 winputL, int material, float wavelength_nm, in vec3 rgb, inout vec4 rnd,
+                              float dVCM, float dVC, in vec3 woutputW, float lightDist,
+                              in RadianceType LiOverPdf, float directPdf, bool deltaLight, float emissionPdf, float cosLight)
+{
+    vec3 woutputL = worldToLocal(woutputW, basis);
+    if (!subpathScatters(winputL, woutputL, material) || averageComponent(LiOverPdf) < RADIANCE_EPSILON)
+        return RadianceType(0.0);
+    bool fromCamera = true; // camera path
+    RadianceType f = evaluateBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera, rnd);
+    float bsdfPdf    = deltaLight ? 0.0 : pdfBsdf(pW, basis, winputL, woutputL, material, wavelength_nm, rgb, fromCamera);
+    float bsdfRevPdf = pdfBsdf(pW, basis, woutputL, winputL, material, wavelength_nm, rgb, !fromCamera);
+    float cosCamera = abs(woutputL.z);
+    float wLight = bsdfPdf / max(directPdf, PDF_EPSILON); // (relative weight of hitting the light point via the BSDF sample)
+    float wCamera = emissionPdf*cosCamera / max(directPdf*cosLight, PDF_EPSILON) * (dVCM + dVC*bsdfRevPdf);
+    RadianceType Ldirect = min(RadianceType(radianceClamp), f * LiOverPdf * cosCamera / (wLight + 1.0 + wCamera));
+    if (averageComponent(Ldirect) < RADIANCE_EPSILON)
+        return RadianceType(0.0);
+    vec3 pStart = pW + ngW * sign(dot(woutputW, ngW)) * 3.0*minLengthScale;
+    RadianceType Tr = transmittanceOverSegment(pStart, woutputW, lightDist, rgb, rnd);
+    return Ldirect * abs(RadianceType(1.0) - shadowStrength*(RadianceType(1.0)-Tr));
+}
+
+// Estimate the direct lighting at a camera subpath vertex from the sun and the analytic lights
+// (i.e. the connections to light subpaths consisting only of the point on the light)
+RadianceType bdptDirectLighting(in vec3 pW, in vec3 ngW, in Basis basis, in vec3 winputL, int material, float wavelength_nm, in vec3 rgb, inout vec4 rnd,
+                                float dVCM, float dVC)
+{
+    RadianceType Ldirect = RadianceType(0.0);
+    float cosLight;
+
+    // Sun
+    if (sunPower > RADIANCE_EPSILON)
+    {
+        float sunPdf;
+        vec3 woutputW = sampleSunDir(rnd, sunPdf);
+        float emissionPdf = pdfEmission(LIGHT_SUN, pW, -woutputW, cosLight);
+        Ldirect += bdptConnectLight(pW, ngW, basis, winputL, material, wavelength_nm, rgb, rnd, dVCM, dVC, woutputW, maxLengthScale,
+                                    sunRadiance(woutputW, rgb)/sunPdf, sunPdf, false, emissionPdf, cosLight);
+    }
+
+#ifdef HAS_LIGHTS
+    // Analytic lights
+    {
+        int i = selectLight(rnd);
+        vec3 woutputW;
+        float lightDist, lightPdf;
+        RadianceType Li = sampleLight(i, pW, rgb, rnd, woutputW, lightDist, lightPdf);
+        if (averageComponent(Li) > RADIANCE_EPSILON)
+        {
+            bool deltaLight = (lightPdf <= 0.0); // (a spot, for which Li is already divided by the PDF)
+            float directPdf = deltaLight ? lightSelectProb[i]*lightDist*lightDist : lightPdf;
+            float emissionPdf = pdfEmission(i, pW + lightDist*woutputW, -woutputW, cosLight);
+            Ldirect += bdptConnectLight(pW, ngW, basis, winputL, material, wavelength_nm, rgb, rnd, dVCM, dVC, woutputW, max(0.0, lightDist - 3.0*minLengthScale),
+                                        deltaLight ? Li : Li/directPdf, directPdf, deltaLight, emissionPdf, cosLight);
+        }
+    }
+#endif
 
-        // Bail out now if the path continuation throughput is below threshold
-        if (maxComponent(throughput) < THROUGHPUT_EPSILON)
+    return Ldirect;
+}
+
+// Connect a camera subpath vertex to a light subpath vertex y
+RadianceType bdptConnectVertices(in vec3 pW, in vec3 ngW, in Basis basis, in vec3 winputL, int material, float wavelength_nm, in vec3 rgb, inout vec4 rnd,
+                                 float dVCM, float dVC, in LightVertex y)
+{
+    vec3 d = y.pW - pW;
+    float dist2 = dot(d, d);
+    if (dist2 < DENOM_TOLERANCE)
+        return RadianceType(0.0);
+    vec3 dirW = d / sqrt(dist2); // (from the camera vertex towards the light vertex)
+    vec3 woutputL = worldToLocal(dirW, basis);
+    vec3 lightInputL = worldToLocal(y.winputW, y.basis);
+    vec3 lightOutputL = worldToLocal(-dirW, y.basis);
+    if (!subpathScatters(winputL, woutputL, material) || !subpathScatters(lightInputL, lightOutputL, y.material))
+        return RadianceType(0.0);
+
+    // Evaluate the BSDFs at each end of the connecting segment, and the PDFs (w.r.t. area) of sampling each vertex from the other
+    RadianceType fCamera = evaluateBsdf(pW,   basis,   winputL,     woutputL,     material,   wavelength_nm, rgb, true,  rnd);
+    RadianceType fLight  = evaluateBsdf(y.pW, y.basis, lightInputL, lightOutputL, y.material, wavelength_nm, rgb, false, rnd);
+    float cosCamera = abs(woutputL.z);
+    float cosLight = abs(lightOutputL.z);
+    float cameraPdfA = pdfBsdf(pW,   basis,   winputL,     woutputL,     material,   wavelength_nm, rgb, true)  * cosLight  / dist2;
+    float lightPdfA  = pdfBsdf(y.pW, y.basis, lightInputL, lightOutputL, y.material, wavelength_nm, rgb, false) * cosCamera / dist2;
+    float cameraRevPdf = pdfBsdf(pW,   basis,   woutputL,     winputL,     material,   wavelength_nm, rgb, false);
+    float lightRevPdf  = pdfBsdf(y.pW, y.basis, lightOutputL, lightInputL, y.material, wavelength_nm, rgb, true);
+    float wLight  = cameraPdfA * (y.dVCM + y.dVC*lightRevPdf);
+    float wCamera = lightPdfA  * (dVCM   + dVC*cameraRevPdf);
+    RadianceType Lconnect = min(RadianceType(radianceClamp), y.throughput * fCamera * fLight * cosCamera * cosLight / (dist2 * (wLight + 1.0 + wCamera)));
+    if (averageComponent(Lconnect) < RADIANCE_EPSILON)
+        return RadianceType(0.0);
+
+    // Check visibility between the vertices (each perturbed into the half-space of the connecting segment)
+    vec3 pStart = pW   + ngW   * sign(dot( dirW, ngW))   * 3.0*minLengthScale;
+    vec3 pEnd   = y.pW + y.ngW * sign(dot(-dirW, y.ngW)) * 3.0*minLengthScale;
+    float segmentLength = length(pEnd - pStart);
+    vec3 segmentDir = (pEnd - pStart) / max(segmentLength, DENOM_TOLERANCE);
+    vec3 pHit;
+    int hitMaterial;
+    if (traceRay(pStart, segmentDir, pHit, hitMaterial, segmentLength))
+        return RadianceType(0.0);
+    return Lconnect * subpathTransmittance(pStart, segmentDir, segmentLength, rgb, rnd);
+}
+
+RadianceType bdptCameraPath(in vec3 primaryStart, in vec3 primaryDir, int numLightVertices,
+                            float wavelength_nm, in vec3 rgb, inout vec4 rnd)
+{
+    // Perform pathtrace starting from the camera lens, connecting each vertex to the light subpath
+    RadianceType L = RadianceType(0.0);
+    float misWeightSky = 1.0;   // For MIS book-keeping of the sky (sampled from the camera subpath only)
+    float emitterBsdfPdf = 0.0; // For MIS book-keeping of the emitters (BSDF pdf at the previous vertex, or zero at the camera)
+    float dVCM = 0.0;           // MIS partial sums (zero at the camera, as the light tracing strategy is omitted)
+    float dVC = 0.0;
+    vec3 pW = primaryStart;
+    vec3 rayDir = primaryDir; // (opposite to light beam direction)
+    RadianceType throughput = RadianceType(1.0);
+    bool fromCamera = true; // camera path
+
+    for (int segments=1; segments<BDPT_MAX_PATH_SEGMENTS; ++segments)
+    {
+        if (!russianRoulette(segments-1, throughput, rnd)) break;
+        qmcBounceDimension = QMC_DIM_BOUNCE + (segments-1)*QMC_BOUNCE_DIMS;
+
+        // Raycast along current propagation direction rayDir, from current vertex pW to pW_next
+        vec3 pW_next;
+        int hitMaterial;
+        bool hit = traceRay(pW, rayDir, pW_next, hitMaterial, maxLengthScale);
+        float rayLength = hit ? length(pW_next - pW) : maxLengthScale;
+
+#ifdef HAS_LIGHTS
+        // Add the contribution of the ray hitting an analytic light before the next surface hit (and terminate the path)
+        int lightIndex;
+        float lightDist;
+        RadianceType Li = lightsRadiance(pW, rayDir, rayLength, rgb, lightIndex, lightDist);
+        if (lightIndex >= 0)
+        {
+            float cosLight;
+            float emissionPdf = pdfEmission(lightIndex, pW + lightDist*rayDir, -rayDir, cosLight);
+            float wCamera = pdfLightDir(lightIndex, pW, rayDir, lightDist)*dVCM + emissionPdf/max(cosLight, DENOM_TOLERANCE)*dVC;
+            L += throughput * subpathTransmittance(pW, rayDir, lightDist, rgb, rnd) * Li / (1.0 + wCamera);
+            break;
+        }
+#endif
+
+        if (!hit)
+        {
+            // This ray missed all geometry; add environment light term (attenuated by transmittance to "infinity") and terminate path
+            RadianceType Tr = subpathTransmittance(pW, rayDir, maxLengthScale, rgb, rnd);
+            if (!(segments==1 && !envMapVisible) && misWeightSky>0.0) L += throughput * Tr * misWeightSky * environmentRadiance(rayDir, rgb);
+            if (!(segments==1 && !sunVisibleDirectly))
+            {
+                float cosLight;
+                float wCamera = pdfSun(rayDir)*dVCM + pdfEmission(LIGHT_SUN, pW, -rayDir, cosLight)*dVC;
+                L += throughput * Tr * sunRadiance(rayDir, rgb) / (1.0 + wCamera);
+            }
             break;
+        }
+        throughput *= subpathTransmittance(pW, rayDir, rayLength, rgb, rnd);
+
+#ifdef HAS_SURFACE_EMISSION
+        // Add emission if the ray hit an emissive surface, MIS-weighted against the emitter sampling at the previous vertex
+        if (materialType(hitMaterial)==MAT_SURFA)
+        {
+            int emitIndex = materialIndex(hitMaterial);
+            RadianceType Le = SURFACE_EMISSION_EVAL(pW_next, normal(pW_next, hitMaterial), -rayDir, emitIndex, rgb);
+            float misWeightEmit = 1.0;
+            if (emitterBsdfPdf > 0.0 && surfaceEmissionProxyRadius[emitIndex] > 0.0)
+                misWeightEmit = powerHeuristic(emitterBsdfPdf, pdfEmitterDir(pW, rayDir, emitIndex));
+            L += throughput * Le * misWeightEmit;
+        }
+#endif
+
+        // This ray hit some geometry, so compute the local vertex basis
+        pW = pW_next;
+        vec3 ngW;
+        Basis basis = subpathBasis(pW, rayDir, hitMaterial, ngW);
+        vec3 winputW = -rayDir; // winputW, points *towards* the incident direction
+        vec3 winputL = worldToLocal(winputW, basis);
+
+        // Update the MIS partial sums for the hit vertex
+        float cosHit = max(abs(winputL.z), DENOM_TOLERANCE);
+        dVCM *= rayLength*rayLength / cosHit;
+        dVC /= cosHit;
+
+        // Connect to the sun and lights, and to the light subpath vertices (up to the maximum path length)
+        RadianceType Lconnect = bdptDirectLighting(pW, ngW, basis, winputL, hitMaterial, wavelength_nm, rgb, rnd, dVCM, dVC);
+        for (int k=0; k<__MAX_BOUNCES__; ++k)
+        {
+            if (k >= numLightVertices || segments+k+2 > BDPT_MAX_PATH_SEGMENTS) break; // (light vertex k is at the end of k+1 segments)
+            Lconnect += bdptConnectVertices(pW, ngW, basis, winputL, hitMaterial, wavelength_nm, rgb, rnd, dVCM, dVC, lightVertices[k]);
+        }
+        L += throughput * Lconnect;
+
+        // Sample BSDF for the next bounce direction
+        vec3 woutputL; // woutputL, points *towards* the outgoing direction
+        float bsdfPdf;
+        beginDimensions(qmcBounceDimension + QMC_BSDF, 3);
+        RadianceType f = sampleBsdf(pW, basis, winputL, hitMaterial, wavelength_nm, rgb, fromCamera, woutputL, bsdfPdf, rnd);
+        endDimensions();
+        if (!subpathScatters(winputL, woutputL, hitMaterial) || bsdfPdf < PDF_EPSILON) break;
+        vec3 woutputW = localToWorld(woutputL, basis);
+#if defined(HAS_VOLUME_EMISSION) && !defined(HAS_VOLUME)
+        // Add volumetric emission at the surface point, if present (treating it as an isotropic radiance field)
+        L += throughput * VOLUME_EMISSION_EVAL(pW, rgb);
+#endif
+
+        // Update ray direction to the BSDF-sampled direction
+        rayDir = woutputW;
+        pW += ngW * sign(dot(rayDir, ngW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
+
+        // Add direct lighting term from the sky and emitters at current surface vertex (as in cameraPath)
+        float skyPdf = 0.0;
+        float sunPdf = 0.0;
+        L += throughput * directSurfaceLighting(pW, basis, winputW, hitMaterial, wavelength_nm, rgb, rnd, skyPdf, sunPdf);
+        if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis, woutputW); // (if the sky was sampled, the sky PDF of the bounce ray direction)
+        misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
+        emitterBsdfPdf = bsdfPdf;
+
+        // Update the MIS partial sums and path continuation throughput
+        float bsdfRevPdf = pdfBsdf(pW, basis, woutputL, winputL, hitMaterial, wavelength_nm, rgb, !fromCamera);
+        float cosOut = abs(woutputL.z);
+        dVC = cosOut/bsdfPdf * (dVC*bsdfRevPdf + dVCM);
+        dVCM = 1.0/bsdfPdf;
+        throughput *= min(RadianceType(radianceClamp), f/bsdfPdf) * cosOut;
     }
     return L;
 }
 
-float sample_jitter(float xi)
+#endif // BIDIRECTIONAL && HAS_GEOMETRY
+
+float sample_jitter(float xi)
+{
+    // sample from triangle filter, returning jitter in [-1, 1]
+    return xi < 0.5 ? sqrt(2.0*xi) - 1.0 : 1.0 - sqrt(2.0 - 2.0*xi);
+}
+
+#if defined(HAS_MOMENTS) && !defined(PHOTON_TRACING)
+
+// Estimate the relative standard error of the pixel luminance, from the accumulated radiance L and its moments M
+// (each frame's radiance estimate is one sample, so the variance of the mean is the sample variance over the sample count)
+float relativeError(in vec4 L, in vec4 M)
+{
+    float N = L.w;
+    if (N < 2.0) return 1.0e6;
+    float variance = max(0.0, M.g - L.g*L.g) * N/(N - 1.0);
+    return sqrt(variance/N) / max(L.g, 1.0e-4);
+}
+
+// Whether the pixel needs no more samples, i.e. either it has taken adaptiveMaxSpp samples, or its radiance estimate has converged
+// (it has taken at least adaptiveMinSpp samples, and the relative error of its luminance is below noiseThreshold)
+bool pixelFinished()
+{
+    vec4 L = texture(Radiance, vTexCoord);
+    float spp = L.w * float(__MAX_SAMPLES_PER_FRAME__);
+    if (spp >= float(adaptiveMaxSpp)) return true;
+    if (spp < float(adaptiveMinSpp)) return false;
+    return relativeError(L, texture(RadianceMoments, vTexCoord)) < noiseThreshold;
+}
+
+#endif
+
+#ifdef HAS_AOVS
+
+void clearAOVs()
+{
+    for (int k=0; k<NUM_AOVS; ++k)
+    {
+        aovL[k] = RadianceType(0.0);
+        aovDirect[k] = RadianceType(0.0);
+    }
+}
+
+// Blend the radiance estimate Laov into the running average of the given AOV buffer
+// (xyz are the color matching functions of the path wavelength, in dispersive mode)
+vec4 blendAOV(in sampler2D AOV, in RadianceType Laov, in vec3 xyz, float oldN, float newN)
+{
+    vec3 oldL = texture(AOV, vTexCoord).rgb;
+#ifdef DISPERSION_ENABLED
+    vec3 colorXYZ = xyz * Laov;
+#else
+    vec3 colorXYZ = rgbToXyz(Laov);
+#endif
+    return vec4((oldN*oldL + colorXYZ) / max(newN, 1.0), newN);
+}
+
+void writeAOVs(in vec3 xyz, float oldN, float newN)
+{
+    gbuf_aov0 = blendAOV(AOV0, aovL[0], xyz, oldN, newN);
+#if NUM_AOVS > 1
+    gbuf_aov1 = blendAOV(AOV1, aovL[1], xyz, oldN, newN);
+#endif
+#if NUM_AOVS > 2
+    gbuf_aov2 = blendAOV(AOV2, aovL[2], xyz, oldN, newN);
+#endif
+#if NUM_AOVS > 3
+    gbuf_aov3 = blendAOV(AOV3, aovL[3], xyz, oldN, newN);
+#endif
+#if NUM_AOVS > 4
+    gbuf_aov4 = blendAOV(AOV4, aovL[4], xyz, oldN, newN);
+#endif
+}
+
+#endif
+
+#ifdef HAS_GBUFFERS
+
+void clearGBuffers()
+{
+    gbufferAlbedo = vec3(0.0);
+    gbufferNormalDepth = vec4(0.0);
+#ifdef GBUFFER_POSITION
+    gbufferPosition = vec4(0.0);
+#endif
+}
+
+// Add the G-buffer values of the primary ray, i.e. the albedo, shading normal, depth (along the camera direction), position, material and march
+// step count of its first hit (where non-surface materials have unit albedo, and rays which miss have unit albedo, the reversed ray direction
+// as normal, the maximum depth, the position at the maximum distance along the ray, and material MAT_INVAL)
+void addGBuffers(in vec3 primaryStart, in vec3 primaryDir)
+{
+    vec3 albedo = vec3(1.0);
+    vec3 nW = -primaryDir;
+    float depth = maxLengthScale;
+    vec3 pW = primaryStart + maxLengthScale*primaryDir;
+    int hitMaterial;
+    if (traceRay(primaryStart, primaryDir, pW, hitMaterial, maxLengthScale))
+    {
+        nW = normal(pW, hitMaterial);
+#ifdef HAS_NORMALMAP
+        nW = perturbNormal(pW, makeBasis(nW), hitMaterial);
+#endif
+#ifdef HAS_SURFACE
+        if (materialType(hitMaterial)==MAT_SURFA)
+            albedo = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[materialIndex(hitMaterial)], pW, nW, -primaryDir);
+#endif
+        depth = dot(pW - primaryStart, camDir);
+    }
+    gbufferAlbedo += albedo;
+    gbufferNormalDepth += vec4(nW, depth);
+    gbufferMaterial = float(hitMaterial);
+#ifdef GBUFFER_POSITION
+    gbufferPosition += vec4(pW, float(traceRaySteps));
+#endif
+}
+
+// Blend the G-buffer values of the current frame into the running averages of the G-buffers
+// (keeping the previous material if the pixel was not sampled this frame)
+void writeGBuffers(float oldN, float newN)
 {
-    // sample from triangle filter, returning jitter in [-1, 1]
-    return xi < 0.5 ? sqrt(2.0*xi) - 1.0 : 1.0 - sqrt(2.0 - 2.0*xi);
+    vec4 oldAlbedo = texture(GBufferAlbedo, vTexCoord);
+    vec4 oldNormalDepth = texture(GBufferNormalDepth, vTexCoord);
+    float material = (newN > oldN) ? gbufferMaterial : oldAlbedo.w;
+    gbuf_albedo = vec4((oldN*oldAlbedo.rgb + gbufferAlbedo) / max(newN, 1.0), material);
+    gbuf_normalDepth = (oldN*oldNormalDepth + gbufferNormalDepth) / max(newN, 1.0);
+#ifdef GBUFFER_POSITION
+    vec4 oldPosition = texture(GBufferPosition, vTexCoord);
+    gbuf_position = (oldN*oldPosition + gbufferPosition) / max(newN, 1.0);
+#endif
 }
 
+#endif
+
 void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
 {
-#ifdef DISPERSION_ENABLED
-    // Sample photon wavelength via the inverse CDF of the emission spectrum.
-    // We limit the sampled wavelengths to between about 420nm and 700nm to avoid color mismatch at low sample count
-    float xi = 0.1+0.8*(0.5+floor(float(wavelengthSamples)*rand(rnd))) / float(wavelengthSamples);
-    float w = texture(ICDF, vec2(xi, 0.5)).r;
-    float wavelength_nm = 390.0 + (750.0 - 390.0)*w;
-    vec3 xyz = texture(WavelengthToXYZ, vec2(w, 0.5)).rgb; // xyz CIE color matching functions
-    vec3 rgb = xyzToRgb(xyz); // corresponding normalized rgb color matching functions
-#else
-    float wavelength_nm = 390.0 + (750.0 - 390.0)*0.5; // non-dispersive rendering uses mid-range wavelength
-    vec3 rgb = vec3(0.0);
-#endif
+    // Index the samples of the pixel by its sample count (for the QMC sampler)
+    vec4 oldL = texture(Radiance, vTexCoord);
+    uint firstSample = uint(oldL.w) * uint(__MAX_SAMPLES_PER_FRAME__);
+    beginPixelSample(pixel, firstSample);
+
+    vec3 xyz, rgb;
+    beginDimensions(QMC_DIM_WAVELENGTH, 1);
+    float wavelength_nm = sampleWavelength(rnd, xyz, rgb);
+    endDimensions();
 
     // Setup sun basis
     sunBasis = makeBasis(sunDir);
+    pathWavelength_nm = wavelength_nm;
+#ifdef HAS_AOVS
+    clearAOVs();
+#endif
+#ifdef HAS_GBUFFERS
+    clearGBuffers();
+#endif
 
     // Sample radiance of primary ray
     RadianceType L = RadianceType(0.0);
     for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
     {
         // Apply FIS to obtain pixel jitter about center in pixel units
+        beginPixelSample(pixel, firstSample + uint(n));
+        beginDimensions(QMC_DIM_FILTER, 2);
         float jx = 0.5 * filterRadius * sample_jitter(rand(rnd));
         float jy = 0.5 * filterRadius * sample_jitter(rand(rnd));
         vec2 pixelj = pixel + vec2(jx, jy);
 
-        // Compute world ray direction for this fragment
+        // Sample the time of this path within the shutter interval
+        beginDimensions(QMC_DIM_TIME, 1);
+        float shutterU = sampleShutter(rnd);
+
+        // Compute world ray direction for this fragment (moved with the camera to the path time)
         vec3 primaryStart, primaryDir;
+        beginDimensions(QMC_DIM_LENS, 2);
+        bool inView = true;
 #ifdef HAS_CUSTOM_CAMERA
         CONSTRUCT_PRIMARY_RAY(pixelj, rnd, primaryStart, primaryDir);
 #else
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        inView = constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+#endif
+        endDimensions();
+        if (!inView) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
+#ifdef HAS_GBUFFERS
+        addGBuffers(primaryStart, primaryDir);
 #endif
 
+#if defined(BIDIRECTIONAL) && defined(HAS_GEOMETRY)
+        // Trace a light subpath, then connect it to the camera subpath to estimate the primary ray radiance, L
+        int numLightVertices = bdptLightPath(wavelength_nm, rgb, rnd);
+        L += bdptCameraPath(primaryStart, primaryDir, numLightVertices, wavelength_nm, rgb, rnd);
+#else
         // Perform pathtrace to estimate the primary ray radiance, L
         L += cameraPath(primaryStart, primaryDir, wavelength_nm, rgb, rnd);
+#endif
     }
     L /= float(__MAX_SAMPLES_PER_FRAME__);
 
     // Write updated radiance and sample count
-    vec4 oldL = texture(Radiance, vTexCoord);
     float oldN = oldL.w;
     float newN = oldN + 1.0;
 
@@ -2858,13 +5866,47 @@ void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
     vec3 newL = (oldN*oldL.rgb + colorXYZ) / newN;
     gbuf_rad = vec4(newL, newN);
     gbuf_rng = rnd;
+#if defined(HAS_MOMENTS) && !defined(PHOTON_TRACING)
+    vec3 oldM = texture(RadianceMoments, vTexCoord).rgb;
+    gbuf_moments = vec4((oldN*oldM + colorXYZ*colorXYZ) / newN, newN);
+#endif
+
+#ifdef HAS_AOVS
+    // Write updated AOV radiances (as tristimulus values in the same units as the total radiance)
+    for (int k=0; k<NUM_AOVS; ++k) aovL[k] /= float(__MAX_SAMPLES_PER_FRAME__);
+    writeAOVs(xyz, oldN, newN);
+#endif
+#ifdef HAS_GBUFFERS
+    // Write updated G-buffers
+    gbufferAlbedo /= float(__MAX_SAMPLES_PER_FRAME__);
+    gbufferNormalDepth /= float(__MAX_SAMPLES_PER_FRAME__);
+#ifdef GBUFFER_POSITION
+    gbufferPosition /= float(__MAX_SAMPLES_PER_FRAME__);
+#endif
+    writeGBuffers(oldN, newN);
+#endif
 }
 
 void main()
 {
     vec4 rnd = texture(RngData, vTexCoord);
+    TIME = shutterOpen;
+#ifdef PHOTON_TRACING
+    INIT();
+    photontrace(rnd);
+    return;
+#endif
+    bool skip = false;
+    bool finished = false;
 #ifdef INTERACTIVE_MODE
-    if (rand(rnd) < skipProbability)
+    skip = rand(rnd) < skipProbability;
+#endif
+#if defined(ADAPTIVE_SAMPLING) && defined(HAS_MOMENTS) && !defined(PHOTON_TRACING)
+    // (finished pixels are skipped, leaving the frame time and the sample budget to the unfinished pixels)
+    finished = pixelFinished();
+    skip = skip || finished;
+#endif
+    if (skip)
     {
         vec4 oldL = texture(Radiance, vTexCoord);
         float oldN = oldL.w;
@@ -2872,12 +5914,23 @@ void main()
         vec3 newL = oldL.rgb;
         gbuf_rad = vec4(newL, newN);
         gbuf_rng = rnd;
+#if defined(HAS_MOMENTS) && !defined(PHOTON_TRACING)
+        vec4 oldM = texture(RadianceMoments, vTexCoord);
+        gbuf_moments = vec4(oldM.rgb, finished ? -oldN : oldN);
+#endif
+#ifdef HAS_AOVS
+        clearAOVs();
+        writeAOVs(vec3(0.0), oldN, newN);
+#endif
+#ifdef HAS_GBUFFERS
+        clearGBuffers();
+        writeGBuffers(oldN, newN);
+#endif
         return;
     }
-#endif
 
     INIT();
-    pathtrace(gl_FragCoord.xy, rnd);
+    pathtrace(gl_FragCoord.xy + tileOffset, rnd);
 }
 `,
 
@@ -2896,6 +5949,58 @@ void main()
 }
 `,
 
+'photongrid-fragment-shader': `#version 300 es
+precision highp float;
+
+// Writes the photon index into its hash grid slot (where the last photon drawn to the slot is kept), or when counting,
+// unity (to be accumulated with additive blending, to give the number of photons in each slot)
+uniform bool countPhotons;
+flat in float vPhotonIndex;
+
+out vec4 g_outputColor;
+
+void main()
+{
+    g_outputColor = vec4(countPhotons ? 1.0 : vPhotonIndex);
+}
+`,
+
+'photongrid-vertex-shader': `#version 300 es
+precision highp float;
+precision highp int;
+
+// Draws each photon of the photon map as a point at its hash grid slot (with no vertex attributes, the photon being
+// indexed by gl_VertexID). Photons which were not stored are placed outside the viewport, so are clipped.
+uniform sampler2D PhotonPosition;
+uniform int photonMapSize;
+uniform int photonGridSize;
+uniform float photonCellSize;
+flat out float vPhotonIndex;
+
+// Hash grid slot of a grid cell (this must match photonGridSlot in the pathtracer fragment shader)
+int photonGridSlot(in ivec3 cell)
+{
+    uvec3 c = uvec3(cell);
+    uint h = (c.x*73856093u) ^ (c.y*19349663u) ^ (c.z*83492791u);
+    return int(h % uint(photonGridSize*photonGridSize));
+}
+
+void main()
+{
+    vec4 photonPos = texelFetch(PhotonPosition, ivec2(gl_VertexID % photonMapSize, gl_VertexID / photonMapSize), 0);
+    vPhotonIndex = float(gl_VertexID);
+    gl_PointSize = 1.0;
+    if (photonPos.w == 0.0)
+    {
+        gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+        return;
+    }
+    int slot = photonGridSlot(ivec3(floor(photonPos.xyz/photonCellSize)));
+    vec2 slotCenter = (vec2(slot % photonGridSize, slot / photonGridSize) + 0.5) / float(photonGridSize);
+    gl_Position = vec4(2.0*slotCenter - 1.0, 0.0, 1.0);
+}
+`,
+
 'pick-fragment-shader': `#version 300 es
 precision highp float;
 
@@ -2910,17 +6015,28 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform float shutterOpen;   // (the scene time at which the shutter opens, at which the picked surface is found)
+
+// The scene time (which the scene SDF and material functions may read)
+float TIME;
 
 uniform float minLengthScale;
 uniform float maxLengthScale;
 uniform bool maxStepsIsMiss;
 uniform vec2 mousePick;
 
+// Material types (the material of a hit is the index of the scene object,
+// or MAT_VOLUM if the volume was hit)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
 #define MAT_SURFA  2
-#define MAT_VOLUM  3
+#define MAT_VOLUM  -2
 
 #define M_PI 3.1415926535897932384626433832795
 
@@ -2949,6 +6065,8 @@ __DEFINES__
 
 __SHADER__
 
+__OBJECTS__
+
 ///////////////////////////////////////////////////////////////////////////////////
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
@@ -2959,21 +6077,11 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
 {
     float minMarchDist = minLengthScale;
 
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-    float sdf_metal = abs(SDF_METAL(start));      sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-    float sdf_diele = abs(SDF_DIELECTRIC(start)); sdf = min(sdf, sdf_diele);
-#endif
+    int closest;
+    float sdf = sceneSDF(start, closest);
 #ifdef HAS_VOLUME
     float sdf_volum = abs(SDF_VOLUME(start)); sdf = min(sdf, sdf_volum);
 #endif
-
     float InitialSign = sign(sdf);
     float t = 0.0;
     int iters=0;
@@ -2984,16 +6092,8 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
         t += InitialSign * sdf;
         if (t>=maxDist) break;
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarchDist) { material = MAT_SURFA; break; } sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-        sdf_metal = abs(SDF_METAL(pW));      if (sdf_metal<minMarchDist) { material = MAT_METAL; break; } sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-        sdf_diele = abs(SDF_DIELECTRIC(pW)); if (sdf_diele<minMarchDist) { material = MAT_DIELE; break; } sdf = min(sdf, sdf_diele); 
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (sdf<minMarchDist) { material = closest; break; }
 #ifdef HAS_VOLUME
         sdf_volum = abs(SDF_VOLUME(pW)); if (sdf_volum<minMarchDist) { material = MAT_VOLUM; break; } sdf = min(sdf, sdf_volum); 
 #endif
@@ -3017,9 +6117,85 @@ bool traceRay(in vec3 start, in vec3 dir,
 // Picking program: computes first hit distance based on mouse location
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPickRay(in vec2 pixel,
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+bool constructPickRay(in vec2 pixel,
                       inout vec3 primaryStart, inout vec3 primaryDir)
 {
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
     // Compute world ray direction for given fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
     float fh = tan(0.5*radians(camFovy)); // frustum height
@@ -3027,20 +6203,22 @@ void constructPickRay(in vec2 pixel,
     vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
     primaryDir = normalize(camDir + s);
     primaryStart = camPos;
+    return true;
 }
 
 void main()
 {
+    TIME = shutterOpen;
     INIT();
 
     vec2 pixel = mousePick;
     vec3 primaryStart, primaryDir;
-    constructPickRay(pixel, primaryStart, primaryDir);
+    bool inView = constructPickRay(pixel, primaryStart, primaryDir);
 
      // Raycast to first hit point
     vec3 pW;
-    int hitMaterial;
-    bool hit = traceRay(primaryStart, primaryDir, pW, hitMaterial, maxLengthScale);
+    int hitMaterial = MAT_INVAL;
+    bool hit = inView && traceRay(primaryStart, primaryDir, pW, hitMaterial, maxLengthScale);
     float d = maxLengthScale;
     if (hit)
     {
@@ -3074,9 +6252,9 @@ uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
 uniform sampler2D WavelengthToXYZ;  // 2
 uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4
-uniform sampler2D kTex;             // 5 (for metals)
+// (samplers 4, 5 and 8 onwards: metal ior and k textures, declared in the injected IOR code)
 uniform sampler2D envMap;           // 6
+uniform sampler2D envMapCDF;        // 7
 in vec2 vTexCoord;
 
 layout(location = 0) out vec4 gbuf_rad;
@@ -3084,6 +6262,7 @@ layout(location = 1) out vec4 gbuf_rng;
 
 // Camera parameters
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
@@ -3092,12 +6271,33 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 // Pathtracing parameters
 uniform float filterRadius;
 uniform float radianceClamp;
 uniform float skipProbability;
+uniform int russianRouletteDepth;   // (number of bounces after which paths are terminated by Russian roulette)
 uniform bool maxStepsIsMiss;
+uniform float marchOverRelaxation; // (over-relaxation factor of the sphere tracing steps, from 1 (no over-relaxation) to 2)
+uniform float marchFootprint;      // (growth of the hit threshold per unit distance along rays, to match the pixel footprint)
 
 // Length scales
 uniform float lengthScale;
@@ -3107,12 +6307,21 @@ uniform float maxLengthScale;
 // Sky parameters
 uniform bool haveEnvMap;
 uniform bool envMapVisible;
+uniform bool envMapImportanceSampling;
 uniform float envMapPhiRotation;
 uniform float envMapThetaRotation;
 uniform float envMapTransitionAngle;
 uniform float skyPower;
 uniform vec3 skyTintUp;
 uniform vec3 skyTintDown;
+uniform int skyModel;               // (one of SKY_MODEL_UNIFORM, SKY_MODEL_PREETHAM)
+uniform vec3 skyPerezA;             // Preetham sky Perez function coefficients (for each of Y, x, y)
+uniform vec3 skyPerezB;
+uniform vec3 skyPerezC;
+uniform vec3 skyPerezD;
+uniform vec3 skyPerezE;
+uniform vec3 skyPerezScale;         // zenith (Y, x, y) divided by the Perez function at the zenith
+uniform vec3 skyGroundRGB;          // radiance of the ground below the horizon
 
 // Sun parameters
 uniform float sunPower;
@@ -3123,16 +6332,17 @@ uniform vec3 sunColor;
 uniform vec3 sunDir;
 uniform bool sunVisibleDirectly;
 
-// Surface material parameters
-uniform vec3 surfaceDiffuseAlbedoRGB;
-uniform vec3 surfaceSpecAlbedoRGB;
-uniform float surfaceRoughness;
-uniform float surfaceIor;
-uniform float subsurface;
-uniform vec3 subsurfaceAlbedoRGB;
-uniform float subsurfaceMFP;
-uniform float subsurfaceAnisotropy;
-uniform float subsurfaceDiffuseWeight;
+// Surface material parameters (indexed by material instance)
+uniform vec3 surfaceDiffuseAlbedoRGB[__NUM_SURFACES__];
+uniform vec3 surfaceSpecAlbedoRGB[__NUM_SURFACES__];
+uniform float surfaceRoughness[__NUM_SURFACES__];
+uniform float surfaceIor[__NUM_SURFACES__];
+uniform float subsurface[__NUM_SURFACES__];
+uniform vec3 subsurfaceAlbedoRGB[__NUM_SURFACES__];
+uniform float subsurfaceMFP[__NUM_SURFACES__];
+uniform float subsurfaceAnisotropy[__NUM_SURFACES__];
+uniform float subsurfaceDiffuseWeight[__NUM_SURFACES__];
+uniform vec3 surfaceEmissionRGB[__NUM_SURFACES__];
 uniform int maxSSSSteps;
 
 // Volumetric emission constants
@@ -3156,6 +6366,8 @@ uniform vec3 fogTint;
 #define RADIANCE_EPSILON 1.0e-6
 #define M_PI 3.141592653589793
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
@@ -3183,10 +6395,16 @@ float rand(inout vec4 rnd)
 
 __DEFINES__
 
+// (the simplified pathtracer renders only the surface material objects)
+#undef HAS_METAL
+#undef HAS_DIELECTRIC
+
 __SHADER__
 
 __IOR_FUNC__
 
+__OBJECTS__
+
 
 /////////////////////////////////////////////////////////////////////////
 // Basis transforms
@@ -3268,6 +6486,17 @@ float maxComponent(float f)
     return f;
 }
 
+// Russian roulette path termination: from the depth russianRouletteDepth onwards, the path continues with probability given
+// by its throughput (which is reweighted accordingly, so the estimate remains unbiased). Returns whether the path continues.
+bool russianRoulette(int depth, inout vec3 throughput, inout vec4 rnd)
+{
+    float continuation_prob = clamp(maxComponent(throughput), 0.0, 1.0);
+    if (depth < russianRouletteDepth) return continuation_prob > 0.0;
+    if (rand(rnd) >= continuation_prob) return false;
+    throughput /= continuation_prob; // update throughput due to RR continuation
+    return true;
+}
+
 float averageComponent(in vec3 v)
 {
     return (v.r + v.g + v.b)/3.0;
@@ -3436,32 +6665,41 @@ float fresnelDielectricReflectance(in float cosi, in float eta_ti)
     return 1.0; // total internal reflection
 }
 
-vec3 SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+vec3 SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[index], X, nW, winputW);
     return reflRGB;
 }
 
-vec3 SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in vec3 rgb)
+#ifdef HAS_SURFACE_EMISSION
+// Radiance emitted by the surface in direction winputW (emission is from the front face only)
+vec3 SURFACE_EMISSION_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
+{
+    if (dot(nW, winputW) <= 0.0) return vec3(0.0);
+    return SURFACE_EMISSION(surfaceEmissionRGB[index], X, nW, winputW);
+}
+#endif
+
+vec3 SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB, X, nW);
+    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB[index], X, nW);
     return reflRGB;
 }
 
-vec3 SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+vec3 SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB[index], X, nW, winputW);
     return reflRGB;
 }
 
-vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return vec3(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float Fr = fresnelDielectricReflectance(woutputL.z, ior);
     vec3 h = normalize(woutputL + winputL); // Compute the reflection half-vector
     float D = microfacetEval(h, roughness);
@@ -3472,19 +6710,19 @@ vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutput
     return f;
 }
 
-float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return PDF_EPSILON;
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
     float weightSum = max(specWeight + diffuseWeight, DENOM_TOLERANCE);
     float specProb = specWeight/weightSum;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float diffusePdf = pdfHemisphereCosineWeighted(woutputL);
     vec3 h = safe_normalize(woutputL + winputL); // reflection half-vector
     float dwh_dwo = 1.0 / max(abs(4.0*dot(winputL, h)), DENOM_TOLERANCE); // Jacobian of the half-direction mapping
@@ -3492,15 +6730,15 @@ float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, i
     return specProb*specularPdf + (1.0-specProb)*diffusePdf;
 }
 
-vec3 sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in float wavelength_nm, in vec3 rgb,
+vec3 sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in int index, in float wavelength_nm, in vec3 rgb,
                            inout vec3 woutputL, inout float pdfOut, inout vec4 rnd)
 {
     if (winputL.z<0.0) return vec3(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
@@ -3537,23 +6775,26 @@ vec3 evaluateBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL,
                            inout vec4 rnd )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    evaluateSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (materialType(material)==MAT_SURFA) { return evaluateSurface(X, basis, winputL, woutputL, materialIndex(material), wavelength_nm, rgb); }
 #endif
+    return vec3(0.0);
 }
 
 vec3 sampleBsdf( in vec3 X, in Basis basis, in vec3 winputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera,
                          inout vec3 woutputL, inout float pdfOut, inout vec4 rnd )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    sampleSurface(X, basis, winputL, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
+    if (materialType(material)==MAT_SURFA) { return sampleSurface(X, basis, winputL, materialIndex(material), wavelength_nm, rgb, woutputL, pdfOut, rnd); }
 #endif
+    return vec3(0.0);
 }
 
 float pdfBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    pdfSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (materialType(material)==MAT_SURFA) { return pdfSurface(X, basis, winputL, woutputL, materialIndex(material), wavelength_nm, rgb); }
 #endif
+    return PDF_EPSILON;
 }
 
 #endif // HAS_GEOMETRY
@@ -3573,30 +6814,41 @@ vec3 VOLUME_EMISSION_EVAL(in vec3 X, in vec3 rgb)
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
 
-// find first hit along specified ray
+// find first hit along specified ray.
+// If marchOverRelaxation > 1, the steps are over-relaxed as in Keinert et al., "Enhanced Sphere Tracing" (2014), falling back to unrelaxed
+// steps once a step may have overshot a surface (i.e. the unbounding spheres at either end of the step do not overlap).
+// The hit threshold is minLengthScale, or marchFootprint times the distance along the ray if larger.
 bool traceRay(in vec3 start, in vec3 dir,
               inout vec3 hit, inout int material, float maxMarchDist)
 {
     material = MAT_INVAL;
     float minMarch = minLengthScale;
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
     float t = InitialSign * sdf; // (always take the first step along the ray direction)
     if (abs(t)>=maxMarchDist) return false;
+    float omega = marchOverRelaxation;
+    float prevSdf = abs(sdf);    // (the SDF at the start of the most recent step)
+    float stepLength = abs(sdf); // (the length of the most recent step)
     for (int n=0; n<__MAX_MARCH_STEPS__; n++)
     {
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarch) { material = MAT_SURFA; hit = start + t*dir; return true; } sdf = min(sdf, sdf_surfa);
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (omega > 1.0 && abs(sdf) + prevSdf < stepLength)
+        {
+            // The over-relaxed step may have overshot a surface, so retake it unrelaxed, and stop over-relaxing
+            t -= InitialSign * (stepLength - prevSdf);
+            stepLength = prevSdf;
+            omega = 1.0;
+            continue;
+        }
+        if (sdf<max(minMarch, marchFootprint*abs(t))) { material = closest; hit = start + t*dir; return true; }
         // With this formula, the ray advances whether sdf is initially negative or positive --
         // but on crossing the zero isosurface, sdf flips allowing bracketing of the root.
-        t += InitialSign * sdf;
+        prevSdf = abs(sdf);
+        stepLength = omega * abs(sdf);
+        t += InitialSign * omega * sdf;
         if (abs(t)>=maxMarchDist) return false;
     }
     return !maxStepsIsMiss;
@@ -3610,17 +6862,17 @@ vec3 normal(in vec3 pW, int material)
     vec3 Xp = pW+e.xyy; vec3 Xn = pW-e.xyy;
     vec3 Yp = pW+e.yxy; vec3 Yn = pW-e.yxy;
     vec3 Zp = pW+e.yyx; vec3 Zn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(Xp) -    SDF_SURFACE(Xn),    SDF_SURFACE(Yp) -    SDF_SURFACE(Yn),    SDF_SURFACE(Zp) -    SDF_SURFACE(Zn)); return safe_normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(Xp, material) - materialSDF(Xn, material),
+                  materialSDF(Yp, material) - materialSDF(Yn, material),
+                  materialSDF(Zp, material) - materialSDF(Zn, material));
+    return safe_normalize(N);
 }
 
 #ifdef HAS_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
 #ifdef HAS_SURFACE_NORMALMAP
-    if (material==MAT_SURFA)
+    if (materialType(material)==MAT_SURFA)
     {
         vec3 nL_perturbed = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
@@ -3682,22 +6934,76 @@ vec3 atmosphericInscatteringRadiance(in vec3 Tr)
 // Sky
 //////////////////////////////////////////////
 
-vec3 environmentRadianceRGB(in vec3 dirW)
+Basis skyBasis()
 {
-    float rot_phi   = M_PI*envMapPhiRotation/180.0;
     float rot_theta = M_PI*envMapThetaRotation/180.0;
     vec3 sky_pole = vec3(sin(rot_theta), cos(rot_theta), 0.0);
-    Basis sky_basis = makeBasis(sky_pole);
-    vec3 dirL = worldToLocal(dirW, sky_basis);
+    return makeBasis(sky_pole);
+}
+
+// Lat-long env map (u,v) coordinates of the given world space direction
+vec2 envMapUV(in vec3 dirW)
+{
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    vec3 dirL = worldToLocal(dirW, skyBasis());
     float phi = atan(dirL.y, dirL.x) + M_PI + rot_phi;
     phi -= 2.0*M_PI*floor(phi/(2.0*M_PI)); // wrap phi to [0, 2*pi]
-    float theta = acos(dirL.z);
-    float u = phi/(2.0*M_PI);
-    float v = theta/M_PI;
+    float theta = acos(clamp(dirL.z, -1.0, 1.0));
+    return vec2(phi/(2.0*M_PI), theta/M_PI);
+}
+
+// World space direction of the given lat-long env map (u,v) coordinates (the inverse of envMapUV)
+vec3 envMapDirection(in vec2 uv)
+{
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    float phi = 2.0*M_PI*uv.x - M_PI - rot_phi;
+    float theta = M_PI*uv.y;
+    float sinTheta = sin(theta);
+    vec3 dirL = vec3(sinTheta*cos(phi), sinTheta*sin(phi), cos(theta));
+    return localToWorld(dirL, skyBasis());
+}
+
+#define SKY_MODEL_UNIFORM  0
+#define SKY_MODEL_PREETHAM 1
+
+// Perez sky distribution function (for each of Y, x, y), given the cosine of the view zenith angle
+// and the angle gamma between the view and sun directions
+vec3 perez(float cosTheta, float gamma)
+{
+    float cosGamma = cos(gamma);
+    return (1.0 + skyPerezA*exp(skyPerezB/max(cosTheta, 1.0e-3))) *
+           (1.0 + skyPerezC*exp(skyPerezD*gamma) + skyPerezE*cosGamma*cosGamma);
+}
+
+// Preetham sky luminance Y and chromaticity (x, y) in the given world space direction above the horizon
+// (see Renderer.updateSkyModel)
+vec3 preethamSkyYxy(in vec3 dirW)
+{
+    float gamma = acos(clamp(dot(dirW, sunDir), -1.0, 1.0));
+    return skyPerezScale * perez(dirW.y, gamma);
+}
+
+vec3 preethamSkyRGB(in vec3 dirW)
+{
+    if (dirW.y <= 0.0)
+        return skyGroundRGB;
+    vec3 Yxy = preethamSkyYxy(dirW);
+    vec3 XYZ = vec3(Yxy.x*Yxy.y/Yxy.z, Yxy.x, Yxy.x*(1.0 - Yxy.y - Yxy.z)/Yxy.z);
+    vec3 RGB;
+    RGB.r =  3.2404542*XYZ.x - 1.5371385*XYZ.y - 0.4985314*XYZ.z;
+    RGB.g = -0.9692660*XYZ.x + 1.8760108*XYZ.y + 0.0415560*XYZ.z;
+    RGB.b =  0.0556434*XYZ.x - 0.2040259*XYZ.y + 1.0572252*XYZ.z;
+    return skyPower * max(RGB, vec3(0.0));
+}
+
+vec3 environmentRadianceRGB(in vec3 dirW)
+{
+    if (skyModel == SKY_MODEL_PREETHAM)
+        return preethamSkyRGB(dirW);
     vec3 RGB = vec3(1.0);
     if (haveEnvMap)
-        RGB = texture(envMap, vec2(u,v)).rgb;
-    float t = dot(dirW, sky_pole);
+        RGB = texture(envMap, envMapUV(dirW)).rgb;
+    float t = dot(dirW, skyBasis().nW);
     float tt = envMapTransitionAngle/180.0;
     RGB *= skyPower * mix(skyTintDown, skyTintUp, smoothstep(-tt, tt, t));
     return RGB;
@@ -3714,16 +7020,104 @@ float skyPowerEstimate()
     return 2.0*M_PI * skyPower * 0.5*(maxComponent(skyTintUp) + maxComponent(skyTintDown));
 }
 
+// The envMapCDF texture holds the conditional CDF of each row of the env map in columns [0, width-1],
+// and the marginal CDF of the rows in column width (see Renderer.buildEnvMapCDF)
+float envMapCDFTexel(int i, int j)
+{
+    if (i<0 || j<0) return 0.0;
+    return texelFetch(envMapCDF, ivec2(i, j), 0).r;
+}
+
+// Find the first of the n texels of the given CDF row (or of the marginal CDF, if row<0) where the CDF exceeds u
+int envMapCDFSearch(int row, int n, float u)
+{
+    int marginal = textureSize(envMapCDF, 0).x - 1;
+    int lo = 0;
+    int hi = n - 1;
+    while (lo < hi)
+    {
+        int mid = (lo + hi)/2;
+        float cdf = (row<0) ? envMapCDFTexel(marginal, mid) : envMapCDFTexel(mid, row);
+        if (cdf > u) hi = mid;
+        else         lo = mid + 1;
+    }
+    return lo;
+}
+
+// Solid angle PDF of sampling the given direction, given the env map texel probability of its (u,v) coordinates
+float envMapSolidAnglePdf(float texelProb, in vec2 uv)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    float sinTheta = sin(M_PI*uv.y);
+    return texelProb * float((size.x-1)*size.y) / max(2.0*M_PI*M_PI*sinTheta, DENOM_TOLERANCE);
+}
+
+// Sample a direction with probability proportional to the env map luminance
+vec3 sampleEnvMap(inout vec4 rnd, inout float pdfDir)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    float r1 = rand(rnd);
+    float r2 = rand(rnd);
+    int j = envMapCDFSearch(-1, H, r1);
+    int i = envMapCDFSearch(j, W, r2);
+    float m0 = envMapCDFTexel(W, j-1);
+    float m1 = envMapCDFTexel(W, j);
+    float c0 = envMapCDFTexel(i-1, j);
+    float c1 = envMapCDFTexel(i, j);
+    // (sample uniformly within the chosen texel)
+    float du = clamp((r2 - c0)/max(c1 - c0, DENOM_TOLERANCE), 0.0, 1.0);
+    float dv = clamp((r1 - m0)/max(m1 - m0, DENOM_TOLERANCE), 0.0, 1.0);
+    vec2 uv = vec2((float(i) + du)/float(W), (float(j) + dv)/float(H));
+    pdfDir = envMapSolidAnglePdf((m1 - m0)*(c1 - c0), uv);
+    return envMapDirection(uv);
+}
+
+// Solid angle PDF of sampleEnvMap generating the given direction
+float pdfEnvMap(in vec3 dirW)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    vec2 uv = envMapUV(dirW);
+    int i = clamp(int(uv.x*float(W)), 0, W-1);
+    int j = clamp(int(uv.y*float(H)), 0, H-1);
+    float pMarginal    = envMapCDFTexel(W, j) - envMapCDFTexel(W, j-1);
+    float pConditional = envMapCDFTexel(i, j) - envMapCDFTexel(i-1, j);
+    return envMapSolidAnglePdf(pMarginal*pConditional, uv);
+}
+
 vec3 sampleSkyAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
                                 inout vec3 woutputL, inout vec3 woutputW, inout float pdfDir)
 {
     if (skyPower<RADIANCE_EPSILON)
         return vec3(0.0);
-    woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
-    woutputW = localToWorld(woutputL, basis);
+    if (envMapImportanceSampling)
+    {
+        woutputW = sampleEnvMap(rnd, pdfDir);
+        woutputL = worldToLocal(woutputW, basis);
+        if (woutputL.z <= 0.0) return vec3(0.0); // (directions below the surface receive no sky light)
+    }
+    else
+    {
+        woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
+        woutputW = localToWorld(woutputL, basis);
+    }
     return environmentRadiance(woutputW, rgb);
 }
 
+// Solid angle PDF of sampleSkyAtSurface generating the given direction
+float pdfSkyAtSurface(Basis basis, in vec3 dirW)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return 0.0;
+    vec3 dirL = worldToLocal(dirW, basis);
+    if (envMapImportanceSampling)
+        return (dirL.z > 0.0) ? pdfEnvMap(dirW) : 0.0;
+    return pdfHemisphereCosineWeighted(dirL);
+}
+
 
 //////////////////////////////////////////////
 // Sun
@@ -3778,6 +7172,8 @@ vec3 sampleSunAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
 // Direct lighting routines
 //////////////////////////////////////////////
 
+#ifdef HAS_GEOMETRY
+
 // Estimate direct radiance at the given surface vertex
 vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int material,
                                    float wavelength_nm, in vec3 rgb, inout vec4 rnd,
@@ -3825,6 +7221,8 @@ vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int mate
     return min(vec3(radianceClamp), Ldirect);
 }
 
+#endif // HAS_GEOMETRY
+
 
 ///////////////////////////////////////////////////////////////
 // SSS
@@ -3834,7 +7232,7 @@ vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int mate
 #define MIN_SSS_STEPS_BEFORE_RR 4
 
 #ifdef HAS_SURFACE
-bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
+bool randomwalk_SSS(in vec3 pW, in Basis basis, in int index, inout vec4 rnd,
                     in float MFP, in vec3 subsurfaceAlbedo, in vec3 diffuseAlbedoEntry,
                     inout vec3 walk_throughput, inout vec3 pExit)
 {
@@ -3849,7 +7247,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 
     // We assume a diffuse Lambertian lobe at the entry point
     // (either pure white, or with the diffuse albedo of the entry point, or somewhere in between)
-    vec3 f = mix(vec3(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight) / M_PI;
+    vec3 f = mix(vec3(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight[index]) / M_PI;
     vec3 fOverPdf = min(vec3(radianceClamp), f/max(PDF_EPSILON, pdfDir));
     vec3 surface_entry_throughput = fOverPdf * abs(dot(dirwalkW, basis.nW));
     walk_throughput = vec3(1.0); //surface_entry_throughput; // update walk throughput due to entry in medium
@@ -3878,7 +7276,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
                 break;
             walk_throughput /= continuation_prob; // update walk throughput due to RR continuation
         }
-        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy, rnd);
+        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy[index], rnd);
         pWalk += walk_step*dirwalkW;
         walk_throughput *= subsurfaceAlbedo; // update walk throughput due to scattering in medium
     }
@@ -3886,7 +7284,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 }
 
 // Estimate radiance at the SSS exit point
-vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
+vec3 SSS_exit_radiance(in vec3 pW, Basis basis, in int index,
                                in vec3 rgb, inout vec4 rnd,
                                in vec3 diffuseAlbedoExit,
                                inout float skyPdf, inout float sunPdf, inout float sphPdf)
@@ -3897,7 +7295,7 @@ vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
 
     // We assume a diffuse Lambertian lobe at the exit point
     // (either pure white, or with the diffuse albedo of the exit point, or somewhere in between)
-    vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+    vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[index]) / M_PI;
 
     // Sky
     if (skyPower > RADIANCE_EPSILON)
@@ -3935,9 +7333,135 @@ vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
 // Pathtracing integrator
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
                          inout vec3 primaryStart, inout vec3 primaryDir)
 {
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
     // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
     float fh = tan(0.5*radians(camFovy)); // frustum height
@@ -3947,14 +7471,14 @@ void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
     if (camAperture<=0.0)
     {
         primaryStart = camPos;
-        return;
+        return true;
     }
     vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI*rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
     primaryStart = lensPos;
     primaryDir = safe_normalize(focalPlaneHit - lensPos);
+    return true;
 }
 
 
@@ -3971,8 +7495,8 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
     vec3 throughput = vec3(1.0);
     for (int vertex=0; vertex<=__MAX_BOUNCES__; ++vertex)
     {
-        // Bail out now if the path continuation throughput is below threshold
-        if (maxComponent(throughput) < THROUGHPUT_EPSILON) break;
+        // Terminate the path if its throughput vanishes, or by Russian roulette
+        if (!russianRoulette(vertex, throughput, rnd)) break;
 
         // Raycast along current propagation direction rayDir, from current vertex pW to pW_next
         vec3 pW_next;
@@ -4015,6 +7539,13 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         throughput *= Tr;
 #endif
 
+#ifdef HAS_GEOMETRY
+#ifdef HAS_SURFACE_EMISSION
+        // Add emission if the ray hit an emissive surface
+        if (materialType(hitMaterial)==MAT_SURFA)
+            L += throughput * SURFACE_EMISSION_EVAL(pW_next, normal(pW_next, hitMaterial), -rayDir, materialIndex(hitMaterial), rgb);
+#endif
+
         // This ray hit some geometry, so deal with the surface interaction.
         // First, compute the normal and thus the local vertex basis:
         pW = pW_next;
@@ -4026,7 +7557,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // If the incident ray lies below the hemisphere of the perturbed shading normal,
         // which can occur due to normal mapping, apply the "Flipping hack" to prevent artifacts
         // (see Schüßler, "Microfacet-based Normal Mapping for Robust Monte Carlo Path Tracing")
-        if ((dot(nW, rayDir) > 0.0) && (hitMaterial != MAT_DIELE))
+        if ((dot(nW, rayDir) > 0.0) && (materialType(hitMaterial) != MAT_DIELE))
             nW = 2.0*ngW*dot(ngW, nW) - nW;
         basis = makeBasis(nW);
 #endif
@@ -4035,13 +7566,15 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         bool do_subsurface_walk = false;
         float prob_sss = 0.0;
         vec3 subsurfaceAlbedo;
+        int hitIndex = materialIndex(hitMaterial);
 #ifdef HAS_SURFACE
-        if (subsurfaceMFP > 0.0)         // a) the surface must have non-zero subsurface MFP, and
+        if (materialType(hitMaterial)==MAT_SURFA &&
+            subsurfaceMFP[hitIndex] > 0.0)         // a) the surface must have non-zero subsurface MFP, and
         {
-            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, rgb);
-            float diffuse_weight    = (1.0 - subsurface)*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float subsurface_weight = subsurface * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
+            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, hitIndex, rgb);
+            float diffuse_weight    = (1.0 - subsurface[hitIndex])*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float subsurface_weight = subsurface[hitIndex] * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
             float total_weight = diffuse_weight + spec_weight + subsurface_weight;
             prob_sss = subsurface_weight / (total_weight + DENOM_TOLERANCE);
             prob_sss = clamp(prob_sss, 0.0, 1.0-PDF_EPSILON);
@@ -4085,6 +7618,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             vec3 surface_throughput = fOverPdf * abs(dot(woutputW, nW)) / max(PDF_EPSILON, 1.0 - prob_sss);
             throughput *= surface_throughput;
 
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis, woutputW); // (if the sky was sampled, the sky PDF of the bounce ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
         }
@@ -4093,11 +7627,11 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // Do subsurface random walk to a new vertex
         else
         {
-            vec3 diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb);
+            vec3 diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb);
             vec3 walk_throughput;
             vec3 pExit;
             basis.nW = ngW; // (use basis with geometric normal for SSS entry, to avoid surface acne)
-            bool success = randomwalk_SSS(pW, basis, rnd, subsurfaceMFP, subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
+            bool success = randomwalk_SSS(pW, basis, hitIndex, rnd, subsurfaceMFP[hitIndex], subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
             if (!success)
                 break;
 
@@ -4105,7 +7639,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             pW = pExit;
 
             // Compute updated normal and basis at exit point
-            nW = normal(pExit, MAT_SURFA);
+            nW = normal(pExit, hitMaterial);
             Basis basis_exit = makeBasis(nW);
 
             // Sample direction of exit ray (assuming a diffuse Lambertian lobe with diffuse albedo of exit point)
@@ -4123,14 +7657,15 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             float skyPdf = 0.0;
             float sunPdf = 0.0;
             float sphPdf = 0.0;
-            vec3 diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, rgb);
-            L += throughput * SSS_exit_radiance(pExit, basis_exit, rgb, rnd, diffuseAlbedoExit,
+            vec3 diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, hitIndex, rgb);
+            L += throughput * SSS_exit_radiance(pExit, basis_exit, hitIndex, rgb, rnd, diffuseAlbedoExit,
                                                 skyPdf, sunPdf, sphPdf);
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis_exit, woutputW); // (if the sky was sampled, the sky PDF of the exit ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
 
             // Update path continuation throughput
-            vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+            vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[hitIndex]) / M_PI;
             vec3 fOverPdf = min(vec3(radianceClamp), f/max(PDF_EPSILON, bsdfPdf));
             vec3 surface_exit_throughput = fOverPdf * abs(dot(woutputW, nW));
             throughput *= surface_exit_throughput / max(PDF_EPSILON, prob_sss);
@@ -4139,6 +7674,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             pW += nW * sign(dot(rayDir, nW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
         }
 #endif
+#endif // HAS_GEOMETRY
     }
     return L;
 }
@@ -4167,12 +7703,16 @@ void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
         vec2 pixelj = pixel + vec2(jx, jy);
 
         // Compute world ray direction for this fragment
+        float shutterU = sampleShutter(rnd);
         vec3 primaryStart, primaryDir;
+        bool inView = true;
 #ifdef HAS_CUSTOM_CAMERA
         CONSTRUCT_PRIMARY_RAY(pixelj, rnd, primaryStart, primaryDir);
 #else
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        inView = constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
 #endif
+        if (!inView) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
 
         // Perform pathtrace to estimate the primary ray radiance, L
         L += cameraPath(primaryStart, primaryDir, wavelength_nm, rgb, rnd);
@@ -4194,8 +7734,9 @@ void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
 void main()
 {
     vec4 rnd = texture(RngData, vTexCoord);
+    TIME = shutterOpen;
     INIT();
-    pathtrace(gl_FragCoord.xy, rnd);
+    pathtrace(gl_FragCoord.xy + tileOffset, rnd);
 }
 `,
 
@@ -4217,7 +7758,7 @@ void main()
 'tonemapper-fragment-shader': `#version 300 es
 precision highp float;
 
-uniform sampler2D Radiance;
+uniform sampler2D Radiance;      // 0
 in vec2 vTexCoord;
 
 uniform float exposure;
@@ -4226,13 +7767,121 @@ uniform float contrast;
 uniform float saturation;
 uniform float hueShift;
 
+uniform int tonemapOperator; // (the index of the operator in Renderer.TONEMAP_OPERATORS)
+uniform float whitePoint;    // (the linear radiance mapped to white by the 'reinhard' and 'hable' operators)
+
+// 3D LUT applied to the final (sRGB encoded) color, if loaded
+uniform bool haveLUT;
+uniform highp sampler3D LUT;     // 1 (a placeholder LUT, if none is loaded)
+uniform float lutSize;
+uniform vec3 lutDomainMin;
+uniform vec3 lutDomainMax;
+uniform float lutStrength;
+
 out vec4 g_outputColor;
 
+#define TONEMAP_LEGACY   0
+#define TONEMAP_LINEAR   1
+#define TONEMAP_REINHARD 2
+#define TONEMAP_ACES     3
+#define TONEMAP_AGX      4
+#define TONEMAP_HABLE    5
+
 float toneMap(float L)
 {
   return L / (1.0 + L);
 }
 
+float luminance(vec3 RGB)
+{
+    return dot(RGB, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Extended Reinhard, applied to the luminance (preserving the chromaticity), mapping whitePoint to 1
+vec3 toneMapReinhard(vec3 RGB)
+{
+    float L = luminance(RGB);
+    if (L <= 0.0) return RGB;
+    float W = max(whitePoint, 1.0e-3);
+    float Lmapped = L * (1.0 + L/(W*W)) / (1.0 + L);
+    return RGB * (Lmapped/L);
+}
+
+// ACES filmic (the RRT and sRGB ODT, as fitted by Stephen Hill)
+vec3 RRTAndODTFit(vec3 v)
+{
+    vec3 a = v*(v + 0.0245786) - 0.000090537;
+    vec3 b = v*(0.983729*v + 0.4329510) + 0.238081;
+    return a/b;
+}
+
+vec3 toneMapACES(vec3 RGB)
+{
+    // (sRGB to the RRT input space, and from the ODT output space back to sRGB)
+    const mat3 ACESInput  = mat3(0.59719, 0.07600, 0.02840,
+                                 0.35458, 0.90834, 0.13383,
+                                 0.04823, 0.01566, 0.83777);
+    const mat3 ACESOutput = mat3( 1.60475, -0.10208, -0.00327,
+                                 -0.53108,  1.10813, -0.07276,
+                                 -0.07367, -0.00605,  1.07602);
+    return ACESOutput * RRTAndODTFit(ACESInput * RGB);
+}
+
+// AgX (the polynomial fit of its base contrast curve, by Benjamin Wrensch), returning linear RGB
+vec3 toneMapAgX(vec3 RGB)
+{
+    const mat3 agxInset  = mat3(0.842479062253094,  0.0423282422610123, 0.0423756549057051,
+                                0.0784335999999992, 0.878468636469772,  0.0784336,
+                                0.0792237451477643, 0.0791661274605434, 0.879142973793104);
+    const mat3 agxOutset = mat3( 1.19687900512017,  -0.0528968517574562, -0.0529716355144438,
+                                -0.0980208811401368, 1.15190312990417,   -0.0980434501171241,
+                                -0.0990297440797205, -0.0989611768448433, 1.15107367264116);
+    const float minEv = -12.47393;
+    const float maxEv = 4.026069;
+    vec3 x = agxInset * RGB;
+    x = clamp(log2(max(x, 1.0e-10)), minEv, maxEv);
+    x = (x - minEv) / (maxEv - minEv);
+    vec3 x2 = x*x;
+    vec3 x4 = x2*x2;
+    x = 15.5*x4*x2 - 40.14*x4*x + 31.96*x4 - 6.868*x2*x + 0.4298*x2 + 0.1191*x - 0.00232;
+    x = agxOutset * x;
+    return pow(max(x, 0.0), vec3(2.2));
+}
+
+// Hable (Uncharted 2) filmic curve, mapping whitePoint to 1
+vec3 hableCurve(vec3 x)
+{
+    const float A = 0.15; // shoulder strength
+    const float B = 0.50; // linear strength
+    const float C = 0.10; // linear angle
+    const float D = 0.20; // toe strength
+    const float E = 0.02; // toe numerator
+    const float F = 0.30; // toe denominator
+    return ((x*(A*x + C*B) + D*E) / (x*(A*x + B) + D*F)) - E/F;
+}
+
+vec3 toneMapHable(vec3 RGB)
+{
+    const float exposureBias = 2.0;
+    return hableCurve(exposureBias*RGB) / hableCurve(vec3(max(whitePoint, 1.0e-3)));
+}
+
+// The sRGB transfer function, encoding linear RGB in [0,1] for display
+vec3 linearToSRGB(vec3 RGB)
+{
+    vec3 lo = 12.92*RGB;
+    vec3 hi = 1.055*pow(RGB, vec3(1.0/2.4)) - 0.055;
+    return mix(lo, hi, step(vec3(0.0031308), RGB));
+}
+
+vec3 applyLUT(vec3 C)
+{
+    vec3 u = clamp((C - lutDomainMin)/max(lutDomainMax - lutDomainMin, vec3(1.0e-6)), 0.0, 1.0);
+    // (sample at the texel centers, so that the domain bounds map to the first and last LUT entries)
+    vec3 t = (u*(lutSize - 1.0) + 0.5)/lutSize;
+    return texture(LUT, t).rgb;
+}
+
 vec3 rgb2hsv(vec3 c)
 {
     vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
@@ -4256,32 +7905,44 @@ void main()
     float X = L.x;
     float Y = L.y;
     float Z = L.z;
-    
+
     // convert XYZ tristimulus to linear RGB color space
     vec3 RGB;
     RGB.r =  3.2406*X - 1.5372*Y - 0.4986*Z;
     RGB.g = -0.9689*X + 1.8758*Y + 0.0415*Z;
     RGB.b =  0.0557*X - 0.2040*Y + 1.0570*Z;
-    
+
     // deal with out-of-gamut RGB.
     float delta = -min(0.0, min(min(RGB.r, RGB.g), RGB.b));
     RGB.r += delta;
     RGB.g += delta;
     RGB.b += delta;
 
-    // apply gamma correction to convert linear RGB to sRGB
-    RGB = pow(RGB, vec3(invGamma));
-
-    // apply tonemapping
-    RGB *= pow(2.0, exposure);
-    float R = RGB.r;
-    float G = RGB.g;
-    float B = RGB.b;
-    R = toneMap(R);
-    G = toneMap(G);
-    B = toneMap(B);
-
-
+    float R, G, B;
+    if (tonemapOperator == TONEMAP_LEGACY)
+    {
+        // apply gamma correction to convert linear RGB to sRGB
+        RGB = pow(RGB, vec3(invGamma));
+
+        // apply tonemapping
+        RGB *= pow(2.0, exposure);
+        R = toneMap(RGB.r);
+        G = toneMap(RGB.g);
+        B = toneMap(RGB.b);
+    }
+    else
+    {
+        // apply exposure and tonemapping to the linear RGB, then the sRGB transfer function
+        RGB *= pow(2.0, exposure);
+        if      (tonemapOperator == TONEMAP_REINHARD) RGB = toneMapReinhard(RGB);
+        else if (tonemapOperator == TONEMAP_ACES)     RGB = toneMapACES(RGB);
+        else if (tonemapOperator == TONEMAP_AGX)      RGB = toneMapAgX(RGB);
+        else if (tonemapOperator == TONEMAP_HABLE)    RGB = toneMapHable(RGB);
+        RGB = linearToSRGB(clamp(RGB, 0.0, 1.0));
+        R = RGB.r;
+        G = RGB.g;
+        B = RGB.b;
+    }
 
     // apply saturation
     float mean = (R + G + B)/3.0;
@@ -4310,6 +7971,12 @@ void main()
         C = hsv2rgb(hsv);
     }
 
+    // apply the LUT grade
+    if (haveLUT)
+    {
+        C = mix(C, applyLUT(C), lutStrength);
+    }
+
     g_outputColor = vec4(C, 1.0);
 }
 `,
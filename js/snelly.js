@@ -60,6 +60,11 @@ var Snelly = function(sceneObj)
     // Instantiate materials
     this.materials = new Materials();
 
+    // Lens prescriptions of the realistic camera
+    this.lenses = {};
+    this.addLens(new Lens("Double Gauss 50mm", prescription_double_gauss_50mm()));
+    this.addLens(new Lens("Singlet 50mm", prescription_singlet_50mm()));
+
     // Instantiate distance field pathtracer
     this.pathtracer = new Renderer();
     this.auto_resize = true;
@@ -142,7 +147,26 @@ Snelly.prototype.getGUI = function()
 }
 
 /**
-* Access to the camera object
+* Access to the camera object. In addition to the THREE.PerspectiveCamera properties, the camera has the properties:
+*  - aperture, focalDistance: the thin lens aperture and focal distance (on log scales, relative to the length scale), in the 'perspective' projection
+*  - auto_focus: whether to focus on the object at the center of the view
+*  - projection: the projection of the primary rays, one of {@link Snelly.CAMERA_PROJECTIONS} (unless the scene defines CONSTRUCT_PRIMARY_RAY)
+*  - orthoHeight: the height of the view in the 'orthographic' projection (relative to the length scale)
+*  - fisheyeFov: the field of view (in degrees) of the image circle, which spans the image height, in the fisheye projections
+*  - ipd: the interpupillary distance in the 'ods' projection (relative to the length scale)
+*  - shutterOpen, shutterClose: the scene times at which the shutter opens and closes. Each path is traced at a time (the shader TIME global)
+*    sampled uniformly over this interval, so that objects animated via TIME, and the camera if it moves (see {@link Snelly#setCameraMotion}),
+*    are motion blurred. If shutterClose is not after shutterOpen, every path is traced at shutterOpen.
+*  - motion: the camera pose at shutter close, if the camera moves while the shutter is open (otherwise null)
+*  - lens: 'thin' for the thin lens, or the name of a lens (see {@link Snelly#addLens}) for the realistic camera, which traces the primary rays
+*    through the lens surfaces (in the 'pt', 'bdpt' and 'ppm' render modes, and 'perspective' projection), focused at camera.focalDistance
+*  - focalLength, fNumber, sensorHeight: the focal length (in mm), f-number and sensor (film) height (in mm) of the realistic camera,
+*    which determine its field of view and aperture in place of fov and aperture
+*  - lengthScaleMM: the size of the length scale in mm, relating the realistic camera dimensions to the scene
+*  - apertureBlades, apertureRotation: the number of diaphragm blades (at least 3 for a polygonal aperture, otherwise circular),
+*    and the rotation of the polygon in degrees, shaping the bokeh of the thin lens and realistic camera
+*  - apertureImage: the URL of an image whose luminance gives the aperture transmission, in place of the blades (in the 'pt', 'bdpt' and 'ppm' render modes),
+*    or '' for none
 * @returns {THREE.PerspectiveCamera}.
 */
 Snelly.prototype.getCamera = function()
@@ -150,6 +174,88 @@ Snelly.prototype.getCamera = function()
     return this.camera;
 }
 
+/**
+* The camera projections:
+*  - 'perspective': pinhole or thin lens camera, with vertical field of view camera.fov
+*  - 'orthographic': parallel rays along the view direction, over a view of height camera.orthoHeight
+*  - 'fisheye-equidistant', 'fisheye-equisolid': fisheye lenses, whose image circle radius is proportional to the angle from the
+*    view direction, or to the sine of half the angle, respectively
+*  - 'equirectangular': 360 degree panorama (of aspect ratio 2:1), with longitude across and latitude up the image
+*  - 'cubemap': the six 90 degree faces of a cube map (of aspect ratio 3:2), in a 3x2 grid, from the top left: right, left, up, then down, front, back
+*  - 'ods': omni-directional stereo 360 degree panoramas (of aspect ratio 1:1), for the left eye in the top half of the image, and for the right eye in the bottom half
+* The panoramic projections ('equirectangular', 'cubemap' and 'ods') are levelled about the camera.up axis, facing the view direction.
+*/
+Snelly.CAMERA_PROJECTIONS = ['perspective', 'orthographic', 'fisheye-equidistant', 'fisheye-equisolid', 'equirectangular', 'cubemap', 'ods'];
+
+// The aspect ratio (width/height) of the render in the current camera projection, if the projection fixes it (otherwise null)
+Snelly.prototype.getProjectionAspect = function()
+{
+    switch (this.camera.projection)
+    {
+        case 'equirectangular': return 2.0;
+        case 'cubemap':         return 1.5;
+        case 'ods':             return 1.0;
+    }
+    return null;
+}
+
+/**
+* Set the pose of the camera at shutter close, so that the camera moves while the shutter is open, from its current pose (at shutter open)
+* to this pose, rendering camera motion blur. The position is interpolated linearly, and the view direction and up axis approximately spherically.
+* @param {THREE.Vector3} position - the camera position at shutter close (or null, for a static camera)
+* @param {THREE.Vector3} target - the point the camera looks at, at shutter close
+* @param {THREE.Vector3} up - the camera up vector at shutter close
+*/
+Snelly.prototype.setCameraMotion = function(position, target, up)
+{
+    if (position == null)
+    {
+        this.camera.motion = null;
+        return;
+    }
+    this.camera.motion = { position: position.clone(), target: target.clone(), up: up.clone().normalize() };
+}
+
+/**
+* Apply a change of the camera projection, resizing the render to the aspect ratio of the projection (if it fixes one), and restarting it.
+*/
+Snelly.prototype.updateProjection = function()
+{
+    if (!this.auto_resize) this._resize(this.pathtracer.width, this.pathtracer.height);
+    this.resize();
+    this.reset(true);
+}
+
+/**
+* Register a lens prescription, which the realistic camera uses if camera.lens is set to its name.
+* The 'Double Gauss 50mm' and 'Singlet 50mm' lenses are registered by default.
+* @param {Lens} lensObj - the lens
+*/
+Snelly.prototype.addLens = function(lensObj)
+{
+    this.lenses[lensObj.getName()] = lensObj;
+}
+
+/**
+* Get the registered lenses, keyed by name
+* @returns {Object}
+*/
+Snelly.prototype.getLenses = function()
+{
+    return this.lenses;
+}
+
+/**
+* Get the lens of the realistic camera, named by camera.lens (or null, for the thin lens)
+* @returns {Lens}
+*/
+Snelly.prototype.getLens = function()
+{
+    let name = this.camera.lens;
+    if (typeof name === "undefined" || name == 'thin' || !(name in this.lenses)) return null;
+    return this.lenses[name];
+}
+
 /**
 * Access to the camera controller object
 * @returns {THREE.OrbitControls}
@@ -243,6 +349,21 @@ Snelly.prototype.initScene = function(runShaderCompilation=true)
 
     this.camera.aperture      = -10.0; // logarithmic (base sqrt(2)), relative to length scale
     this.camera.focalDistance =  1.0; // logarithmic (base 10), relative to length scale
+    this.camera.projection    = 'perspective'; // (see Snelly.CAMERA_PROJECTIONS)
+    this.camera.orthoHeight   = 2.0; // height of the orthographic view, relative to length scale
+    this.camera.fisheyeFov    = 180.0; // field of view of the fisheye image circle, in degrees
+    this.camera.ipd           = 0.065; // interpupillary distance of the ODS projection, relative to length scale
+    this.camera.shutterOpen   = 0.0; // scene time at which the shutter opens
+    this.camera.shutterClose  = 0.0; // scene time at which the shutter closes (no motion blur unless after shutterOpen)
+    this.camera.motion        = null; // camera pose at shutter close (see setCameraMotion)
+    this.camera.lens          = 'thin'; // thin lens, or the name of the lens of the realistic camera (see addLens)
+    this.camera.focalLength   = 50.0; // focal length of the realistic camera, in mm
+    this.camera.fNumber       = 2.8;  // f-number of the realistic camera
+    this.camera.sensorHeight  = 24.0; // sensor height of the realistic camera, in mm
+    this.camera.lengthScaleMM = 1000.0; // size of the length scale, in mm
+    this.camera.apertureBlades   = 0;   // number of aperture blades (circular aperture if less than 3)
+    this.camera.apertureRotation = 0.0; // rotation of the polygonal aperture, in degrees
+    this.camera.apertureImage    = ''; // URL of the aperture transmission image
 
     // Call user-defined init function
     if (typeof this.sceneObj.init !== "undefined")
@@ -293,6 +414,13 @@ Snelly.prototype.initScene = function(runShaderCompilation=true)
     this.reset(no_recompile);
 }
 
+// The variable name declared for a named item in the scene dump
+// (suffixed with its index, to keep it unique, as distinct names may sanitize to the same identifier)
+function uniqueVarName(prefix, name, index)
+{
+    return prefix + name.replace(/[^A-Za-z0-9_]/g, '_') + '_' + index;
+}
+
 Snelly.prototype.dumpScene = function()
 {
     console.warn('[snelly] Snelly.prototype.dumpScene');
@@ -325,9 +453,33 @@ Snelly.prototype.dumpScene = function()
     camera.aperture = ${camera.aperture};
     camera.focalDistance = ${camera.focalDistance};
     camera.auto_focus = ${camera.auto_focus};
+    camera.projection = '${camera.projection}';
+    camera.orthoHeight = ${camera.orthoHeight};
+    camera.fisheyeFov = ${camera.fisheyeFov};
+    camera.ipd = ${camera.ipd};
+    camera.shutterOpen = ${camera.shutterOpen};
+    camera.shutterClose = ${camera.shutterClose};
+    camera.lens = ${JSON.stringify(camera.lens)};
+    camera.focalLength = ${camera.focalLength};
+    camera.fNumber = ${camera.fNumber};
+    camera.sensorHeight = ${camera.sensorHeight};
+    camera.lengthScaleMM = ${camera.lengthScaleMM};
+    camera.apertureBlades = ${camera.apertureBlades};
+    camera.apertureRotation = ${camera.apertureRotation};
+    camera.apertureImage = ${JSON.stringify(camera.apertureImage)};
     camera.up.set(${camera.up.x}, ${camera.up.y}, ${camera.up.z});
     camera.position.set(${camera.position.x}, ${camera.position.y}, ${camera.position.z});
-    controls.target.set(${controls.target.x}, ${controls.target.y}, ${controls.target.z});
+    controls.target.set(${controls.target.x}, ${controls.target.y}, ${controls.target.z});`;
+    let motion = camera.motion;
+    if (motion != null)
+    {
+        code += `
+    snelly.setCameraMotion(new THREE.Vector3(${motion.position.x}, ${motion.position.y}, ${motion.position.z}),
+                           new THREE.Vector3(${motion.target.x}, ${motion.target.y}, ${motion.target.z}),
+                           new THREE.Vector3(${motion.up.x}, ${motion.up.y}, ${motion.up.z}));`;
+    }
+
+    code += `
 
     /** Renderer settings **/
     // General rendering settings
@@ -336,9 +488,23 @@ Snelly.prototype.dumpScene = function()
     renderer.maxSamplesPerFrame = ${renderer.maxSamplesPerFrame};
     renderer.maxSpp = ${renderer.maxSpp};
     renderer.maxBounces = ${renderer.maxBounces};
+    renderer.russianRouletteDepth = ${renderer.russianRouletteDepth};
+    renderer.seed = ${renderer.seed};
+    renderer.sampler = '${renderer.sampler}';
+    renderer.adaptiveSampling = ${renderer.adaptiveSampling};
+    renderer.noiseThreshold = ${renderer.noiseThreshold};
+    renderer.adaptiveMinSpp = ${renderer.adaptiveMinSpp};
+    renderer.adaptiveMaxSpp = ${renderer.adaptiveMaxSpp};
     renderer.maxAtmosphereScatters = ${renderer.maxAtmosphereScatters};
     renderer.maxMarchSteps = ${renderer.maxMarchSteps};
+    renderer.marchOverRelaxation = ${renderer.marchOverRelaxation};
+    renderer.marchFootprint = ${renderer.marchFootprint};
+    renderer.sceneRadius = ${renderer.sceneRadius};
+    renderer.photonMapSize = ${renderer.photonMapSize};
+    renderer.photonRadius = ${renderer.photonRadius};
+    renderer.photonAlpha = ${renderer.photonAlpha};
     renderer.maxStepsIsMiss = ${renderer.maxStepsIsMiss};
+    renderer.maxVolumeSteps = ${renderer.maxVolumeSteps};
     renderer.interactive = ${renderer.interactive};
     renderer.goalFPS = ${renderer.goalFPS};
     renderer.minsSPPToRedraw = ${renderer.minsSPPToRedraw};
@@ -348,10 +514,26 @@ Snelly.prototype.dumpScene = function()
     renderer.shadowStrength = ${renderer.shadowStrength};
     // Tone-mapping
     renderer.exposure = ${renderer.exposure};
+    renderer.tonemapOperator = '${renderer.tonemapOperator}';
     renderer.gamma = ${renderer.gamma};
+    renderer.whitepoint = ${renderer.whitepoint};
     renderer.contrast = ${renderer.contrast};
     renderer.saturation = ${renderer.saturation};
     renderer.hueShift = ${renderer.hueShift};
+    renderer.lutURL = ${JSON.stringify(renderer.lutURL)};
+    renderer.lutStrength = ${renderer.lutStrength};
+    renderer.denoise = ${renderer.denoise};
+    renderer.denoiseIterations = ${renderer.denoiseIterations};
+    renderer.denoiseStrength = ${renderer.denoiseStrength};
+    // AOVs
+    renderer.aovs = '${renderer.aovs}';
+    renderer.aovDisplay = '${renderer.aovDisplay}';
+    renderer.gbuffers = ${renderer.gbuffers};
+    renderer.tiledWidth = ${renderer.tiledWidth};
+    renderer.tiledHeight = ${renderer.tiledHeight};
+    renderer.tileSize = ${renderer.tileSize};
+    renderer.tiledSpp = ${renderer.tiledSpp};
+    Object.assign(renderer.aovGains, ${JSON.stringify(renderer.aovGains)});
     // Lights
         // sky light
         renderer.skyPower = ${renderer.skyPower};
@@ -361,6 +543,10 @@ Snelly.prototype.dumpScene = function()
         renderer.envMapPhiRotation = ${renderer.envMapPhiRotation};
         renderer.envMapThetaRotation = ${renderer.envMapThetaRotation};
         renderer.envMapTransitionAngle = ${renderer.envMapTransitionAngle};
+        renderer.envMapImportanceSampling = ${renderer.envMapImportanceSampling};
+        renderer.skyModel = '${renderer.skyModel}';
+        renderer.skyTurbidity = ${renderer.skyTurbidity};
+        renderer.skyGroundAlbedo = ${renderer.skyGroundAlbedo};
         // sun light
         renderer.sunPower = ${renderer.sunPower};
         renderer.sunColor = [${renderer.sunColor[0]}, ${renderer.sunColor[1]}, ${renderer.sunColor[2]}];
@@ -368,12 +554,30 @@ Snelly.prototype.dumpScene = function()
         renderer.sunLatitude = ${renderer.sunLatitude};
         renderer.sunLongitude = ${renderer.sunLongitude};
         renderer.sunVisibleDirectly = ${renderer.sunVisibleDirectly};
+        renderer.sunFromLocation = ${renderer.sunFromLocation};
+        renderer.sunGeoLatitude = ${renderer.sunGeoLatitude};
+        renderer.sunGeoLongitude = ${renderer.sunGeoLongitude};
+        renderer.sunYear = ${renderer.sunYear};
+        renderer.sunMonth = ${renderer.sunMonth};
+        renderer.sunDay = ${renderer.sunDay};
+        renderer.sunTime = ${renderer.sunTime};
+        renderer.sunTimeZone = ${renderer.sunTimeZone};
+        renderer.sunNorthOffset = ${renderer.sunNorthOffset};
         // sphere light
         renderer.sphereLightPosition = [${renderer.sphereLightPosition[0]}, ${renderer.sphereLightPosition[1]}, ${renderer.sphereLightPosition[2]}];
         renderer.sphereLightRadius = ${renderer.sphereLightRadius};
         renderer.sphereLightPower = ${renderer.sphereLightPower};
         renderer.sphereLightColor = [${renderer.sphereLightColor[0]}, ${renderer.sphereLightColor[1]}, ${renderer.sphereLightColor[2]}];
 `;
+    let lights = renderer.lights;
+    for (let n=0; n<lights.length; n++)
+    {
+        let light = lights[n];
+        let lightVar = uniqueVarName('light_', light.getName(), n);
+        code += `
+        let ${lightVar} = renderer.addLight('${light.getType()}', ${JSON.stringify(light.getName())});`;
+        code += light.repr(lightVar);
+    }
 
     code += `
     /** Material settings **/`;
@@ -387,15 +591,25 @@ Snelly.prototype.dumpScene = function()
     if (shader.indexOf("SDF_METAL(") != -1)
     {
         code += `
-    let metal = materials.loadMetal('${materials.getLoadedMetal().getName()}');`;
+    let metal = materials.loadMetal(${JSON.stringify(materials.getLoadedMetal().getName())});`;
         code += materials.loadMetal(materials.getLoadedMetal().getName()).repr();
     }
     if (shader.indexOf("SDF_DIELECTRIC(") != -1)
     {
         code += `
-    let dielectric = materials.loadDielectric('${materials.getLoadedDielectric().getName()}');`;
+    let dielectric = materials.loadDielectric(${JSON.stringify(materials.getLoadedDielectric().getName())});`;
         code += materials.loadDielectric(materials.getLoadedDielectric().getName()).repr();
     }
+    let objects = materials.getObjects();
+    for (let n=0; n<objects.length; n++)
+    {
+        let obj = objects[n];
+        let objVar = uniqueVarName('object_', obj.name, n);
+        let materialArg = (obj.type == 'surface') ? '' : `, ${JSON.stringify(obj.material.getName())}`;
+        code += `
+    let ${objVar} = materials.addObject(${JSON.stringify(obj.name)}, ${JSON.stringify(obj.sdf)}, '${obj.type}'${materialArg});`;
+        code += obj.material.repr(objVar);
+    }
     code += `
     let volume = materials.loadVolume();`;
     code += materials.loadVolume().repr();
@@ -554,8 +768,11 @@ Snelly.prototype.render = function()
         this.textCtx.strokeText('Snelly renderer v'+ver[0]+'.'+ver[1]+'.'+ver[2], 14, 20);
         this.textCtx.fillText('Snelly renderer v'+ver[0]+'.'+ver[1]+'.'+ver[2], 14, 20);
         this.textCtx.fillStyle = "#ffccaa";
-        this.textCtx.strokeText('spp: ' + (this.pathtracer.spp).toPrecision(3), 14, 35);
-        this.textCtx.fillText('spp: ' + (this.pathtracer.spp).toPrecision(3), 14, 35);
+        let sppText = 'spp: ' + (this.pathtracer.spp).toPrecision(3);
+        let sppRange = this.pathtracer.getSampleCountRange();
+        if (sppRange != null) sppText += ' (' + sppRange[0] + '-' + sppRange[1] + ' per pixel)';
+        this.textCtx.strokeText(sppText, 14, 35);
+        this.textCtx.fillText(sppText, 14, 35);
         if (this.sceneName != '')
         {
             this.textCtx.fillStyle = "#ffaa22";
@@ -587,6 +804,13 @@ Snelly.prototype.render = function()
 
 Snelly.prototype._resize = function(width, height)
 {
+    // Fit the render within the given size, if the camera projection has a fixed aspect ratio
+    let aspect = this.getProjectionAspect();
+    if (aspect != null)
+    {
+        width = Math.min(width, Math.round(aspect*height));
+        height = Math.round(width/aspect);
+    }
     this.width = width;
     this.height = height;
 
@@ -654,12 +878,14 @@ Snelly.prototype.resize = function()
 
 
 /**
-*
+* The texture units below this one are used by the renderer (units 0-7 at least, e.g. the env map and its importance sampling CDF on units 6 and 7,
+* followed by two units per named metal object, then those of the radiance moments, the AOV buffers or photon map, the G-buffers and the aperture image, if enabled), so scenes binding their own textures in the scene shader syncShader should start from this unit.
+* (As it depends on the scene objects, it is only valid once the shaders are compiled, i.e. in syncShader rather than init.)
 * @returns {number} - the minimum texture unit for user supplied textures in the shader
 */
 Snelly.prototype.getUserTextureUnitStart = function()
 {
-    return 7;
+    return this.pathtracer.userTextureUnitStart;
 }
 
 Snelly.prototype.onClick = function(event)
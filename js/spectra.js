@@ -203,5 +203,25 @@ BlackbodySpectrum.prototype.eraseGui = function(parentFolder)
     parentFolder.remove(this.temperatureItem);
 }
 
+// Compute the sRGB color of a blackbody emitter at the given temperature (in Kelvin),
+// normalized to a maximum component of 1
+function blackbodyColor(temperature)
+{
+    let table = wavelengthToXYZTable();
+    let numSamples = table.length/4;
+    let blackbody = new BlackbodySpectrum("", "", temperature);
+    let xyz = [0.0, 0.0, 0.0];
+    for (let n=0; n<numSamples; ++n)
+    {
+        let wavelength = 390.0 + (750.0 - 390.0)*n/(numSamples-1);
+        let B = blackbody.spectrum(wavelength);
+        for (let c=0; c<3; ++c) xyz[c] += B * table[4*n+c];
+    }
+    let rgb = xyzToRgb(xyz).map(x => Math.max(0.0, x));
+    let rgbMax = Math.max(rgb[0], rgb[1], rgb[2]);
+    if (rgbMax <= 0.0) return [1.0, 1.0, 1.0];
+    return rgb.map(x => x/rgbMax);
+}
+
 
 
@@ -4,8 +4,6 @@ uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
 uniform sampler2D WavelengthToXYZ;  // 2
 uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4 (for metals)
-uniform sampler2D kTex;             // 5 (for metals)
 uniform sampler2D envMap;           // 6
 in vec2 vTexCoord;
 
@@ -14,6 +12,7 @@ layout(location = 1) out vec4 gbuf_rng;
 
 // Camera parameters
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
@@ -22,6 +21,24 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 // Rendering  parameters
 uniform float radianceClamp;
@@ -33,8 +50,8 @@ uniform bool maxStepsIsMiss;
 uniform float minLengthScale;
 uniform float maxLengthScale;
 
-// Surface material parameters
-uniform vec3 surfaceDiffuseAlbedoRGB;
+// Surface material parameters (indexed by material instance)
+uniform vec3 surfaceDiffuseAlbedoRGB[__NUM_SURFACES__];
 
 // Sky parameters
 uniform bool haveEnvMap;
@@ -61,6 +78,8 @@ uniform bool sunVisibleDirectly;
 #define THROUGHPUT_EPSILON 1.0e-5
 #define RADIANCE_EPSILON 1.0e-5
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
@@ -92,6 +111,8 @@ __DEFINES__
 
 __SHADER__
 
+__OBJECTS__
+
 ///////////////////////////////////////////////////////////////////////////////////
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
@@ -101,19 +122,8 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
                    inout vec3 hit, inout int material)
 {
     float minMarchDist = minLengthScale;
-
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-    float sdf_metal = abs(SDF_METAL(start));      sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-    float sdf_diele = abs(SDF_DIELECTRIC(start)); sdf = min(sdf, sdf_diele);
-#endif
-
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
     float t = 0.0;
     int iters=0;
@@ -124,16 +134,8 @@ bool traceDistance(in vec3 start, in vec3 dir, float maxDist,
         t += InitialSign * sdf;
         if (t>=maxDist) break;
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarchDist) { material = MAT_SURFA; break; } sdf = min(sdf, sdf_surfa);
-#endif
-#ifdef HAS_METAL
-        sdf_metal = abs(SDF_METAL(pW));      if (sdf_metal<minMarchDist) { material = MAT_METAL; break; } sdf = min(sdf, sdf_metal);
-#endif
-#ifdef HAS_DIELECTRIC
-        sdf_diele = abs(SDF_DIELECTRIC(pW)); if (sdf_diele<minMarchDist) { material = MAT_DIELE; break; } sdf = min(sdf, sdf_diele); 
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (sdf<minMarchDist) { material = closest; break; }
         iters++;
     }
     hit = start + t*dir;
@@ -166,16 +168,10 @@ vec3 normal(in vec3 pW, int material)
     vec3 xyyp = pW+e.xyy; vec3 xyyn = pW-e.xyy;
     vec3 yxyp = pW+e.yxy; vec3 yxyn = pW-e.yxy;
     vec3 yyxp = pW+e.yyx; vec3 yyxn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(xyyp) -    SDF_SURFACE(xyyn),    SDF_SURFACE(yxyp) -    SDF_SURFACE(yxyn),    SDF_SURFACE(yyxp) -    SDF_SURFACE(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_METAL
-    if (material==MAT_METAL) { N = vec3(     SDF_METAL(xyyp) -      SDF_METAL(xyyn),      SDF_METAL(yxyp) -      SDF_METAL(yxyn),      SDF_METAL(yyxp) -      SDF_METAL(yyxn)); return normalize(N); }
-#endif
-#ifdef HAS_DIELECTRIC
-    if (material==MAT_DIELE) { N = vec3(SDF_DIELECTRIC(xyyp) - SDF_DIELECTRIC(xyyn), SDF_DIELECTRIC(yxyp) - SDF_DIELECTRIC(yxyn), SDF_DIELECTRIC(yyxp) - SDF_DIELECTRIC(yyxn)); return normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(xyyp, material) - materialSDF(xyyn, material),
+                  materialSDF(yxyp, material) - materialSDF(yxyn, material),
+                  materialSDF(yyxp, material) - materialSDF(yyxn, material));
+    return normalize(N);
 }
 
 /////////////////////////////////////////////////////////////////////////
@@ -261,16 +257,18 @@ vec3 sampleHemisphereCosineWeighted(inout vec4 rnd, inout float pdf)
     return vec3(x, y, z);
 }
 
-vec3 SURFACE_DIFFUSE_REFL_RGB(in vec3 X, in vec3 nW, in vec3 woW)
+vec3 SURFACE_DIFFUSE_REFL_RGB(in vec3 X, in vec3 nW, in vec3 woW, int material)
 {
-    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB, X, nW, woW);
+    // (non-surface materials are shaded with the albedo of the default surface)
+    int index = (materialType(material)==MAT_SURFA) ? materialIndex(material) : 0;
+    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[index], X, nW, woW);
     return reflRGB;
 }
 
 #ifdef HAS_SURFACE_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
-    if (material==MAT_SURFA)
+    if (materialType(material)==MAT_SURFA)
     {
         vec3 nL = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL), basis);
@@ -370,9 +368,135 @@ vec3 sampleSunAtSurface(in Basis basis, inout vec4 rnd,
 // Ambient occlusion integrator
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
                          inout vec3 primaryStart, inout vec3 primaryDir)
 {
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
     // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
     float fh = tan(0.5*radians(camFovy)); // frustum height
@@ -382,14 +506,14 @@ void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
     if (camAperture<=0.0)
     {
         primaryStart = camPos;
-        return;
+        return true;
     }
     vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI * rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
     primaryStart = lensPos;
     primaryDir = normalize(focalPlaneHit - lensPos);
+    return true;
 }
 
 void main()
@@ -411,20 +535,25 @@ void main()
     // Setup sun basis
     sunBasis = makeBasis(sunDir);
 
+    TIME = shutterOpen;
     INIT();
 
-    vec2 pixel = gl_FragCoord.xy;
+    vec2 pixel = gl_FragCoord.xy + tileOffset;
     vec3 RGB = vec3(0.0);
     for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
     {
         // Jitter over pixel
         vec2 pixelj = pixel + (-0.5 + vec2(rand(rnd), rand(rnd)));
+        float shutterU = sampleShutter(rnd);
         vec3 primaryStart, primaryDir;
+        bool inView = true;
 #ifdef HAS_CUSTOM_CAMERA
         CONSTRUCT_PRIMARY_RAY(pixelj, rnd, primaryStart, primaryDir);
 #else
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        inView = constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
 #endif
+        if (!inView) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
 
         // Raycast to first hit point
         vec3 pW;
@@ -442,7 +571,7 @@ void main()
 #endif
 
             // Compute diffuse BSDF
-            vec3 f = SURFACE_DIFFUSE_REFL_RGB(pW, nW, woW) / M_PI;
+            vec3 f = SURFACE_DIFFUSE_REFL_RGB(pW, nW, woW, hitMaterial) / M_PI;
 
             // Compute direct lighting
             vec3 Ldirect = vec3(0.0);
@@ -0,0 +1,27 @@
+precision highp float;
+
+// Relights the total radiance by rescaling its AOV components, i.e. computes
+//   Radiance + sum_k (aovGain[k] - 1) * AOV_k
+// (so any radiance not in an AOV is unchanged). Unused AOVs must have unit gain.
+uniform sampler2D Radiance;
+uniform sampler2D AOV0;
+uniform sampler2D AOV1;
+uniform sampler2D AOV2;
+uniform sampler2D AOV3;
+uniform sampler2D AOV4;
+uniform float aovGain[5];
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+void main()
+{
+    vec4 L = texture(Radiance, vTexCoord);
+    vec3 XYZ = L.rgb;
+    XYZ += (aovGain[0] - 1.0) * texture(AOV0, vTexCoord).rgb;
+    XYZ += (aovGain[1] - 1.0) * texture(AOV1, vTexCoord).rgb;
+    XYZ += (aovGain[2] - 1.0) * texture(AOV2, vTexCoord).rgb;
+    XYZ += (aovGain[3] - 1.0) * texture(AOV3, vTexCoord).rgb;
+    XYZ += (aovGain[4] - 1.0) * texture(AOV4, vTexCoord).rgb;
+    g_outputColor = vec4(XYZ, L.w);
+}
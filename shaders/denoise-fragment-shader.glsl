@@ -0,0 +1,95 @@
+precision highp float;
+
+// One iteration of the edge-avoiding a-trous wavelet filter (Dammertz et al., "Edge-Avoiding A-Trous Wavelet Transform
+// for fast Global Illumination Filtering", 2010), with the luminance edge-stopping function scaled by the estimated standard
+// deviation of the pixel luminance, which is filtered along with the color (as in Schied et al., "Spatiotemporal
+// Variance-Guided Filtering", 2017). The taps of the 5x5 B3-spline kernel are spaced by stepWidth pixels, and weighted
+// according to the differences of the first-hit albedo, normal and depth (read from the G-buffers).
+uniform sampler2D Color;            // (XYZ to filter, with w the luminance variance, except in the first pass)
+uniform sampler2D Radiance;         // (the accumulated radiance and its moments, from which the luminance variance is estimated in the first pass)
+uniform sampler2D RadianceMoments;
+uniform bool colorIsRadiance;       // (whether Color is the accumulated radiance, else an AOV or their composite, whose variance is estimated spatially)
+uniform sampler2D GBufferAlbedo;
+uniform sampler2D GBufferNormalDepth;
+uniform bool firstPass;
+uniform int stepWidth;
+uniform float strength;             // (scale of the luminance edge-stopping function, in standard deviations)
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+// Variance of the pixel luminance mean, from the accumulated radiance L and its moments M
+float luminanceVariance(in vec4 L, in vec4 M)
+{
+    float N = L.w;
+    if (N < 2.0) return 1.0e6;
+    return max(0.0, M.g - L.g*L.g) / (N - 1.0);
+}
+
+// Variance of the pixel luminance, estimated from the luminance of the 3x3 neighborhood of the pixel in Color
+// (for the buffers which have no moments, i.e. the AOVs and their composite)
+float spatialLuminanceVariance(in ivec2 p, in ivec2 size)
+{
+    float sum = 0.0;
+    float sum2 = 0.0;
+    for (int j=-1; j<=1; ++j)
+    {
+        for (int i=-1; i<=1; ++i)
+        {
+            float Y = texelFetch(Color, clamp(p + ivec2(i, j), ivec2(0), size - 1), 0).g;
+            sum += Y;
+            sum2 += Y*Y;
+        }
+    }
+    float mean = sum / 9.0;
+    return max(0.0, sum2/9.0 - mean*mean);
+}
+
+vec4 colorAndVariance(in ivec2 p, in ivec2 size)
+{
+    vec4 C = texelFetch(Color, p, 0);
+    if (firstPass) C.w = colorIsRadiance ? luminanceVariance(texelFetch(Radiance, p, 0), texelFetch(RadianceMoments, p, 0))
+                                         : spatialLuminanceVariance(p, size);
+    return C;
+}
+
+void main()
+{
+    const float kernel[3] = float[3](3.0/8.0, 1.0/4.0, 1.0/16.0);
+    ivec2 size = textureSize(Color, 0);
+    ivec2 p = ivec2(gl_FragCoord.xy);
+
+    vec4 Cp = colorAndVariance(p, size);
+    vec3 Ap = texelFetch(GBufferAlbedo, p, 0).rgb;
+    vec4 NDp = texelFetch(GBufferNormalDepth, p, 0);
+    vec3 Np = normalize(NDp.xyz + vec3(0.0, 0.0, 1.0e-6));
+    float sigmaL = strength * sqrt(Cp.w) + 1.0e-6;
+    float sigmaZ = 0.02 * float(stepWidth) * max(abs(NDp.w), 1.0e-6);
+
+    vec3 sumC = vec3(0.0);
+    float sumVar = 0.0;
+    float sumW = 0.0;
+    for (int j=-2; j<=2; ++j)
+    {
+        for (int i=-2; i<=2; ++i)
+        {
+            ivec2 q = p + stepWidth*ivec2(i, j);
+            if (q.x < 0 || q.y < 0 || q.x >= size.x || q.y >= size.y) continue;
+            vec4 Cq = colorAndVariance(q, size);
+            vec3 Aq = texelFetch(GBufferAlbedo, q, 0).rgb;
+            vec4 NDq = texelFetch(GBufferNormalDepth, q, 0);
+            vec3 Nq = normalize(NDq.xyz + vec3(0.0, 0.0, 1.0e-6));
+            float wL = abs(Cp.g - Cq.g) / sigmaL;
+            float wZ = abs(NDp.w - NDq.w) / sigmaZ;
+            vec3 dA = Ap - Aq;
+            float wA = dot(dA, dA) / 0.01;
+            float wN = pow(max(0.0, dot(Np, Nq)), 128.0);
+            float w = kernel[abs(i)] * kernel[abs(j)] * wN * exp(-wL - wZ - wA);
+            sumC += w * Cq.rgb;
+            sumVar += w * w * Cq.w;
+            sumW += w;
+        }
+    }
+    // (the center tap has unit edge-stopping weight, so sumW > 0)
+    g_outputColor = vec4(sumC / sumW, sumVar / (sumW*sumW));
+}
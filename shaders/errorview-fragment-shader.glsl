@@ -0,0 +1,32 @@
+precision highp float;
+
+// Displays the per-pixel relative error estimate of the accumulated radiance as a heat map, on a log scale relative to the
+// noise threshold: from blue (a quarter of the threshold or less), through green (at the threshold), to red (four times the threshold or more).
+// Pixels which have not yet taken the minimum number of samples for adaptive sampling are darkened.
+uniform sampler2D Radiance;
+uniform sampler2D RadianceMoments;
+uniform float noiseThreshold;
+uniform float minSamples;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+float relativeError(in vec4 L, in vec4 M)
+{
+    float N = L.w;
+    if (N < 2.0) return 1.0e6;
+    float variance = max(0.0, M.g - L.g*L.g) * N/(N - 1.0);
+    return sqrt(variance/N) / max(L.g, 1.0e-4);
+}
+
+void main()
+{
+    vec4 L = texture(Radiance, vTexCoord);
+    vec4 M = texture(RadianceMoments, vTexCoord);
+    float e = relativeError(L, M) / max(noiseThreshold, 1.0e-6);
+    float t = clamp(0.5 + 0.25*log2(max(e, 1.0e-6)), 0.0, 1.0);
+    vec3 C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                     : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    if (L.w < minSamples) C *= 0.5;
+    g_outputColor = vec4(C, 1.0);
+}
@@ -0,0 +1,46 @@
+precision highp float;
+
+// Displays a G-buffer as a color image, according to mode (the index of the G-buffer in Renderer.GBUFFER_LAYOUT):
+//   0: albedo (gamma corrected)
+//   1: material id (a distinct hue per scene object, black for misses)
+//   2: normal (mapped from [-1, 1] to [0, 1])
+//   3: depth (from white at the camera, falling to half brightness at the scene scale)
+//   4: position (mapped from [-sceneScale, sceneScale] to [0, 1])
+//   5: march step count (a heat map from blue, at no steps, through green, to red at maxMarchSteps)
+uniform sampler2D GBuffer;
+uniform int mode;
+uniform float sceneScale;
+uniform float maxMarchSteps;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+vec3 hsv2rgb(vec3 c)
+{
+    vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+}
+
+void main()
+{
+    vec4 G = texture(GBuffer, vTexCoord);
+    vec3 C;
+    if (mode == 0)
+        C = pow(max(G.rgb, vec3(0.0)), vec3(1.0/2.2));
+    else if (mode == 1)
+        C = (G.w < 0.0) ? vec3(0.0) : hsv2rgb(vec3(fract(0.618034*G.w), 0.7, 1.0));
+    else if (mode == 2)
+        C = 0.5 + 0.5*G.xyz;
+    else if (mode == 3)
+        C = vec3(sceneScale / (sceneScale + max(G.w, 0.0)));
+    else if (mode == 4)
+        C = 0.5 + 0.5*clamp(G.xyz/sceneScale, -1.0, 1.0);
+    else
+    {
+        float t = clamp(G.w/maxMarchSteps, 0.0, 1.0);
+        C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                    : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    }
+    g_outputColor = vec4(C, 1.0);
+}
@@ -0,0 +1,325 @@
+precision highp float;
+
+// Raymarching diagnostics (for the 'marchsteps', 'maxsteps' and 'overshoot' render modes), which march the primary rays exactly as the
+// pathtracer does, and accumulate per pixel:
+//   x: the mean number of march steps taken
+//   y: the fraction of rays which took __MAX_MARCH_STEPS__ steps without hitting a surface or leaving the scene
+//   z: the maximum rate at which the SDF decreased per unit distance marched (which exceeds 1 wherever the SDF is not a true distance bound,
+//      so that steps may overshoot the surface)
+// These are drawn as a color image by the marchview program.
+uniform sampler2D Radiance;         // 0 (IO buffer)
+uniform sampler2D RngData;          // 1 (IO buffer)
+in vec2 vTexCoord;
+
+layout(location = 0) out vec4 gbuf_rad;
+layout(location = 1) out vec4 gbuf_rng;
+
+uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
+uniform vec3 camPos;
+uniform vec3 camDir;
+uniform vec3 camX;
+uniform vec3 camY;
+uniform float camFovy; // degrees
+uniform float camAspect;
+uniform float camAperture;
+uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
+
+uniform float minLengthScale;
+uniform float maxLengthScale;
+uniform float marchOverRelaxation;
+uniform float marchFootprint;
+
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
+#define MAT_INVAL  -1
+#define MAT_DIELE  0
+#define MAT_METAL  1
+#define MAT_SURFA  2
+
+#define M_PI 3.1415926535897932384626433832795
+
+//////////////////////////////////////////////////////////////
+// Dynamically injected code
+//////////////////////////////////////////////////////////////
+
+__DEFINES__
+
+__SHADER__
+
+__OBJECTS__
+
+///////////////////////////////////////////////////////////////////////////////////
+// SDF raymarcher
+///////////////////////////////////////////////////////////////////////////////////
+
+struct MarchStats
+{
+    int steps;          // the number of march steps taken
+    bool exhausted;     // whether the march ended by taking __MAX_MARCH_STEPS__ steps
+    float maxDecrease;  // the maximum decrease in the SDF per unit distance over a step
+};
+
+// March along the specified ray as the pathtracer traceRay does (i.e. with the same over-relaxation and hit threshold),
+// recording the march statistics
+MarchStats marchRay(in vec3 start, in vec3 dir, float maxMarchDist)
+{
+    MarchStats stats;
+    stats.steps = 0;
+    stats.exhausted = false;
+    stats.maxDecrease = 0.0;
+    float minMarch = minLengthScale;
+    int closest;
+    float sdf = sceneSDF(start, closest);
+    float InitialSign = sign(sdf);
+    float t = InitialSign * sdf; // (always take the first step along the ray direction)
+    if (abs(t)>=maxMarchDist) return stats;
+    float omega = marchOverRelaxation;
+    float prevSdf = abs(sdf);    // (the SDF at the start of the most recent step)
+    float stepLength = abs(sdf); // (the length of the most recent step)
+    for (int n=0; n<__MAX_MARCH_STEPS__; n++)
+    {
+        stats.steps = n+1;
+        vec3 pW = start + t*dir;
+        sdf = sceneSDF(pW, closest);
+        // A true distance bound can decrease by at most the distance marched
+        if (stepLength > 0.0) stats.maxDecrease = max(stats.maxDecrease, (prevSdf - InitialSign*sdf)/stepLength);
+        if (omega > 1.0 && abs(sdf) + prevSdf < stepLength)
+        {
+            t -= InitialSign * (stepLength - prevSdf);
+            stepLength = prevSdf;
+            omega = 1.0;
+            continue;
+        }
+        if (sdf<max(minMarch, marchFootprint*abs(t))) return stats;
+        prevSdf = abs(sdf);
+        stepLength = omega * abs(sdf);
+        t += InitialSign * omega * sdf;
+        if (abs(t)>=maxMarchDist) return stats;
+    }
+    stats.exhausted = true;
+    return stats;
+}
+
+/// GLSL floating point pseudorandom number generator, from
+/// "Implementing a Photorealistic Rendering System using GLSL", Toshiya Hachisuka
+/// http://arxiv.org/pdf/1505.06022.pdf
+float rand(inout vec4 rnd)
+{
+    const vec4 q = vec4(   1225.0,    1585.0,    2457.0,    2098.0);
+    const vec4 r = vec4(   1112.0,     367.0,      92.0,     265.0);
+    const vec4 a = vec4(   3423.0,    2646.0,    1707.0,    1999.0);
+    const vec4 m = vec4(4194287.0, 4194277.0, 4194191.0, 4194167.0);
+    vec4 beta = floor(rnd/q);
+    vec4 p = a*(rnd - beta*q) - beta*r;
+    beta = (1.0 - sign(p))*0.5*m;
+    rnd = p + beta;
+    return fract(dot(rnd/m, vec4(1.0, -1.0, 1.0, -1.0)));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// March diagnostics integrator
+////////////////////////////////////////////////////////////////////////////////
+
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+                         inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
+    // Compute world ray direction for given (possibly jittered) fragment
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    float fh = tan(0.5*radians(camFovy)); // frustum height
+    float fw = camAspect*fh;
+    vec3 s = -fw*ndc.x*camX + fh*ndc.y*camY;
+    primaryDir = normalize(camDir + s);
+    if (camAperture<=0.0)
+    {
+        primaryStart = camPos;
+        return true;
+    }
+    vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
+    primaryStart = lensPos;
+    primaryDir = normalize(focalPlaneHit - lensPos);
+    return true;
+}
+
+void main()
+{
+    TIME = shutterOpen;
+    INIT();
+
+    vec4 rnd = texture(RngData, vTexCoord);
+    vec2 pixel = gl_FragCoord.xy + tileOffset;
+
+    float steps = 0.0;
+    float exhausted = 0.0;
+    float maxDecrease = 0.0;
+    for (int n=0; n<__MAX_SAMPLES_PER_FRAME__; ++n)
+    {
+        // Jitter over pixel
+        vec2 pixelj = pixel + (-0.5 + vec2(rand(rnd), rand(rnd)));
+        float shutterU = sampleShutter(rnd);
+        vec3 primaryStart, primaryDir;
+        if (!constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir)) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
+        MarchStats stats = marchRay(primaryStart, primaryDir, maxLengthScale);
+        steps += float(stats.steps);
+        exhausted += stats.exhausted ? 1.0 : 0.0;
+        maxDecrease = max(maxDecrease, stats.maxDecrease);
+    }
+    steps /= float(__MAX_SAMPLES_PER_FRAME__);
+    exhausted /= float(__MAX_SAMPLES_PER_FRAME__);
+
+    // Write the updated statistics and sample count (averaging the step count and exhausted fraction, but keeping the maximum decrease rate)
+    vec4 oldS = texture(Radiance, vTexCoord);
+    float oldN = oldS.w;
+    float newN = oldN + 1.0;
+    vec2 newS = (oldN*oldS.xy + vec2(steps, exhausted)) / newN;
+
+    gbuf_rad = vec4(newS, max(oldS.z, maxDecrease), newN);
+    gbuf_rng = rnd;
+}
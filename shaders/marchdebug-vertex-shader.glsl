@@ -0,0 +1,12 @@
+precision highp float;
+
+in vec3 Position;
+in vec2 TexCoord;
+
+out vec2 vTexCoord;
+
+void main() 
+{
+    gl_Position = vec4(Position, 1.0);
+    vTexCoord = TexCoord;
+}
@@ -0,0 +1,41 @@
+precision highp float;
+
+// Displays the raymarching diagnostics accumulated by the marchdebug program, according to mode:
+//   0 ('marchsteps'): a heat map of the mean march step count, from blue (at no steps) through green, to red (at maxMarchSteps)
+//   1 ('maxsteps'):   the step count in grey, with the pixels where rays took maxMarchSteps steps highlighted in magenta (in proportion to their fraction)
+//   2 ('overshoot'):  the step count in grey, with the pixels where the SDF decreased faster than the distance marched (i.e. is not a true distance bound)
+//                     highlighted from yellow, through orange (where it decreased twice as fast), to red (four or more times as fast)
+uniform sampler2D Radiance;
+uniform int mode;
+uniform float maxMarchSteps;
+in vec2 vTexCoord;
+
+out vec4 g_outputColor;
+
+#define LIPSCHITZ_TOLERANCE 1.0e-2
+
+void main()
+{
+    vec4 S = texture(Radiance, vTexCoord);
+    float t = clamp(S.x/maxMarchSteps, 0.0, 1.0);
+    vec3 C;
+    if (mode == 0)
+    {
+        C = t < 0.5 ? mix(vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), 2.0*t)
+                    : mix(vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), 2.0*t - 1.0);
+    }
+    else
+    {
+        C = vec3(0.2 + 0.6*sqrt(t));
+        if (mode == 1)
+        {
+            if (S.y > 0.0) C = mix(C, vec3(1.0, 0.0, 1.0), 0.5 + 0.5*S.y);
+        }
+        else if (S.z > 1.0 + LIPSCHITZ_TOLERANCE)
+        {
+            float e = clamp(0.5*log2(S.z), 0.0, 1.0);
+            C = mix(vec3(1.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), e);
+        }
+    }
+    g_outputColor = vec4(C, 1.0);
+}
@@ -0,0 +1,13 @@
+precision highp float;
+
+// Writes the photon index into its hash grid slot (where the last photon drawn to the slot is kept), or when counting,
+// unity (to be accumulated with additive blending, to give the number of photons in each slot)
+uniform bool countPhotons;
+flat in float vPhotonIndex;
+
+out vec4 g_outputColor;
+
+void main()
+{
+    g_outputColor = vec4(countPhotons ? 1.0 : vPhotonIndex);
+}
@@ -0,0 +1,33 @@
+precision highp float;
+precision highp int;
+
+// Draws each photon of the photon map as a point at its hash grid slot (with no vertex attributes, the photon being
+// indexed by gl_VertexID). Photons which were not stored are placed outside the viewport, so are clipped.
+uniform sampler2D PhotonPosition;
+uniform int photonMapSize;
+uniform int photonGridSize;
+uniform float photonCellSize;
+flat out float vPhotonIndex;
+
+// Hash grid slot of a grid cell (this must match photonGridSlot in the pathtracer fragment shader)
+int photonGridSlot(in ivec3 cell)
+{
+    uvec3 c = uvec3(cell);
+    uint h = (c.x*73856093u) ^ (c.y*19349663u) ^ (c.z*83492791u);
+    return int(h % uint(photonGridSize*photonGridSize));
+}
+
+void main()
+{
+    vec4 photonPos = texelFetch(PhotonPosition, ivec2(gl_VertexID % photonMapSize, gl_VertexID / photonMapSize), 0);
+    vPhotonIndex = float(gl_VertexID);
+    gl_PointSize = 1.0;
+    if (photonPos.w == 0.0)
+    {
+        gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+        return;
+    }
+    int slot = photonGridSlot(ivec3(floor(photonPos.xyz/photonCellSize)));
+    vec2 slotCenter = (vec2(slot % photonGridSize, slot / photonGridSize) + 0.5) / float(photonGridSize);
+    gl_Position = vec4(2.0*slotCenter - 1.0, 0.0, 1.0);
+}
@@ -5,9 +5,9 @@ uniform sampler2D Radiance;         // 0 (IO buffer)
 uniform sampler2D RngData;          // 1 (IO buffer)
 uniform sampler2D WavelengthToXYZ;  // 2
 uniform sampler2D ICDF;             // 3
-uniform sampler2D iorTex;           // 4
-uniform sampler2D kTex;             // 5 (for metals)
+// (samplers 4, 5 and 8 onwards: metal ior and k textures, declared in the injected IOR code)
 uniform sampler2D envMap;           // 6
+uniform sampler2D envMapCDF;        // 7
 in vec2 vTexCoord;
 
 layout(location = 0) out vec4 gbuf_rad;
@@ -15,6 +15,7 @@ layout(location = 1) out vec4 gbuf_rng;
 
 // Camera parameters
 uniform vec2 resolution;
+uniform vec2 tileOffset; // (offset in pixels of the rendered tile within the image, when rendering in tiles)
 uniform vec3 camPos;
 uniform vec3 camDir;
 uniform vec3 camX;
@@ -23,12 +24,33 @@ uniform float camFovy; // degrees
 uniform float camAspect;
 uniform float camAperture;
 uniform float camFocalDistance;
+uniform int camProjection;   // (see projectPrimaryRay)
+uniform vec3 camWorldUp;     // (the up axis of the panoramic projections)
+uniform float camOrthoHeight;
+uniform float camFisheyeFov; // degrees
+uniform float camIpd;        // (interpupillary distance of the ODS projection)
+uniform int apertureBlades;     // (number of aperture diaphragm blades, giving a polygonal aperture, or 0 for a circular aperture)
+uniform float apertureRotation; // (rotation of the polygonal aperture, in radians)
+uniform float shutterOpen;   // (the scene times at which the shutter opens and closes, between which the time of each path is sampled)
+uniform float shutterClose;
+uniform bool camMoving;      // (whether the camera moves while the shutter is open, from the pose above to the pose below)
+uniform vec3 camPosClose;    // (the camera pose at shutter close)
+uniform vec3 camDirClose;
+uniform vec3 camXClose;
+uniform vec3 camYClose;
+
+// The scene time of the current path, sampled over the shutter interval
+// (which the scene SDF and material functions may read, to render the motion blur of animated objects)
+float TIME;
 
 // Pathtracing parameters
 uniform float filterRadius;
 uniform float radianceClamp;
 uniform float skipProbability;
+uniform int russianRouletteDepth;   // (number of bounces after which paths are terminated by Russian roulette)
 uniform bool maxStepsIsMiss;
+uniform float marchOverRelaxation; // (over-relaxation factor of the sphere tracing steps, from 1 (no over-relaxation) to 2)
+uniform float marchFootprint;      // (growth of the hit threshold per unit distance along rays, to match the pixel footprint)
 
 // Length scales
 uniform float lengthScale;
@@ -38,12 +60,21 @@ uniform float maxLengthScale;
 // Sky parameters
 uniform bool haveEnvMap;
 uniform bool envMapVisible;
+uniform bool envMapImportanceSampling;
 uniform float envMapPhiRotation;
 uniform float envMapThetaRotation;
 uniform float envMapTransitionAngle;
 uniform float skyPower;
 uniform vec3 skyTintUp;
 uniform vec3 skyTintDown;
+uniform int skyModel;               // (one of SKY_MODEL_UNIFORM, SKY_MODEL_PREETHAM)
+uniform vec3 skyPerezA;             // Preetham sky Perez function coefficients (for each of Y, x, y)
+uniform vec3 skyPerezB;
+uniform vec3 skyPerezC;
+uniform vec3 skyPerezD;
+uniform vec3 skyPerezE;
+uniform vec3 skyPerezScale;         // zenith (Y, x, y) divided by the Perez function at the zenith
+uniform vec3 skyGroundRGB;          // radiance of the ground below the horizon
 
 // Sun parameters
 uniform float sunPower;
@@ -54,16 +85,17 @@ uniform vec3 sunColor;
 uniform vec3 sunDir;
 uniform bool sunVisibleDirectly;
 
-// Surface material parameters
-uniform vec3 surfaceDiffuseAlbedoRGB;
-uniform vec3 surfaceSpecAlbedoRGB;
-uniform float surfaceRoughness;
-uniform float surfaceIor;
-uniform float subsurface;
-uniform vec3 subsurfaceAlbedoRGB;
-uniform float subsurfaceMFP;
-uniform float subsurfaceAnisotropy;
-uniform float subsurfaceDiffuseWeight;
+// Surface material parameters (indexed by material instance)
+uniform vec3 surfaceDiffuseAlbedoRGB[__NUM_SURFACES__];
+uniform vec3 surfaceSpecAlbedoRGB[__NUM_SURFACES__];
+uniform float surfaceRoughness[__NUM_SURFACES__];
+uniform float surfaceIor[__NUM_SURFACES__];
+uniform float subsurface[__NUM_SURFACES__];
+uniform vec3 subsurfaceAlbedoRGB[__NUM_SURFACES__];
+uniform float subsurfaceMFP[__NUM_SURFACES__];
+uniform float subsurfaceAnisotropy[__NUM_SURFACES__];
+uniform float subsurfaceDiffuseWeight[__NUM_SURFACES__];
+uniform vec3 surfaceEmissionRGB[__NUM_SURFACES__];
 uniform int maxSSSSteps;
 
 // Volumetric emission constants
@@ -87,6 +119,8 @@ uniform vec3 fogTint;
 #define RADIANCE_EPSILON 1.0e-6
 #define M_PI 3.141592653589793
 
+// Material types (the material of a hit is the index of the scene object,
+// from which materialType() and materialIndex() give the type and instance)
 #define MAT_INVAL  -1
 #define MAT_DIELE  0
 #define MAT_METAL  1
@@ -114,10 +148,16 @@ float rand(inout vec4 rnd)
 
 __DEFINES__
 
+// (the simplified pathtracer renders only the surface material objects)
+#undef HAS_METAL
+#undef HAS_DIELECTRIC
+
 __SHADER__
 
 __IOR_FUNC__
 
+__OBJECTS__
+
 
 /////////////////////////////////////////////////////////////////////////
 // Basis transforms
@@ -199,6 +239,17 @@ float maxComponent(float f)
     return f;
 }
 
+// Russian roulette path termination: from the depth russianRouletteDepth onwards, the path continues with probability given
+// by its throughput (which is reweighted accordingly, so the estimate remains unbiased). Returns whether the path continues.
+bool russianRoulette(int depth, inout vec3 throughput, inout vec4 rnd)
+{
+    float continuation_prob = clamp(maxComponent(throughput), 0.0, 1.0);
+    if (depth < russianRouletteDepth) return continuation_prob > 0.0;
+    if (rand(rnd) >= continuation_prob) return false;
+    throughput /= continuation_prob; // update throughput due to RR continuation
+    return true;
+}
+
 float averageComponent(in vec3 v)
 {
     return (v.r + v.g + v.b)/3.0;
@@ -367,32 +418,41 @@ float fresnelDielectricReflectance(in float cosi, in float eta_ti)
     return 1.0; // total internal reflection
 }
 
-vec3 SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+vec3 SURFACE_DIFFUSE_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_DIFFUSE_REFLECTANCE(surfaceDiffuseAlbedoRGB[index], X, nW, winputW);
     return reflRGB;
 }
 
-vec3 SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in vec3 rgb)
+#ifdef HAS_SURFACE_EMISSION
+// Radiance emitted by the surface in direction winputW (emission is from the front face only)
+vec3 SURFACE_EMISSION_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB, X, nW);
+    if (dot(nW, winputW) <= 0.0) return vec3(0.0);
+    return SURFACE_EMISSION(surfaceEmissionRGB[index], X, nW, winputW);
+}
+#endif
+
+vec3 SUBSURFACE_ALBEDO_EVAL(in vec3 X, in vec3 nW, in int index, in vec3 rgb)
+{
+    vec3 reflRGB = SUBSURFACE_ALBEDO(subsurfaceAlbedoRGB[index], X, nW);
     return reflRGB;
 }
 
-vec3 SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in vec3 rgb)
+vec3 SURFACE_SPEC_REFL_EVAL(in vec3 X, in vec3 nW, in vec3 winputW, in int index, in vec3 rgb)
 {
-    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB, X, nW, winputW);
+    vec3 reflRGB = SURFACE_SPECULAR_REFLECTANCE(surfaceSpecAlbedoRGB[index], X, nW, winputW);
     return reflRGB;
 }
 
-vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return vec3(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float Fr = fresnelDielectricReflectance(woutputL.z, ior);
     vec3 h = normalize(woutputL + winputL); // Compute the reflection half-vector
     float D = microfacetEval(h, roughness);
@@ -403,19 +463,19 @@ vec3 evaluateSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutput
     return f;
 }
 
-float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in float wavelength_nm, in vec3 rgb)
+float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int index, in float wavelength_nm, in vec3 rgb)
 {
     if (winputL.z<0.0) return PDF_EPSILON;
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
     float weightSum = max(specWeight + diffuseWeight, DENOM_TOLERANCE);
     float specProb = specWeight/weightSum;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float diffusePdf = pdfHemisphereCosineWeighted(woutputL);
     vec3 h = safe_normalize(woutputL + winputL); // reflection half-vector
     float dwh_dwo = 1.0 / max(abs(4.0*dot(winputL, h)), DENOM_TOLERANCE); // Jacobian of the half-direction mapping
@@ -423,15 +483,15 @@ float pdfSurface(in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, i
     return specProb*specularPdf + (1.0-specProb)*diffusePdf;
 }
 
-vec3 sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in float wavelength_nm, in vec3 rgb,
+vec3 sampleSurface(in vec3 X, in Basis basis, in vec3 winputL, in int index, in float wavelength_nm, in vec3 rgb,
                            inout vec3 woutputL, inout float pdfOut, inout vec4 rnd)
 {
     if (winputL.z<0.0) return vec3(0.0);
     vec3 winputW = localToWorld(winputL, basis);
-    vec3 diffuseAlbedo = (1.0 - subsurface)*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, rgb);
-    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, rgb);
-    float ior = surfaceIor;
-    float roughness = SURFACE_ROUGHNESS(surfaceRoughness, X, basis.nW);
+    vec3 diffuseAlbedo = (1.0 - subsurface[index])*SURFACE_DIFFUSE_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    vec3    specAlbedo = SURFACE_SPEC_REFL_EVAL(X, basis.nW, winputW, index, rgb);
+    float ior = surfaceIor[index];
+    float roughness = SURFACE_ROUGHNESS(surfaceRoughness[index], X, basis.nW);
     float E = fresnelDielectricReflectance(abs(winputL.z), ior);
     float specWeight    = (E      )*averageComponent(specAlbedo);
     float diffuseWeight = (1.0 - E)*averageComponent(diffuseAlbedo);
@@ -468,23 +528,26 @@ vec3 evaluateBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL,
                            inout vec4 rnd )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    evaluateSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (materialType(material)==MAT_SURFA) { return evaluateSurface(X, basis, winputL, woutputL, materialIndex(material), wavelength_nm, rgb); }
 #endif
+    return vec3(0.0);
 }
 
 vec3 sampleBsdf( in vec3 X, in Basis basis, in vec3 winputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera,
                          inout vec3 woutputL, inout float pdfOut, inout vec4 rnd )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    sampleSurface(X, basis, winputL, wavelength_nm, rgb, woutputL, pdfOut, rnd); }
+    if (materialType(material)==MAT_SURFA) { return sampleSurface(X, basis, winputL, materialIndex(material), wavelength_nm, rgb, woutputL, pdfOut, rnd); }
 #endif
+    return vec3(0.0);
 }
 
 float pdfBsdf( in vec3 X, in Basis basis, in vec3 winputL, in vec3 woutputL, in int material, in float wavelength_nm, in vec3 rgb, bool fromCamera )
 {
 #ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { return    pdfSurface(X, basis, winputL, woutputL, wavelength_nm, rgb); }
+    if (materialType(material)==MAT_SURFA) { return pdfSurface(X, basis, winputL, woutputL, materialIndex(material), wavelength_nm, rgb); }
 #endif
+    return PDF_EPSILON;
 }
 
 #endif // HAS_GEOMETRY
@@ -504,30 +567,41 @@ vec3 VOLUME_EMISSION_EVAL(in vec3 X, in vec3 rgb)
 // SDF raymarcher
 ///////////////////////////////////////////////////////////////////////////////////
 
-// find first hit along specified ray
+// find first hit along specified ray.
+// If marchOverRelaxation > 1, the steps are over-relaxed as in Keinert et al., "Enhanced Sphere Tracing" (2014), falling back to unrelaxed
+// steps once a step may have overshot a surface (i.e. the unbounding spheres at either end of the step do not overlap).
+// The hit threshold is minLengthScale, or marchFootprint times the distance along the ray if larger.
 bool traceRay(in vec3 start, in vec3 dir,
               inout vec3 hit, inout int material, float maxMarchDist)
 {
     material = MAT_INVAL;
     float minMarch = minLengthScale;
-    const float HUGE_VAL = 1.0e20;
-    float sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-    float sdf_surfa = abs(SDF_SURFACE(start));    sdf = min(sdf, sdf_surfa);
-#endif
+    int closest;
+    float sdf = sceneSDF(start, closest);
     float InitialSign = sign(sdf);
     float t = InitialSign * sdf; // (always take the first step along the ray direction)
     if (abs(t)>=maxMarchDist) return false;
+    float omega = marchOverRelaxation;
+    float prevSdf = abs(sdf);    // (the SDF at the start of the most recent step)
+    float stepLength = abs(sdf); // (the length of the most recent step)
     for (int n=0; n<__MAX_MARCH_STEPS__; n++)
     {
         vec3 pW = start + t*dir;
-        sdf = HUGE_VAL;
-#ifdef HAS_SURFACE
-        sdf_surfa = abs(SDF_SURFACE(pW));    if (sdf_surfa<minMarch) { material = MAT_SURFA; hit = start + t*dir; return true; } sdf = min(sdf, sdf_surfa);
-#endif
+        sdf = sceneSDF(pW, closest);
+        if (omega > 1.0 && abs(sdf) + prevSdf < stepLength)
+        {
+            // The over-relaxed step may have overshot a surface, so retake it unrelaxed, and stop over-relaxing
+            t -= InitialSign * (stepLength - prevSdf);
+            stepLength = prevSdf;
+            omega = 1.0;
+            continue;
+        }
+        if (sdf<max(minMarch, marchFootprint*abs(t))) { material = closest; hit = start + t*dir; return true; }
         // With this formula, the ray advances whether sdf is initially negative or positive --
         // but on crossing the zero isosurface, sdf flips allowing bracketing of the root.
-        t += InitialSign * sdf;
+        prevSdf = abs(sdf);
+        stepLength = omega * abs(sdf);
+        t += InitialSign * omega * sdf;
         if (abs(t)>=maxMarchDist) return false;
     }
     return !maxStepsIsMiss;
@@ -541,17 +615,17 @@ vec3 normal(in vec3 pW, int material)
     vec3 Xp = pW+e.xyy; vec3 Xn = pW-e.xyy;
     vec3 Yp = pW+e.yxy; vec3 Yn = pW-e.yxy;
     vec3 Zp = pW+e.yyx; vec3 Zn = pW-e.yyx;
-    vec3 N;
-#ifdef HAS_SURFACE
-    if (material==MAT_SURFA) { N = vec3(   SDF_SURFACE(Xp) -    SDF_SURFACE(Xn),    SDF_SURFACE(Yp) -    SDF_SURFACE(Yn),    SDF_SURFACE(Zp) -    SDF_SURFACE(Zn)); return safe_normalize(N); }
-#endif
+    vec3 N = vec3(materialSDF(Xp, material) - materialSDF(Xn, material),
+                  materialSDF(Yp, material) - materialSDF(Yn, material),
+                  materialSDF(Zp, material) - materialSDF(Zn, material));
+    return safe_normalize(N);
 }
 
 #ifdef HAS_NORMALMAP
 vec3 perturbNormal(in vec3 X, in Basis basis, int material)
 {
 #ifdef HAS_SURFACE_NORMALMAP
-    if (material==MAT_SURFA)
+    if (materialType(material)==MAT_SURFA)
     {
         vec3 nL_perturbed = SURFACE_NORMAL_MAP(X, basis.nW);
         return localToWorld(normalize(nL_perturbed), basis);
@@ -613,22 +687,76 @@ vec3 atmosphericInscatteringRadiance(in vec3 Tr)
 // Sky
 //////////////////////////////////////////////
 
-vec3 environmentRadianceRGB(in vec3 dirW)
+Basis skyBasis()
 {
-    float rot_phi   = M_PI*envMapPhiRotation/180.0;
     float rot_theta = M_PI*envMapThetaRotation/180.0;
     vec3 sky_pole = vec3(sin(rot_theta), cos(rot_theta), 0.0);
-    Basis sky_basis = makeBasis(sky_pole);
-    vec3 dirL = worldToLocal(dirW, sky_basis);
+    return makeBasis(sky_pole);
+}
+
+// Lat-long env map (u,v) coordinates of the given world space direction
+vec2 envMapUV(in vec3 dirW)
+{
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    vec3 dirL = worldToLocal(dirW, skyBasis());
     float phi = atan(dirL.y, dirL.x) + M_PI + rot_phi;
     phi -= 2.0*M_PI*floor(phi/(2.0*M_PI)); // wrap phi to [0, 2*pi]
-    float theta = acos(dirL.z);
-    float u = phi/(2.0*M_PI);
-    float v = theta/M_PI;
+    float theta = acos(clamp(dirL.z, -1.0, 1.0));
+    return vec2(phi/(2.0*M_PI), theta/M_PI);
+}
+
+// World space direction of the given lat-long env map (u,v) coordinates (the inverse of envMapUV)
+vec3 envMapDirection(in vec2 uv)
+{
+    float rot_phi = M_PI*envMapPhiRotation/180.0;
+    float phi = 2.0*M_PI*uv.x - M_PI - rot_phi;
+    float theta = M_PI*uv.y;
+    float sinTheta = sin(theta);
+    vec3 dirL = vec3(sinTheta*cos(phi), sinTheta*sin(phi), cos(theta));
+    return localToWorld(dirL, skyBasis());
+}
+
+#define SKY_MODEL_UNIFORM  0
+#define SKY_MODEL_PREETHAM 1
+
+// Perez sky distribution function (for each of Y, x, y), given the cosine of the view zenith angle
+// and the angle gamma between the view and sun directions
+vec3 perez(float cosTheta, float gamma)
+{
+    float cosGamma = cos(gamma);
+    return (1.0 + skyPerezA*exp(skyPerezB/max(cosTheta, 1.0e-3))) *
+           (1.0 + skyPerezC*exp(skyPerezD*gamma) + skyPerezE*cosGamma*cosGamma);
+}
+
+// Preetham sky luminance Y and chromaticity (x, y) in the given world space direction above the horizon
+// (see Renderer.updateSkyModel)
+vec3 preethamSkyYxy(in vec3 dirW)
+{
+    float gamma = acos(clamp(dot(dirW, sunDir), -1.0, 1.0));
+    return skyPerezScale * perez(dirW.y, gamma);
+}
+
+vec3 preethamSkyRGB(in vec3 dirW)
+{
+    if (dirW.y <= 0.0)
+        return skyGroundRGB;
+    vec3 Yxy = preethamSkyYxy(dirW);
+    vec3 XYZ = vec3(Yxy.x*Yxy.y/Yxy.z, Yxy.x, Yxy.x*(1.0 - Yxy.y - Yxy.z)/Yxy.z);
+    vec3 RGB;
+    RGB.r =  3.2404542*XYZ.x - 1.5371385*XYZ.y - 0.4985314*XYZ.z;
+    RGB.g = -0.9692660*XYZ.x + 1.8760108*XYZ.y + 0.0415560*XYZ.z;
+    RGB.b =  0.0556434*XYZ.x - 0.2040259*XYZ.y + 1.0572252*XYZ.z;
+    return skyPower * max(RGB, vec3(0.0));
+}
+
+vec3 environmentRadianceRGB(in vec3 dirW)
+{
+    if (skyModel == SKY_MODEL_PREETHAM)
+        return preethamSkyRGB(dirW);
     vec3 RGB = vec3(1.0);
     if (haveEnvMap)
-        RGB = texture(envMap, vec2(u,v)).rgb;
-    float t = dot(dirW, sky_pole);
+        RGB = texture(envMap, envMapUV(dirW)).rgb;
+    float t = dot(dirW, skyBasis().nW);
     float tt = envMapTransitionAngle/180.0;
     RGB *= skyPower * mix(skyTintDown, skyTintUp, smoothstep(-tt, tt, t));
     return RGB;
@@ -645,16 +773,104 @@ float skyPowerEstimate()
     return 2.0*M_PI * skyPower * 0.5*(maxComponent(skyTintUp) + maxComponent(skyTintDown));
 }
 
+// The envMapCDF texture holds the conditional CDF of each row of the env map in columns [0, width-1],
+// and the marginal CDF of the rows in column width (see Renderer.buildEnvMapCDF)
+float envMapCDFTexel(int i, int j)
+{
+    if (i<0 || j<0) return 0.0;
+    return texelFetch(envMapCDF, ivec2(i, j), 0).r;
+}
+
+// Find the first of the n texels of the given CDF row (or of the marginal CDF, if row<0) where the CDF exceeds u
+int envMapCDFSearch(int row, int n, float u)
+{
+    int marginal = textureSize(envMapCDF, 0).x - 1;
+    int lo = 0;
+    int hi = n - 1;
+    while (lo < hi)
+    {
+        int mid = (lo + hi)/2;
+        float cdf = (row<0) ? envMapCDFTexel(marginal, mid) : envMapCDFTexel(mid, row);
+        if (cdf > u) hi = mid;
+        else         lo = mid + 1;
+    }
+    return lo;
+}
+
+// Solid angle PDF of sampling the given direction, given the env map texel probability of its (u,v) coordinates
+float envMapSolidAnglePdf(float texelProb, in vec2 uv)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    float sinTheta = sin(M_PI*uv.y);
+    return texelProb * float((size.x-1)*size.y) / max(2.0*M_PI*M_PI*sinTheta, DENOM_TOLERANCE);
+}
+
+// Sample a direction with probability proportional to the env map luminance
+vec3 sampleEnvMap(inout vec4 rnd, inout float pdfDir)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    float r1 = rand(rnd);
+    float r2 = rand(rnd);
+    int j = envMapCDFSearch(-1, H, r1);
+    int i = envMapCDFSearch(j, W, r2);
+    float m0 = envMapCDFTexel(W, j-1);
+    float m1 = envMapCDFTexel(W, j);
+    float c0 = envMapCDFTexel(i-1, j);
+    float c1 = envMapCDFTexel(i, j);
+    // (sample uniformly within the chosen texel)
+    float du = clamp((r2 - c0)/max(c1 - c0, DENOM_TOLERANCE), 0.0, 1.0);
+    float dv = clamp((r1 - m0)/max(m1 - m0, DENOM_TOLERANCE), 0.0, 1.0);
+    vec2 uv = vec2((float(i) + du)/float(W), (float(j) + dv)/float(H));
+    pdfDir = envMapSolidAnglePdf((m1 - m0)*(c1 - c0), uv);
+    return envMapDirection(uv);
+}
+
+// Solid angle PDF of sampleEnvMap generating the given direction
+float pdfEnvMap(in vec3 dirW)
+{
+    ivec2 size = textureSize(envMapCDF, 0);
+    int W = size.x - 1;
+    int H = size.y;
+    vec2 uv = envMapUV(dirW);
+    int i = clamp(int(uv.x*float(W)), 0, W-1);
+    int j = clamp(int(uv.y*float(H)), 0, H-1);
+    float pMarginal    = envMapCDFTexel(W, j) - envMapCDFTexel(W, j-1);
+    float pConditional = envMapCDFTexel(i, j) - envMapCDFTexel(i-1, j);
+    return envMapSolidAnglePdf(pMarginal*pConditional, uv);
+}
+
 vec3 sampleSkyAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
                                 inout vec3 woutputL, inout vec3 woutputW, inout float pdfDir)
 {
     if (skyPower<RADIANCE_EPSILON)
         return vec3(0.0);
-    woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
-    woutputW = localToWorld(woutputL, basis);
+    if (envMapImportanceSampling)
+    {
+        woutputW = sampleEnvMap(rnd, pdfDir);
+        woutputL = worldToLocal(woutputW, basis);
+        if (woutputL.z <= 0.0) return vec3(0.0); // (directions below the surface receive no sky light)
+    }
+    else
+    {
+        woutputL = sampleHemisphereCosineWeighted(rnd, pdfDir);
+        woutputW = localToWorld(woutputL, basis);
+    }
     return environmentRadiance(woutputW, rgb);
 }
 
+// Solid angle PDF of sampleSkyAtSurface generating the given direction
+float pdfSkyAtSurface(Basis basis, in vec3 dirW)
+{
+    if (skyPower<RADIANCE_EPSILON)
+        return 0.0;
+    vec3 dirL = worldToLocal(dirW, basis);
+    if (envMapImportanceSampling)
+        return (dirL.z > 0.0) ? pdfEnvMap(dirW) : 0.0;
+    return pdfHemisphereCosineWeighted(dirL);
+}
+
 
 //////////////////////////////////////////////
 // Sun
@@ -709,6 +925,8 @@ vec3 sampleSunAtSurface(Basis basis, in vec3 rgb, inout vec4 rnd,
 // Direct lighting routines
 //////////////////////////////////////////////
 
+#ifdef HAS_GEOMETRY
+
 // Estimate direct radiance at the given surface vertex
 vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int material,
                                    float wavelength_nm, in vec3 rgb, inout vec4 rnd,
@@ -756,6 +974,8 @@ vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int mate
     return min(vec3(radianceClamp), Ldirect);
 }
 
+#endif // HAS_GEOMETRY
+
 
 ///////////////////////////////////////////////////////////////
 // SSS
@@ -765,7 +985,7 @@ vec3 directSurfaceLighting(in vec3 pW, Basis basis, in vec3 winputW, in int mate
 #define MIN_SSS_STEPS_BEFORE_RR 4
 
 #ifdef HAS_SURFACE
-bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
+bool randomwalk_SSS(in vec3 pW, in Basis basis, in int index, inout vec4 rnd,
                     in float MFP, in vec3 subsurfaceAlbedo, in vec3 diffuseAlbedoEntry,
                     inout vec3 walk_throughput, inout vec3 pExit)
 {
@@ -780,7 +1000,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 
     // We assume a diffuse Lambertian lobe at the entry point
     // (either pure white, or with the diffuse albedo of the entry point, or somewhere in between)
-    vec3 f = mix(vec3(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight) / M_PI;
+    vec3 f = mix(vec3(1.0), diffuseAlbedoEntry, subsurfaceDiffuseWeight[index]) / M_PI;
     vec3 fOverPdf = min(vec3(radianceClamp), f/max(PDF_EPSILON, pdfDir));
     vec3 surface_entry_throughput = fOverPdf * abs(dot(dirwalkW, basis.nW));
     walk_throughput = vec3(1.0); //surface_entry_throughput; // update walk throughput due to entry in medium
@@ -809,7 +1029,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
                 break;
             walk_throughput /= continuation_prob; // update walk throughput due to RR continuation
         }
-        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy, rnd);
+        dirwalkW = samplePhaseFunction(dirwalkW, subsurfaceAnisotropy[index], rnd);
         pWalk += walk_step*dirwalkW;
         walk_throughput *= subsurfaceAlbedo; // update walk throughput due to scattering in medium
     }
@@ -817,7 +1037,7 @@ bool randomwalk_SSS(in vec3 pW, in Basis basis, inout vec4 rnd,
 }
 
 // Estimate radiance at the SSS exit point
-vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
+vec3 SSS_exit_radiance(in vec3 pW, Basis basis, in int index,
                                in vec3 rgb, inout vec4 rnd,
                                in vec3 diffuseAlbedoExit,
                                inout float skyPdf, inout float sunPdf, inout float sphPdf)
@@ -828,7 +1048,7 @@ vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
 
     // We assume a diffuse Lambertian lobe at the exit point
     // (either pure white, or with the diffuse albedo of the exit point, or somewhere in between)
-    vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+    vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[index]) / M_PI;
 
     // Sky
     if (skyPower > RADIANCE_EPSILON)
@@ -866,9 +1086,135 @@ vec3 SSS_exit_radiance(in vec3 pW, Basis basis,
 // Pathtracing integrator
 ////////////////////////////////////////////////////////////////////////////////
 
-void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
+// Sample the scene time of the current path (TIME) uniformly over the shutter interval, returning its fraction of the interval
+float sampleShutter(inout vec4 rnd)
+{
+    if (shutterClose <= shutterOpen)
+    {
+        TIME = shutterOpen;
+        return 0.0;
+    }
+    float u = rand(rnd);
+    TIME = mix(shutterOpen, shutterClose, u);
+    return u;
+}
+
+// Move the given primary ray (constructed in the camera pose at shutter open) rigidly with the camera, to its pose at the given
+// fraction u of the shutter interval (interpolating the position linearly, and the view direction and up axis with normalized lerps)
+void moveCameraRay(float u, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    if (!camMoving || u <= 0.0) return;
+    vec3 dir = normalize(mix(camDir, camDirClose, u));
+    vec3 Y = mix(camY, camYClose, u);
+    Y = normalize(Y - dot(Y, dir)*dir);
+    vec3 X = cross(Y, dir);
+    vec3 pos = mix(camPos, camPosClose, u);
+    vec3 s = primaryStart - camPos;
+    primaryStart = pos + dot(s, camX)*X + dot(s, camY)*Y + dot(s, camDir)*dir;
+    primaryDir = dot(primaryDir, camX)*X + dot(primaryDir, camY)*Y + dot(primaryDir, camDir)*dir;
+}
+
+// Camera projections (the index of camera.projection in Snelly.CAMERA_PROJECTIONS)
+#define CAMERA_PERSPECTIVE         0
+#define CAMERA_ORTHOGRAPHIC        1
+#define CAMERA_FISHEYE_EQUIDISTANT 2
+#define CAMERA_FISHEYE_EQUISOLID   3
+#define CAMERA_EQUIRECTANGULAR     4
+#define CAMERA_CUBEMAP             5
+#define CAMERA_ODS                 6
+
+// Construct the primary ray through the given pixel in the non-perspective camera projections,
+// returning false if the pixel lies outside the projection (i.e. outside the image circle of a fisheye projection).
+// The panoramic projections (equirectangular, cube map and ODS) are levelled, i.e. about the camWorldUp axis.
+bool projectPrimaryRay(in vec2 pixel, inout vec3 primaryStart, inout vec3 primaryDir)
+{
+    vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
+    vec3 camRight = -camX;
+    primaryStart = camPos;
+    if (camProjection == CAMERA_ORTHOGRAPHIC)
+    {
+        primaryStart = camPos + 0.5*camOrthoHeight*(camAspect*ndc.x*camRight + ndc.y*camY);
+        primaryDir = camDir;
+        return true;
+    }
+    if (camProjection == CAMERA_FISHEYE_EQUIDISTANT || camProjection == CAMERA_FISHEYE_EQUISOLID)
+    {
+        // (the image circle spans the image height, and the field of view camFisheyeFov)
+        vec2 p = vec2(camAspect*ndc.x, ndc.y);
+        float r = length(p);
+        if (r > 1.0) return false;
+        float thetaMax = 0.5*radians(camFisheyeFov);
+        float theta = (camProjection == CAMERA_FISHEYE_EQUIDISTANT) ? r*thetaMax : 2.0*asin(min(1.0, r*sin(0.5*thetaMax)));
+        float phi = atan(p.y, p.x);
+        primaryDir = cos(theta)*camDir + sin(theta)*(cos(phi)*camRight + sin(phi)*camY);
+        return true;
+    }
+
+    // Basis of the panoramic projections, about the horizontal view direction
+    vec3 up = camWorldUp;
+    vec3 forward = camDir - dot(camDir, up)*up;
+    if (dot(forward, forward) < 1.0e-8) forward = camY - dot(camY, up)*up; // (if looking straight up or down)
+    forward = normalize(forward);
+    vec3 right = cross(forward, up);
+    vec2 uv = pixel/resolution.xy;
+    if (camProjection == CAMERA_CUBEMAP)
+    {
+        // (the 90 degree faces are in a 3x2 grid, from the top left: right, left, up, then down, front, back)
+        vec2 grid = uv*vec2(3.0, 2.0);
+        vec2 cell = min(floor(grid), vec2(2.0, 1.0));
+        int face = int(cell.x) + 3*(1 - int(cell.y));
+        vec2 ab = 2.0*(grid - cell) - 1.0;
+        vec3 faceDir, faceRight, faceUp;
+        if      (face == 0) { faceDir =  right;   faceRight = -forward; faceUp =  up;      }
+        else if (face == 1) { faceDir = -right;   faceRight =  forward; faceUp =  up;      }
+        else if (face == 2) { faceDir =  up;      faceRight =  right;   faceUp = -forward; }
+        else if (face == 3) { faceDir = -up;      faceRight =  right;   faceUp =  forward; }
+        else if (face == 4) { faceDir =  forward; faceRight =  right;   faceUp =  up;      }
+        else                { faceDir = -forward; faceRight = -right;   faceUp =  up;      }
+        primaryDir = normalize(faceDir + ab.x*faceRight + ab.y*faceUp);
+        return true;
+    }
+    // Equirectangular, or omni-directional stereo (with the left eye panorama in the top half of the image, and the right eye panorama in the bottom half)
+    float eye = 0.0;
+    if (camProjection == CAMERA_ODS)
+    {
+        eye = (uv.y >= 0.5) ? -1.0 : 1.0;
+        uv.y = 2.0*uv.y - ((eye < 0.0) ? 1.0 : 0.0);
+    }
+    float lon = 2.0*M_PI*(uv.x - 0.5);
+    float lat = M_PI*(uv.y - 0.5);
+    primaryDir = cos(lat)*(sin(lon)*right + cos(lon)*forward) + sin(lat)*up;
+    // (the ODS rays start on the circle of diameter camIpd, tangent to it)
+    primaryStart = camPos + eye*0.5*camIpd*(cos(lon)*right - sin(lon)*forward);
+    return true;
+}
+
+// Sample a point uniformly over the aperture shape, in units of the aperture radius: the unit disk, or if apertureBlades is at least 3,
+// the regular polygon inscribed in it
+vec2 sampleAperture(inout vec4 rnd)
+{
+    float u = rand(rnd);
+    float v = rand(rnd);
+    if (apertureBlades < 3)
+    {
+        float r = sqrt(u);
+        float theta = 2.0*M_PI*v;
+        return r*vec2(cos(theta), sin(theta));
+    }
+    // (select one of the triangles fanning out from the center to the polygon edges, then a point uniformly within it)
+    float n = float(apertureBlades);
+    float k = floor(u*n);
+    u = u*n - k;
+    float a0 = apertureRotation + 2.0*M_PI*k/n;
+    float a1 = a0 + 2.0*M_PI/n;
+    return sqrt(v)*((1.0 - u)*vec2(cos(a0), sin(a0)) + u*vec2(cos(a1), sin(a1)));
+}
+
+bool constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
                          inout vec3 primaryStart, inout vec3 primaryDir)
 {
+    if (camProjection != CAMERA_PERSPECTIVE) return projectPrimaryRay(pixel, primaryStart, primaryDir);
+
     // Compute world ray direction for given (possibly jittered) fragment
     vec2 ndc = -1.0 + 2.0*(pixel/resolution.xy);
     float fh = tan(0.5*radians(camFovy)); // frustum height
@@ -878,14 +1224,14 @@ void constructPrimaryRay(in vec2 pixel, inout vec4 rnd,
     if (camAperture<=0.0)
     {
         primaryStart = camPos;
-        return;
+        return true;
     }
     vec3 focalPlaneHit = camPos + camFocalDistance*primaryDir/dot(primaryDir, camDir);
-    float lensRadial = camAperture * sqrt(rand(rnd));
-    float theta = 2.0*M_PI*rand(rnd);
-    vec3 lensPos = camPos + lensRadial*(-camX*cos(theta) + camY*sin(theta));
+    vec2 lensSample = camAperture * sampleAperture(rnd);
+    vec3 lensPos = camPos - lensSample.x*camX + lensSample.y*camY;
     primaryStart = lensPos;
     primaryDir = safe_normalize(focalPlaneHit - lensPos);
+    return true;
 }
 
 
@@ -902,8 +1248,8 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
     vec3 throughput = vec3(1.0);
     for (int vertex=0; vertex<=__MAX_BOUNCES__; ++vertex)
     {
-        // Bail out now if the path continuation throughput is below threshold
-        if (maxComponent(throughput) < THROUGHPUT_EPSILON) break;
+        // Terminate the path if its throughput vanishes, or by Russian roulette
+        if (!russianRoulette(vertex, throughput, rnd)) break;
 
         // Raycast along current propagation direction rayDir, from current vertex pW to pW_next
         vec3 pW_next;
@@ -946,6 +1292,13 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         throughput *= Tr;
 #endif
 
+#ifdef HAS_GEOMETRY
+#ifdef HAS_SURFACE_EMISSION
+        // Add emission if the ray hit an emissive surface
+        if (materialType(hitMaterial)==MAT_SURFA)
+            L += throughput * SURFACE_EMISSION_EVAL(pW_next, normal(pW_next, hitMaterial), -rayDir, materialIndex(hitMaterial), rgb);
+#endif
+
         // This ray hit some geometry, so deal with the surface interaction.
         // First, compute the normal and thus the local vertex basis:
         pW = pW_next;
@@ -957,7 +1310,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // If the incident ray lies below the hemisphere of the perturbed shading normal,
         // which can occur due to normal mapping, apply the "Flipping hack" to prevent artifacts
         // (see Schüßler, "Microfacet-based Normal Mapping for Robust Monte Carlo Path Tracing")
-        if ((dot(nW, rayDir) > 0.0) && (hitMaterial != MAT_DIELE))
+        if ((dot(nW, rayDir) > 0.0) && (materialType(hitMaterial) != MAT_DIELE))
             nW = 2.0*ngW*dot(ngW, nW) - nW;
         basis = makeBasis(nW);
 #endif
@@ -966,13 +1319,15 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         bool do_subsurface_walk = false;
         float prob_sss = 0.0;
         vec3 subsurfaceAlbedo;
+        int hitIndex = materialIndex(hitMaterial);
 #ifdef HAS_SURFACE
-        if (subsurfaceMFP > 0.0)         // a) the surface must have non-zero subsurface MFP, and
+        if (materialType(hitMaterial)==MAT_SURFA &&
+            subsurfaceMFP[hitIndex] > 0.0)         // a) the surface must have non-zero subsurface MFP, and
         {
-            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, rgb);
-            float diffuse_weight    = (1.0 - subsurface)*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, rgb));
-            float subsurface_weight = subsurface * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
+            subsurfaceAlbedo = SUBSURFACE_ALBEDO_EVAL(pW, basis.nW, hitIndex, rgb);
+            float diffuse_weight    = (1.0 - subsurface[hitIndex])*averageComponent(SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float    spec_weight    = averageComponent(SURFACE_SPEC_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb));
+            float subsurface_weight = subsurface[hitIndex] * averageComponent(subsurfaceAlbedo) * 3.0; // weight more highly due to higher variance
             float total_weight = diffuse_weight + spec_weight + subsurface_weight;
             prob_sss = subsurface_weight / (total_weight + DENOM_TOLERANCE);
             prob_sss = clamp(prob_sss, 0.0, 1.0-PDF_EPSILON);
@@ -1016,6 +1371,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             vec3 surface_throughput = fOverPdf * abs(dot(woutputW, nW)) / max(PDF_EPSILON, 1.0 - prob_sss);
             throughput *= surface_throughput;
 
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis, woutputW); // (if the sky was sampled, the sky PDF of the bounce ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
         }
@@ -1024,11 +1380,11 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
         // Do subsurface random walk to a new vertex
         else
         {
-            vec3 diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, rgb);
+            vec3 diffuseAlbedoEntry = SURFACE_DIFFUSE_REFL_EVAL(pW, basis.nW, -rayDir, hitIndex, rgb);
             vec3 walk_throughput;
             vec3 pExit;
             basis.nW = ngW; // (use basis with geometric normal for SSS entry, to avoid surface acne)
-            bool success = randomwalk_SSS(pW, basis, rnd, subsurfaceMFP, subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
+            bool success = randomwalk_SSS(pW, basis, hitIndex, rnd, subsurfaceMFP[hitIndex], subsurfaceAlbedo, diffuseAlbedoEntry, walk_throughput, pExit);
             if (!success)
                 break;
 
@@ -1036,7 +1392,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             pW = pExit;
 
             // Compute updated normal and basis at exit point
-            nW = normal(pExit, MAT_SURFA);
+            nW = normal(pExit, hitMaterial);
             Basis basis_exit = makeBasis(nW);
 
             // Sample direction of exit ray (assuming a diffuse Lambertian lobe with diffuse albedo of exit point)
@@ -1054,14 +1410,15 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             float skyPdf = 0.0;
             float sunPdf = 0.0;
             float sphPdf = 0.0;
-            vec3 diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, rgb);
-            L += throughput * SSS_exit_radiance(pExit, basis_exit, rgb, rnd, diffuseAlbedoExit,
+            vec3 diffuseAlbedoExit = SURFACE_DIFFUSE_REFL_EVAL(pW, nW, -rayDir, hitIndex, rgb);
+            L += throughput * SSS_exit_radiance(pExit, basis_exit, hitIndex, rgb, rnd, diffuseAlbedoExit,
                                                 skyPdf, sunPdf, sphPdf);
+            if (skyPdf > 0.0) skyPdf = pdfSkyAtSurface(basis_exit, woutputW); // (if the sky was sampled, the sky PDF of the exit ray direction)
             misWeightSky = powerHeuristic(bsdfPdf, skyPdf); // compute sky MIS weight for bounce ray
             misWeightSun = powerHeuristic(bsdfPdf, sunPdf); // compute sun MIS weight for bounce ray
 
             // Update path continuation throughput
-            vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight) / M_PI;
+            vec3 f = mix(vec3(1.0), diffuseAlbedoExit, subsurfaceDiffuseWeight[hitIndex]) / M_PI;
             vec3 fOverPdf = min(vec3(radianceClamp), f/max(PDF_EPSILON, bsdfPdf));
             vec3 surface_exit_throughput = fOverPdf * abs(dot(woutputW, nW));
             throughput *= surface_exit_throughput / max(PDF_EPSILON, prob_sss);
@@ -1070,6 +1427,7 @@ vec3 cameraPath(in vec3 primaryStart, in vec3 primaryDir,
             pW += nW * sign(dot(rayDir, nW)) * 3.0*minLengthScale; // perturb vertex into half-space of scattered ray
         }
 #endif
+#endif // HAS_GEOMETRY
     }
     return L;
 }
@@ -1098,12 +1456,16 @@ void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
         vec2 pixelj = pixel + vec2(jx, jy);
 
         // Compute world ray direction for this fragment
+        float shutterU = sampleShutter(rnd);
         vec3 primaryStart, primaryDir;
+        bool inView = true;
 #ifdef HAS_CUSTOM_CAMERA
         CONSTRUCT_PRIMARY_RAY(pixelj, rnd, primaryStart, primaryDir);
 #else
-        constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
+        inView = constructPrimaryRay(pixelj, rnd, primaryStart, primaryDir);
 #endif
+        if (!inView) continue;
+        moveCameraRay(shutterU, primaryStart, primaryDir);
 
         // Perform pathtrace to estimate the primary ray radiance, L
         L += cameraPath(primaryStart, primaryDir, wavelength_nm, rgb, rnd);
@@ -1125,6 +1487,7 @@ void pathtrace(vec2 pixel, vec4 rnd) // the current pixel
 void main()
 {
     vec4 rnd = texture(RngData, vTexCoord);
+    TIME = shutterOpen;
     INIT();
-    pathtrace(gl_FragCoord.xy, rnd);
+    pathtrace(gl_FragCoord.xy + tileOffset, rnd);
 }
@@ -1,6 +1,6 @@
 precision highp float;
 
-uniform sampler2D Radiance;
+uniform sampler2D Radiance;      // 0
 in vec2 vTexCoord;
 
 uniform float exposure;
@@ -9,13 +9,121 @@ uniform float contrast;
 uniform float saturation;
 uniform float hueShift;
 
+uniform int tonemapOperator; // (the index of the operator in Renderer.TONEMAP_OPERATORS)
+uniform float whitePoint;    // (the linear radiance mapped to white by the 'reinhard' and 'hable' operators)
+
+// 3D LUT applied to the final (sRGB encoded) color, if loaded
+uniform bool haveLUT;
+uniform highp sampler3D LUT;     // 1 (a placeholder LUT, if none is loaded)
+uniform float lutSize;
+uniform vec3 lutDomainMin;
+uniform vec3 lutDomainMax;
+uniform float lutStrength;
+
 out vec4 g_outputColor;
 
+#define TONEMAP_LEGACY   0
+#define TONEMAP_LINEAR   1
+#define TONEMAP_REINHARD 2
+#define TONEMAP_ACES     3
+#define TONEMAP_AGX      4
+#define TONEMAP_HABLE    5
+
 float toneMap(float L)
 {
   return L / (1.0 + L);
 }
 
+float luminance(vec3 RGB)
+{
+    return dot(RGB, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Extended Reinhard, applied to the luminance (preserving the chromaticity), mapping whitePoint to 1
+vec3 toneMapReinhard(vec3 RGB)
+{
+    float L = luminance(RGB);
+    if (L <= 0.0) return RGB;
+    float W = max(whitePoint, 1.0e-3);
+    float Lmapped = L * (1.0 + L/(W*W)) / (1.0 + L);
+    return RGB * (Lmapped/L);
+}
+
+// ACES filmic (the RRT and sRGB ODT, as fitted by Stephen Hill)
+vec3 RRTAndODTFit(vec3 v)
+{
+    vec3 a = v*(v + 0.0245786) - 0.000090537;
+    vec3 b = v*(0.983729*v + 0.4329510) + 0.238081;
+    return a/b;
+}
+
+vec3 toneMapACES(vec3 RGB)
+{
+    // (sRGB to the RRT input space, and from the ODT output space back to sRGB)
+    const mat3 ACESInput  = mat3(0.59719, 0.07600, 0.02840,
+                                 0.35458, 0.90834, 0.13383,
+                                 0.04823, 0.01566, 0.83777);
+    const mat3 ACESOutput = mat3( 1.60475, -0.10208, -0.00327,
+                                 -0.53108,  1.10813, -0.07276,
+                                 -0.07367, -0.00605,  1.07602);
+    return ACESOutput * RRTAndODTFit(ACESInput * RGB);
+}
+
+// AgX (the polynomial fit of its base contrast curve, by Benjamin Wrensch), returning linear RGB
+vec3 toneMapAgX(vec3 RGB)
+{
+    const mat3 agxInset  = mat3(0.842479062253094,  0.0423282422610123, 0.0423756549057051,
+                                0.0784335999999992, 0.878468636469772,  0.0784336,
+                                0.0792237451477643, 0.0791661274605434, 0.879142973793104);
+    const mat3 agxOutset = mat3( 1.19687900512017,  -0.0528968517574562, -0.0529716355144438,
+                                -0.0980208811401368, 1.15190312990417,   -0.0980434501171241,
+                                -0.0990297440797205, -0.0989611768448433, 1.15107367264116);
+    const float minEv = -12.47393;
+    const float maxEv = 4.026069;
+    vec3 x = agxInset * RGB;
+    x = clamp(log2(max(x, 1.0e-10)), minEv, maxEv);
+    x = (x - minEv) / (maxEv - minEv);
+    vec3 x2 = x*x;
+    vec3 x4 = x2*x2;
+    x = 15.5*x4*x2 - 40.14*x4*x + 31.96*x4 - 6.868*x2*x + 0.4298*x2 + 0.1191*x - 0.00232;
+    x = agxOutset * x;
+    return pow(max(x, 0.0), vec3(2.2));
+}
+
+// Hable (Uncharted 2) filmic curve, mapping whitePoint to 1
+vec3 hableCurve(vec3 x)
+{
+    const float A = 0.15; // shoulder strength
+    const float B = 0.50; // linear strength
+    const float C = 0.10; // linear angle
+    const float D = 0.20; // toe strength
+    const float E = 0.02; // toe numerator
+    const float F = 0.30; // toe denominator
+    return ((x*(A*x + C*B) + D*E) / (x*(A*x + B) + D*F)) - E/F;
+}
+
+vec3 toneMapHable(vec3 RGB)
+{
+    const float exposureBias = 2.0;
+    return hableCurve(exposureBias*RGB) / hableCurve(vec3(max(whitePoint, 1.0e-3)));
+}
+
+// The sRGB transfer function, encoding linear RGB in [0,1] for display
+vec3 linearToSRGB(vec3 RGB)
+{
+    vec3 lo = 12.92*RGB;
+    vec3 hi = 1.055*pow(RGB, vec3(1.0/2.4)) - 0.055;
+    return mix(lo, hi, step(vec3(0.0031308), RGB));
+}
+
+vec3 applyLUT(vec3 C)
+{
+    vec3 u = clamp((C - lutDomainMin)/max(lutDomainMax - lutDomainMin, vec3(1.0e-6)), 0.0, 1.0);
+    // (sample at the texel centers, so that the domain bounds map to the first and last LUT entries)
+    vec3 t = (u*(lutSize - 1.0) + 0.5)/lutSize;
+    return texture(LUT, t).rgb;
+}
+
 vec3 rgb2hsv(vec3 c)
 {
     vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
@@ -39,32 +147,44 @@ void main()
     float X = L.x;
     float Y = L.y;
     float Z = L.z;
-    
+
     // convert XYZ tristimulus to linear RGB color space
     vec3 RGB;
     RGB.r =  3.2406*X - 1.5372*Y - 0.4986*Z;
     RGB.g = -0.9689*X + 1.8758*Y + 0.0415*Z;
     RGB.b =  0.0557*X - 0.2040*Y + 1.0570*Z;
-    
+
     // deal with out-of-gamut RGB.
     float delta = -min(0.0, min(min(RGB.r, RGB.g), RGB.b));
     RGB.r += delta;
     RGB.g += delta;
     RGB.b += delta;
 
-    // apply gamma correction to convert linear RGB to sRGB
-    RGB = pow(RGB, vec3(invGamma));
-
-    // apply tonemapping
-    RGB *= pow(2.0, exposure);
-    float R = RGB.r;
-    float G = RGB.g;
-    float B = RGB.b;
-    R = toneMap(R);
-    G = toneMap(G);
-    B = toneMap(B);
-
-
+    float R, G, B;
+    if (tonemapOperator == TONEMAP_LEGACY)
+    {
+        // apply gamma correction to convert linear RGB to sRGB
+        RGB = pow(RGB, vec3(invGamma));
+
+        // apply tonemapping
+        RGB *= pow(2.0, exposure);
+        R = toneMap(RGB.r);
+        G = toneMap(RGB.g);
+        B = toneMap(RGB.b);
+    }
+    else
+    {
+        // apply exposure and tonemapping to the linear RGB, then the sRGB transfer function
+        RGB *= pow(2.0, exposure);
+        if      (tonemapOperator == TONEMAP_REINHARD) RGB = toneMapReinhard(RGB);
+        else if (tonemapOperator == TONEMAP_ACES)     RGB = toneMapACES(RGB);
+        else if (tonemapOperator == TONEMAP_AGX)      RGB = toneMapAgX(RGB);
+        else if (tonemapOperator == TONEMAP_HABLE)    RGB = toneMapHable(RGB);
+        RGB = linearToSRGB(clamp(RGB, 0.0, 1.0));
+        R = RGB.r;
+        G = RGB.g;
+        B = RGB.b;
+    }
 
     // apply saturation
     float mean = (R + G + B)/3.0;
@@ -93,5 +213,11 @@ void main()
         C = hsv2rgb(hsv);
     }
 
+    // apply the LUT grade
+    if (haveLUT)
+    {
+        C = mix(C, applyLUT(C), lutStrength);
+    }
+
     g_outputColor = vec4(C, 1.0);
 }